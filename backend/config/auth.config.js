@@ -0,0 +1,77 @@
+/**
+ * Auth Configuration
+ * 
+ * Lifetimes of the tokens issued at sign-in and sent by email, and the limits
+ * on failed login attempts. Access tokens are short-lived JWTs sent with every
+ * request; refresh tokens are long-lived, stored server-side as a session and
+ * exchanged for new access tokens. Every value can be overridden through
+ * environment variables.
+ * 
+ * @module config/auth.config
+ */
+
+const { parseNumber, parseTrustProxy } = require('../utils/env.util');
+
+module.exports = {
+  /**
+   * Minutes an access token is valid
+   */
+  accessTokenMinutes: parseNumber(process.env.ACCESS_TOKEN_MINUTES, 15),
+
+  /**
+   * Days a session (and its refresh token) lasts after sign-in
+   * Refreshing does not extend the session; users sign in again afterwards
+   */
+  refreshTokenDays: parseNumber(process.env.REFRESH_TOKEN_DAYS, 30),
+
+  /**
+   * Minutes a password reset link is valid
+   */
+  passwordResetMinutes: parseNumber(process.env.PASSWORD_RESET_MINUTES, 60),
+
+  /**
+   * Hours an email verification link is valid
+   */
+  emailVerificationHours: parseNumber(process.env.EMAIL_VERIFICATION_HOURS, 48),
+
+  /**
+   * Days an invitation link is valid
+   */
+  invitationDays: parseNumber(process.env.INVITATION_DAYS, 7),
+
+  /**
+   * Failed login attempts in a row after which an account is locked
+   */
+  loginMaxAttempts: parseNumber(process.env.LOGIN_MAX_ATTEMPTS, 5),
+
+  /**
+   * Minutes an account stays locked; failures older than this are forgotten
+   */
+  loginLockoutMinutes: parseNumber(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+
+  /**
+   * Seconds to wait after the first failed attempt on an account
+   * The wait doubles with every further failure until the account is locked
+   */
+  loginDelaySeconds: parseNumber(process.env.LOGIN_DELAY_SECONDS, 1),
+
+  /**
+   * Failed login attempts allowed from one IP address within the window below
+   */
+  loginIpMaxAttempts: parseNumber(process.env.LOGIN_IP_MAX_ATTEMPTS, 20),
+
+  /**
+   * Minutes failed attempts count against an IP address
+   */
+  loginIpWindowMinutes: parseNumber(process.env.LOGIN_IP_WINDOW_MINUTES, 15),
+
+  /**
+   * Proxies trusted to report the client's IP address (Express 'trust proxy')
+   * Behind a load balancer or platform router (e.g. Heroku, Render) every
+   * request comes from the proxy; without this the per-IP login limit would
+   * count all clients as one. Set it to the number of proxy hops (usually 1)
+   * or to the proxies' addresses; never trust proxies that are not there, or
+   * clients can pick their own IP with an X-Forwarded-For header.
+   */
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY, false)
+};
@@ -0,0 +1,50 @@
+/**
+ * Circulation Configuration
+ * 
+ * Central place for the rules that govern loans: how long a book may be
+ * borrowed, how overdue fines are charged and how long holds wait for pickup. Every value can be overridden
+ * through environment variables so each library can apply its own policy
+ * without code changes.
+ * 
+ * @module config/circulation.config
+ */
+
+const { parseJson, parseNumber } = require('../utils/env.util');
+
+module.exports = {
+  /**
+   * Loan periods in days
+   * 
+   * The period for a loan is resolved in this order:
+   * 1. byCategory - the book's category (e.g. { "Reference": 3 })
+   * 2. byMemberRole - the borrowing member's role (e.g. { "Admin": 28 })
+   * 3. default
+   */
+  loanPeriods: {
+    default: parseNumber(process.env.LOAN_PERIOD_DAYS, 14),
+    byCategory: parseJson(process.env.LOAN_PERIODS_BY_CATEGORY, {}),
+    byMemberRole: parseJson(process.env.LOAN_PERIODS_BY_ROLE, {})
+  },
+
+  /**
+   * Overdue fines
+   * 
+   * - dailyRate: Amount charged per overdue day
+   * - gracePeriodDays: Days after the due date before any fine is charged
+   * - maxPerLoan: Maximum fine a single loan can accrue (0 = no cap)
+   */
+  fines: {
+    dailyRate: parseNumber(process.env.FINE_DAILY_RATE, 0.25),
+    gracePeriodDays: parseNumber(process.env.FINE_GRACE_PERIOD_DAYS, 2),
+    maxPerLoan: parseNumber(process.env.FINE_MAX_PER_LOAN, 10)
+  },
+
+  /**
+   * Holds
+   * 
+   * - pickupDays: Days a returned book stays set aside for the next holder
+   */
+  holds: {
+    pickupDays: parseNumber(process.env.HOLD_PICKUP_DAYS, 3)
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Mail Configuration
+ * 
+ * How outgoing email (e.g. password reset links) is delivered and what the
+ * links in it point to. Every value can be overridden through environment
+ * variables.
+ * 
+ * Transports (see services/mail.service):
+ * - console: Prints each message to the server log (default)
+ * - file: Writes each message as a JSON file to the outbox directory
+ * 
+ * @module config/mail.config
+ */
+
+const path = require('path');
+
+module.exports = {
+  /**
+   * Name of the transport used to deliver messages
+   */
+  transport: process.env.MAIL_TRANSPORT || 'console',
+
+  /**
+   * Sender address of every message
+   */
+  from: process.env.MAIL_FROM || 'Library <no-reply@library.local>',
+
+  /**
+   * Directory the file transport writes messages to (relative paths are
+   * resolved from the backend directory)
+   */
+  outboxDir: path.resolve(__dirname, '..', process.env.MAIL_OUTBOX_DIR || 'outbox'),
+
+  /**
+   * Base URL of the frontend, used to build links in messages
+   */
+  appUrl: (process.env.APP_URL || 'http://localhost:4200').replace(/\/+$/, '')
+};
@@ -0,0 +1,19 @@
+/**
+ * Trash Configuration
+ * 
+ * Deleted books, members and users are moved to the trash, where admins can
+ * restore them, and are permanently removed once the retention period has
+ * passed. The period can be overridden through environment variables.
+ * 
+ * @module config/trash.config
+ */
+
+const { parseNumber } = require('../utils/env.util');
+
+module.exports = {
+  /**
+   * Days a deleted record stays in the trash before it is purged
+   * (0 = keep deleted records until they are restored)
+   */
+  retentionDays: parseNumber(process.env.TRASH_RETENTION_DAYS, 30)
+};
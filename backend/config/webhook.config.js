@@ -0,0 +1,35 @@
+/**
+ * Webhook Configuration
+ * 
+ * How outgoing webhook deliveries are retried and how long the delivery log
+ * is kept. A failed delivery is retried with exponential backoff: the first
+ * retry waits webhookRetrySeconds, and every further retry twice as long as
+ * the one before. Every value can be overridden through environment variables.
+ * 
+ * @module config/webhook.config
+ */
+
+const { parseNumber } = require('../utils/env.util');
+
+module.exports = {
+  /**
+   * Attempts (including the first) before a delivery is marked as failed
+   */
+  webhookMaxAttempts: parseNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 6),
+
+  /**
+   * Seconds to wait before the first retry; doubles with every retry
+   */
+  webhookRetrySeconds: parseNumber(process.env.WEBHOOK_RETRY_SECONDS, 30),
+
+  /**
+   * Seconds to wait for the receiving endpoint to respond
+   */
+  webhookTimeoutSeconds: parseNumber(process.env.WEBHOOK_TIMEOUT_SECONDS, 10),
+
+  /**
+   * Days deliveries are kept in the delivery log
+   * (0 = keep deliveries until their webhook is deleted)
+   */
+  webhookLogDays: parseNumber(process.env.WEBHOOK_LOG_DAYS, 30)
+};
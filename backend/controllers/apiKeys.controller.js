@@ -0,0 +1,194 @@
+/**
+ * API Keys Controller
+ * 
+ * This controller handles API keys for integrations including:
+ * - Creating API keys with a name, scopes and optional expiry (apikeys:manage)
+ * - Listing and revoking API keys (apikeys:manage)
+ * 
+ * A key is only returned once, in the response that creates it; afterwards
+ * just its prefix is shown. Requests made with a key act as the user who
+ * created it, limited to the key's scopes (see apiKey service).
+ * 
+ * @module controllers/apiKeys.controller
+ */
+
+const ApiKey = require('../models/ApiKey.model');
+const { createApiKey } = require('../services/apiKey.service');
+const { hasPermission } = require('../services/permission.service');
+const { parsePagination, pageMeta } = require('../utils/pagination.util');
+const { validationResult } = require('express-validator');
+
+/**
+ * Build the filter matching API keys in a status
+ * 
+ * @param   {String} status - 'active', 'revoked' or 'expired'
+ * @returns {Object} MongoDB filter
+ */
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'active':
+      return { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    case 'expired':
+      return { revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Create an API key
+ * 
+ * The scopes cannot include permissions the creating user does not have.
+ * 
+ * @route   POST /api/auth/api-keys
+ * @access  Private (apikeys:manage permission)
+ * @param   {String} req.body.name - What the key is used for
+ * @param   {String[]} req.body.scopes - Permissions the key may use
+ * @param   {String} req.body.expiresAt - Optional expiry date (ISO 8601); the key never expires without one
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Created API key, with the key itself in `key`
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { name, expiresAt } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+
+    // Nobody can hand out permissions they do not have themselves
+    const withheld = scopes.filter(scope => !hasPermission(req, scope));
+    if (withheld.length) {
+      return res.status(403).json({ 
+        success: false,
+        message: `You cannot create a key with permissions you do not have (${withheld.join(', ')})` 
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy: req.user._id
+    });
+
+    // Return success response with the created key
+    // The key is kept out of data so it is not copied into the audit log
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      data: apiKey
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get API keys
+ * 
+ * Returns a page of API keys, newest first, with who created them.
+ * 
+ * @route   GET /api/auth/api-keys
+ * @access  Private (apikeys:manage permission)
+ * @param   {String} req.query.status - Optional filter ('active', 'revoked' or 'expired')
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @returns {Object} Page of API keys with count, total, page, pages, limit and next
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const filter = statusFilter(req.query.status);
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches
+    const [apiKeys, total] = await Promise.all([
+      ApiKey.find(filter)
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      ApiKey.countDocuments(filter)
+    ]);
+
+    // Return success response with the page of API keys
+    res.json({
+      success: true,
+      ...pageMeta(pagination, apiKeys.length, total),
+      data: apiKeys
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * 
+ * The key stops working immediately. Revoked keys are kept so their use can
+ * still be traced in the audit log.
+ * 
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private (apikeys:manage permission)
+ * @param   {String} req.params.id - API key MongoDB ObjectId
+ * @returns {Object} Revoked API key
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'API key not found' 
+      });
+    }
+
+    if (apiKey.status === 'revoked') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'API key is already revoked' 
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    // Return success response with revoked API key
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'API key not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
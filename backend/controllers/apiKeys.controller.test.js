@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiKey = require('../models/ApiKey.model');
+const apiKeysController = require('./apiKeys.controller');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('api keys controller', () => {
+  const user = { _id: id(), name: 'Grace' };
+
+  describe('createApiKey', () => {
+    const create = async (scopes, permissions) => {
+      const res = mockRes();
+      await apiKeysController.createApiKey(mockReq({ body: { name: 'Portal', scopes, expiresAt: '2027-01-01' }, user, permissions }), res, mockNext());
+      return res;
+    };
+
+    it('returns the new key with its record', async (t) => {
+      const createKey = t.mock.method(ApiKey, 'create', async (data) => new ApiKey(data));
+
+      const res = await create(['books:manage', 'books:manage'], ['apikeys:manage', 'books:manage']);
+
+      assert.equal(res.statusCode, 201);
+      assert.match(res.body.key, /^lib_/);
+      const stored = createKey.mock.calls[0].arguments[0];
+      assert.deepEqual(stored.scopes, ['books:manage']);
+      assert.deepEqual(stored.expiresAt, new Date('2027-01-01'));
+      assert.equal(stored.createdBy, user._id);
+    });
+
+    it('refuses scopes the creator does not have', async (t) => {
+      const createKey = t.mock.method(ApiKey, 'create', async (data) => new ApiKey(data));
+
+      const res = await create(['books:manage', 'users:manage'], ['apikeys:manage', 'books:manage']);
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.message, 'You cannot create a key with permissions you do not have (users:manage)');
+      assert.equal(createKey.mock.callCount(), 0);
+    });
+  });
+
+  describe('getApiKeys', () => {
+    it('filters by status', async (t) => {
+      const find = t.mock.method(ApiKey, 'find', () => query([]));
+      t.mock.method(ApiKey, 'countDocuments', () => query(0));
+
+      await apiKeysController.getApiKeys(mockReq({ query: { status: 'active' } }), mockRes(), mockNext());
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.equal(filter.revokedAt, null);
+      assert.deepEqual(filter.$or[0], { expiresAt: null });
+    });
+  });
+
+  describe('revokeApiKey', () => {
+    const revoke = async (apiKey) => {
+      const res = mockRes();
+      await apiKeysController.revokeApiKey(mockReq({ params: { id: apiKey._id.toString() } }), res, mockNext());
+      return res;
+    };
+
+    it('revokes a key', async (t) => {
+      const apiKey = new ApiKey({ name: 'Portal', prefix: 'lib_01234567', keyHash: 'hash', createdBy: user._id });
+      t.mock.method(ApiKey, 'findById', () => query(apiKey));
+      const save = t.mock.method(apiKey, 'save', async () => apiKey);
+
+      const res = await revoke(apiKey);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(save.mock.callCount(), 1);
+      assert.equal(apiKey.status, 'revoked');
+    });
+
+    it('refuses keys that are already revoked', async (t) => {
+      const apiKey = new ApiKey({ name: 'Portal', prefix: 'lib_01234567', keyHash: 'hash', createdBy: user._id, revokedAt: new Date() });
+      t.mock.method(ApiKey, 'findById', () => query(apiKey));
+
+      const res = await revoke(apiKey);
+
+      assert.equal(res.statusCode, 400);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Audit Controller
+ * 
+ * This controller handles audit log operations including:
+ * - Searching the audit trail of privileged actions (audit:view)
+ * 
+ * Audit events are recorded by the audit middleware and can never be
+ * modified or deleted.
+ * 
+ * @module controllers/audit.controller
+ */
+
+const AuditEvent = require('../models/AuditEvent.model');
+const { parsePagination, dateRangeFilter, pageMeta } = require('../utils/pagination.util');
+const { validationResult } = require('express-validator');
+
+/**
+ * Get audit events
+ * 
+ * Returns a page of audit events, newest first.
+ * 
+ * Query parameters:
+ * - actor: User id of the actor
+ * - targetType: Model name of the affected record (e.g. 'Book', 'User', 'Member')
+ * - targetId: Id of the affected record
+ * - action: Exact action (e.g. 'book.approve')
+ * - from, to: Date range (ISO 8601)
+ * - page, limit: Page-based pagination (default page 1, 20 per page, max 100)
+ * 
+ * @route   GET /api/audit
+ * @access  Private (audit:view permission)
+ * @param   {Object} req.query - Filter and pagination parameters
+ * @returns {Object} Page of audit events with count, total, page, pages, limit and next
+ */
+exports.getAuditEvents = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { actor, targetType, targetId, action, from, to } = req.query;
+
+    // Build the filter from query parameters
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (action) filter.action = action;
+    const timestamp = dateRangeFilter(from, to);
+    if (timestamp) filter.timestamp = timestamp;
+
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', 'name email role')
+        .populate('apiKey', 'name prefix')
+        .sort({ timestamp: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+    
+    // Return success response with the page of events
+    res.json({
+      success: true,
+      ...pageMeta(pagination, events.length, total),
+      data: events
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditEvent = require('../models/AuditEvent.model');
+const auditController = require('./audit.controller');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('audit controller', () => {
+  describe('getAuditEvents', () => {
+    it('filters and pages the events, newest first', async (t) => {
+      const actor = id().toString();
+      const find = t.mock.method(AuditEvent, 'find', () => query([]));
+      const count = t.mock.method(AuditEvent, 'countDocuments', () => query(41));
+      const res = mockRes();
+
+      await auditController.getAuditEvents(mockReq({
+        query: { actor, targetType: 'Book', action: 'book.approve', from: '2026-01-01', page: '2', limit: '20' }
+      }), res, mockNext());
+
+      const filter = { actor, targetType: 'Book', action: 'book.approve', timestamp: { $gte: new Date('2026-01-01') } };
+      assert.deepEqual(find.mock.calls[0].arguments[0], filter);
+      assert.deepEqual(count.mock.calls[0].arguments[0], filter);
+      assert.deepEqual(find.mock.calls[0].result.calls.sort, [{ timestamp: -1, _id: -1 }]);
+      assert.deepEqual(find.mock.calls[0].result.calls.skip, [20]);
+      assert.equal(res.body.pages, 3);
+    });
+  });
+});
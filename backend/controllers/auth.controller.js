@@ -2,31 +2,59 @@
  * Auth Controller
  * 
  * This controller handles all authentication and user management operations including:
- * - User registration and login
- * - JWT token generation
- * - User profile retrieval
- * - Role management (Admin only)
+ * - User registration and login, with throttling of failed attempts (see loginThrottle service)
+ * - Refreshing access tokens and logging out (see session service)
+ * - Password reset and email verification by email
+ * - User profile retrieval and self-service profile and password changes
+ * - The current user's loans, holds and book requests
+ * - Role management (roles:manage), verifying email addresses and unlocking accounts (users:manage)
+ * - Deleting users, trash listing and restore (users:manage)
  * 
  * @module controllers/auth.controller
  */
 
 const User = require('../models/User.model');
-const jwt = require('jsonwebtoken');
+const Member = require('../models/Member.model');
+const Book = require('../models/Book.model');
+const Loan = require('../models/Loan.model');
+const circulation = require('../services/circulation.service');
+const trash = require('../services/trash.service');
+const sessions = require('../services/session.service');
+const userTokens = require('../services/userToken.service');
+const loginThrottle = require('../services/loginThrottle.service');
+const webhooks = require('../services/webhook.service');
+const { getPermissions } = require('../services/permission.service');
+const { sendMail } = require('../services/mail.service');
+const { passwordResetMinutes, emailVerificationHours } = require('../config/auth.config');
+const { appUrl } = require('../config/mail.config');
+const { parsePagination, parseSort, searchFilter, dateRangeFilter, pageMeta } = require('../utils/pagination.util');
 const { validationResult } = require('express-validator');
 
+// Fields searched by the ?q= parameter of GET /api/auth/users
+const USER_SEARCH_FIELDS = ['name', 'email'];
+
+// Fields GET /api/auth/users can be sorted by
+const USER_SORT_FIELDS = ['name', 'email', 'role', 'createdAt', 'updatedAt'];
+
 /**
- * Generate JWT Token
+ * Email a verification link to a user
  * 
- * Creates a JSON Web Token for authenticated users.
- * Tokens are signed with the JWT_SECRET from environment variables
- * and expire after 30 days.
+ * Issuing a new link invalidates the user's earlier ones.
  * 
- * @param   {String} id - User MongoDB ObjectId
- * @returns {String} JWT token
+ * @param   {Object} user - User document
+ * @returns {Promise<void>}
+ * @throws  {Error} When the mail transport fails
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d' // Token expires after 30 days
+const sendVerificationEmail = async (user) => {
+  const token = await userTokens.issueToken(user._id, 'email-verification', emailVerificationHours * 60);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your library email address',
+    text: `Hello ${user.name},\n\n`
+      + `Please confirm your email address using the link below. It expires in ${emailVerificationHours} hours.\n\n`
+      + `${appUrl}/verify-email?token=${token}\n\n`
+      + 'You can request books once your address is verified.'
   });
 };
 
@@ -34,16 +62,17 @@ const generateToken = (id) => {
  * Register a new user
  * 
  * Allows anyone to create a new user account.
- * New users are created with 'Member' role by default.
- * Only admins can assign 'Admin' role during registration (or via role management).
+ * Public registration always creates Members; accounts with another role are
+ * created through invitations (see invitations controller) or role management.
+ * The account starts unverified and a verification link is emailed to it;
+ * until the address is verified the user cannot request books.
  * 
  * @route   POST /api/auth/register
  * @access  Public
  * @param   {String} req.body.name - User's full name
  * @param   {String} req.body.email - User's email address (must be unique)
  * @param   {String} req.body.password - User's password (min 6 characters)
- * @param   {String} req.body.role - Optional role ('Admin' or 'Member', defaults to 'Member')
- * @returns {Object} JWT token and user data
+ * @returns {Object} Access token, refresh token and user data
  */
 exports.register = async (req, res, next) => {
   try {
@@ -57,7 +86,8 @@ exports.register = async (req, res, next) => {
     }
 
     // Extract user data from request body
-    const { name, email, password, role } = req.body;
+    // Any role in the body is ignored: self-registered accounts are always Members
+    const { name, email, password } = req.body;
 
     // Check if user with this email already exists
     const userExists = await User.findOne({ email });
@@ -70,26 +100,603 @@ exports.register = async (req, res, next) => {
 
     // Create new user in database
     // Password will be automatically hashed by User model pre-save hook
-    // Role defaults to 'Member' if not provided
     const user = await User.create({
       name,
       email,
       password,
-      role: role || 'Member' // Default to Member role
+      role: 'Member'
+    });
+
+    // An existing library membership with the same email is linked once the address is verified
+
+    // The user can ask for a new link if this one does not arrive
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('❌ Verification email failed:', mailError.message);
+    }
+
+    // Sign the new user in
+    const tokens = await sessions.createSession(user, req);
+
+    // Return success response with tokens and user data (password excluded automatically)
+    res.status(201).json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: await getPermissions(user.role),
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    // Handle duplicate email error (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'User already exists with this email' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Login user
+ * 
+ * Authenticates a user with email and password and starts a session.
+ * Returns a short-lived access token for subsequent authenticated requests
+ * and a refresh token to obtain new access tokens.
+ * 
+ * Failed attempts are throttled: each one adds a growing wait before the
+ * account can be tried again, too many lock it for a while (423) and too many
+ * from one IP address refuse that address (429). Refusals carry retryAfter
+ * (seconds, also sent as the Retry-After header) and, for lockouts,
+ * lockedUntil.
+ * 
+ * @route   POST /api/auth/login
+ * @access  Public
+ * @param   {String} req.body.email - User's email address
+ * @param   {String} req.body.password - User's password
+ * @returns {Object} Access token, refresh token and user data
+ */
+exports.login = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Extract credentials from request body
+    const { email, password } = req.body;
+
+    // Refuse addresses that have been guessing
+    await loginThrottle.checkIp(req.ip);
+
+    // Find user by email
+    // select('+password') is needed because password is excluded by default in User model
+    const user = await User.findOne({ email }).select('+password');
+    
+    // Check if user exists
+    if (!user) {
+      await loginThrottle.recordFailure(req, email);
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid credentials' 
+      });
+    }
+
+    // Refuse locked accounts and attempts made too soon after a failure
+    loginThrottle.checkAccount(user);
+
+    // Verify password using bcrypt comparison
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await loginThrottle.recordFailure(req, email, user);
+      return res.status(401).json({ 
+        success: false,
+        message: 'Invalid credentials' 
+      });
+    }
+
+    await loginThrottle.recordSuccess(user);
+
+    // Start a session for the authenticated user
+    const tokens = await sessions.createSession(user, req);
+
+    // Return success response with tokens and user data
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: await getPermissions(user.role),
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    // Handle throttled attempts and locked accounts
+    if (error.status) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter,
+        lockedUntil: error.lockedUntil 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Refresh access token
+ * 
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token stops working; presenting it again ends the
+ * session, since it may have been stolen.
+ * 
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ * @param   {String} req.body.refreshToken - Refresh token from login or the previous refresh
+ * @returns {Object} Access token, refresh token and user data
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { user, tokens } = await sessions.refreshSession(req.body.refreshToken);
+
+    // Return success response with new tokens and current user data (the role may have changed)
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: await getPermissions(user.role),
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    // Handle invalid, reused, revoked or expired refresh tokens
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Logout user
+ * 
+ * Ends the session of the given refresh token. Its access tokens are rejected
+ * from then on. Succeeds even if the token is unknown or already revoked.
+ * 
+ * @route   POST /api/auth/logout
+ * @access  Public (requires the refresh token of the session)
+ * @param   {String} req.body.refreshToken - Refresh token of the session to end
+ * @returns {Object} Success message
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    await sessions.revokeSession(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Logout user from all devices
+ * 
+ * Ends every session of the current user, including the one making the request.
+ * 
+ * @route   POST /api/auth/logout-all
+ * @access  Private (Any authenticated user)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Number of ended sessions
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const count = await sessions.revokeUserSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${count} session(s)`,
+      count
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Request a password reset
+ * 
+ * Emails a single-use link for choosing a new password, valid for
+ * PASSWORD_RESET_MINUTES. Requesting again invalidates earlier links. The
+ * response is the same whether or not the email belongs to an account, so
+ * it cannot be used to find out who is registered.
+ * 
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ * @param   {String} req.body.email - Email address of the account
+ * @returns {Object} Success message
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const token = await userTokens.issueToken(user._id, 'password-reset', passwordResetMinutes);
+
+      // A delivery failure is logged rather than reported, which would reveal the account exists
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your library password',
+          text: `Hello ${user.name},\n\n`
+            + `Use the link below to choose a new password. It expires in ${passwordResetMinutes} minutes and can only be used once.\n\n`
+            + `${appUrl}/reset-password?token=${token}\n\n`
+            + 'If you did not ask to reset your password, you can ignore this email.'
+        });
+      } catch (mailError) {
+        console.error('❌ Password reset email failed:', mailError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Reset password
+ * 
+ * Sets a new password using the token from a password reset email. The token
+ * is used up, and every session of the user is ended so anyone signed in with
+ * the old password is signed out.
+ * 
+ * @route   POST /api/auth/reset-password
+ * @access  Public (requires a valid reset token)
+ * @param   {String} req.body.token - Token from the password reset email
+ * @param   {String} req.body.password - New password (min 6 characters)
+ * @returns {Object} Success message
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const userId = await userTokens.redeemToken(req.body.token, 'password-reset');
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Token is invalid or has expired' 
+      });
+    }
+
+    // Password will be hashed by the User model pre-save hook
+    user.password = req.body.password;
+    await user.save();
+
+    // Proving access to the email address also lifts a lockout
+    await loginThrottle.unlock(user);
+
+    await sessions.revokeUserSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please sign in with your new password'
+    });
+  } catch (error) {
+    // Handle invalid, used or expired tokens
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Verify email address
+ * 
+ * Marks the user's email address as verified using the token from a
+ * verification email. The token is used up. An unlinked membership with the
+ * same email is linked to the user.
+ * 
+ * @route   POST /api/auth/verify-email
+ * @access  Public (requires a valid verification token)
+ * @param   {String} req.body.token - Token from the verification email
+ * @returns {Object} Success message
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const userId = await userTokens.redeemToken(req.body.token, 'email-verification');
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Token is invalid or has expired' 
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    // The user now owns the address, so the membership with it can be linked
+    await Member.linkVerifiedUser(user);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    // Handle invalid, used or expired tokens
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Resend verification email
+ * 
+ * Emails a new verification link to the current user; earlier links stop working.
+ * 
+ * @route   POST /api/auth/resend-verification
+ * @access  Private (Any authenticated user)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Success message
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Email address is already verified' 
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get current logged in user profile
+ * 
+ * Returns the profile information of the currently authenticated user,
+ * including a summary of their library membership if they have one.
+ * The user object is already populated by the protect middleware.
+ * 
+ * @route   GET /api/auth/profile
+ * @access  Private (Any authenticated user)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} User profile data
+ */
+exports.getProfile = async (req, res, next) => {
+  try {
+    // req.user is already populated by the protect middleware
+    // No need to query database again
+    const user = req.user;
+
+    // Find the user's library membership (linked once their email is verified)
+    const member = await Member.findForUser(user);
+    
+    // Return user profile (password is automatically excluded by User model)
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: req.permissions,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt,
+        member: member && {
+          id: member._id,
+          membershipId: member.membershipId,
+          fineBalance: member.fineBalance
+        }
+      }
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Update current user's profile
+ * 
+ * Changes the authenticated user's name and/or email address. Changing the
+ * email address requires the current password; the new address starts
+ * unverified and a verification link is emailed to it, and the previous
+ * address is told about the change.
+ * 
+ * @route   PUT /api/auth/profile
+ * @access  Private (Any authenticated user)
+ * @param   {String} req.body.name - Optional new name
+ * @param   {String} req.body.email - Optional new email address (must be unique)
+ * @param   {String} req.body.currentPassword - Current password (required to change the email address)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Updated user data
+ */
+exports.updateProfile = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    const { name, email, currentPassword } = req.body;
+    const previousEmail = user.email;
+    const emailChanged = email !== undefined && email.toLowerCase() !== user.email;
+
+    if (emailChanged) {
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Current password is incorrect' 
+        });
+      }
+
+      // Check if another user has this email (including the trash)
+      const emailTaken = await User.exists({ email: email.toLowerCase() }).setOptions({ withDeleted: true });
+      if (emailTaken) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'User already exists with this email' 
+        });
+      }
+
+      // The new address has to be verified again
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+    }
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      // The account exists either way; a missing email can be requested again
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error(`❌ Verification email to ${user.email} could not be sent:`, mailError.message);
+      }
 
-    // Generate JWT token for the new user
-    const token = generateToken(user._id);
+      // Let the owner of the previous address know, in case it was not them
+      try {
+        await sendMail({
+          to: previousEmail,
+          subject: 'Your library email address was changed',
+          text: `Hello ${user.name},\n\n`
+            + `The email address of your library account was changed to ${user.email}.\n\n`
+            + 'If you did not make this change, please contact the library.'
+        });
+      } catch (mailError) {
+        console.error(`❌ Email change notice to ${previousEmail} could not be sent:`, mailError.message);
+      }
+    }
 
-    // Return success response with token and user data (password excluded automatically)
-    res.status(201).json({
+    // Return success response with updated user data
+    res.json({
       success: true,
-      token,
+      message: emailChanged
+        ? `Profile updated. Please verify your new email address using the link sent to ${user.email}`
+        : 'Profile updated successfully',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: req.permissions,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
       }
     });
   } catch (error) {
@@ -106,18 +713,20 @@ exports.register = async (req, res, next) => {
 };
 
 /**
- * Login user
+ * Change current user's password
  * 
- * Authenticates a user with email and password.
- * Returns a JWT token that can be used for subsequent authenticated requests.
+ * Requires the current password. Every session of the user is ended and
+ * unused password reset links stop working; the client making the change is
+ * signed in again with new tokens.
  * 
- * @route   POST /api/auth/login
- * @access  Public
- * @param   {String} req.body.email - User's email address
- * @param   {String} req.body.password - User's password
- * @returns {Object} JWT token and user data
+ * @route   PUT /api/auth/password
+ * @access  Private (Any authenticated user)
+ * @param   {String} req.body.currentPassword - Current password
+ * @param   {String} req.body.newPassword - New password (min 6 characters)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} New access token, refresh token and user data
  */
-exports.login = async (req, res, next) => {
+exports.changePassword = async (req, res, next) => {
   try {
     // Validate request body using express-validator
     const errors = validationResult(req);
@@ -128,42 +737,38 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Extract credentials from request body
-    const { email, password } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+    const { currentPassword, newPassword } = req.body;
 
-    // Find user by email
-    // select('+password') is needed because password is excluded by default in User model
-    const user = await User.findOne({ email }).select('+password');
-    
-    // Check if user exists
-    if (!user) {
-      return res.status(401).json({ 
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ 
         success: false,
-        message: 'Invalid credentials' 
+        message: 'Current password is incorrect' 
       });
     }
 
-    // Verify password using bcrypt comparison
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Invalid credentials' 
-      });
-    }
+    // Password will be hashed by the User model pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    // Invalidate every token issued with the old password
+    await sessions.revokeUserSessions(user._id);
+    await userTokens.revokeTokens(user._id, 'password-reset');
 
-    // Generate JWT token for authenticated user
-    const token = generateToken(user._id);
+    // Keep the client that made the change signed in
+    const tokens = await sessions.createSession(user, req);
 
-    // Return success response with token and user data
     res.json({
       success: true,
-      token,
+      message: 'Password changed successfully. You have been signed out on all other devices',
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: await getPermissions(user.role),
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -173,32 +778,84 @@ exports.login = async (req, res, next) => {
 };
 
 /**
- * Get current logged in user profile
+ * Get current user's loans
  * 
- * Returns the profile information of the currently authenticated user.
- * The user object is already populated by the protect middleware.
+ * Returns the loans of the authenticated user's library membership, newest first.
+ * Active loans include the number of days overdue and the fine accrued so far.
  * 
- * @route   GET /api/auth/profile
+ * @route   GET /api/auth/me/loans
  * @access  Private (Any authenticated user)
+ * @param   {String} req.query.status - Optional filter ('active' or 'returned')
  * @param   {Object} req.user - Authenticated user (from protect middleware)
- * @returns {Object} User profile data
+ * @returns {Object} List of loans
  */
-exports.getProfile = async (req, res, next) => {
+exports.getMyLoans = async (req, res, next) => {
   try {
-    // req.user is already populated by the protect middleware
-    // No need to query database again
-    const user = req.user;
+    const member = await Member.findForUser(req.user);
+
+    // Users without a membership simply have no loans
+    if (!member) {
+      return res.json({
+        success: true,
+        count: 0,
+        data: []
+      });
+    }
+
+    const filter = { member: member._id };
+    if (['active', 'returned'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const now = new Date();
+    const loans = await Loan.find(filter)
+      .populate('book', 'title author ISBN')
+      .populate('copy', 'barcode')
+      .sort({ checkedOutAt: -1 }); // Sort by newest first
+
+    // Add live overdue information to active loans
+    const data = loans.map(loan => loan.status === 'active'
+      ? {
+        ...loan.toObject(),
+        daysOverdue: circulation.getDaysOverdue(loan, now),
+        currentFine: circulation.calculateFine(loan, now)
+      }
+      : loan.toObject());
     
-    // Return user profile (password is automatically excluded by User model)
+    // Return success response with loan list
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt
-      }
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get current user's book requests
+ * 
+ * Returns every book the authenticated user has requested, whatever its
+ * approval status, newest first.
+ * 
+ * @route   GET /api/auth/me/requests
+ * @access  Private (Any authenticated user)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} List of requested books
+ */
+exports.getMyRequests = async (req, res, next) => {
+  try {
+    const books = await Book.find({ requestedBy: req.user._id })
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 }); // Sort by newest first
+    
+    // Return success response with requested books
+    res.json({
+      success: true,
+      count: books.length,
+      data: books
     });
   } catch (error) {
     // Pass errors to error handling middleware
@@ -207,43 +864,89 @@ exports.getProfile = async (req, res, next) => {
 };
 
 /**
- * Get all users (Admin only)
+ * Get users
  * 
- * Returns a list of all users in the system.
- * Only accessible by administrators for user management purposes.
+ * Returns a page of users for user management purposes.
+ * Only accessible by administrators.
+ * 
+ * Query parameters:
+ * - q: Case-insensitive search across name and email
+ * - role: Role name (e.g. 'Librarian')
+ * - hasOverdue: true or false (validated and converted by the route) - users whose membership has (or has no) overdue loans
+ * - createdFrom, createdTo: Creation date range (ISO 8601)
+ * - sort: Comma-separated fields, '-' prefix for descending (default: -createdAt)
+ * - page, limit: Page-based pagination (default page 1, 20 per page, max 100)
  * 
  * @route   GET /api/auth/users
- * @access  Private (Admin only)
- * @returns {Object} List of all users
+ * @access  Private (users:manage permission)
+ * @param   {Object} req.query - Search, filter, sort and pagination parameters
+ * @returns {Object} Page of users with count, total, page, pages, limit and next
  */
 exports.getAllUsers = async (req, res, next) => {
   try {
-    // Find all users, excluding password field
-    // Sort by creation date (newest first)
-    const users = await User.find()
-      .select('-password') // Exclude password from results
-      .sort({ createdAt: -1 }); // Sort by newest first
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { q, role, hasOverdue, createdFrom, createdTo } = req.query;
+
+    // Build the filter from query parameters
+    const filter = { ...searchFilter(q, USER_SEARCH_FIELDS) };
+    if (role) filter.role = role;
+    const createdAt = dateRangeFilter(createdFrom, createdTo);
+    if (createdAt) filter.createdAt = createdAt;
+    if (hasOverdue !== undefined) {
+      // Users are matched through their linked library membership
+      const overdueMembers = await circulation.getMembersWithOverdueLoans();
+      const overdueUsers = await Member.distinct('user', { _id: { $in: overdueMembers }, user: { $ne: null } });
+      filter._id = hasOverdue ? { $in: overdueUsers } : { $nin: overdueUsers };
+    }
+
+    const sort = parseSort(req.query.sort, USER_SORT_FIELDS, { createdAt: -1, _id: 1 });
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches, excluding password field
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password') // Exclude password from results
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(filter)
+    ]);
     
-    // Return success response with user list
+    // Return success response with the page of users
     res.json({
       success: true,
-      count: users.length,
+      ...pageMeta(pagination, users.length, total),
       data: users
     });
   } catch (error) {
-    // Pass errors to error handling middleware
+    // Handle invalid sort fields
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
     next(error);
   }
 };
 
 /**
- * Get single user by ID (Admin only)
+ * Get single user by ID
  * 
  * Returns detailed information about a specific user.
  * Only accessible by administrators.
  * 
  * @route   GET /api/auth/users/:id
- * @access  Private (Admin only)
+ * @access  Private (users:manage permission)
  * @param   {String} req.params.id - User MongoDB ObjectId
  * @returns {Object} User details
  */
@@ -279,15 +982,15 @@ exports.getUserById = async (req, res, next) => {
 };
 
 /**
- * Update user role (Admin only)
+ * Update user role
  * 
- * Allows administrators to change a user's role.
- * This is used to promote members to admins or demote admins to members.
+ * Gives a user another role, and with it the role's permissions (e.g.
+ * promoting a member to Librarian). The role must be defined (see Role model).
  * 
  * @route   PUT /api/auth/users/:id/role
- * @access  Private (Admin only)
+ * @access  Private (roles:manage permission)
  * @param   {String} req.params.id - User MongoDB ObjectId
- * @param   {String} req.body.role - New role ('Admin' or 'Member')
+ * @param   {String} req.body.role - Name of the new role
  * @returns {Object} Updated user data
  */
 exports.updateUserRole = async (req, res, next) => {
@@ -301,17 +1004,9 @@ exports.updateUserRole = async (req, res, next) => {
       });
     }
 
-    // Extract new role from request body
+    // Extract new role from request body (validated to exist by the route)
     const { role } = req.body;
 
-    // Validate role value
-    if (!['Admin', 'Member'].includes(role)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Role must be either "Admin" or "Member"' 
-      });
-    }
-
     // Find user by ID
     const user = await User.findById(req.params.id);
     
@@ -332,9 +1027,20 @@ exports.updateUserRole = async (req, res, next) => {
     }
 
     // Update user role
+    const previousRole = user.role;
     user.role = role;
     await user.save();
 
+    // Notify subscribed systems
+    if (role !== previousRole) {
+      webhooks.emit('user.role_changed', {
+        user: { id: user._id, name: user.name, email: user.email },
+        previousRole,
+        role,
+        changedBy: { id: req.user._id, name: req.user.name }
+      });
+    }
+
     // Return success response with updated user (password excluded automatically)
     res.json({
       success: true,
@@ -360,13 +1066,135 @@ exports.updateUserRole = async (req, res, next) => {
 };
 
 /**
- * Delete user (Admin only)
+ * Verify a user's email address
+ * 
+ * Marks the user's email address as verified without a verification link,
+ * e.g. when the user confirmed it in person or the email never arrives.
+ * 
+ * @route   PUT /api/auth/users/:id/verify-email
+ * @access  Private (users:manage permission)
+ * @param   {String} req.params.id - User MongoDB ObjectId
+ * @returns {Object} Updated user data
+ */
+exports.verifyUserEmail = async (req, res, next) => {
+  try {
+    // Find user by ID
+    const user = await User.findById(req.params.id);
+
+    // Check if user exists
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Email address is already verified' 
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    // Link the membership with the now verified address, if any
+    await Member.linkVerifiedUser(user);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Unlock a user account
+ * 
+ * Lifts a lockout after too many failed login attempts and clears the
+ * account's failed attempts, so the user can sign in right away.
+ * 
+ * @route   PUT /api/auth/users/:id/unlock
+ * @access  Private (users:manage permission)
+ * @param   {String} req.params.id - User MongoDB ObjectId
+ * @returns {Object} Updated user data
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    // Find user by ID
+    const user = await User.findById(req.params.id);
+
+    // Check if user exists
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+
+    if (!user.isLocked() && !user.failedLoginAttempts) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'User account is not locked' 
+      });
+    }
+
+    await loginThrottle.unlock(user);
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockedUntil: user.lockedUntil
+      }
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Delete user
  * 
- * Permanently removes a user from the system.
- * This action cannot be undone.
+ * Moves a user to the trash and ends their sessions. A deleted user can no longer sign in; the
+ * account is hidden until an admin restores it, and is permanently removed
+ * once the trash retention period has passed.
  * 
  * @route   DELETE /api/auth/users/:id
- * @access  Private (Admin only)
+ * @access  Private (users:manage permission)
  * @param   {String} req.params.id - User MongoDB ObjectId
  * @returns {Object} Success message
  */
@@ -391,13 +1219,17 @@ exports.deleteUser = async (req, res, next) => {
       });
     }
 
-    // Permanently delete user from database
-    await User.findByIdAndDelete(req.params.id);
+    // Move the user to the trash
+    // The library membership stays linked so a restored account gets it back
+    await user.softDelete(req.user._id);
+
+    // Sign the user out everywhere
+    await sessions.revokeUserSessions(user._id);
     
     // Return success response
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User moved to trash'
     });
   } catch (error) {
     // Handle invalid MongoDB ObjectId format
@@ -411,3 +1243,81 @@ exports.deleteUser = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Get deleted users
+ * 
+ * Returns a page of users in the trash, most recently deleted first, with
+ * who deleted them and when they will be permanently removed (purgeAt).
+ * 
+ * @route   GET /api/auth/users/trash
+ * @access  Private (users:manage permission)
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @returns {Object} Page of deleted users with count, total, page, pages, limit and next
+ */
+exports.getDeletedUsers = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    const { records, total } = await trash.getTrashPage(User, pagination);
+
+    res.json({
+      success: true,
+      ...pageMeta(pagination, records.length, total),
+      data: records
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted user
+ * 
+ * Takes a user out of the trash; the user can sign in again with their
+ * previous password.
+ * 
+ * @route   PUT /api/auth/users/:id/restore
+ * @access  Private (users:manage permission)
+ * @param   {String} req.params.id - User MongoDB ObjectId
+ * @returns {Object} Restored user
+ */
+exports.restoreUser = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found in trash' 
+      });
+    }
+
+    await user.restore();
+
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'User not found in trash' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
@@ -0,0 +1,688 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const Loan = require('../models/Loan.model');
+const Book = require('../models/Book.model');
+const Role = require('../models/Role.model');
+const circulation = require('../services/circulation.service');
+const sessions = require('../services/session.service');
+const userTokens = require('../services/userToken.service');
+const loginThrottle = require('../services/loginThrottle.service');
+const mail = require('../services/mail.service');
+const webhooks = require('../services/webhook.service');
+const mailConfig = require('../config/mail.config');
+const authController = require('./auth.controller');
+const authRoutes = require('../routes/auth.routes');
+const { id, query, mockReq, mockRes, mockNext, validate } = require('../testing/helpers');
+
+describe('auth controller', () => {
+  let user, member, savedTransport, sent;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', emailVerified: true });
+    member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1', user: user._id, fineBalance: 1.5 });
+
+    // Collect outgoing email
+    savedTransport = mailConfig.transport;
+    sent = [];
+    mail.registerTransport('test', async (message) => sent.push(message));
+    mailConfig.transport = 'test';
+  });
+
+  afterEach(() => {
+    mailConfig.transport = savedTransport;
+  });
+
+  describe('getProfile', () => {
+    it('includes a summary of the linked membership', async (t) => {
+      t.mock.method(Member, 'findForUser', async () => member);
+      const res = mockRes();
+
+      await authController.getProfile(mockReq({ user, permissions: [] }), res, mockNext());
+
+      assert.equal(res.body.user.email, 'ada@example.com');
+      assert.deepEqual(res.body.user.member, { id: member._id, membershipId: 'M-1', fineBalance: 1.5 });
+      assert.equal(res.body.user.password, undefined);
+    });
+
+    it('reports users without a membership', async (t) => {
+      t.mock.method(Member, 'findForUser', async () => null);
+      const res = mockRes();
+
+      await authController.getProfile(mockReq({ user, permissions: [] }), res, mockNext());
+
+      assert.equal(res.body.user.member, null);
+    });
+  });
+
+  describe('updateProfile', () => {
+    beforeEach((t) => {
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(user, 'save', async () => user);
+      t.mock.method(user, 'comparePassword', async (password) => password === 'secret123');
+      t.mock.method(User, 'exists', () => query(null));
+      t.mock.method(userTokens, 'issueToken', async () => 'verify-token');
+    });
+
+    const update = async (body) => {
+      const res = mockRes();
+      await authController.updateProfile(mockReq({ body, user, permissions: [] }), res, mockNext());
+      return res;
+    };
+
+    it('changes the name without asking for the password', async () => {
+      const res = await update({ name: 'Ada Lovelace' });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(user.name, 'Ada Lovelace');
+      assert.equal(user.comparePassword.mock.callCount(), 0);
+      assert.equal(user.emailVerified, true);
+      assert.equal(sent.length, 0);
+    });
+
+    it('requires the current password to change the email', async () => {
+      for (const currentPassword of [undefined, 'wrong']) {
+        const res = await update({ email: 'new@example.com', currentPassword });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Current password is incorrect');
+      }
+      assert.equal(user.email, 'ada@example.com');
+      assert.equal(user.save.mock.callCount(), 0);
+    });
+
+    it('asks to verify a new email and notifies the previous address', async () => {
+      const res = await update({ email: 'New@Example.com', currentPassword: 'secret123' });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(user.email, 'new@example.com');
+      assert.equal(user.emailVerified, false);
+      assert.equal(user.emailVerifiedAt, null);
+      assert.deepEqual(sent.map(message => message.to), ['new@example.com', 'ada@example.com']);
+      assert.match(sent[0].text, /\/verify-email\?token=verify-token/);
+      assert.match(sent[1].text, /changed to new@example\.com/);
+    });
+
+    it('refuses an email used by another account, including trashed ones', async (t) => {
+      const exists = t.mock.method(User, 'exists', () => query({ _id: id() }));
+
+      const res = await update({ email: 'taken@example.com', currentPassword: 'secret123' });
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(exists.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+      assert.equal(user.save.mock.callCount(), 0);
+    });
+  });
+
+  describe('changePassword', () => {
+    beforeEach((t) => {
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(user, 'save', async () => user);
+      t.mock.method(user, 'comparePassword', async (password) => password === 'secret123');
+      t.mock.method(sessions, 'revokeUserSessions', async () => 3);
+      t.mock.method(userTokens, 'revokeTokens', async () => {});
+      t.mock.method(sessions, 'createSession', async () => ({ token: 'access', refreshToken: 'session.secret', expiresIn: 900 }));
+      t.mock.method(Role, 'findOne', () => query({ permissions: [] }));
+    });
+
+    const change = async (currentPassword) => {
+      const res = mockRes();
+      await authController.changePassword(mockReq({ body: { currentPassword, newPassword: 'n3w-secret' }, user }), res, mockNext());
+      return res;
+    };
+
+    it('signs out every other session and keeps this client signed in', async (t) => {
+      const order = [];
+      t.mock.method(sessions, 'revokeUserSessions', async () => order.push('revoke'));
+      t.mock.method(sessions, 'createSession', async () => {
+        order.push('create');
+        return { token: 'access', refreshToken: 'session.secret', expiresIn: 900 };
+      });
+
+      const res = await change('secret123');
+
+      assert.equal(res.statusCode, 200);
+      assert.ok(user.isModified('password'));
+      assert.equal(user.save.mock.callCount(), 1);
+      assert.equal(sessions.revokeUserSessions.mock.calls[0].arguments[0], user._id);
+      assert.deepEqual(userTokens.revokeTokens.mock.calls[0].arguments, [user._id, 'password-reset']);
+      // The new session is started after the old ones are revoked
+      assert.deepEqual(order, ['revoke', 'create']);
+      assert.equal(res.body.refreshToken, 'session.secret');
+    });
+
+    it('refuses a wrong current password', async () => {
+      const res = await change('wrong');
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(user.save.mock.callCount(), 0);
+      assert.equal(sessions.revokeUserSessions.mock.callCount(), 0);
+    });
+  });
+
+  describe('getMyLoans', () => {
+    it('returns no loans for users without a membership', async (t) => {
+      t.mock.method(Member, 'findForUser', async () => null);
+      const find = t.mock.method(Loan, 'find', () => query([]));
+      const res = mockRes();
+
+      await authController.getMyLoans(mockReq({ user }), res, mockNext());
+
+      assert.deepEqual(res.body, { success: true, count: 0, data: [] });
+      assert.equal(find.mock.callCount(), 0);
+    });
+
+    it("lists the membership's loans with live fines on active ones", async (t) => {
+      const active = new Loan({ book: id(), copy: id(), member: member._id, checkedOutBy: id(), dueDate: new Date(Date.now() - 5 * 86400000) });
+      const returned = new Loan({ book: id(), copy: id(), member: member._id, checkedOutBy: id(), dueDate: new Date(), status: 'returned', returnedAt: new Date() });
+      t.mock.method(Member, 'findForUser', async () => member);
+      const find = t.mock.method(Loan, 'find', () => query([active, returned]));
+      t.mock.method(circulation, 'calculateFine', () => 0.75);
+      const res = mockRes();
+
+      await authController.getMyLoans(mockReq({ user, query: { status: 'bogus' } }), res, mockNext());
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { member: member._id });
+      assert.equal(res.body.data[0].daysOverdue, 5);
+      assert.equal(res.body.data[0].currentFine, 0.75);
+      assert.equal(res.body.data[1].currentFine, undefined);
+    });
+
+    it('filters by loan status', async (t) => {
+      t.mock.method(Member, 'findForUser', async () => member);
+      const find = t.mock.method(Loan, 'find', () => query([]));
+
+      await authController.getMyLoans(mockReq({ user, query: { status: 'active' } }), mockRes(), mockNext());
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { member: member._id, status: 'active' });
+    });
+  });
+
+  describe('getMyRequests', () => {
+    it("lists only the user's own book requests", async (t) => {
+      const find = t.mock.method(Book, 'find', () => query([]));
+
+      await authController.getMyRequests(mockReq({ user }), mockRes(), mockNext());
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { requestedBy: user._id });
+    });
+  });
+
+  describe('getAllUsers', () => {
+    const list = async (t, reqQuery) => {
+      const find = t.mock.method(User, 'find', () => query([]));
+      t.mock.method(User, 'countDocuments', () => query(0));
+      const req = await validate(authRoutes, 'get', '/users', mockReq({ query: reqQuery }));
+      const res = mockRes();
+      await authController.getAllUsers(req, res, mockNext());
+      return { res, find };
+    };
+
+    it('searches, filters and pages users without their passwords', async (t) => {
+      const { res, find } = await list(t, { q: 'ada', role: 'Librarian', createdTo: '2026-02-01', page: '3', limit: '10' });
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.$or.map(condition => Object.keys(condition)[0]), ['name', 'email']);
+      assert.equal(filter.role, 'Librarian');
+      assert.deepEqual(filter.createdAt, { $lte: new Date('2026-02-01') });
+      assert.deepEqual(find.mock.calls[0].result.calls.select, ['-password']);
+      assert.deepEqual(find.mock.calls[0].result.calls.skip, [20]);
+      assert.equal(res.body.page, 3);
+    });
+
+    it('matches users with overdue loans through their membership', async (t) => {
+      const overdueMembers = [id()];
+      const overdueUsers = [id()];
+      t.mock.method(circulation, 'getMembersWithOverdueLoans', async () => overdueMembers);
+      const distinct = t.mock.method(Member, 'distinct', () => query(overdueUsers));
+
+      const { find } = await list(t, { hasOverdue: 'true' });
+
+      assert.deepEqual(distinct.mock.calls[0].arguments, ['user', { _id: { $in: overdueMembers }, user: { $ne: null } }]);
+      assert.deepEqual(find.mock.calls[0].arguments[0]._id, { $in: overdueUsers });
+    });
+
+    it('reads hasOverdue=1 and hasOverdue=0 like true and false', async (t) => {
+      const overdueUsers = [id()];
+      t.mock.method(circulation, 'getMembersWithOverdueLoans', async () => []);
+      t.mock.method(Member, 'distinct', () => query(overdueUsers));
+
+      const { find: withOverdue } = await list(t, { hasOverdue: '1' });
+      assert.deepEqual(withOverdue.mock.calls[0].arguments[0]._id, { $in: overdueUsers });
+
+      const { find: withoutOverdue } = await list(t, { hasOverdue: '0' });
+      assert.deepEqual(withoutOverdue.mock.calls[0].arguments[0]._id, { $nin: overdueUsers });
+    });
+  });
+
+  describe('updateUserRole', () => {
+    const admin = { _id: id(), name: 'Grace' };
+
+    beforeEach((t) => {
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(user, 'save', async () => user);
+      t.mock.method(webhooks, 'emit', () => {});
+    });
+
+    const change = async (role, by = admin) => {
+      const res = mockRes();
+      await authController.updateUserRole(mockReq({ params: { id: user._id.toString() }, body: { role }, user: by }), res, mockNext());
+      return res;
+    };
+
+    it("changes another user's role", async () => {
+      const res = await change('Librarian');
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(user.role, 'Librarian');
+      assert.equal(user.save.mock.callCount(), 1);
+      assert.equal(res.body.data.role, 'Librarian');
+      const [event, data] = webhooks.emit.mock.calls[0].arguments;
+      assert.equal(event, 'user.role_changed');
+      assert.equal(data.previousRole, 'Member');
+      assert.equal(data.role, 'Librarian');
+      assert.deepEqual(data.changedBy, { id: admin._id, name: 'Grace' });
+    });
+
+    it('sends no event when the role stays the same', async () => {
+      const res = await change(user.role);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(webhooks.emit.mock.callCount(), 0);
+    });
+
+    it('refuses to change your own role', async () => {
+      const res = await change('Admin', user);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'You cannot change your own role');
+      assert.equal(user.save.mock.callCount(), 0);
+    });
+  });
+
+  describe('deleteUser', () => {
+    const admin = { _id: id() };
+
+    beforeEach((t) => {
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(sessions, 'revokeUserSessions', async () => 1);
+    });
+
+    it('moves the user to the trash and signs them out', async () => {
+      const res = mockRes();
+
+      await authController.deleteUser(mockReq({ params: { id: user._id.toString() }, user: admin }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(user.deletedBy, admin._id);
+      assert.equal(sessions.revokeUserSessions.mock.calls[0].arguments[0], user._id);
+    });
+
+    it('does not let admins delete themselves', async () => {
+      const res = mockRes();
+
+      await authController.deleteUser(mockReq({ params: { id: user._id.toString() }, user }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(user.deletedAt, null);
+    });
+  });
+
+  describe('restoreUser', () => {
+    it('reports users that are not in the trash', async (t) => {
+      const findOne = t.mock.method(User, 'findOne', () => query(null));
+      const res = mockRes();
+
+      await authController.restoreUser(mockReq({ params: { id: user._id.toString() } }), res, mockNext());
+
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: user._id.toString(), deletedAt: { $ne: null } });
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe('login', () => {
+    beforeEach((t) => {
+      t.mock.method(loginThrottle, 'checkIp', async () => {});
+      t.mock.method(loginThrottle, 'recordFailure', async () => {});
+      t.mock.method(loginThrottle, 'recordSuccess', async () => {});
+      t.mock.method(User, 'findOne', () => query(user));
+      t.mock.method(user, 'comparePassword', async (password) => password === 'secret123');
+      t.mock.method(sessions, 'createSession', async () => ({ token: 'access', refreshToken: 'session.secret', expiresIn: 900 }));
+      t.mock.method(Role, 'findOne', () => query({ permissions: [] }));
+    });
+
+    const login = async (password) => {
+      const req = mockReq({ body: { email: user.email, password }, ip: '10.0.0.1' });
+      const res = mockRes();
+      await authController.login(req, res, mockNext());
+      return res;
+    };
+
+    it('signs in with the right password and clears failed attempts', async () => {
+      const res = await login('secret123');
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(loginThrottle.checkIp.mock.calls[0].arguments[0], '10.0.0.1');
+      assert.equal(loginThrottle.recordSuccess.mock.calls[0].arguments[0], user);
+      assert.equal(loginThrottle.recordFailure.mock.callCount(), 0);
+    });
+
+    it('records failures for wrong passwords and unknown emails alike', async (t) => {
+      let res = await login('wrong');
+      assert.equal(res.statusCode, 401);
+      assert.equal(loginThrottle.recordFailure.mock.calls[0].arguments[2], user);
+
+      t.mock.method(User, 'findOne', () => query(null));
+      res = await login('wrong');
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.message, 'Invalid credentials');
+      assert.equal(loginThrottle.recordFailure.mock.calls[1].arguments[2], undefined);
+      assert.equal(sessions.createSession.mock.callCount(), 0);
+    });
+
+    it('refuses locked accounts before checking the password', async (t) => {
+      user.lockedUntil = new Date(Date.now() + 5 * 60 * 1000);
+
+      const res = await login('secret123');
+
+      assert.equal(res.statusCode, 423);
+      assert.equal(res.get('Retry-After'), String(res.body.retryAfter));
+      assert.equal(res.body.lockedUntil, user.lockedUntil);
+      assert.equal(user.comparePassword.mock.callCount(), 0);
+      assert.equal(sessions.createSession.mock.callCount(), 0);
+    });
+
+    it('reports the failure that locks the account', async (t) => {
+      t.mock.method(loginThrottle, 'recordFailure', async () => {
+        throw Object.assign(new Error('Account is locked'), { status: 423, retryAfter: 900, lockedUntil: new Date() });
+      });
+
+      const res = await login('wrong');
+
+      assert.equal(res.statusCode, 423);
+      assert.equal(res.body.retryAfter, 900);
+    });
+
+    it('refuses addresses that have been guessing', async (t) => {
+      t.mock.method(loginThrottle, 'checkIp', async () => {
+        throw Object.assign(new Error('Too many failed login attempts'), { status: 429, retryAfter: 60 });
+      });
+
+      const res = await login('secret123');
+
+      assert.equal(res.statusCode, 429);
+      assert.equal(User.findOne.mock.callCount(), 0);
+    });
+  });
+
+  describe('unlockUser', () => {
+    const unlock = async () => {
+      const res = mockRes();
+      await authController.unlockUser(mockReq({ params: { id: user._id.toString() } }), res, mockNext());
+      return res;
+    };
+
+    it('lifts the lockout of a locked account', async (t) => {
+      user.lockedUntil = new Date(Date.now() + 60000);
+      t.mock.method(User, 'findById', () => query(user));
+      const update = t.mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      const res = await unlock();
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(update.mock.calls[0].arguments[0]._id, user._id);
+      assert.equal(res.body.data.lockedUntil, null);
+      assert.equal(res.body.data.failedLoginAttempts, 0);
+    });
+
+    it('refuses accounts that are not locked', async (t) => {
+      t.mock.method(User, 'findById', () => query(user));
+
+      const res = await unlock();
+
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  describe('refresh', () => {
+    it('returns the rotated tokens with the current role and permissions', async (t) => {
+      const tokens = { token: 'access', refreshToken: 'session.next', expiresIn: 900 };
+      const refresh = t.mock.method(sessions, 'refreshSession', async () => ({ user, tokens }));
+      t.mock.method(Role, 'findOne', () => query({ permissions: ['books:manage'] }));
+      const res = mockRes();
+
+      await authController.refresh(mockReq({ body: { refreshToken: 'session.secret' } }), res, mockNext());
+
+      assert.equal(refresh.mock.calls[0].arguments[0], 'session.secret');
+      assert.equal(res.body.refreshToken, 'session.next');
+      assert.deepEqual(res.body.user.permissions, ['books:manage']);
+    });
+
+    it('answers 401 for refresh tokens that cannot be used', async (t) => {
+      t.mock.method(sessions, 'refreshSession', async () => {
+        throw Object.assign(new Error('Refresh token has already been used, please sign in again'), { status: 401 });
+      });
+      const res = mockRes();
+
+      await authController.refresh(mockReq({ body: { refreshToken: 'session.old' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.success, false);
+    });
+  });
+
+  describe('logout', () => {
+    it('ends the session of the refresh token', async (t) => {
+      const revoke = t.mock.method(sessions, 'revokeSession', async () => false);
+      const res = mockRes();
+
+      await authController.logout(mockReq({ body: { refreshToken: 'session.secret' } }), res, mockNext());
+
+      // Succeeds even if the session was already gone
+      assert.equal(res.statusCode, 200);
+      assert.equal(revoke.mock.calls[0].arguments[0], 'session.secret');
+    });
+  });
+
+  describe('logoutAll', () => {
+    it('ends every session of the current user', async (t) => {
+      const revoke = t.mock.method(sessions, 'revokeUserSessions', async () => 3);
+      const res = mockRes();
+
+      await authController.logoutAll(mockReq({ user }), res, mockNext());
+
+      assert.equal(revoke.mock.calls[0].arguments[0], user._id);
+      assert.equal(res.body.count, 3);
+    });
+  });
+
+  describe('password reset', () => {
+    describe('forgotPassword', () => {
+      it('emails a single-use reset link', async (t) => {
+        t.mock.method(User, 'findOne', () => query(user));
+        const issue = t.mock.method(userTokens, 'issueToken', async () => 'reset-token');
+        const res = mockRes();
+
+        await authController.forgotPassword(mockReq({ body: { email: user.email } }), res, mockNext());
+
+        assert.deepEqual(issue.mock.calls[0].arguments.slice(0, 2), [user._id, 'password-reset']);
+        assert.equal(sent[0].to, 'ada@example.com');
+        assert.match(sent[0].text, /\/reset-password\?token=reset-token\n\n/);
+        assert.equal(res.body.message, 'If an account exists for this email, a password reset link has been sent');
+      });
+
+      it('answers the same for unknown addresses', async (t) => {
+        t.mock.method(User, 'findOne', () => query(null));
+        const issue = t.mock.method(userTokens, 'issueToken', async () => 'reset-token');
+        const res = mockRes();
+
+        await authController.forgotPassword(mockReq({ body: { email: 'nobody@example.com' } }), res, mockNext());
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.message, 'If an account exists for this email, a password reset link has been sent');
+        assert.equal(issue.mock.callCount(), 0);
+        assert.equal(sent.length, 0);
+      });
+
+      it('does not reveal failed deliveries', async (t) => {
+        t.mock.method(User, 'findOne', () => query(user));
+        t.mock.method(userTokens, 'issueToken', async () => 'reset-token');
+        t.mock.method(console, 'error', () => {});
+        mail.registerTransport('test', async () => {
+          throw new Error('SMTP down');
+        });
+        const res = mockRes();
+
+        await authController.forgotPassword(mockReq({ body: { email: user.email } }), res, mockNext());
+
+        assert.equal(res.statusCode, 200);
+      });
+    });
+
+    describe('resetPassword', () => {
+      it('saves the new password and signs the user out everywhere', async (t) => {
+        t.mock.method(userTokens, 'redeemToken', async () => user._id);
+        t.mock.method(User, 'findById', () => query(user));
+        const save = t.mock.method(user, 'save', async () => user);
+        t.mock.method(loginThrottle, 'unlock', async () => {});
+        const revoke = t.mock.method(sessions, 'revokeUserSessions', async () => 2);
+        const res = mockRes();
+
+        await authController.resetPassword(mockReq({ body: { token: 'reset-token', password: 'n3w-secret' } }), res, mockNext());
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(userTokens.redeemToken.mock.calls[0].arguments[1], 'password-reset');
+        assert.equal(save.mock.callCount(), 1);
+        assert.ok(user.isModified('password'));
+        assert.equal(revoke.mock.calls[0].arguments[0], user._id);
+        // Proving control of the mailbox lifts a lockout
+        assert.equal(loginThrottle.unlock.mock.calls[0].arguments[0], user);
+      });
+
+      it('rejects invalid or used tokens', async (t) => {
+        t.mock.method(userTokens, 'redeemToken', async () => {
+          throw Object.assign(new Error('Token is invalid or has expired'), { status: 400 });
+        });
+        const findById = t.mock.method(User, 'findById', () => query(user));
+        const res = mockRes();
+
+        await authController.resetPassword(mockReq({ body: { token: 'used', password: 'n3w-secret' } }), res, mockNext());
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(findById.mock.callCount(), 0);
+      });
+    });
+  });
+
+  describe('register', () => {
+    it('creates an unverified member account, emails a verification link and signs the user in', async (t) => {
+      t.mock.method(User, 'findOne', () => query(null));
+      const create = t.mock.method(User, 'create', async (data) => new User(data));
+      t.mock.method(userTokens, 'issueToken', async () => 'verify-token');
+      t.mock.method(sessions, 'createSession', async () => ({ token: 'access', refreshToken: 'session.secret', expiresIn: 900 }));
+      t.mock.method(Role, 'findOne', () => query({ permissions: [] }));
+      const link = t.mock.method(Member, 'linkVerifiedUser', async () => null);
+      const res = mockRes();
+
+      await authController.register(mockReq({ body: { name: 'Ada', email: 'ada@example.com', password: 'secret123' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(res.body.user.emailVerified, false);
+      assert.equal(userTokens.issueToken.mock.calls[0].arguments[1], 'email-verification');
+      assert.match(sent[0].text, /\/verify-email\?token=verify-token\n\n/);
+      // A membership with the same email is only linked once the address is verified
+      assert.equal(link.mock.callCount(), 0);
+      assert.equal(create.mock.calls[0].arguments[0].role, 'Member');
+    });
+
+    it('ignores a role sent by the client', async (t) => {
+      t.mock.method(User, 'findOne', () => query(null));
+      const create = t.mock.method(User, 'create', async (data) => new User(data));
+      t.mock.method(userTokens, 'issueToken', async () => 'verify-token');
+      t.mock.method(sessions, 'createSession', async () => ({ token: 'access', refreshToken: 'session.secret', expiresIn: 900 }));
+      const findRole = t.mock.method(Role, 'findOne', () => query({ permissions: [] }));
+      const res = mockRes();
+
+      await authController.register(mockReq({ body: { name: 'Eve', email: 'eve@example.com', password: 'secret123', role: 'Admin' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(create.mock.calls[0].arguments[0].role, 'Member');
+      assert.equal(res.body.user.role, 'Member');
+      assert.deepEqual(findRole.mock.calls[0].arguments[0], { name: 'Member' });
+    });
+  });
+
+  describe('verifyEmail', () => {
+    beforeEach((t) => {
+      user.emailVerified = false;
+      t.mock.method(userTokens, 'redeemToken', async () => user._id);
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(user, 'save', async () => user);
+    });
+
+    it('marks the address as verified and links the membership with it', async (t) => {
+      const link = t.mock.method(Member, 'linkVerifiedUser', async () => member);
+      const res = mockRes();
+
+      await authController.verifyEmail(mockReq({ body: { token: 'verify-token' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(userTokens.redeemToken.mock.calls[0].arguments[1], 'email-verification');
+      assert.equal(user.emailVerified, true);
+      assert.ok(user.emailVerifiedAt instanceof Date);
+      assert.equal(link.mock.calls[0].arguments[0], user);
+    });
+
+    it('rejects invalid or used tokens', async (t) => {
+      t.mock.method(userTokens, 'redeemToken', async () => {
+        throw Object.assign(new Error('Token is invalid or has expired'), { status: 400 });
+      });
+      const link = t.mock.method(Member, 'linkVerifiedUser', async () => null);
+      const res = mockRes();
+
+      await authController.verifyEmail(mockReq({ body: { token: 'used' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(user.emailVerified, false);
+      assert.equal(link.mock.callCount(), 0);
+    });
+  });
+
+  describe('resendVerification', () => {
+    it('emails a new link to unverified users', async (t) => {
+      user.emailVerified = false;
+      t.mock.method(userTokens, 'issueToken', async () => 'new-token');
+      const res = mockRes();
+
+      await authController.resendVerification(mockReq({ user }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(sent[0].to, 'ada@example.com');
+    });
+
+    it('refuses users who are already verified', async () => {
+      const res = mockRes();
+
+      await authController.resendVerification(mockReq({ user }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(sent.length, 0);
+    });
+  });
+
+  describe('verifyUserEmail', () => {
+    it('lets admins verify an address and links the membership with it', async (t) => {
+      user.emailVerified = false;
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(user, 'save', async () => user);
+      const link = t.mock.method(Member, 'linkVerifiedUser', async () => member);
+      const res = mockRes();
+
+      await authController.verifyUserEmail(mockReq({ params: { id: user._id.toString() } }), res, mockNext());
+
+      assert.equal(res.body.data.emailVerified, true);
+      assert.equal(link.mock.calls[0].arguments[0], user);
+    });
+  });
+});
@@ -3,26 +3,234 @@
  * 
  * This controller handles all book-related operations including:
  * - Creating book requests (any authenticated user)
- * - Viewing books (filtered by approval status)
+ * - Bulk CSV and MARC import (admin only)
+ * - Viewing books (search, filters, sorting and pagination)
+ * - Exporting the catalog as CSV, JSON, NDJSON or MARCXML (admin only)
  * - Admin approval/rejection of book requests
- * - Updating and deleting books (admin only)
+ * - Editing, withdrawing and resubmitting book requests (requester only)
+ * - Updating and deleting books, trash listing and restore (admin only)
+ * - Checking books out to members and processing returns (admin only)
  * 
  * @module controllers/books.controller
  */
 
+const mongoose = require('mongoose');
 const Book = require('../models/Book.model');
+const Member = require('../models/Member.model');
+const Loan = require('../models/Loan.model');
+const Hold = require('../models/Hold.model');
+const Copy = require('../models/Copy.model');
+const circulation = require('../services/circulation.service');
+const bookImport = require('../services/bookImport.service');
+const marc = require('../services/marc.service');
+const trash = require('../services/trash.service');
+const webhooks = require('../services/webhook.service');
+const notifications = require('../services/notification.service');
+const { hasPermission } = require('../services/permission.service');
+const isbn = require('../utils/isbn.util');
+const { parsePagination, parseSort, searchFilter, pageMeta } = require('../utils/pagination.util');
+const { streamExport } = require('../utils/export.util');
 const { validationResult } = require('express-validator');
 
+// Fields searched by the ?q= parameter of GET /api/books
+const BOOK_SEARCH_FIELDS = ['title', 'author', 'ISBN'];
+
+// Fields GET /api/books can be sorted by
+const BOOK_SORT_FIELDS = [
+  'title', 'author', 'ISBN', 'category', 'availability',
+  'approvalStatus', 'createdAt', 'updatedAt', 'reviewedAt'
+];
+
+/**
+ * Normalize the ISBN of incoming book data
+ * 
+ * Stores the canonical ISBN-13 in ISBN and keeps the value as entered in originalISBN.
+ * 
+ * @param   {Object} bookData - Book fields from the request body
+ * @returns {Object} Book fields with normalized ISBN
+ */
+const normalizeIsbn = (bookData) => {
+  if (bookData.ISBN === undefined) return bookData;
+  return {
+    ...bookData,
+    ISBN: isbn.toIsbn13(bookData.ISBN) ?? bookData.ISBN, // Invalid values are rejected by the model
+    originalISBN: bookData.ISBN
+  };
+};
+
+// Columns of GET /api/books/export
+const BOOK_EXPORT_COLUMNS = [
+  { key: 'id', value: book => book._id.toString() },
+  { key: 'title', value: book => book.title },
+  { key: 'author', value: book => book.author },
+  { key: 'ISBN', value: book => book.ISBN },
+  { key: 'ISBN10', value: book => book.ISBN10 },
+  { key: 'category', value: book => book.category },
+  { key: 'availability', value: book => book.availability },
+  { key: 'approvalStatus', value: book => book.approvalStatus },
+  { key: 'requestedBy', value: book => book.requestedBy?.name ?? null },
+  { key: 'requestedByEmail', value: book => book.requestedBy?.email ?? null },
+  { key: 'reviewedBy', value: book => book.reviewedBy?.name ?? null },
+  { key: 'reviewedAt', value: book => book.reviewedAt },
+  { key: 'createdAt', value: book => book.createdAt },
+  { key: 'updatedAt', value: book => book.updatedAt }
+];
+
+// Book fields a requester can change on their own request
+const REQUEST_FIELDS = ['title', 'author', 'ISBN', 'category'];
+
+/**
+ * Load a book request on behalf of its requester
+ * 
+ * @param   {String} id - Book MongoDB ObjectId
+ * @param   {Object} user - Authenticated user
+ * @param   {String[]} statuses - Approval statuses the action is allowed in
+ * @param   {String} action - Description of the action for error messages, e.g. 'withdrawn'
+ * @returns {Promise<Object>} Book document
+ * @throws  {Error} With status 404 if the book does not exist, 403 if the user did not
+ *                  request it, 400 if its status does not allow the action
+ */
+const findOwnRequest = async (id, user, statuses, action) => {
+  const book = await Book.findById(id);
+  const fail = (status, message) => Object.assign(new Error(message), { status });
+
+  if (!book) throw fail(404, 'Book not found');
+  if (!book.requestedBy.equals(user._id)) {
+    throw fail(403, 'You can only change your own book requests');
+  }
+  if (!statuses.includes(book.approvalStatus)) {
+    throw fail(400, `Book request is ${book.approvalStatus} and cannot be ${action}`);
+  }
+  return book;
+};
+
+/**
+ * Apply a requester's change to a book request and record the previous state
+ * 
+ * The update only succeeds if the request still has the status it was loaded
+ * with, so an admin decision made in the meantime is never overwritten.
+ * 
+ * @param   {Object} book - Book document as loaded by findOwnRequest
+ * @param   {String} action - Revision action ('revised', 'withdrawn' or 'resubmitted')
+ * @param   {Object} changes - Fields to set
+ * @param   {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated book with requester, reviewer and revisions
+ * @throws  {Error} With status 409 if the request was reviewed in the meantime
+ */
+const reviseRequest = async (book, action, changes, user) => {
+  const revision = {
+    action,
+    title: book.title,
+    author: book.author,
+    ISBN: book.ISBN,
+    category: book.category,
+    approvalStatus: book.approvalStatus,
+    rejectionReason: book.rejectionReason,
+    reviewedBy: book.reviewedBy,
+    reviewedAt: book.reviewedAt,
+    revisedBy: user._id
+  };
+
+  const updated = await Book.findOneAndUpdate(
+    { _id: book._id, approvalStatus: book.approvalStatus },
+    { $set: changes, $push: { revisions: revision } },
+    { new: true, runValidators: true }
+  ).select('+revisions')
+   .populate('requestedBy', 'name email')
+   .populate('reviewedBy', 'name email');
+
+  if (!updated) {
+    const error = new Error('Book request was reviewed by an admin in the meantime, please reload it');
+    error.status = 409;
+    throw error;
+  }
+  return updated;
+};
+
+/**
+ * Pick the book fields a requester submitted
+ * 
+ * @param   {Object} body - Request body
+ * @returns {Object} Submitted request fields with normalized ISBN
+ */
+const requestChanges = (body) => normalizeIsbn(Object.fromEntries(
+  REQUEST_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+));
+
+/**
+ * Build the book filter of a listing or export from its query parameters
+ * 
+ * @param   {Object} query - Express req.query (q, category, availability, approvalStatus)
+ * @param   {Object} req - Express request; users without books:manage only ever see approved books
+ * @returns {Object} Mongoose filter
+ */
+const buildBookFilter = (query, req) => {
+  const { q, category, availability, approvalStatus } = query;
+
+  const filter = { ...searchFilter(q, BOOK_SEARCH_FIELDS) };
+  if (filter.$or && isbn.isValid(q)) {
+    filter.$or.push({ ISBN: isbn.toIsbn13(q) });
+  }
+  if (category) filter.category = category;
+  if (availability !== undefined) filter.availability = availability;
+
+  // Regular members only see approved books
+  if (!hasPermission(req, 'books:manage')) {
+    filter.approvalStatus = 'approved';
+  } else if (approvalStatus) {
+    filter.approvalStatus = approvalStatus;
+  }
+
+  return filter;
+};
+
+/**
+ * Resolve the :id route parameter of book routes
+ * 
+ * Book routes accept either the book's MongoDB ObjectId or any form of its
+ * ISBN (ISBN-10 or ISBN-13, with or without hyphens). An ISBN is replaced by
+ * the id of the matching book so the route handlers only deal with ids.
+ * 
+ * @param   {Object} req - Express request object
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next middleware function
+ * @param   {String} id - Value of the :id route parameter
+ * @returns {void} Calls next() with req.params.id set to a book id, sends 404 if no book has the ISBN
+ */
+exports.resolveBookId = async (req, res, next, id) => {
+  try {
+    // Ids are passed through untouched; handlers report missing books themselves
+    if (mongoose.isObjectIdOrHexString(id) || !isbn.isValid(id)) {
+      return next();
+    }
+
+    const book = await Book.findByIdOrIsbn(id).select('_id');
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    req.params.id = book._id.toString();
+    next();
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
 /**
  * Create a new book request
  * 
- * Allows any authenticated user (Member or Admin) to create a book request.
+ * Allows any authenticated user to create a book request.
  * The book will be created with 'pending' approval status and will not be
  * visible to regular users until an admin approves it.
+ * The ISBN may be given as ISBN-10 or ISBN-13 and is stored as ISBN-13.
  * 
  * @route   POST /api/books
  * @access  Private (Any authenticated user)
- * @param   {Object} req.body - Book data (title, author, ISBN, category, availability)
+ * @param   {Object} req.body - Book data (title, author, ISBN, category)
  * @param   {Object} req.user - Authenticated user (from protect middleware)
  * @returns {Object} Created book with pending status
  */
@@ -37,10 +245,16 @@ exports.createBook = async (req, res, next) => {
       });
     }
 
+    // availability is derived from the book's copies and cannot be set directly
+    // originalISBN is recorded from the submitted ISBN
+    // deletedAt and deletedBy are only changed by deleting and restoring the book
+    // rejectionReason is only set by rejecting the request, revisions only by requester changes
+    const { availability, originalISBN, deletedAt, deletedBy, rejectionReason, revisions, ...bookData } = req.body;
+
     // Create book with requestedBy set to current user's ID
     // approvalStatus defaults to 'pending' as defined in the model
     const book = await Book.create({
-      ...req.body, // Spread all book data from request body
+      ...normalizeIsbn(bookData), // Spread all book data from request body
       requestedBy: req.user._id // Set the user who requested this book
     });
     
@@ -67,41 +281,294 @@ exports.createBook = async (req, res, next) => {
 };
 
 /**
- * Get all books (filtered by user role)
+ * Import books from CSV
+ * 
+ * Bulk-creates books from a CSV document with a header row. Every row is
+ * validated like a single book request and reported individually.
+ * 
+ * The CSV is sent either as the raw request body (Content-Type: text/csv) with
+ * the options in the query string, or as JSON: { csv, mapping, dryRun, onDuplicate }.
+ * 
+ * Options:
+ * - mapping: Field → CSV column, e.g. mapping[title]=Book Title (default: columns named like the fields)
+ * - dryRun: 'true' to validate and preview without saving
+ * - onDuplicate: 'skip' (default) or 'update' books whose ISBN already exists
+ * - approvalStatus: 'approved' (default) or 'pending' for new books
+ * 
+ * @route   POST /api/books/import
+ * @access  Private (books:manage permission)
+ * @param   {String|Object} req.body - CSV text, or JSON with csv and options
+ * @param   {Object} req.query - Import options (text/csv bodies)
+ * @param   {Object} req.user - Authenticated admin (from protect middleware)
+ * @returns {Object} Import report: dryRun, summary counts and per-row results
+ */
+exports.importBooks = async (req, res, next) => {
+  try {
+    // Validate import options using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Options come from the JSON body, or from the query string for raw CSV bodies
+    const isRawCsv = typeof req.body === 'string';
+    const options = isRawCsv ? req.query : { ...req.query, ...req.body };
+    const csv = isRawCsv ? req.body : req.body.csv;
+
+    if (!csv || !String(csv).trim()) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'CSV data is required' 
+      });
+    }
+
+    const report = await bookImport.importBooks(String(csv), {
+      mapping: options.mapping,
+      dryRun: options.dryRun === true,
+      onDuplicate: options.onDuplicate,
+      approvalStatus: options.approvalStatus,
+      user: req.user
+    });
+
+    // Return the per-row report
+    // 201 when books were actually created, 200 for previews and updates only
+    res.status(!report.dryRun && report.summary.created ? 201 : 200).json({
+      success: true,
+      message: report.dryRun
+        ? 'Dry run complete. No books were saved.'
+        : `Import complete: ${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.skipped} skipped, ${report.summary.failed} failed.`,
+      ...report
+    });
+  } catch (error) {
+    // Handle unreadable CSV and unknown columns
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Import books from MARC records
+ * 
+ * Bulk-creates books from binary MARC 21 (ISO 2709) or MARCXML sent as the
+ * raw request body; the format is detected from the data. Records are mapped
+ * to books by marc.service (020 ISBN, 100 author, 245 title, 650 category)
+ * and validated and reported like CSV rows.
+ * 
+ * Query parameters:
+ * - approvalStatus: 'approved' (default) or 'pending' for new books
+ * - dryRun: 'true' to validate and preview without saving
+ * - onDuplicate: 'skip' (default) or 'update' books whose ISBN already exists
+ * 
+ * @route   POST /api/books/import/marc
+ * @access  Private (books:manage permission)
+ * @param   {Buffer} req.body - MARC document
+ * @param   {Object} req.query - Import options
+ * @param   {Object} req.user - Authenticated admin (from protect middleware)
+ * @returns {Object} Import report: dryRun, summary counts and per-record results
+ */
+exports.importMarc = async (req, res, next) => {
+  try {
+    // Validate import options using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // express.raw() leaves an empty object when the Content-Type is not a MARC type
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'MARC data is required (Content-Type: application/marc or application/marcxml+xml)' 
+      });
+    }
+
+    const report = await bookImport.importMarc(req.body, {
+      dryRun: req.query.dryRun === true,
+      onDuplicate: req.query.onDuplicate,
+      approvalStatus: req.query.approvalStatus,
+      user: req.user
+    });
+
+    // Return the per-record report
+    // 201 when books were actually created, 200 for previews and updates only
+    res.status(!report.dryRun && report.summary.created ? 201 : 200).json({
+      success: true,
+      message: report.dryRun
+        ? 'Dry run complete. No books were saved.'
+        : `Import complete: ${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.skipped} skipped, ${report.summary.failed} failed.`,
+      ...report
+    });
+  } catch (error) {
+    // Handle unreadable MARC data
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get books (search, filter, sort and paginate)
  * 
  * - Regular users (Members): Only see approved books
- * - Admins: See all books (pending, approved, rejected)
+ * - Staff with books:manage: See all books (pending, approved, rejected) and can filter by approval status
+ * 
+ * Query parameters:
+ * - q: Case-insensitive search across title, author and ISBN (an ISBN-10 or
+ *   hyphenated ISBN also matches the book's canonical ISBN-13)
+ * - category: Exact category
+ * - availability: 'true' or 'false'
+ * - approvalStatus: 'pending', 'approved' or 'rejected' (books:manage only)
+ * - sort: Comma-separated fields, '-' prefix for descending (default: -createdAt)
+ * - page, limit: Page-based pagination (default page 1, 20 per page, max 100)
  * 
  * @route   GET /api/books
  * @access  Private (Any authenticated user)
+ * @param   {Object} req.query - Search, filter, sort and pagination parameters
  * @param   {Object} req.user - Authenticated user (from protect middleware)
- * @returns {Object} List of books (filtered based on user role)
+ * @returns {Object} Page of books with count, total, page, pages, limit and next
  */
 exports.getBooks = async (req, res, next) => {
   try {
-    let books;
-    
-    // Check if user is an admin
-    if (req.user.role === 'Admin') {
-      // Admins can see all books regardless of approval status
-      // Populate requestedBy and reviewedBy with user details
-      books = await Book.find()
-        .populate('requestedBy', 'name email')
-        .populate('reviewedBy', 'name email')
-        .sort({ createdAt: -1 }); // Sort by newest first
-    } else {
-      // Regular members only see approved books
-      books = await Book.find({ approvalStatus: 'approved' })
-        .populate('requestedBy', 'name email')
-        .sort({ createdAt: -1 }); // Sort by newest first
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
     }
+
+    const isStaff = hasPermission(req, 'books:manage');
+    const filter = buildBookFilter(req.query, req);
+    const sort = parseSort(req.query.sort, BOOK_SORT_FIELDS, { createdAt: -1, _id: 1 });
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches
+    let query = Book.find(filter)
+      .populate('requestedBy', 'name email')
+      .sort(sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+    if (isStaff) {
+      // Staff also see who reviewed each book
+      query = query.populate('reviewedBy', 'name email');
+    }
+    const [books, total] = await Promise.all([query, Book.countDocuments(filter)]);
     
-    // Return success response with book list
+    // Return success response with the page of books
     res.json({
       success: true,
-      count: books.length,
+      ...pageMeta(pagination, books.length, total),
       data: books
     });
+  } catch (error) {
+    // Handle invalid sort fields
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Export books
+ * 
+ * Streams every book matching the listing filters as a file download.
+ * Requester and reviewer are written as names (and emails) rather than ids.
+ * 
+ * Query parameters:
+ * - format: 'csv' (default), 'json', 'ndjson' or 'marcxml'
+ * - q, category, availability, approvalStatus, sort: Same as GET /api/books
+ * 
+ * @route   GET /api/books/export
+ * @access  Private (books:manage permission)
+ * @param   {Object} req.query - Format, filter and sort parameters
+ * @returns {Stream} books-<date>.<format> attachment
+ */
+exports.exportBooks = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const filter = buildBookFilter(req.query, req);
+    const sort = parseSort(req.query.sort, BOOK_SORT_FIELDS, { createdAt: -1, _id: 1 });
+
+    const cursor = Book.find(filter)
+      .populate('requestedBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort(sort)
+      .cursor();
+
+    // MARCXML is written by the MARC service, the other formats from the export columns
+    const format = req.query.format || 'csv';
+    await streamExport(res, cursor, {
+      format: format === 'marcxml' ? marc.marcXmlFormat : format,
+      filename: 'books',
+      columns: BOOK_EXPORT_COLUMNS
+    });
+  } catch (error) {
+    // Handle invalid sort fields
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get book categories
+ * 
+ * Returns the distinct categories of the books the user can see, sorted
+ * alphabetically. Used to populate category filters.
+ * 
+ * @route   GET /api/books/categories
+ * @access  Private (Any authenticated user)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} List of category names
+ */
+exports.getCategories = async (req, res, next) => {
+  try {
+    // Regular members only see categories of approved books
+    const filter = hasPermission(req, 'books:manage') ? {} : { approvalStatus: 'approved' };
+    const categories = (await Book.distinct('category', filter)).sort();
+    
+    // Return success response with category list
+    res.json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
   } catch (error) {
     // Pass errors to error handling middleware
     next(error);
@@ -109,13 +576,13 @@ exports.getBooks = async (req, res, next) => {
 };
 
 /**
- * Get pending book requests (Admin only)
+ * Get pending book requests
  * 
  * Returns all books that are waiting for admin approval.
  * This endpoint is used by admins to review book requests.
  * 
  * @route   GET /api/books/pending
- * @access  Private (Admin only)
+ * @access  Private (books:approve permission)
  * @returns {Object} List of pending book requests
  */
 exports.getPendingBooks = async (req, res, next) => {
@@ -142,8 +609,9 @@ exports.getPendingBooks = async (req, res, next) => {
  * Get single book by ID
  * 
  * Returns a specific book by its ID. Access rules:
- * - Regular users: Can only view approved books
- * - Admins: Can view any book (including pending/rejected)
+ * - Regular users: Can only view approved books and books they requested
+ *   (including the request's revision history)
+ * - Staff with books:manage or books:approve: Can view any book (including pending/rejected)
  * 
  * @route   GET /api/books/:id
  * @access  Private (Any authenticated user)
@@ -155,6 +623,7 @@ exports.getBook = async (req, res, next) => {
   try {
     // Find book by ID and populate user references
     let book = await Book.findById(req.params.id)
+      .select('+revisions')
       .populate('requestedBy', 'name email')
       .populate('reviewedBy', 'name email');
     
@@ -167,18 +636,24 @@ exports.getBook = async (req, res, next) => {
     }
     
     // Check if user has permission to view this book
-    // Regular users can only see approved books
-    if (req.user.role !== 'Admin' && book.approvalStatus !== 'approved') {
+    // Regular users can only see approved books and their own requests
+    const isRequester = book.requestedBy?._id.equals(req.user._id);
+    const isStaff = hasPermission(req, 'books:manage') || hasPermission(req, 'books:approve');
+    if (!isStaff && book.approvalStatus !== 'approved' && !isRequester) {
       return res.status(403).json({ 
         success: false,
         message: 'You do not have permission to view this book' 
       });
     }
+
+    // The revision history is only shown to staff and the requester
+    const data = book.toJSON();
+    if (!isStaff && !isRequester) delete data.revisions;
     
     // Return success response with book details
     res.json({
       success: true,
-      data: book
+      data
     });
   } catch (error) {
     // Handle invalid MongoDB ObjectId format
@@ -194,13 +669,13 @@ exports.getBook = async (req, res, next) => {
 };
 
 /**
- * Approve a book request (Admin only)
+ * Approve a book request
  * 
  * Changes a book's approval status from 'pending' to 'approved',
  * making it visible to all users. Records which admin approved it.
  * 
  * @route   PUT /api/books/:id/approve
- * @access  Private (Admin only)
+ * @access  Private (books:approve permission)
  * @param   {String} req.params.id - Book MongoDB ObjectId
  * @param   {Object} req.user - Authenticated admin user (from protect middleware)
  * @returns {Object} Updated book with approved status
@@ -225,6 +700,14 @@ exports.approveBook = async (req, res, next) => {
         message: 'Book is already approved' 
       });
     }
+
+    // Withdrawn requests must be resubmitted by their requester first
+    if (book.approvalStatus === 'withdrawn') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Book request was withdrawn by its requester' 
+      });
+    }
     
     // Update book: set approval status to approved, record reviewer and timestamp
     const updatedBook = await Book.findByIdAndUpdate(
@@ -232,7 +715,8 @@ exports.approveBook = async (req, res, next) => {
       {
         approvalStatus: 'approved',
         reviewedBy: req.user._id, // Record which admin approved it
-        reviewedAt: new Date() // Record when it was approved
+        reviewedAt: new Date(), // Record when it was approved
+        rejectionReason: null // Clear the reason of an earlier rejection
       },
       { 
         new: true, // Return updated document
@@ -240,6 +724,10 @@ exports.approveBook = async (req, res, next) => {
       }
     ).populate('requestedBy', 'name email')
      .populate('reviewedBy', 'name email');
+
+    // Notify the requester and subscribed systems
+    notifications.notifyBookReviewed(updatedBook);
+    webhooks.emit('book.approved', { book: updatedBook });
     
     // Return success response
     res.json({
@@ -261,13 +749,14 @@ exports.approveBook = async (req, res, next) => {
 };
 
 /**
- * Reject a book request (Admin only)
+ * Reject a book request
  * 
  * Changes a book's approval status from 'pending' to 'rejected',
- * preventing it from being visible to regular users. Records which admin rejected it.
+ * preventing it from being visible to regular users. Records which admin
+ * rejected it and why; the reason is shown to the requester.
  * 
  * @route   PUT /api/books/:id/reject
- * @access  Private (Admin only)
+ * @access  Private (books:approve permission)
  * @param   {String} req.params.id - Book MongoDB ObjectId
  * @param   {Object} req.user - Authenticated admin user (from protect middleware)
  * @param   {String} req.body.reason - Optional reason for rejection
@@ -275,6 +764,15 @@ exports.approveBook = async (req, res, next) => {
  */
 exports.rejectBook = async (req, res, next) => {
   try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
     // Find the book by ID
     const book = await Book.findById(req.params.id);
     
@@ -293,6 +791,14 @@ exports.rejectBook = async (req, res, next) => {
         message: 'Book is already rejected' 
       });
     }
+
+    // Withdrawn requests must be resubmitted by their requester first
+    if (book.approvalStatus === 'withdrawn') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Book request was withdrawn by its requester' 
+      });
+    }
     
     // Update book: set approval status to rejected, record reviewer and timestamp
     const updatedBook = await Book.findByIdAndUpdate(
@@ -300,7 +806,8 @@ exports.rejectBook = async (req, res, next) => {
       {
         approvalStatus: 'rejected',
         reviewedBy: req.user._id, // Record which admin rejected it
-        reviewedAt: new Date() // Record when it was rejected
+        reviewedAt: new Date(), // Record when it was rejected
+        rejectionReason: req.body.reason || null // Tell the requester why
       },
       { 
         new: true, // Return updated document
@@ -308,6 +815,10 @@ exports.rejectBook = async (req, res, next) => {
       }
     ).populate('requestedBy', 'name email')
      .populate('reviewedBy', 'name email');
+
+    // Notify the requester and subscribed systems
+    notifications.notifyBookReviewed(updatedBook);
+    webhooks.emit('book.rejected', { book: updatedBook });
     
     // Return success response
     res.json({
@@ -329,19 +840,20 @@ exports.rejectBook = async (req, res, next) => {
 };
 
 /**
- * Update book (Admin only)
+ * Edit a pending book request (Requester only)
  * 
- * Allows admins to update book information. This can be used to:
- * - Edit book details (title, author, ISBN, category, availability)
- * - Change approval status manually if needed
+ * Lets the member who requested a book correct it while it waits for review.
+ * The previous version is kept in the request's revision history.
+ * Admins edit books with PUT /api/books/:id instead.
  * 
- * @route   PUT /api/books/:id
- * @access  Private (Admin only)
+ * @route   PUT /api/books/:id/revise
+ * @access  Private (Requester)
  * @param   {String} req.params.id - Book MongoDB ObjectId
- * @param   {Object} req.body - Updated book data
- * @returns {Object} Updated book
+ * @param   {Object} req.body - Changed fields (title, author, ISBN, category)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Updated book request with its revision history
  */
-exports.updateBook = async (req, res, next) => {
+exports.reviseBookRequest = async (req, res, next) => {
   try {
     // Validate request body using express-validator
     const errors = validationResult(req);
@@ -352,40 +864,23 @@ exports.updateBook = async (req, res, next) => {
       });
     }
 
-    // Check if book exists
-    let book = await Book.findById(req.params.id);
-    
-    if (!book) {
-      return res.status(404).json({ 
+    const changes = requestChanges(req.body);
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ 
         success: false,
-        message: 'Book not found' 
+        message: `Nothing to change. Send at least one of: ${REQUEST_FIELDS.join(', ')}` 
       });
     }
 
-    // Update book with new data
-    // new: true returns the updated document instead of the original
-    // runValidators: true ensures schema validators run on update
-    book = await Book.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('requestedBy', 'name email')
-     .populate('reviewedBy', 'name email');
-    
-    // Return success response with updated book
+    const book = await findOwnRequest(req.params.id, req.user, ['pending'], 'edited');
+    const updatedBook = await reviseRequest(book, 'revised', changes, req.user);
+
     res.json({
       success: true,
-      message: 'Book updated successfully',
-      data: book
+      message: 'Book request updated successfully',
+      data: updatedBook
     });
   } catch (error) {
-    // Handle invalid MongoDB ObjectId format
-    if (error.name === 'CastError') {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Book not found' 
-      });
-    }
     // Handle duplicate ISBN error (unique constraint violation)
     if (error.code === 11000) {
       return res.status(400).json({ 
@@ -393,23 +888,226 @@ exports.updateBook = async (req, res, next) => {
         message: 'Book with this ISBN already exists' 
       });
     }
+    // Not found, not the requester, wrong status or reviewed in the meantime
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
     // Pass other errors to error handling middleware
     next(error);
   }
 };
 
 /**
- * Delete book (Admin only)
+ * Withdraw a pending book request (Requester only)
  * 
- * Permanently removes a book from the database.
- * This action cannot be undone.
+ * Takes the request out of the review queue. A withdrawn request can be
+ * resubmitted later.
+ * 
+ * @route   PUT /api/books/:id/withdraw
+ * @access  Private (Requester)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Withdrawn book request with its revision history
+ */
+exports.withdrawBookRequest = async (req, res, next) => {
+  try {
+    const book = await findOwnRequest(req.params.id, req.user, ['pending'], 'withdrawn');
+    const updatedBook = await reviseRequest(book, 'withdrawn', { approvalStatus: 'withdrawn' }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Book request withdrawn',
+      data: updatedBook
+    });
+  } catch (error) {
+    // Not found, not the requester, wrong status or reviewed in the meantime
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Resubmit a rejected or withdrawn book request (Requester only)
+ * 
+ * Moves the request back to 'pending' for a new review, optionally with
+ * changed fields. The previous version, including the rejection reason and
+ * reviewer, is kept in the request's revision history and the comment thread
+ * is reopened.
+ * 
+ * @route   PUT /api/books/:id/resubmit
+ * @access  Private (Requester)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {Object} req.body - Optional changed fields (title, author, ISBN, category)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Resubmitted book request with its revision history
+ */
+exports.resubmitBookRequest = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const book = await findOwnRequest(req.params.id, req.user, ['rejected', 'withdrawn'], 'resubmitted');
+    const updatedBook = await reviseRequest(book, 'resubmitted', {
+      ...requestChanges(req.body),
+      approvalStatus: 'pending',
+      // The new review starts from scratch
+      reviewedBy: null,
+      reviewedAt: null,
+      rejectionReason: null
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: 'Book request resubmitted. Waiting for admin approval.',
+      data: updatedBook
+    });
+  } catch (error) {
+    // Handle duplicate ISBN error (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Book with this ISBN already exists' 
+      });
+    }
+    // Not found, not the requester, wrong status or reviewed in the meantime
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Update book
+ * 
+ * Allows admins to update book information. This can be used to:
+ * - Edit book details (title, author, ISBN, category)
+ * - Change approval status manually if needed
+ * 
+ * @route   PUT /api/books/:id
+ * @access  Private (books:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {Object} req.body - Updated book data
+ * @returns {Object} Updated book
+ */
+exports.updateBook = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Check if book exists
+    let book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    // Update book with new data
+    // new: true returns the updated document instead of the original
+    // runValidators: true ensures schema validators run on update
+    // availability is derived from the book's copies and cannot be set directly
+    // originalISBN is recorded from the submitted ISBN
+    // deletedAt and deletedBy are only changed by deleting and restoring the book
+    // rejectionReason is only set by rejecting the request, revisions only by requester changes
+    const { availability, originalISBN, deletedAt, deletedBy, rejectionReason, revisions, ...bookData } = req.body;
+    book = await Book.findByIdAndUpdate(
+      req.params.id,
+      normalizeIsbn(bookData),
+      { new: true, runValidators: true }
+    ).populate('requestedBy', 'name email')
+     .populate('reviewedBy', 'name email');
+    
+    // Return success response with updated book
+    res.json({
+      success: true,
+      message: 'Book updated successfully',
+      data: book
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Handle duplicate ISBN error (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Book with this ISBN already exists' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Delete book
+ * 
+ * Moves a book to the trash and cancels its open holds; copies set aside for
+ * a holder go back on the shelf. The book and its copies are hidden until an
+ * admin restores the book, and are permanently removed once the trash
+ * retention period has passed.
+ * Books with copies on loan cannot be deleted.
  * 
  * @route   DELETE /api/books/:id
- * @access  Private (Admin only)
+ * @access  Private (books:manage permission)
  * @param   {String} req.params.id - Book MongoDB ObjectId
  * @returns {Object} Success message
  */
 exports.deleteBook = async (req, res, next) => {
+  let session;
   try {
     // Check if book exists before attempting to delete
     const book = await Book.findById(req.params.id);
@@ -421,13 +1119,31 @@ exports.deleteBook = async (req, res, next) => {
       });
     }
 
-    // Permanently delete the book from database
-    await Book.findByIdAndDelete(req.params.id);
+    // Books with copies out in circulation cannot be deleted
+    const copyOnLoan = await Copy.exists({ book: book._id, status: 'on_loan' });
+    if (copyOnLoan) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Book has copies on loan and cannot be deleted' 
+      });
+    }
+
+    // Cancel the hold queue, so copies set aside for holders are released and
+    // the book's availability is right once it is restored, and move the book
+    // to the trash (its copies stay with it) in one transaction
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      await circulation.cancelHolds({ book: book._id }, session);
+      await book.softDelete(req.user._id, session);
+    });
+
+    // Notify subscribed systems
+    webhooks.emit('book.deleted', { book });
     
     // Return success response
     res.json({
       success: true,
-      message: 'Book deleted successfully'
+      message: 'Book moved to trash'
     });
   } catch (error) {
     // Handle invalid MongoDB ObjectId format
@@ -439,5 +1155,403 @@ exports.deleteBook = async (req, res, next) => {
     }
     // Pass other errors to error handling middleware
     next(error);
+  } finally {
+    session?.endSession();
+  }
+};
+
+/**
+ * Get deleted books
+ * 
+ * Returns a page of books in the trash, most recently deleted first, with
+ * who deleted them and when they will be permanently removed (purgeAt).
+ * 
+ * @route   GET /api/books/trash
+ * @access  Private (books:manage permission)
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @returns {Object} Page of deleted books with count, total, page, pages, limit and next
+ */
+exports.getDeletedBooks = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    const { records, total } = await trash.getTrashPage(Book, pagination);
+
+    res.json({
+      success: true,
+      ...pageMeta(pagination, records.length, total),
+      data: records
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted book
+ * 
+ * Takes a book out of the trash together with its copies. Holds cancelled
+ * by the deletion are not reopened.
+ * 
+ * @route   PUT /api/books/:id/restore
+ * @access  Private (books:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @returns {Object} Restored book
+ */
+exports.restoreBook = async (req, res, next) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found in trash' 
+      });
+    }
+
+    await book.restore();
+
+    res.json({
+      success: true,
+      message: 'Book restored successfully',
+      data: book
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found in trash' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Check out a book to a member
+ * 
+ * Lends a specific copy (by barcode) of an approved book to a member. The copy
+ * must be available, or set aside for the member by a ready hold.
+ * In a single transaction:
+ * - The copy is marked as on loan (and the member's hold is fulfilled)
+ * - The book's availability is recalculated from its copies
+ * - The book is added to the member's borrowedBooks
+ * - A new active Loan is recorded with a due date based on the loan periods
+ * 
+ * @route   POST /api/books/:id/checkout
+ * @access  Private (loans:checkout permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.body.memberId - Member MongoDB ObjectId
+ * @param   {String} req.body.barcode - Barcode of the copy being checked out
+ * @param   {Object} req.user - Authenticated admin user (from protect middleware)
+ * @returns {Object} Created loan
+ */
+exports.checkoutBook = async (req, res, next) => {
+  let session;
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Find the book by ID
+    const book = await Book.findById(req.params.id);
+    
+    // Check if book exists
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    // Only approved books are part of the collection and can be lent
+    if (book.approvalStatus !== 'approved') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Only approved books can be checked out' 
+      });
+    }
+
+    // Find the borrowing member
+    const member = await Member.findById(req.body.memberId);
+    
+    if (!member) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Member not found' 
+      });
+    }
+
+    // Find the copy being checked out
+    const copy = await Copy.findOne({ book: book._id, barcode: req.body.barcode });
+    
+    if (!copy) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+
+    // A copy set aside for a holder can only be checked out to that member
+    let readyHold = null;
+    if (copy.status === 'on_hold') {
+      readyHold = await Hold.findOne({ copy: copy._id, status: 'ready' });
+      if (readyHold && !readyHold.member.equals(member._id)) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Copy is on hold for another member' 
+        });
+      }
+    }
+
+    // Check if copy is currently on the shelf (or set aside for this member)
+    if (copy.status !== 'available' && !readyHold) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Copy is not available for checkout' 
+      });
+    }
+
+    // A member borrows at most one copy of each title
+    const alreadyBorrowed = await Loan.exists({ book: book._id, member: member._id, status: 'active' });
+    if (alreadyBorrowed) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'This member already has a copy of this book' 
+      });
+    }
+
+    // Update copy, book, member, hold and loan together so they can never disagree
+    let loan;
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      // Conditional update guards against two concurrent checkouts of the same copy
+      const reserved = await Copy.findOneAndUpdate(
+        { _id: copy._id, status: copy.status },
+        { status: 'on_loan' },
+        { new: true, session }
+      );
+      if (!reserved) {
+        const error = new Error('Copy is not available for checkout');
+        error.status = 400;
+        throw error;
+      }
+
+      // Member picked up their hold
+      if (readyHold) {
+        await Hold.updateOne({ _id: readyHold._id }, { status: 'fulfilled' }, { session });
+      }
+
+      // The book is unavailable once its last available copy is lent
+      await circulation.syncBookAvailability(book._id, session);
+
+      // $addToSet prevents the same book appearing twice in borrowedBooks
+      await Member.updateOne(
+        { _id: member._id },
+        { $addToSet: { borrowedBooks: book._id } },
+        { session }
+      );
+
+      // Record the transaction
+      [loan] = await Loan.create([{
+        book: book._id,
+        copy: copy._id,
+        member: member._id,
+        checkedOutBy: req.user._id, // Record which admin performed the checkout
+        dueDate: circulation.calculateDueDate(book, member) // Based on configured loan periods
+      }], { session });
+    });
+
+    // Populate references for response
+    await loan.populate([
+      { path: 'book', select: 'title author ISBN availability' },
+      { path: 'copy', select: 'barcode condition status' },
+      { path: 'member', select: 'name email membershipId' },
+      { path: 'checkedOutBy', select: 'name email' }
+    ]);
+    
+    // Return success response with created loan
+    res.status(201).json({
+      success: true,
+      message: 'Book checked out successfully',
+      data: loan
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Handle checkout conflicts detected inside the transaction
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  } finally {
+    session?.endSession();
+  }
+};
+
+/**
+ * Return a checked out book
+ * 
+ * Closes the active loan of a specific copy (by barcode). In a single transaction:
+ * - The loan is marked as returned and its overdue fine is finalized
+ * - The copy is set aside for the next holder, or marked as available again
+ * - The book's availability is recalculated from its copies
+ * - The book is removed from the member's borrowedBooks
+ * 
+ * @route   POST /api/books/:id/return
+ * @access  Private (loans:checkout permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.body.barcode - Barcode of the copy being returned
+ * @param   {String} req.body.memberId - Optional member MongoDB ObjectId (must match the loan)
+ * @param   {Object} req.user - Authenticated admin user (from protect middleware)
+ * @returns {Object} Closed loan
+ */
+exports.returnBook = async (req, res, next) => {
+  let session;
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Find the book by ID
+    const book = await Book.findById(req.params.id);
+    
+    // Check if book exists
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    // Find the copy being returned
+    const copy = await Copy.findOne({ book: book._id, barcode: req.body.barcode });
+    
+    if (!copy) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+
+    // Find the active loan of this copy (for the given member, if provided)
+    const activeLoan = await Loan.findOne({
+      copy: copy._id,
+      status: 'active',
+      ...(req.body.memberId && { member: req.body.memberId })
+    });
+
+    if (!activeLoan) {
+      return res.status(400).json({ 
+        success: false,
+        message: req.body.memberId
+          ? 'This copy is not checked out to this member'
+          : 'This copy is not checked out'
+      });
+    }
+
+    // Finalize the overdue fine as of the return date
+    const returnedAt = new Date();
+    const fineAmount = circulation.calculateFine(activeLoan, returnedAt);
+
+    // Update loan, book and member together so they can never disagree
+    let loan;
+    let readyHold;
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      // Conditional update guards against the same return being processed twice
+      loan = await Loan.findOneAndUpdate(
+        { _id: activeLoan._id, status: 'active' },
+        {
+          status: 'returned',
+          returnedAt, // Record when it was returned
+          returnedTo: req.user._id, // Record which admin processed the return
+          fineAmount
+        },
+        { new: true, session }
+      );
+      if (!loan) {
+        const error = new Error('This copy is not checked out');
+        error.status = 400;
+        throw error;
+      }
+
+      // Set the copy aside for the next holder, or put it back on the shelf
+      readyHold = await circulation.promoteNextHold(copy._id, session);
+      await Member.updateOne(
+        { _id: activeLoan.member },
+        { $pull: { borrowedBooks: book._id } },
+        { session }
+      );
+      await circulation.syncMemberFines(activeLoan.member, session);
+    });
+
+    // Tell the next holder the book is waiting for them
+    notifications.notifyHoldReady(readyHold);
+
+    // Populate references for response
+    await loan.populate([
+      { path: 'book', select: 'title author ISBN availability' },
+      { path: 'copy', select: 'barcode condition status' },
+      { path: 'member', select: 'name email membershipId' },
+      { path: 'checkedOutBy', select: 'name email' },
+      { path: 'returnedTo', select: 'name email' }
+    ]);
+    
+    // Return success response with closed loan
+    res.json({
+      success: true,
+      message: 'Book returned successfully',
+      data: loan
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Handle return conflicts detected inside the transaction
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  } finally {
+    session?.endSession();
   }
 };
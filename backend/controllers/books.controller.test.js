@@ -0,0 +1,800 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const Member = require('../models/Member.model');
+const Loan = require('../models/Loan.model');
+const Hold = require('../models/Hold.model');
+const Copy = require('../models/Copy.model');
+const User = require('../models/User.model');
+const circulation = require('../services/circulation.service');
+const bookImport = require('../services/bookImport.service');
+const notifications = require('../services/notification.service');
+const trash = require('../services/trash.service');
+const webhooks = require('../services/webhook.service');
+const booksController = require('./books.controller');
+const booksRoutes = require('../routes/books.routes');
+const { id, query, mockReq, mockRes, mockNext, mockTransaction, mockDocuments, validate } = require('../testing/helpers');
+
+describe('books controller', () => {
+  describe('getBooks', () => {
+    const list = async (t, reqOverrides) => {
+      const find = t.mock.method(Book, 'find', () => query([]));
+      const count = t.mock.method(Book, 'countDocuments', () => query(45));
+      const req = await validate(booksRoutes, 'get', '/', mockReq({ permissions: [], ...reqOverrides }));
+      const res = mockRes();
+      await booksController.getBooks(req, res, mockNext());
+      return { res, find, count };
+    };
+
+    it('searches, filters, sorts and pages the catalogue', async (t) => {
+      const { res, find, count } = await list(t, {
+        query: { q: 'dune', category: 'Fiction', availability: 'false', sort: 'title', page: '2', limit: '10' }
+      });
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.$or.map(condition => Object.keys(condition)[0]), ['title', 'author', 'ISBN']);
+      assert.equal(filter.category, 'Fiction');
+      assert.equal(filter.availability, false);
+      assert.equal(count.mock.calls[0].arguments[0], filter);
+
+      const { calls } = find.mock.calls[0].result;
+      assert.deepEqual(calls.sort, [{ title: 1, _id: 1 }]);
+      assert.deepEqual(calls.skip, [10]);
+      assert.deepEqual(calls.limit, [10]);
+      assert.deepEqual(res.body, { success: true, count: 0, total: 45, page: 2, pages: 5, limit: 10, next: 3, data: [] });
+    });
+
+    it('reads availability=1 as available books', async (t) => {
+      const { find } = await list(t, { query: { availability: '1' } });
+
+      assert.equal(find.mock.calls[0].arguments[0].availability, true);
+    });
+
+    it('also matches the canonical ISBN-13 when searching by ISBN', async (t) => {
+      const { find } = await list(t, { query: { q: '0-441-17271-7' } });
+
+      assert.deepEqual(find.mock.calls[0].arguments[0].$or.at(-1), { ISBN: '9780441172719' });
+    });
+
+    it('only shows approved books to regular users', async (t) => {
+      const { find } = await list(t, { query: { approvalStatus: 'pending' } });
+
+      assert.equal(find.mock.calls[0].arguments[0].approvalStatus, 'approved');
+    });
+
+    it('lets staff filter by approval status', async (t) => {
+      const { find } = await list(t, { permissions: ['books:manage'], query: { approvalStatus: 'pending' } });
+
+      assert.equal(find.mock.calls[0].arguments[0].approvalStatus, 'pending');
+    });
+
+    it('rejects sorting by unknown fields', async (t) => {
+      const { res } = await list(t, { query: { sort: 'requestedBy.password' } });
+
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  describe('resolveBookId', () => {
+    const resolve = async (value) => {
+      const req = mockReq({ params: { id: value } });
+      const res = mockRes();
+      const next = mockNext();
+      await booksController.resolveBookId(req, res, next, value);
+      return { req, res, next };
+    };
+
+    it('replaces an ISBN with the id of its book', async (t) => {
+      const book = new Book({ ISBN: '9780441172719' });
+      const lookup = t.mock.method(Book, 'findByIdOrIsbn', () => query(book));
+
+      const { req, next } = await resolve('0-441-17271-7');
+
+      assert.equal(lookup.mock.calls[0].arguments[0], '0-441-17271-7');
+      assert.equal(req.params.id, book._id.toString());
+      assert.ok(next.called);
+    });
+
+    it('passes ids and other values through untouched', async (t) => {
+      const lookup = t.mock.method(Book, 'findByIdOrIsbn', () => query(null));
+      const bookId = id().toString();
+
+      for (const value of [bookId, 'not-an-isbn']) {
+        const { req, next } = await resolve(value);
+        assert.equal(req.params.id, value);
+        assert.ok(next.called);
+      }
+      assert.equal(lookup.mock.callCount(), 0);
+    });
+
+    it('returns 404 for an ISBN no book has', async (t) => {
+      t.mock.method(Book, 'findByIdOrIsbn', () => query(null));
+
+      const { res, next } = await resolve('9780441172719');
+
+      assert.equal(res.statusCode, 404);
+      assert.ok(!next.called);
+    });
+  });
+
+  describe('createBook', () => {
+    it('stores the ISBN-13 and keeps the ISBN as entered', async (t) => {
+      mockDocuments(t, Book);
+      const create = t.mock.method(Book, 'create', async (data) => new Book(data));
+      const user = { _id: id() };
+      const res = mockRes();
+
+      await booksController.createBook(mockReq({ user, body: { title: 'Dune', author: 'Frank Herbert', ISBN: '0-441-17271-7', category: 'Fiction', availability: true } }), res, mockNext());
+
+      const data = create.mock.calls[0].arguments[0];
+      assert.equal(res.statusCode, 201);
+      assert.equal(data.ISBN, '9780441172719');
+      assert.equal(data.originalISBN, '0-441-17271-7');
+      assert.equal(data.requestedBy, user._id);
+      assert.equal(data.availability, undefined);
+    });
+
+    it('reports a duplicate ISBN', async (t) => {
+      t.mock.method(Book, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+      const res = mockRes();
+
+      await booksController.createBook(mockReq({ user: { _id: id() }, body: { ISBN: '9780441172719' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Book with this ISBN already exists');
+    });
+  });
+
+  describe('importBooks', () => {
+    const report = (created, dryRun = false) => ({ dryRun, summary: { total: 1, created, updated: 0, skipped: 0, failed: 1 - created }, rows: [] });
+    const user = { _id: 'admin' };
+
+    const importBooks = async (reqOverrides) => {
+      const req = await validate(booksRoutes, 'post', '/import', mockReq({ user, ...reqOverrides }));
+      const res = mockRes();
+      await booksController.importBooks(req, res, mockNext());
+      return res;
+    };
+
+    it('reads a raw CSV body with options from the query string', async (t) => {
+      const run = t.mock.method(bookImport, 'importBooks', async () => report(1));
+
+      const res = await importBooks({ body: 'title,author,ISBN,category', query: { dryRun: 'false', onDuplicate: 'update' } });
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(run.mock.calls[0].arguments, ['title,author,ISBN,category', {
+        mapping: undefined,
+        dryRun: false,
+        onDuplicate: 'update',
+        approvalStatus: undefined,
+        user
+      }]);
+    });
+
+    it('reads the CSV and options from a JSON body', async (t) => {
+      const run = t.mock.method(bookImport, 'importBooks', async () => report(1, true));
+
+      const res = await importBooks({ body: { csv: 'title', dryRun: true, mapping: { title: 'Name' } } });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.message, 'Dry run complete. No books were saved.');
+      assert.equal(run.mock.calls[0].arguments[1].dryRun, true);
+      assert.deepEqual(run.mock.calls[0].arguments[1].mapping, { title: 'Name' });
+    });
+
+    it('treats dryRun=1 as a dry run', async (t) => {
+      const run = t.mock.method(bookImport, 'importBooks', async () => report(1, true));
+
+      await importBooks({ body: 'title', query: { dryRun: '1' } });
+
+      assert.equal(run.mock.calls[0].arguments[1].dryRun, true);
+    });
+
+    it('rejects dryRun values that are not booleans', async (t) => {
+      const run = t.mock.method(bookImport, 'importBooks', async () => report(1));
+
+      const res = await importBooks({ body: { csv: 'title', dryRun: 'yes' } });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.errors[0].msg, 'dryRun must be true or false');
+      assert.equal(run.mock.callCount(), 0);
+    });
+
+    it('answers 200 when nothing was created', async (t) => {
+      t.mock.method(bookImport, 'importBooks', async () => report(0));
+      const res = mockRes();
+
+      await booksController.importBooks(mockReq({ user, body: { csv: 'title' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.summary.failed, 1);
+    });
+
+    it('requires CSV data', async (t) => {
+      const run = t.mock.method(bookImport, 'importBooks', async () => report(0));
+      const res = mockRes();
+
+      await booksController.importBooks(mockReq({ user, body: { csv: '  ' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(run.mock.callCount(), 0);
+    });
+
+    it('reports unreadable CSVs as bad requests', async (t) => {
+      t.mock.method(bookImport, 'importBooks', async () => {
+        throw Object.assign(new Error('Malformed CSV: unterminated quoted field'), { status: 400 });
+      });
+      const res = mockRes();
+
+      await booksController.importBooks(mockReq({ user, body: '"title' }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Malformed CSV: unterminated quoted field');
+    });
+  });
+
+  describe('importMarc', () => {
+    const report = { dryRun: false, summary: { total: 1, created: 1, updated: 0, skipped: 0, failed: 0 }, rows: [] };
+
+    const importMarc = async (reqOverrides) => {
+      const req = await validate(booksRoutes, 'post', '/import/marc', mockReq({ user: { _id: 'admin' }, ...reqOverrides }));
+      const res = mockRes();
+      await booksController.importMarc(req, res, mockNext());
+      return res;
+    };
+
+    it('imports raw MARC data with options from the query string', async (t) => {
+      const run = t.mock.method(bookImport, 'importMarc', async () => report);
+      const body = Buffer.from('<record/>');
+
+      const res = await importMarc({ body, query: { dryRun: 'false', onDuplicate: 'update' } });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(run.mock.calls[0].arguments[0], body);
+      assert.equal(run.mock.calls[0].arguments[1].dryRun, false);
+      assert.equal(run.mock.calls[0].arguments[1].onDuplicate, 'update');
+    });
+
+    it('treats dryRun=1 as a dry run', async (t) => {
+      const run = t.mock.method(bookImport, 'importMarc', async () => ({ ...report, dryRun: true }));
+
+      await importMarc({ body: Buffer.from('<record/>'), query: { dryRun: '1' } });
+
+      assert.equal(run.mock.calls[0].arguments[1].dryRun, true);
+    });
+
+    it('requires a MARC request body', async (t) => {
+      const run = t.mock.method(bookImport, 'importMarc', async () => report);
+      const res = mockRes();
+
+      // express.raw() leaves an empty object for other content types
+      await booksController.importMarc(mockReq({ body: {} }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, /application\/marc/);
+      assert.equal(run.mock.callCount(), 0);
+    });
+  });
+
+  describe('exportBooks', () => {
+    it('streams the filtered books with requester and reviewer names', async (t) => {
+      const requester = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+      const book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'approved', requestedBy: requester._id });
+      book.requestedBy = requester;
+      const find = t.mock.method(Book, 'find', () => query([book]));
+      const res = mockRes();
+
+      await booksController.exportBooks(mockReq({ query: { format: 'json', category: 'Fiction', sort: 'title' }, permissions: ['books:manage'] }), res, mockNext());
+
+      assert.equal(find.mock.calls[0].arguments[0].category, 'Fiction');
+      assert.deepEqual(find.mock.calls[0].result.calls.sort, [{ title: 1, _id: 1 }]);
+      const [record] = JSON.parse(res.text);
+      assert.equal(record.id, book._id.toString());
+      assert.equal(record.ISBN10, '0441172717');
+      assert.equal(record.requestedBy, 'Ada');
+      assert.equal(record.requestedByEmail, 'ada@example.com');
+      assert.equal(record.reviewedBy, null);
+    });
+
+    it('defaults to CSV', async (t) => {
+      t.mock.method(Book, 'find', () => query([]));
+      const res = mockRes();
+
+      await booksController.exportBooks(mockReq({ permissions: ['books:manage'] }), res, mockNext());
+
+      assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+      assert.ok(res.text.startsWith('\uFEFFid,title,author,ISBN,ISBN10,'));
+    });
+
+    it('writes MARCXML through the MARC service', async (t) => {
+      const book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', requestedBy: id() });
+      t.mock.method(Book, 'find', () => query([book]));
+      const res = mockRes();
+
+      await booksController.exportBooks(mockReq({ query: { format: 'marcxml' }, permissions: ['books:manage'] }), res, mockNext());
+
+      assert.equal(res.headers['content-type'], 'application/marcxml+xml; charset=utf-8');
+      assert.match(res.headers['content-disposition'], /books-\d{4}-\d{2}-\d{2}\.xml"$/);
+      assert.ok(res.text.includes(`<controlfield tag="001">${book._id}</controlfield>`));
+      assert.ok(res.text.endsWith('</collection>\n'));
+    });
+
+    it('rejects sort fields that are not whitelisted before streaming', async (t) => {
+      const find = t.mock.method(Book, 'find', () => query([]));
+      const res = mockRes();
+
+      await booksController.exportBooks(mockReq({ query: { sort: 'requestedBy.password' }, permissions: ['books:manage'] }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(find.mock.callCount(), 0);
+    });
+  });
+
+  describe('checkoutBook', () => {
+    let book, member, copy, admin;
+
+    beforeEach((t) => {
+      admin = { _id: id(), name: 'Admin' };
+      book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'approved', requestedBy: admin._id });
+      member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1' });
+      copy = new Copy({ book: book._id, barcode: 'B-1', status: 'available' });
+
+      mockTransaction(t);
+      mockDocuments(t, Loan);
+      t.mock.method(Book, 'findById', () => query(book));
+      t.mock.method(Member, 'findById', () => query(member));
+      t.mock.method(Copy, 'findOne', () => query(copy));
+      t.mock.method(Loan, 'exists', () => query(null));
+    });
+
+    const checkout = async () => {
+      const req = mockReq({ params: { id: book._id.toString() }, body: { memberId: member._id.toString(), barcode: 'B-1' }, user: admin });
+      const res = mockRes();
+      const next = mockNext();
+      await booksController.checkoutBook(req, res, next);
+      return { res, next };
+    };
+
+    it('lends an available copy and records an active loan', async (t) => {
+      const reserve = t.mock.method(Copy, 'findOneAndUpdate', () => query(copy));
+      const sync = t.mock.method(circulation, 'syncBookAvailability', async () => false);
+      const addBook = t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+      const create = t.mock.method(Loan, 'create', async ([data]) => [new Loan(data)]);
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(reserve.mock.calls[0].arguments[0], { _id: copy._id, status: 'available' });
+      assert.deepEqual(reserve.mock.calls[0].arguments[1], { status: 'on_loan' });
+      assert.equal(sync.mock.calls[0].arguments[0], book._id);
+      assert.deepEqual(addBook.mock.calls[0].arguments[1], { $addToSet: { borrowedBooks: book._id } });
+
+      const loan = create.mock.calls[0].arguments[0][0];
+      assert.equal(loan.copy, copy._id);
+      assert.equal(loan.member, member._id);
+      assert.equal(loan.checkedOutBy, admin._id);
+      assert.ok(loan.dueDate > new Date());
+      assert.equal(res.body.data.status, 'active');
+    });
+
+    it('returns 404 when the book does not exist', async (t) => {
+      t.mock.method(Book, 'findById', () => query(null));
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 404);
+      assert.equal(res.body.message, 'Book not found');
+    });
+
+    it('refuses books that are not approved', async () => {
+      book.approvalStatus = 'pending';
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Only approved books can be checked out');
+    });
+
+    it('returns 404 when the member does not exist', async (t) => {
+      t.mock.method(Member, 'findById', () => query(null));
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 404);
+      assert.equal(res.body.message, 'Member not found');
+    });
+
+    it('refuses a copy that is already on loan', async () => {
+      copy.status = 'on_loan';
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Copy is not available for checkout');
+    });
+
+    it('refuses a second copy of a book the member already borrowed', async (t) => {
+      t.mock.method(Loan, 'exists', () => query({ _id: id() }));
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'This member already has a copy of this book');
+    });
+
+    it('refuses a copy set aside for another member', async (t) => {
+      copy.status = 'on_hold';
+      t.mock.method(Hold, 'findOne', () => query(new Hold({ book: book._id, member: id(), placedBy: id(), status: 'ready', copy: copy._id })));
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Copy is on hold for another member');
+    });
+
+    it('lends a set-aside copy to its holder and fulfils the hold', async (t) => {
+      copy.status = 'on_hold';
+      const hold = new Hold({ book: book._id, member: member._id, placedBy: member._id, status: 'ready', copy: copy._id });
+      t.mock.method(Hold, 'findOne', () => query(hold));
+      const fulfil = t.mock.method(Hold, 'updateOne', () => query({ modifiedCount: 1 }));
+      const reserve = t.mock.method(Copy, 'findOneAndUpdate', () => query(copy));
+      t.mock.method(circulation, 'syncBookAvailability', async () => false);
+      t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(Loan, 'create', async ([data]) => [new Loan(data)]);
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(reserve.mock.calls[0].arguments[0], { _id: copy._id, status: 'on_hold' });
+      assert.deepEqual(fulfil.mock.calls[0].arguments.slice(0, 2), [{ _id: hold._id }, { status: 'fulfilled' }]);
+    });
+
+    it('rejects a concurrent checkout of the same copy', async (t) => {
+      t.mock.method(Copy, 'findOneAndUpdate', () => query(null));
+      const create = t.mock.method(Loan, 'create', async () => []);
+
+      const { res } = await checkout();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Copy is not available for checkout');
+      assert.equal(create.mock.callCount(), 0);
+    });
+  });
+
+  describe('returnBook', () => {
+    let book, copy, activeLoan, admin;
+
+    beforeEach((t) => {
+      admin = { _id: id(), name: 'Admin' };
+      book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'approved', requestedBy: admin._id });
+      copy = new Copy({ book: book._id, barcode: 'B-1', status: 'on_loan' });
+      activeLoan = new Loan({ book: book._id, copy: copy._id, member: id(), checkedOutBy: admin._id, dueDate: new Date(Date.now() + 86400000) });
+
+      mockTransaction(t);
+      mockDocuments(t, Loan);
+      t.mock.method(Book, 'findById', () => query(book));
+      t.mock.method(Copy, 'findOne', () => query(copy));
+      t.mock.method(Loan, 'findOne', () => query(activeLoan));
+      t.mock.method(notifications, 'notifyHoldReady', async () => null);
+    });
+
+    const returnCopy = async (body = { barcode: 'B-1' }) => {
+      const req = mockReq({ params: { id: book._id.toString() }, body, user: admin });
+      const res = mockRes();
+      await booksController.returnBook(req, res, mockNext());
+      return res;
+    };
+
+    it('closes the loan, reshelves the copy and removes the book from the member', async (t) => {
+      const close = t.mock.method(Loan, 'findOneAndUpdate', (filter, update) => query(new Loan({ ...activeLoan.toObject(), ...update })));
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => null);
+      const removeBook = t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(circulation, 'syncMemberFines', async () => 0);
+
+      const res = await returnCopy();
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(close.mock.calls[0].arguments[0], { _id: activeLoan._id, status: 'active' });
+      assert.equal(close.mock.calls[0].arguments[1].returnedTo, admin._id);
+      assert.equal(close.mock.calls[0].arguments[1].fineAmount, 0);
+      assert.equal(promote.mock.calls[0].arguments[0], copy._id);
+      assert.deepEqual(removeBook.mock.calls[0].arguments[0], { _id: activeLoan.member });
+      assert.deepEqual(removeBook.mock.calls[0].arguments[1], { $pull: { borrowedBooks: book._id } });
+      assert.equal(res.body.data.status, 'returned');
+    });
+
+    it('sets the copy aside for the next holder and notifies them', async (t) => {
+      const next = new Hold({ book: book._id, member: id(), placedBy: id(), status: 'ready', copy: copy._id });
+      t.mock.method(Loan, 'findOneAndUpdate', (filter, update) => query(new Loan({ ...activeLoan.toObject(), ...update })));
+      t.mock.method(circulation, 'promoteNextHold', async () => next);
+      t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(circulation, 'syncMemberFines', async () => 0);
+
+      const res = await returnCopy();
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(notifications.notifyHoldReady.mock.calls[0].arguments[0], next);
+    });
+
+    it('refuses a copy that is not checked out', async (t) => {
+      t.mock.method(Loan, 'findOne', () => query(null));
+
+      const res = await returnCopy();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'This copy is not checked out');
+    });
+
+    it('refuses a copy checked out to a different member', async (t) => {
+      const find = t.mock.method(Loan, 'findOne', () => query(null));
+      const memberId = id().toString();
+
+      const res = await returnCopy({ barcode: 'B-1', memberId });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'This copy is not checked out to this member');
+      assert.equal(find.mock.calls[0].arguments[0].member, memberId);
+    });
+
+    it('rejects a return that was already processed', async (t) => {
+      t.mock.method(Loan, 'findOneAndUpdate', () => query(null));
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => null);
+
+      const res = await returnCopy();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(promote.mock.callCount(), 0);
+    });
+  });
+
+  describe('deleteBook', () => {
+    let book, session;
+
+    beforeEach((t) => {
+      book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', requestedBy: id() });
+      session = mockTransaction(t);
+      t.mock.method(Book, 'findById', () => query(book));
+      t.mock.method(Book, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(circulation, 'cancelHolds', async () => ({ cancelled: 1, promoted: [] }));
+      t.mock.method(webhooks, 'emit', async () => {});
+    });
+
+    const remove = async () => {
+      const res = mockRes();
+      await booksController.deleteBook(mockReq({ params: { id: book._id.toString() }, user: { _id: id() } }), res, mockNext());
+      return res;
+    };
+
+    it('cancels the hold queue and moves the book to the trash in one transaction', async (t) => {
+      t.mock.method(Copy, 'exists', () => query(null));
+
+      const res = await remove();
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(circulation.cancelHolds.mock.calls[0].arguments, [{ book: book._id }, session]);
+      assert.ok(book.deletedAt instanceof Date);
+      assert.deepEqual(Book.updateOne.mock.calls[0].arguments[0], { _id: book._id, deletedAt: null });
+      assert.deepEqual(Book.updateOne.mock.calls[0].arguments[2], { session });
+      assert.equal(webhooks.emit.mock.calls[0].arguments[0], 'book.deleted');
+      assert.ok(session.ended);
+    });
+
+    it('refuses books with copies on loan', async (t) => {
+      t.mock.method(Copy, 'exists', () => query({ _id: id() }));
+
+      const res = await remove();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(circulation.cancelHolds.mock.callCount(), 0);
+      assert.equal(book.deletedAt, null);
+    });
+  });
+
+  describe('getDeletedBooks', () => {
+    it('pages the trashed books', async (t) => {
+      const page = t.mock.method(trash, 'getTrashPage', async () => ({ records: [{ title: 'Dune' }], total: 21 }));
+      const res = mockRes();
+
+      await booksController.getDeletedBooks(mockReq({ query: { page: '2' } }), res, mockNext());
+
+      assert.deepEqual(page.mock.calls[0].arguments, [Book, { page: 2, limit: 20, skip: 20 }]);
+      assert.equal(res.body.total, 21);
+      assert.equal(res.body.next, null);
+    });
+  });
+
+  describe('restoreBook', () => {
+    it('only restores books that are in the trash', async (t) => {
+      const book = new Book({ title: 'Dune', deletedAt: new Date() });
+      const findOne = t.mock.method(Book, 'findOne', () => query(book));
+      t.mock.method(Book, 'updateOne', () => query({ modifiedCount: 1 }));
+      const res = mockRes();
+
+      await booksController.restoreBook(mockReq({ params: { id: book._id.toString() } }), res, mockNext());
+
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: book._id.toString(), deletedAt: { $ne: null } });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.deletedAt, null);
+    });
+
+    it('reports books that are not in the trash', async (t) => {
+      t.mock.method(Book, 'findOne', () => query(null));
+      const res = mockRes();
+
+      await booksController.restoreBook(mockReq({ params: { id: id().toString() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 404);
+      assert.equal(res.body.message, 'Book not found in trash');
+    });
+  });
+
+  describe('rejectBook', () => {
+    let book;
+
+    beforeEach((t) => {
+      book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'pending', requestedBy: id() });
+      t.mock.method(Book, 'findById', () => query(book));
+      t.mock.method(notifications, 'notifyBookReviewed', async () => null);
+      t.mock.method(webhooks, 'emit', async () => {});
+    });
+
+    it('records the reason for the requester', async (t) => {
+      const reviewer = { _id: id() };
+      const update = t.mock.method(Book, 'findByIdAndUpdate', () => query(book));
+      const res = mockRes();
+
+      await booksController.rejectBook(mockReq({ params: { id: book._id.toString() }, body: { reason: 'Out of scope' }, user: reviewer }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      const changes = update.mock.calls[0].arguments[1];
+      assert.equal(changes.approvalStatus, 'rejected');
+      assert.equal(changes.rejectionReason, 'Out of scope');
+      assert.equal(changes.reviewedBy, reviewer._id);
+      assert.deepEqual(webhooks.emit.mock.calls[0].arguments, ['book.rejected', { book }]);
+      assert.equal(notifications.notifyBookReviewed.mock.calls[0].arguments[0], book);
+    });
+
+    it('refuses books that were already rejected', async (t) => {
+      book.approvalStatus = 'rejected';
+      const update = t.mock.method(Book, 'findByIdAndUpdate', () => query(book));
+      const res = mockRes();
+
+      await booksController.rejectBook(mockReq({ params: { id: book._id.toString() }, user: { _id: id() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(update.mock.callCount(), 0);
+      assert.equal(webhooks.emit.mock.callCount(), 0);
+      assert.equal(notifications.notifyBookReviewed.mock.callCount(), 0);
+    });
+  });
+
+  describe('approveBook', () => {
+    it('clears the reason of an earlier rejection', async (t) => {
+      const book = new Book({ title: 'Dune', approvalStatus: 'rejected', rejectionReason: 'Out of scope', requestedBy: id() });
+      t.mock.method(Book, 'findById', () => query(book));
+      const update = t.mock.method(Book, 'findByIdAndUpdate', () => query(book));
+      t.mock.method(notifications, 'notifyBookReviewed', async () => null);
+      t.mock.method(webhooks, 'emit', async () => {});
+      const res = mockRes();
+
+      await booksController.approveBook(mockReq({ params: { id: book._id.toString() }, user: { _id: id() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(update.mock.calls[0].arguments[1].approvalStatus, 'approved');
+      assert.equal(update.mock.calls[0].arguments[1].rejectionReason, null);
+      assert.deepEqual(webhooks.emit.mock.calls[0].arguments, ['book.approved', { book }]);
+      assert.equal(notifications.notifyBookReviewed.mock.calls[0].arguments[0], book);
+    });
+  });
+
+  describe('book request changes by the requester', () => {
+    let book, requester;
+
+    beforeEach((t) => {
+      requester = { _id: id() };
+      book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'pending', requestedBy: requester._id });
+      t.mock.method(Book, 'findById', () => query(book));
+    });
+
+    const call = async (handler, body = {}, user = requester) => {
+      const res = mockRes();
+      await booksController[handler](mockReq({ params: { id: book._id.toString() }, body, user }), res, mockNext());
+      return res;
+    };
+
+    it('revises a pending request and records the previous version', async (t) => {
+      const update = t.mock.method(Book, 'findOneAndUpdate', () => query(book));
+
+      const res = await call('reviseBookRequest', { title: 'Dune Messiah', ISBN: '0-441-17271-7', approvalStatus: 'approved' });
+
+      assert.equal(res.statusCode, 200);
+      const [filter, { $set, $push }] = update.mock.calls[0].arguments;
+      // Only succeeds if nobody reviewed the request in the meantime
+      assert.deepEqual(filter, { _id: book._id, approvalStatus: 'pending' });
+      assert.deepEqual($set, { title: 'Dune Messiah', ISBN: '9780441172719', originalISBN: '0-441-17271-7' });
+      assert.equal($push.revisions.action, 'revised');
+      assert.equal($push.revisions.title, 'Dune');
+      assert.equal($push.revisions.revisedBy, requester._id);
+    });
+
+    it('requires at least one change', async (t) => {
+      const update = t.mock.method(Book, 'findOneAndUpdate', () => query(book));
+
+      const res = await call('reviseBookRequest', { approvalStatus: 'approved' });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it("refuses changes to someone else's request", async (t) => {
+      const update = t.mock.method(Book, 'findOneAndUpdate', () => query(book));
+
+      const res = await call('withdrawBookRequest', {}, { _id: id() });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('withdraws pending requests only', async (t) => {
+      const update = t.mock.method(Book, 'findOneAndUpdate', () => query(book));
+
+      assert.equal((await call('withdrawBookRequest')).statusCode, 200);
+      assert.deepEqual(update.mock.calls[0].arguments[1].$set, { approvalStatus: 'withdrawn' });
+
+      book.approvalStatus = 'approved';
+      const res = await call('withdrawBookRequest');
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Book request is approved and cannot be withdrawn');
+    });
+
+    it('reports a request reviewed while the requester changed it', async (t) => {
+      t.mock.method(Book, 'findOneAndUpdate', () => query(null));
+
+      const res = await call('withdrawBookRequest');
+
+      assert.equal(res.statusCode, 409);
+    });
+
+    it('resubmits a rejected request for a fresh review, keeping the old review in the history', async (t) => {
+      const reviewer = id();
+      Object.assign(book, { approvalStatus: 'rejected', rejectionReason: 'Wrong edition', reviewedBy: reviewer, reviewedAt: new Date() });
+      const update = t.mock.method(Book, 'findOneAndUpdate', () => query(book));
+
+      const res = await call('resubmitBookRequest', { category: 'Science Fiction' });
+
+      assert.equal(res.statusCode, 200);
+      const { $set, $push } = update.mock.calls[0].arguments[1];
+      assert.deepEqual($set, { category: 'Science Fiction', approvalStatus: 'pending', reviewedBy: null, reviewedAt: null, rejectionReason: null });
+      assert.equal($push.revisions.action, 'resubmitted');
+      assert.equal($push.revisions.rejectionReason, 'Wrong edition');
+      assert.equal($push.revisions.reviewedBy, reviewer);
+    });
+
+    it('does not resubmit pending requests', async (t) => {
+      const update = t.mock.method(Book, 'findOneAndUpdate', () => query(book));
+
+      const res = await call('resubmitBookRequest');
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(update.mock.callCount(), 0);
+    });
+  });
+
+  describe('reviewing withdrawn requests', () => {
+    it('is refused until the requester resubmits them', async (t) => {
+      const book = new Book({ title: 'Dune', approvalStatus: 'withdrawn', requestedBy: id() });
+      t.mock.method(Book, 'findById', () => query(book));
+      const update = t.mock.method(Book, 'findByIdAndUpdate', () => query(book));
+
+      for (const handler of ['approveBook', 'rejectBook']) {
+        const res = mockRes();
+        await booksController[handler](mockReq({ params: { id: book._id.toString() }, user: { _id: id() } }), res, mockNext());
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Book request was withdrawn by its requester');
+      }
+      assert.equal(update.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Comments Controller
+ * 
+ * This controller handles the discussion thread of each book request including:
+ * - Viewing a book's comments (the requester or an admin)
+ * - Adding comments while the request is pending (the requester or an admin)
+ * 
+ * @module controllers/comments.controller
+ */
+
+const Book = require('../models/Book.model');
+const Comment = require('../models/Comment.model');
+const notifications = require('../services/notification.service');
+const { hasPermission } = require('../services/permission.service');
+const { validationResult } = require('express-validator');
+
+/**
+ * Whether a user may take part in the discussion of a book request
+ * 
+ * @param   {Object} book - Book document
+ * @param   {Object} req - Express request of the authenticated user
+ * @returns {Boolean} True for reviewers (books:approve) and the user who requested the book
+ */
+const canDiscuss = (book, req) => {
+  return hasPermission(req, 'books:approve') || book.requestedBy.equals(req.user._id);
+};
+
+/**
+ * Get the comments on a book request
+ * 
+ * Returns the whole thread, oldest first, with the author of each comment.
+ * 
+ * @route   GET /api/books/:id/comments
+ * @access  Private (Requester or books:approve permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Comments of the book
+ */
+exports.getComments = async (req, res, next) => {
+  try {
+    const book = await Book.findById(req.params.id).select('requestedBy');
+
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    if (!canDiscuss(book, req)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'You do not have permission to view the comments on this book' 
+      });
+    }
+
+    const comments = await Comment.find({ book: book._id })
+      .populate('author', 'name email role')
+      .sort({ createdAt: 1 });
+
+    // Return success response with the thread
+    res.json({
+      success: true,
+      count: comments.length,
+      data: comments
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Add a comment to a book request
+ * 
+ * Comments can only be added while the request is pending; once it has been
+ * approved or rejected the thread is read-only.
+ * 
+ * @route   POST /api/books/:id/comments
+ * @access  Private (Requester or books:approve permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.body.body - Comment text
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Created comment
+ */
+exports.addComment = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const book = await Book.findById(req.params.id).select('title requestedBy approvalStatus');
+
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    if (!canDiscuss(book, req)) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'You do not have permission to comment on this book' 
+      });
+    }
+
+    if (book.approvalStatus !== 'pending') {
+      return res.status(400).json({ 
+        success: false,
+        message: `Book request is already ${book.approvalStatus}; comments are closed` 
+      });
+    }
+
+    const comment = await Comment.create({
+      book: book._id,
+      author: req.user._id,
+      body: req.body.body
+    });
+    await comment.populate('author', 'name email role');
+
+    // Let the requester know about replies to their request
+    notifications.notifyBookComment(book, comment);
+
+    // Return success response with created comment
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
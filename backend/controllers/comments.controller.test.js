@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const Comment = require('../models/Comment.model');
+const notifications = require('../services/notification.service');
+const commentsController = require('./comments.controller');
+const { id, query, mockReq, mockRes, mockNext, mockDocuments } = require('../testing/helpers');
+
+describe('comments controller', () => {
+  let book, requester;
+
+  beforeEach((t) => {
+    requester = { _id: id(), name: 'Ada' };
+    book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'pending', requestedBy: requester._id });
+    t.mock.method(Book, 'findById', () => query(book));
+    t.mock.method(notifications, 'notifyBookComment', async () => null);
+  });
+
+  describe('getComments', () => {
+    it('shows the thread to the requester, oldest first', async (t) => {
+      const find = t.mock.method(Comment, 'find', () => query([]));
+      const res = mockRes();
+
+      await commentsController.getComments(mockReq({ params: { id: book._id.toString() }, user: requester, permissions: [] }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(find.mock.calls[0].arguments[0], { book: book._id });
+      assert.deepEqual(find.mock.calls[0].result.calls.sort, [{ createdAt: 1 }]);
+    });
+
+    it('shows the thread to reviewers', async (t) => {
+      t.mock.method(Comment, 'find', () => query([]));
+      const res = mockRes();
+
+      await commentsController.getComments(mockReq({ params: { id: book._id.toString() }, user: { _id: id() }, permissions: ['books:approve'] }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+    });
+
+    it('hides the thread from other users', async (t) => {
+      const find = t.mock.method(Comment, 'find', () => query([]));
+      const res = mockRes();
+
+      await commentsController.getComments(mockReq({ params: { id: book._id.toString() }, user: { _id: id() }, permissions: ['books:manage'] }), res, mockNext());
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(find.mock.callCount(), 0);
+    });
+  });
+
+  describe('addComment', () => {
+    beforeEach((t) => {
+      mockDocuments(t, Comment);
+      t.mock.method(Comment, 'create', async (data) => new Comment(data));
+    });
+
+    const add = async (user, permissions = []) => {
+      const res = mockRes();
+      await commentsController.addComment(mockReq({ params: { id: book._id.toString() }, body: { body: 'Which edition?' }, user, permissions }), res, mockNext());
+      return res;
+    };
+
+    it('adds a comment by the requester to a pending request', async () => {
+      const res = await add(requester);
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(Comment.create.mock.calls[0].arguments[0], { book: book._id, author: requester._id, body: 'Which edition?' });
+    });
+
+    it('lets the requester know about replies from reviewers', async () => {
+      const res = await add({ _id: id(), name: 'Grace' }, ['books:approve']);
+
+      assert.equal(res.statusCode, 201);
+      const [notifiedBook, comment] = notifications.notifyBookComment.mock.calls[0].arguments;
+      assert.equal(notifiedBook, book);
+      assert.equal(comment, res.body.data);
+    });
+
+    it('closes the thread once the request was reviewed', async () => {
+      book.approvalStatus = 'rejected';
+
+      const res = await add({ _id: id() }, ['books:approve']);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Book request is already rejected; comments are closed');
+      assert.equal(Comment.create.mock.callCount(), 0);
+      assert.equal(notifications.notifyBookComment.mock.callCount(), 0);
+    });
+
+    it('refuses comments from other users', async () => {
+      const res = await add({ _id: id() });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(Comment.create.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Copies Controller
+ * 
+ * This controller handles the physical copies (items) of books including:
+ * - Listing the copies of a book
+ * - Looking up a copy by barcode (copies:manage or loans:checkout)
+ * - Adding, updating and deleting copies (copies:manage)
+ * 
+ * Every change to a copy's status recalculates the availability of its book.
+ * A copy that becomes available goes to the next member waiting for the
+ * book, as on check-in.
+ * 
+ * @module controllers/copies.controller
+ */
+
+const Book = require('../models/Book.model');
+const Copy = require('../models/Copy.model');
+const circulation = require('../services/circulation.service');
+const notifications = require('../services/notification.service');
+const { hasPermission } = require('../services/permission.service');
+const { validationResult } = require('express-validator');
+
+/**
+ * Get all copies of a book
+ * 
+ * - Regular users: Only for approved books
+ * - Staff with books:manage: For any book
+ * 
+ * @route   GET /api/books/:id/copies
+ * @access  Private (Any authenticated user)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @returns {Object} List of copies
+ */
+exports.getCopies = async (req, res, next) => {
+  try {
+    // Find the book by ID
+    const book = await Book.findById(req.params.id);
+    
+    // Check if book exists (regular users cannot see unapproved books)
+    if (!book || (!hasPermission(req, 'books:manage') && book.approvalStatus !== 'approved')) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    const copies = await Copy.find({ book: book._id })
+      .sort({ barcode: 1 });
+    
+    // Return success response with copy list
+    res.json({
+      success: true,
+      count: copies.length,
+      data: copies
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get a copy by barcode
+ * 
+ * Used at the circulation desk to identify a scanned item.
+ * 
+ * @route   GET /api/copies/:barcode
+ * @access  Private (copies:manage or loans:checkout permission)
+ * @param   {String} req.params.barcode - Copy barcode
+ * @returns {Object} Copy with its book
+ */
+exports.getCopyByBarcode = async (req, res, next) => {
+  try {
+    const copy = await Copy.findOne({ barcode: req.params.barcode })
+      .populate('book', 'title author ISBN category approvalStatus');
+    
+    // Copies of books in the trash are hidden with their book
+    if (!copy || !copy.book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+    
+    // Return success response with copy details
+    res.json({
+      success: true,
+      data: copy
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Add a copy to a book
+ * 
+ * An available copy is set aside for the first member in the book's hold
+ * queue, if anyone is waiting.
+ * 
+ * @route   POST /api/books/:id/copies
+ * @access  Private (copies:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {Object} req.body - Copy data (barcode, condition, acquisitionDate, status, notes)
+ * @returns {Object} Created copy
+ */
+exports.addCopy = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Check if book exists
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    const { barcode, condition, acquisitionDate, status, notes } = req.body;
+    const copy = await Copy.create({
+      book: book._id,
+      barcode,
+      condition,
+      acquisitionDate,
+      status,
+      notes
+    });
+
+    // A new available copy goes to the next holder, or makes the book available
+    if (copy.status === 'available') {
+      const readyHold = await circulation.promoteNextHold(copy._id);
+      if (readyHold) {
+        copy.status = 'on_hold';
+        notifications.notifyHoldReady(readyHold);
+      }
+    } else {
+      await circulation.syncBookAvailability(book._id);
+    }
+    
+    // Return success response with created copy
+    res.status(201).json({
+      success: true,
+      message: 'Copy added successfully',
+      data: copy
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Handle duplicate barcode error (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Copy with this barcode already exists' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Update a copy
+ * 
+ * Records changes to barcode, condition, notes or status. A copy that is
+ * on loan or on hold is managed by circulation, so its status cannot be
+ * changed here until it is returned or the hold is cancelled. A copy set
+ * back to available is set aside for the next holder, if anyone is waiting.
+ * 
+ * @route   PUT /api/books/:id/copies/:copyId
+ * @access  Private (copies:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.params.copyId - Copy MongoDB ObjectId
+ * @param   {Object} req.body - Updated copy data
+ * @returns {Object} Updated copy
+ */
+exports.updateCopy = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Find the copy of this book
+    const copy = await Copy.findOne({ _id: req.params.copyId, book: req.params.id });
+    
+    if (!copy) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+
+    const { barcode, condition, acquisitionDate, status, notes } = req.body;
+
+    // Circulation owns the status of copies that are on loan or on hold
+    if (status && status !== copy.status && Copy.CIRCULATION_STATUSES.includes(copy.status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Copy is ${copy.status.replace('_', ' ')} and its status cannot be changed` 
+      });
+    }
+
+    // Only apply the fields that were provided
+    const updates = { barcode, condition, acquisitionDate, status, notes };
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+    copy.set(updates);
+    const becameAvailable = copy.isModified('status') && copy.status === 'available';
+    await copy.save();
+
+    // A copy back on the shelf goes to the next holder; other status changes
+    // can change the book's availability
+    if (becameAvailable) {
+      const readyHold = await circulation.promoteNextHold(copy._id);
+      if (readyHold) {
+        copy.status = 'on_hold';
+        notifications.notifyHoldReady(readyHold);
+      }
+    } else {
+      await circulation.syncBookAvailability(copy.book);
+    }
+    
+    // Return success response with updated copy
+    res.json({
+      success: true,
+      message: 'Copy updated successfully',
+      data: copy
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+    // Handle duplicate barcode error (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Copy with this barcode already exists' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Delete a copy
+ * 
+ * Permanently removes a copy. Copies that are on loan or on hold cannot be
+ * deleted; mark lost or damaged copies as 'lost' or 'withdrawn' instead to
+ * keep their loan history meaningful.
+ * 
+ * @route   DELETE /api/books/:id/copies/:copyId
+ * @access  Private (copies:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.params.copyId - Copy MongoDB ObjectId
+ * @returns {Object} Success message
+ */
+exports.deleteCopy = async (req, res, next) => {
+  try {
+    // Find the copy of this book
+    const copy = await Copy.findOne({ _id: req.params.copyId, book: req.params.id });
+    
+    if (!copy) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+
+    if (Copy.CIRCULATION_STATUSES.includes(copy.status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Copy is ${copy.status.replace('_', ' ')} and cannot be deleted` 
+      });
+    }
+
+    await Copy.findByIdAndDelete(copy._id);
+
+    // Removing an available copy can make the book unavailable
+    await circulation.syncBookAvailability(copy.book);
+    
+    // Return success response
+    res.json({
+      success: true,
+      message: 'Copy deleted successfully'
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Copy not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
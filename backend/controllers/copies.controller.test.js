@@ -0,0 +1,169 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const Copy = require('../models/Copy.model');
+const Hold = require('../models/Hold.model');
+const circulation = require('../services/circulation.service');
+const notifications = require('../services/notification.service');
+const copiesController = require('./copies.controller');
+const { id, query, mockReq, mockRes, mockNext, mockDocuments } = require('../testing/helpers');
+
+describe('copies controller', () => {
+  let book;
+
+  beforeEach((t) => {
+    book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'approved', requestedBy: id() });
+    mockDocuments(t, Copy);
+    t.mock.method(circulation, 'syncBookAvailability', async () => true);
+    t.mock.method(notifications, 'notifyHoldReady', async () => null);
+  });
+
+  describe('getCopies', () => {
+    it('hides the copies of unapproved books from regular users', async (t) => {
+      book.approvalStatus = 'pending';
+      t.mock.method(Book, 'findById', () => query(book));
+      const res = mockRes();
+
+      await copiesController.getCopies(mockReq({ params: { id: book._id.toString() }, permissions: [] }), res, mockNext());
+
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe('getCopyByBarcode', () => {
+    it('hides copies whose book is in the trash', async (t) => {
+      t.mock.method(Copy, 'findOne', () => query(new Copy({ barcode: 'B-1', book: null })));
+      const res = mockRes();
+
+      await copiesController.getCopyByBarcode(mockReq({ params: { barcode: 'B-1' } }), res, mockNext());
+
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe('addCopy', () => {
+    beforeEach((t) => {
+      t.mock.method(Book, 'findById', () => query(book));
+      t.mock.method(Copy, 'create', async (data) => new Copy(data));
+    });
+
+    const add = async (body) => {
+      const res = mockRes();
+      await copiesController.addCopy(mockReq({ params: { id: book._id.toString() }, body }), res, mockNext());
+      return res;
+    };
+
+    it('shelves a new copy when nobody is waiting', async (t) => {
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => null);
+
+      const res = await add({ barcode: 'B-1' });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(promote.mock.callCount(), 1);
+      assert.equal(res.body.data.status, 'available');
+      assert.equal(notifications.notifyHoldReady.mock.callCount(), 0);
+    });
+
+    it('sets a new copy aside for the first holder and notifies them', async (t) => {
+      const hold = new Hold({ book: book._id, member: id(), placedBy: id(), status: 'ready' });
+      t.mock.method(circulation, 'promoteNextHold', async () => hold);
+
+      const res = await add({ barcode: 'B-1' });
+
+      assert.equal(res.body.data.status, 'on_hold');
+      assert.equal(notifications.notifyHoldReady.mock.calls[0].arguments[0], hold);
+    });
+
+    it('only recalculates availability for copies that are not available', async (t) => {
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => null);
+
+      await add({ barcode: 'B-1', status: 'in_repair' });
+
+      assert.equal(promote.mock.callCount(), 0);
+      assert.equal(circulation.syncBookAvailability.mock.calls[0].arguments[0], book._id);
+    });
+
+    it('rejects duplicate barcodes', async (t) => {
+      t.mock.method(Copy, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+
+      const res = await add({ barcode: 'B-1' });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Copy with this barcode already exists');
+    });
+  });
+
+  describe('updateCopy', () => {
+    let copy;
+
+    beforeEach((t) => {
+      copy = new Copy({ book: book._id, barcode: 'B-1', status: 'in_repair' });
+      copy.isNew = false;
+      t.mock.method(Copy, 'findOne', () => query(copy));
+    });
+
+    const update = async (body) => {
+      const res = mockRes();
+      await copiesController.updateCopy(mockReq({ params: { id: book._id.toString(), copyId: copy._id.toString() }, body }), res, mockNext());
+      return res;
+    };
+
+    it('hands a repaired copy to the next holder', async (t) => {
+      const hold = new Hold({ book: book._id, member: id(), placedBy: id(), status: 'ready' });
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => hold);
+
+      const res = await update({ status: 'available' });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(promote.mock.calls[0].arguments[0], copy._id);
+      assert.equal(res.body.data.status, 'on_hold');
+      assert.equal(notifications.notifyHoldReady.mock.calls[0].arguments[0], hold);
+    });
+
+    it('does not touch the hold queue when the status is unchanged', async (t) => {
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => null);
+
+      await update({ condition: 'fair' });
+
+      assert.equal(promote.mock.callCount(), 0);
+      assert.equal(circulation.syncBookAvailability.mock.callCount(), 1);
+    });
+
+    it('leaves the status of copies in circulation to checkout and holds', async () => {
+      copy.status = 'on_loan';
+
+      const res = await update({ status: 'available' });
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Copy is on loan and its status cannot be changed');
+    });
+  });
+
+  describe('deleteCopy', () => {
+    it('refuses copies that are on hold', async (t) => {
+      t.mock.method(Copy, 'findOne', () => query(new Copy({ book: book._id, barcode: 'B-1', status: 'on_hold' })));
+      const remove = t.mock.method(Copy, 'findByIdAndDelete', () => query(null));
+      const res = mockRes();
+
+      await copiesController.deleteCopy(mockReq({ params: { id: book._id.toString(), copyId: id().toString() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(remove.mock.callCount(), 0);
+    });
+
+    it('removes other copies and recalculates availability', async (t) => {
+      const copy = new Copy({ book: book._id, barcode: 'B-1', status: 'withdrawn' });
+      t.mock.method(Copy, 'findOne', () => query(copy));
+      const remove = t.mock.method(Copy, 'findByIdAndDelete', () => query(copy));
+      const res = mockRes();
+
+      await copiesController.deleteCopy(mockReq({ params: { id: book._id.toString(), copyId: copy._id.toString() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(remove.mock.calls[0].arguments[0], copy._id);
+      assert.equal(circulation.syncBookAvailability.mock.calls[0].arguments[0], book._id);
+    });
+  });
+});
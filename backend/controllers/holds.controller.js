@@ -0,0 +1,435 @@
+/**
+ * Holds Controller
+ * 
+ * This controller handles the hold (reservation) queue of each book including:
+ * - Placing holds on checked out books (any authenticated user with a membership)
+ * - Cancelling holds (the holder or an admin)
+ * - Listing the current user's holds
+ * - Viewing, reordering and purging a book's queue (holds:manage)
+ * 
+ * @module controllers/holds.controller
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book.model');
+const Member = require('../models/Member.model');
+const Loan = require('../models/Loan.model');
+const Hold = require('../models/Hold.model');
+const circulation = require('../services/circulation.service');
+const notifications = require('../services/notification.service');
+const { hasPermission } = require('../services/permission.service');
+const { validationResult } = require('express-validator');
+
+// Statuses of holds that are still in a book's queue
+const OPEN_STATUSES = ['waiting', 'ready'];
+
+/**
+ * Place a hold on a book
+ * 
+ * Adds the member to the end of the book's hold queue. Holds can only be
+ * placed on approved books with no available copies.
+ * - Regular users: Place a hold for their own membership
+ * - Staff with holds:manage: May place a hold on behalf of any member with req.body.memberId
+ * 
+ * @route   POST /api/books/:id/holds
+ * @access  Private (Any authenticated user)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.body.memberId - Optional member MongoDB ObjectId (holds:manage only)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Created hold with its queue position
+ */
+exports.placeHold = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Find the book by ID
+    const book = await Book.findById(req.params.id);
+    
+    // Check if book exists (regular users cannot see unapproved books)
+    if (!book || (!hasPermission(req, 'books:manage') && book.approvalStatus !== 'approved')) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    if (book.approvalStatus !== 'approved') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Only approved books can be placed on hold' 
+      });
+    }
+
+    // No need to queue for a book that is on the shelf
+    if (book.availability) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Book is available, no hold needed' 
+      });
+    }
+
+    // Staff may place holds for any member, everyone else for themselves
+    const member = hasPermission(req, 'holds:manage') && req.body.memberId
+      ? await Member.findById(req.body.memberId)
+      : await Member.findForUser(req.user);
+
+    if (!member) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Member not found' 
+      });
+    }
+
+    // A member cannot queue for a book they already have
+    const activeLoan = await Loan.exists({ book: book._id, member: member._id, status: 'active' });
+    if (activeLoan) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'This book is already checked out to this member' 
+      });
+    }
+
+    // Create the hold at the end of the queue
+    const hold = await Hold.create({
+      book: book._id,
+      member: member._id,
+      placedBy: req.user._id
+    });
+
+    // Number of open holds ahead of this one (including a ready hold)
+    const ahead = await Hold.countDocuments({
+      book: book._id,
+      status: { $in: OPEN_STATUSES },
+      _id: { $ne: hold._id },
+      $or: [{ status: 'ready' }, { position: { $lte: hold.position } }]
+    });
+
+    await hold.populate('book', 'title author ISBN');
+    
+    // Return success response with created hold
+    res.status(201).json({
+      success: true,
+      message: 'Hold placed successfully',
+      data: {
+        ...hold.toObject(),
+        queuePosition: ahead + 1
+      }
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Handle duplicate hold (unique open hold per book and member)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Member already has a hold on this book' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get the hold queue of a book
+ * 
+ * Returns the open holds of a book in the order they will be served.
+ * A ready hold (book set aside for pickup) is always listed first.
+ * 
+ * @route   GET /api/books/:id/holds
+ * @access  Private (holds:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @returns {Object} List of open holds
+ */
+exports.getBookHolds = async (req, res, next) => {
+  try {
+    // 'ready' sorts before 'waiting', then queue order
+    const holds = await Hold.find({ book: req.params.id, status: { $in: OPEN_STATUSES } })
+      .populate('member', 'name email membershipId')
+      .populate('copy', 'barcode')
+      .sort({ status: 1, position: 1 });
+    
+    // Return success response with hold queue
+    res.json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get current user's holds
+ * 
+ * Returns all holds of the authenticated user's membership, newest first.
+ * 
+ * @route   GET /api/auth/me/holds
+ * @access  Private (Any authenticated user)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} List of holds
+ */
+exports.getMyHolds = async (req, res, next) => {
+  try {
+    const member = await Member.findForUser(req.user);
+
+    // Users without a membership simply have no holds
+    const holds = member
+      ? await Hold.find({ member: member._id })
+        .populate('book', 'title author ISBN availability')
+        .sort({ createdAt: -1 })
+      : [];
+    
+    // Return success response with hold list
+    res.json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Cancel a hold
+ * 
+ * Removes a hold from the queue. If a copy was already set aside for this
+ * hold, it passes to the next member in the queue.
+ * - Regular users: Can only cancel their own holds
+ * - Staff with holds:manage: Can cancel any hold
+ * 
+ * @route   DELETE /api/books/:id/holds/:holdId
+ * @access  Private (Holder or holds:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String} req.params.holdId - Hold MongoDB ObjectId
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Cancelled hold
+ */
+exports.cancelHold = async (req, res, next) => {
+  let session;
+  try {
+    // Find the hold on this book
+    const hold = await Hold.findOne({ _id: req.params.holdId, book: req.params.id });
+    
+    if (!hold) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Hold not found' 
+      });
+    }
+
+    // Regular users can only cancel their own holds
+    if (!hasPermission(req, 'holds:manage')) {
+      const member = await Member.findForUser(req.user);
+      if (!member || !hold.member.equals(member._id)) {
+        return res.status(403).json({ 
+          success: false,
+          message: 'You do not have permission to cancel this hold' 
+        });
+      }
+    }
+
+    if (!OPEN_STATUSES.includes(hold.status)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Hold is already ${hold.status}` 
+      });
+    }
+
+    // Cancel the hold and hand a set-aside book to the next holder together
+    let cancelled;
+    let readyHold = null;
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      cancelled = await Hold.findOneAndUpdate(
+        { _id: hold._id, status: hold.status },
+        { status: 'cancelled' },
+        { new: true, session }
+      );
+      if (!cancelled) {
+        const error = new Error('Hold was updated by another request, please try again');
+        error.status = 409;
+        throw error;
+      }
+      if (hold.status === 'ready') {
+        readyHold = await circulation.promoteNextHold(hold.copy, session);
+      }
+    });
+
+    // Tell the next holder the book is waiting for them
+    notifications.notifyHoldReady(readyHold);
+    
+    // Return success response with cancelled hold
+    res.json({
+      success: true,
+      message: 'Hold cancelled successfully',
+      data: cancelled
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Hold not found' 
+      });
+    }
+    // Handle conflicts detected inside the transaction
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  } finally {
+    session?.endSession();
+  }
+};
+
+/**
+ * Reorder the hold queue of a book
+ * 
+ * Sets the order in which waiting members will be served. The request must
+ * list every waiting hold of the book exactly once. A ready hold is not part
+ * of the order because the book has already been set aside for it.
+ * 
+ * @route   PUT /api/books/:id/holds/order
+ * @access  Private (holds:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @param   {String[]} req.body.holdIds - Waiting hold IDs in the new order
+ * @returns {Object} Reordered hold queue
+ */
+exports.reorderHolds = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { holdIds } = req.body;
+
+    // The new order must contain exactly the current waiting holds
+    const waiting = await Hold.find({ book: req.params.id, status: 'waiting' }).select('_id');
+    const waitingIds = new Set(waiting.map(hold => hold._id.toString()));
+    const sameHolds = holdIds.length === waitingIds.size &&
+      new Set(holdIds).size === holdIds.length &&
+      holdIds.every(id => waitingIds.has(id));
+
+    if (!sameHolds) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'holdIds must list every waiting hold of this book exactly once' 
+      });
+    }
+
+    // Positions 1..n always sort before timestamp positions of holds placed later
+    await Hold.bulkWrite(holdIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, status: 'waiting' },
+        update: { position: index + 1 }
+      }
+    })));
+
+    const holds = await Hold.find({ book: req.params.id, status: { $in: OPEN_STATUSES } })
+      .populate('member', 'name email membershipId')
+      .sort({ status: 1, position: 1 });
+    
+    // Return success response with reordered queue
+    res.json({
+      success: true,
+      message: 'Hold queue reordered successfully',
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Purge the hold queue of a book
+ * 
+ * Cancels every open hold of the book. Copies that were set aside for a
+ * holder are put back on the shelf.
+ * 
+ * @route   DELETE /api/books/:id/holds
+ * @access  Private (holds:manage permission)
+ * @param   {String} req.params.id - Book MongoDB ObjectId
+ * @returns {Object} Number of holds cancelled
+ */
+exports.purgeHolds = async (req, res, next) => {
+  let session;
+  try {
+    // Check if book exists
+    const book = await Book.findById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+
+    // The queue ends up empty, so set-aside copies go back on the shelf
+    let cancelled = 0;
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      ({ cancelled } = await circulation.cancelHolds({ book: book._id }, session));
+    });
+    
+    // Return success response
+    res.json({
+      success: true,
+      message: `${cancelled} hold(s) cancelled successfully`,
+      count: cancelled
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Book not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  } finally {
+    session?.endSession();
+  }
+};
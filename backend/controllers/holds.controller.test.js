@@ -0,0 +1,253 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const Member = require('../models/Member.model');
+const Loan = require('../models/Loan.model');
+const Hold = require('../models/Hold.model');
+const circulation = require('../services/circulation.service');
+const notifications = require('../services/notification.service');
+const holdsController = require('./holds.controller');
+const { id, query, mockReq, mockRes, mockNext, mockTransaction, mockDocuments } = require('../testing/helpers');
+
+describe('holds controller', () => {
+  let book, member, user;
+
+  beforeEach(() => {
+    user = { _id: id(), name: 'Ada' };
+    book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', approvalStatus: 'approved', availability: false, requestedBy: id() });
+    member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1', user: user._id });
+  });
+
+  describe('placeHold', () => {
+    beforeEach((t) => {
+      mockDocuments(t, Hold);
+      t.mock.method(Book, 'findById', () => query(book));
+      t.mock.method(Member, 'findForUser', async () => member);
+      t.mock.method(Loan, 'exists', () => query(null));
+    });
+
+    const place = async (overrides = {}) => {
+      const req = mockReq({ params: { id: book._id.toString() }, user, permissions: [], ...overrides });
+      const res = mockRes();
+      await holdsController.placeHold(req, res, mockNext());
+      return res;
+    };
+
+    it('adds the member to the end of the queue and reports their position', async (t) => {
+      const create = t.mock.method(Hold, 'create', async (data) => new Hold(data));
+      t.mock.method(Hold, 'countDocuments', () => query(2));
+
+      const res = await place();
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(create.mock.calls[0].arguments[0], { book: book._id, member: member._id, placedBy: user._id });
+      assert.equal(res.body.data.status, 'waiting');
+      assert.equal(res.body.data.queuePosition, 3);
+    });
+
+    it('refuses a hold on a book that is on the shelf', async () => {
+      book.availability = true;
+
+      const res = await place();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Book is available, no hold needed');
+    });
+
+    it('hides unapproved books from regular users', async () => {
+      book.approvalStatus = 'pending';
+
+      const res = await place();
+
+      assert.equal(res.statusCode, 404);
+    });
+
+    it('refuses a hold on a book the member already borrowed', async (t) => {
+      t.mock.method(Loan, 'exists', () => query({ _id: id() }));
+
+      const res = await place();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'This book is already checked out to this member');
+    });
+
+    it('refuses a second open hold on the same book', async (t) => {
+      t.mock.method(Hold, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+
+      const res = await place();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Member already has a hold on this book');
+    });
+
+    it('lets staff place a hold for another member', async (t) => {
+      const other = new Member({ name: 'Bob', email: 'bob@example.com', membershipId: 'M-2' });
+      const findById = t.mock.method(Member, 'findById', () => query(other));
+      const create = t.mock.method(Hold, 'create', async (data) => new Hold(data));
+      t.mock.method(Hold, 'countDocuments', () => query(0));
+
+      const res = await place({ permissions: ['holds:manage'], body: { memberId: other._id.toString() } });
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(findById.mock.calls[0].arguments[0], other._id.toString());
+      assert.equal(create.mock.calls[0].arguments[0].member, other._id);
+    });
+
+    it('ignores memberId from users without holds:manage', async (t) => {
+      const findById = t.mock.method(Member, 'findById', () => query(null));
+      const create = t.mock.method(Hold, 'create', async (data) => new Hold(data));
+      t.mock.method(Hold, 'countDocuments', () => query(0));
+
+      await place({ body: { memberId: id().toString() } });
+
+      assert.equal(findById.mock.callCount(), 0);
+      assert.equal(create.mock.calls[0].arguments[0].member, member._id);
+    });
+  });
+
+  describe('cancelHold', () => {
+    let hold;
+
+    beforeEach((t) => {
+      hold = new Hold({ book: book._id, member: member._id, placedBy: user._id });
+      mockTransaction(t);
+      t.mock.method(Hold, 'findOne', () => query(hold));
+      t.mock.method(Member, 'findForUser', async () => member);
+      t.mock.method(notifications, 'notifyHoldReady', async () => null);
+    });
+
+    const cancel = async (overrides = {}) => {
+      const req = mockReq({ params: { id: book._id.toString(), holdId: hold._id.toString() }, user, permissions: [], ...overrides });
+      const res = mockRes();
+      await holdsController.cancelHold(req, res, mockNext());
+      return res;
+    };
+
+    it('lets members cancel their own hold', async (t) => {
+      const update = t.mock.method(Hold, 'findOneAndUpdate', () => query(new Hold({ ...hold.toObject(), status: 'cancelled' })));
+
+      const res = await cancel();
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(update.mock.calls[0].arguments[0], { _id: hold._id, status: 'waiting' });
+      assert.equal(res.body.data.status, 'cancelled');
+    });
+
+    it("forbids cancelling someone else's hold", async (t) => {
+      hold.member = id();
+      const update = t.mock.method(Hold, 'findOneAndUpdate', () => query(null));
+
+      const res = await cancel();
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('hands a set-aside copy to the next holder', async (t) => {
+      const copyId = id();
+      const next = new Hold({ book: book._id, member: id(), placedBy: id(), status: 'ready' });
+      Object.assign(hold, { status: 'ready', copy: copyId });
+      t.mock.method(Hold, 'findOneAndUpdate', () => query(new Hold({ ...hold.toObject(), status: 'cancelled' })));
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => next);
+
+      const res = await cancel({ permissions: ['holds:manage'], user: { _id: id() } });
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(promote.mock.calls[0].arguments[0], copyId);
+      assert.equal(notifications.notifyHoldReady.mock.calls[0].arguments[0], next);
+    });
+
+    it('refuses holds that are no longer open', async () => {
+      hold.status = 'fulfilled';
+
+      const res = await cancel();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Hold is already fulfilled');
+    });
+
+    it('reports a hold changed by a concurrent request', async (t) => {
+      t.mock.method(Hold, 'findOneAndUpdate', () => query(null));
+
+      const res = await cancel();
+
+      assert.equal(res.statusCode, 409);
+    });
+  });
+
+  describe('reorderHolds', () => {
+    const holdIds = [id(), id(), id()].map(String);
+
+    beforeEach((t) => {
+      t.mock.method(Hold, 'find', () => query(holdIds.map(holdId => ({ _id: holdId }))));
+    });
+
+    const reorder = async (ids) => {
+      const req = mockReq({ params: { id: book._id.toString() }, body: { holdIds: ids } });
+      const res = mockRes();
+      await holdsController.reorderHolds(req, res, mockNext());
+      return res;
+    };
+
+    it('numbers the waiting holds in the given order', async (t) => {
+      const write = t.mock.method(Hold, 'bulkWrite', async () => ({}));
+
+      const res = await reorder([holdIds[2], holdIds[0], holdIds[1]]);
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(write.mock.calls[0].arguments[0].map(op => [op.updateOne.filter._id, op.updateOne.update.position]), [
+        [holdIds[2], 1],
+        [holdIds[0], 2],
+        [holdIds[1], 3]
+      ]);
+    });
+
+    it('requires every waiting hold exactly once', async (t) => {
+      const write = t.mock.method(Hold, 'bulkWrite', async () => ({}));
+
+      for (const ids of [[holdIds[0], holdIds[1]], [holdIds[0], holdIds[0], holdIds[1]], [...holdIds.slice(1), id().toString()]]) {
+        const res = await reorder(ids);
+        assert.equal(res.statusCode, 400);
+      }
+      assert.equal(write.mock.callCount(), 0);
+    });
+  });
+
+  describe('purgeHolds', () => {
+    it("cancels the book's whole queue", async (t) => {
+      mockTransaction(t);
+      t.mock.method(Book, 'findById', () => query(book));
+      const cancel = t.mock.method(circulation, 'cancelHolds', async () => ({ cancelled: 2, promoted: [] }));
+      const res = mockRes();
+
+      await holdsController.purgeHolds(mockReq({ params: { id: book._id.toString() } }), res, mockNext());
+
+      assert.deepEqual(cancel.mock.calls[0].arguments[0], { book: book._id });
+      assert.equal(res.body.count, 2);
+    });
+  });
+
+  describe('getMyHolds', () => {
+    it('returns no holds for users without a membership', async (t) => {
+      t.mock.method(Member, 'findForUser', async () => null);
+      const find = t.mock.method(Hold, 'find', () => query([]));
+      const res = mockRes();
+
+      await holdsController.getMyHolds(mockReq({ user }), res, mockNext());
+
+      assert.deepEqual(res.body, { success: true, count: 0, data: [] });
+      assert.equal(find.mock.callCount(), 0);
+    });
+
+    it("lists the membership's holds", async (t) => {
+      t.mock.method(Member, 'findForUser', async () => member);
+      const find = t.mock.method(Hold, 'find', () => query([]));
+
+      await holdsController.getMyHolds(mockReq({ user }), mockRes(), mockNext());
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { member: member._id });
+    });
+  });
+});
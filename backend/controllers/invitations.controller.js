@@ -0,0 +1,353 @@
+/**
+ * Invitations Controller
+ * 
+ * This controller handles account invitations including:
+ * - Inviting someone by email with a pre-assigned role (users:manage)
+ * - Listing and revoking invitations (users:manage)
+ * - Accepting an invitation to create an account (Public, with the invitation link)
+ * 
+ * Invitation links carry a signed token (JWT) that expires after
+ * INVITATION_DAYS. The Invitation record makes each link single-use and
+ * revocable.
+ * 
+ * @module controllers/invitations.controller
+ */
+
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation.model');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const sessions = require('../services/session.service');
+const { getPermissions, hasPermission } = require('../services/permission.service');
+const { sendMail } = require('../services/mail.service');
+const { invitationDays } = require('../config/auth.config');
+const { appUrl } = require('../config/mail.config');
+const { parsePagination, pageMeta } = require('../utils/pagination.util');
+const { validationResult } = require('express-validator');
+
+// Purpose claim of invitation tokens, so no other JWT can be redeemed as one
+const INVITATION_PURPOSE = 'invitation';
+
+/**
+ * Build the filter matching invitations in a status
+ * 
+ * @param   {String} status - 'pending', 'accepted', 'revoked' or 'expired'
+ * @returns {Object} MongoDB filter
+ */
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Invite someone to create an account
+ * 
+ * Emails a signed invitation link for the given address and role. Earlier
+ * pending invitations to the same address are revoked. The role cannot grant
+ * permissions the inviting user does not have.
+ * 
+ * @route   POST /api/auth/invitations
+ * @access  Private (users:manage permission)
+ * @param   {String} req.body.email - Email address to invite
+ * @param   {String} req.body.role - Name of the account's role
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Created invitation
+ */
+exports.createInvitation = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { email, role } = req.body;
+
+    // Check if user with this email already exists (including the trash)
+    const userExists = await User.exists({ email: email.toLowerCase() }).setOptions({ withDeleted: true });
+    if (userExists) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'User already exists with this email' 
+      });
+    }
+
+    // Nobody can hand out permissions they do not have themselves
+    const withheld = (await getPermissions(role)).filter(permission => !hasPermission(req, permission));
+    if (withheld.length) {
+      return res.status(403).json({ 
+        success: false,
+        message: `You cannot invite someone as ${role}, it grants permissions you do not have (${withheld.join(', ')})` 
+      });
+    }
+
+    // Only the newest invitation to an address can be used
+    await Invitation.updateMany(
+      { email: email.toLowerCase(), ...statusFilter('pending') },
+      { revokedAt: new Date() }
+    );
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + invitationDays * 24 * 60 * 60 * 1000)
+    });
+
+    // Signed link; email and role are included so the accept page can show them
+    const token = jwt.sign(
+      { inv: invitation._id, email: invitation.email, role: invitation.role, purpose: INVITATION_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: invitationDays * 24 * 60 * 60 }
+    );
+
+    try {
+      await sendMail({
+        to: invitation.email,
+        subject: 'You are invited to the library',
+        text: 'Hello,\n\n'
+          + `${req.user.name} has invited you to create a library account (${invitation.role}).\n\n`
+          + `Use the link below to choose your name and password. It expires in ${invitationDays} days and can only be used once.\n\n`
+          + `${appUrl}/accept-invite?token=${token}`
+      });
+    } catch (mailError) {
+      // Nobody can redeem an invitation that was never delivered
+      await Invitation.deleteOne({ _id: invitation._id });
+      throw mailError;
+    }
+
+    // Return success response with created invitation
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get invitations
+ * 
+ * Returns a page of invitations, newest first, with who sent them and the
+ * account created from accepted ones.
+ * 
+ * @route   GET /api/auth/invitations
+ * @access  Private (users:manage permission)
+ * @param   {String} req.query.status - Optional filter ('pending', 'accepted', 'revoked' or 'expired')
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @returns {Object} Page of invitations with count, total, page, pages, limit and next
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const filter = statusFilter(req.query.status);
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches
+    const [invitations, total] = await Promise.all([
+      Invitation.find(filter)
+        .populate('invitedBy', 'name email')
+        .populate('acceptedBy', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Invitation.countDocuments(filter)
+    ]);
+
+    // Return success response with the page of invitations
+    res.json({
+      success: true,
+      ...pageMeta(pagination, invitations.length, total),
+      data: invitations
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Revoke an invitation
+ * 
+ * The invitation link stops working. Accepted invitations cannot be revoked;
+ * delete the account instead.
+ * 
+ * @route   DELETE /api/auth/invitations/:id
+ * @access  Private (users:manage permission)
+ * @param   {String} req.params.id - Invitation MongoDB ObjectId
+ * @returns {Object} Revoked invitation
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Invitation not found' 
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ 
+        success: false,
+        message: `Invitation is already ${invitation.status}` 
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    // Return success response with revoked invitation
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Invitation not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation
+ * 
+ * Creates an account with the invited email address and role and signs the
+ * new user in. The email address counts as verified, since the invitation was
+ * delivered to it. Each invitation can only be accepted once.
+ * 
+ * @route   POST /api/auth/invitations/accept
+ * @access  Public (requires a valid invitation token)
+ * @param   {String} req.body.token - Token from the invitation link
+ * @param   {String} req.body.name - User's full name
+ * @param   {String} req.body.password - User's password (min 6 characters)
+ * @returns {Object} Access token, refresh token and user data
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    // Check the signature and expiry of the link
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.token, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== INVITATION_PURPOSE) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invitation link is invalid or has expired' 
+      });
+    }
+
+    // Claim the invitation so it cannot be accepted twice
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: decoded.inv, ...statusFilter('pending') },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) {
+      const existing = await Invitation.findById(decoded.inv);
+      return res.status(400).json({ 
+        success: false,
+        message: existing ? `Invitation is already ${existing.status}` : 'Invitation link is invalid or has expired' 
+      });
+    }
+
+    // Create the account; release the invitation if that fails (e.g. the email was registered meanwhile)
+    let user;
+    try {
+      user = await User.create({
+        name: req.body.name,
+        email: invitation.email,
+        password: req.body.password, // Will be hashed by User model pre-save hook
+        role: invitation.role,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    } catch (error) {
+      await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+      throw error;
+    }
+
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+
+    // The invitation link proved the address, so an existing membership with it can be linked
+    await Member.linkVerifiedUser(user);
+
+    // Sign the new user in
+    const tokens = await sessions.createSession(user, req);
+
+    // Return success response with tokens and user data
+    res.status(201).json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: await getPermissions(user.role),
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    // Handle duplicate email error (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'User already exists with this email' 
+      });
+    }
+    // Handle invalid invitation id in the token
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invitation link is invalid or has expired' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
@@ -0,0 +1,215 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation.model');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const Role = require('../models/Role.model');
+const sessions = require('../services/session.service');
+const mail = require('../services/mail.service');
+const mailConfig = require('../config/mail.config');
+const invitationsController = require('./invitations.controller');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('invitations controller', () => {
+  let admin, savedTransport, sent;
+
+  before(() => {
+    process.env.JWT_SECRET ||= 'test-secret';
+  });
+
+  beforeEach(() => {
+    admin = { _id: id(), name: 'Grace' };
+
+    // Collect outgoing email
+    savedTransport = mailConfig.transport;
+    sent = [];
+    mail.registerTransport('test', async (message) => sent.push(message));
+    mailConfig.transport = 'test';
+  });
+
+  afterEach(() => {
+    mailConfig.transport = savedTransport;
+  });
+
+  describe('createInvitation', () => {
+    beforeEach((t) => {
+      t.mock.method(User, 'exists', () => query(null));
+      t.mock.method(Role, 'findOne', () => query({ permissions: ['books:manage', 'loans:manage'] }));
+      t.mock.method(Invitation, 'updateMany', () => query({ modifiedCount: 0 }));
+      t.mock.method(Invitation, 'create', async (data) => new Invitation(data));
+      t.mock.method(Invitation, 'deleteOne', () => query({ deletedCount: 1 }));
+    });
+
+    const invite = async (permissions = ['users:manage', 'books:manage', 'loans:manage']) => {
+      const req = mockReq({ body: { email: 'Lin@Example.com', role: 'Librarian' }, user: admin, permissions });
+      const res = mockRes();
+      await invitationsController.createInvitation(req, res, mockNext());
+      return res;
+    };
+
+    it('emails a signed, single-use link for the role and replaces earlier invitations', async () => {
+      const res = await invite();
+
+      assert.equal(res.statusCode, 201);
+      const filter = Invitation.updateMany.mock.calls[0].arguments[0];
+      assert.equal(filter.email, 'lin@example.com');
+      assert.equal(filter.acceptedAt, null);
+      assert.equal(filter.revokedAt, null);
+
+      const invitation = res.body.data;
+      assert.equal(invitation.role, 'Librarian');
+      assert.equal(invitation.invitedBy, admin._id);
+      assert.equal(sent[0].to, 'lin@example.com');
+
+      const token = sent[0].text.match(/\/accept-invite\?token=(\S+)/)[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      assert.equal(decoded.inv, invitation._id.toString());
+      assert.equal(decoded.role, 'Librarian');
+      assert.equal(decoded.purpose, 'invitation');
+    });
+
+    it('refuses roles that grant permissions the inviter does not have', async () => {
+      const res = await invite(['users:manage', 'books:manage']);
+
+      assert.equal(res.statusCode, 403);
+      assert.match(res.body.message, /grants permissions you do not have \(loans:manage\)/);
+      assert.equal(Invitation.create.mock.callCount(), 0);
+      assert.equal(sent.length, 0);
+    });
+
+    it('refuses addresses that already have an account, including trashed ones', async (t) => {
+      const exists = t.mock.method(User, 'exists', () => query({ _id: id() }));
+
+      const res = await invite();
+
+      assert.equal(res.statusCode, 400);
+      assert.deepEqual(exists.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+      assert.equal(Invitation.create.mock.callCount(), 0);
+    });
+
+    it('removes the invitation when the email cannot be sent', async () => {
+      mail.registerTransport('test', async () => {
+        throw new Error('SMTP down');
+      });
+      const next = mockNext();
+
+      await invitationsController.createInvitation(
+        mockReq({ body: { email: 'lin@example.com', role: 'Librarian' }, user: admin, permissions: ['books:manage', 'loans:manage'] }),
+        mockRes(),
+        next
+      );
+
+      assert.equal(next.error.message, 'SMTP down');
+      assert.equal(Invitation.deleteOne.mock.callCount(), 1);
+    });
+  });
+
+  describe('revokeInvitation', () => {
+    const revoke = async (invitation) => {
+      const res = mockRes();
+      await invitationsController.revokeInvitation(mockReq({ params: { id: invitation._id.toString() } }), res, mockNext());
+      return res;
+    };
+
+    it('revokes pending invitations', async (t) => {
+      const invitation = new Invitation({ email: 'lin@example.com', role: 'Librarian', invitedBy: admin._id, expiresAt: new Date(Date.now() + 60000) });
+      t.mock.method(Invitation, 'findById', () => query(invitation));
+      const save = t.mock.method(invitation, 'save', async () => invitation);
+
+      const res = await revoke(invitation);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(save.mock.callCount(), 1);
+      assert.equal(invitation.status, 'revoked');
+    });
+
+    it('refuses invitations that were already used', async (t) => {
+      const invitation = new Invitation({ email: 'lin@example.com', role: 'Librarian', invitedBy: admin._id, expiresAt: new Date(Date.now() + 60000), acceptedAt: new Date() });
+      t.mock.method(Invitation, 'findById', () => query(invitation));
+
+      const res = await revoke(invitation);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Invitation is already accepted');
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    let invitation;
+
+    beforeEach((t) => {
+      invitation = new Invitation({ email: 'lin@example.com', role: 'Librarian', invitedBy: admin._id, expiresAt: new Date(Date.now() + 60000), acceptedAt: new Date() });
+      t.mock.method(Invitation, 'findOneAndUpdate', () => query(invitation));
+      t.mock.method(Invitation, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(User, 'create', async (data) => new User(data));
+      t.mock.method(Member, 'linkVerifiedUser', async () => null);
+      t.mock.method(sessions, 'createSession', async () => ({ token: 'access', refreshToken: 'session.secret', expiresIn: 900 }));
+      t.mock.method(Role, 'findOne', () => query({ permissions: ['books:manage'] }));
+    });
+
+    const sign = (claims) => jwt.sign({ inv: invitation._id, purpose: 'invitation', ...claims }, process.env.JWT_SECRET);
+
+    const accept = async (token) => {
+      const res = mockRes();
+      await invitationsController.acceptInvitation(mockReq({ body: { token, name: 'Lin', password: 'secret123' } }), res, mockNext());
+      return res;
+    };
+
+    it('creates a verified account with the invited email and role and signs it in', async () => {
+      const res = await accept(sign());
+
+      assert.equal(res.statusCode, 201);
+      const filter = Invitation.findOneAndUpdate.mock.calls[0].arguments[0];
+      assert.equal(filter._id, invitation._id.toString());
+      assert.equal(filter.acceptedAt, null);
+
+      const created = User.create.mock.calls[0].arguments[0];
+      assert.equal(created.email, 'lin@example.com');
+      assert.equal(created.role, 'Librarian');
+      assert.equal(created.emailVerified, true);
+      assert.equal(Member.linkVerifiedUser.mock.callCount(), 1);
+      assert.deepEqual(res.body.user.permissions, ['books:manage']);
+      assert.equal(res.body.token, 'access');
+    });
+
+    it('rejects tokens that are forged, expired or not invitations', async () => {
+      const tokens = [
+        jwt.sign({ inv: invitation._id, purpose: 'invitation' }, 'wrong-secret'),
+        sign({ exp: Math.floor(Date.now() / 1000) - 60 }),
+        jwt.sign({ id: id() }, process.env.JWT_SECRET)
+      ];
+
+      for (const token of tokens) {
+        const res = await accept(token);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Invitation link is invalid or has expired');
+      }
+      assert.equal(Invitation.findOneAndUpdate.mock.callCount(), 0);
+      assert.equal(User.create.mock.callCount(), 0);
+    });
+
+    it('accepts each invitation once', async (t) => {
+      t.mock.method(Invitation, 'findOneAndUpdate', () => query(null));
+      t.mock.method(Invitation, 'findById', () => query(invitation));
+
+      const res = await accept(sign());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Invitation is already accepted');
+      assert.equal(User.create.mock.callCount(), 0);
+    });
+
+    it('releases the invitation when the account cannot be created', async (t) => {
+      t.mock.method(User, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+
+      const res = await accept(sign());
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'User already exists with this email');
+      assert.deepEqual(Invitation.updateOne.mock.calls[0].arguments, [{ _id: invitation._id }, { acceptedAt: null }]);
+    });
+  });
+});
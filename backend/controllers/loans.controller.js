@@ -0,0 +1,53 @@
+/**
+ * Loans Controller
+ * 
+ * This controller handles loan reporting operations including:
+ * - Listing overdue loans with their current fines (loans:view)
+ * 
+ * Checkout and return are handled by the books controller.
+ * 
+ * @module controllers/loans.controller
+ */
+
+const Loan = require('../models/Loan.model');
+const circulation = require('../services/circulation.service');
+
+/**
+ * Get overdue loans
+ * 
+ * Returns all active loans whose due date has passed, most overdue first.
+ * Each loan includes the number of days overdue and the fine accrued so far.
+ * 
+ * @route   GET /api/loans/overdue
+ * @access  Private (loans:view permission)
+ * @returns {Object} List of overdue loans
+ */
+exports.getOverdueLoans = async (req, res, next) => {
+  try {
+    const now = new Date();
+
+    // Find active loans past their due date
+    // Populate book and member so admins can follow up directly
+    const loans = await Loan.find({ status: 'active', dueDate: { $lt: now } })
+      .populate('book', 'title author ISBN')
+      .populate('member', 'name email membershipId fineBalance')
+      .sort({ dueDate: 1 }); // Sort by most overdue first
+
+    // Add live overdue information to each loan
+    const data = loans.map(loan => ({
+      ...loan.toObject(),
+      daysOverdue: circulation.getDaysOverdue(loan, now),
+      currentFine: circulation.calculateFine(loan, now)
+    }));
+    
+    // Return success response with overdue loans
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
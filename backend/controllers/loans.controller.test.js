@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Loan = require('../models/Loan.model');
+const circulation = require('../services/circulation.service');
+const loansController = require('./loans.controller');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('loans controller', () => {
+  describe('getOverdueLoans', () => {
+    it('lists active loans past due with their days overdue and current fine', async (t) => {
+      const loan = new Loan({ book: id(), copy: id(), member: id(), checkedOutBy: id(), dueDate: new Date(Date.now() - 10 * 86400000) });
+      const find = t.mock.method(Loan, 'find', () => query([loan]));
+      t.mock.method(circulation, 'calculateFine', () => 2);
+      const res = mockRes();
+
+      await loansController.getOverdueLoans(mockReq(), res, mockNext());
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.equal(filter.status, 'active');
+      assert.ok(filter.dueDate.$lt instanceof Date);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.data[0].daysOverdue, 10);
+      assert.equal(res.body.data[0].currentFine, 2);
+    });
+
+    it('passes database errors on', async (t) => {
+      const failure = new Error('connection lost');
+      t.mock.method(Loan, 'find', () => query(failure));
+      const next = mockNext();
+
+      await loansController.getOverdueLoans(mockReq(), mockRes(), next);
+
+      assert.equal(next.error, failure);
+    });
+  });
+});
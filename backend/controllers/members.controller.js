@@ -2,26 +2,80 @@
  * Members Controller
  * 
  * This controller handles all member-related operations including:
- * - Creating new members (Admin only)
- * - Viewing members and their borrowed books
- * - Updating member information (Admin only)
- * - Deleting members (Admin only)
+ * - Creating new members (members:manage)
+ * - Viewing members and their borrowed books (search, filters, sorting and pagination)
+ * - Exporting members as CSV, JSON or NDJSON (members:manage)
+ * - Updating member information (members:manage)
+ * - Deleting members, trash listing and restore (members:manage)
  * 
  * @module controllers/members.controller
  */
 
+const mongoose = require('mongoose');
 const Member = require('../models/Member.model');
+const User = require('../models/User.model');
+const Loan = require('../models/Loan.model');
+const circulation = require('../services/circulation.service');
+const notifications = require('../services/notification.service');
+const trash = require('../services/trash.service');
+const webhooks = require('../services/webhook.service');
+const { parsePagination, parseSort, searchFilter, dateRangeFilter, pageMeta } = require('../utils/pagination.util');
+const { streamExport } = require('../utils/export.util');
 const { validationResult } = require('express-validator');
 
+// Fields searched by the ?q= parameter of GET /api/members
+const MEMBER_SEARCH_FIELDS = ['name', 'email', 'membershipId'];
+
+// Fields GET /api/members can be sorted by
+const MEMBER_SORT_FIELDS = ['name', 'email', 'membershipId', 'role', 'fineBalance', 'createdAt', 'updatedAt'];
+
+// Columns of GET /api/members/export
+const MEMBER_EXPORT_COLUMNS = [
+  { key: 'id', value: member => member._id.toString() },
+  { key: 'name', value: member => member.name },
+  { key: 'email', value: member => member.email },
+  { key: 'membershipId', value: member => member.membershipId },
+  { key: 'role', value: member => member.role },
+  { key: 'fineBalance', value: member => member.fineBalance },
+  { key: 'borrowedBooks', value: member => member.borrowedBooks.length },
+  { key: 'linkedAccount', value: member => Boolean(member.user) },
+  { key: 'createdAt', value: member => member.createdAt },
+  { key: 'updatedAt', value: member => member.updatedAt }
+];
+
+/**
+ * Build the member filter of a listing or export from its query parameters
+ * 
+ * @async
+ * @param   {Object} query - Express req.query (q, role, hasOverdue, createdFrom, createdTo)
+ * @returns {Promise<Object>} Mongoose filter
+ */
+const buildMemberFilter = async (query) => {
+  const { q, role, hasOverdue, createdFrom, createdTo } = query;
+
+  const filter = { ...searchFilter(q, MEMBER_SEARCH_FIELDS) };
+  if (role) filter.role = role;
+  const createdAt = dateRangeFilter(createdFrom, createdTo);
+  if (createdAt) filter.createdAt = createdAt;
+  if (hasOverdue !== undefined) {
+    const overdueMembers = await circulation.getMembersWithOverdueLoans();
+    filter._id = hasOverdue ? { $in: overdueMembers } : { $nin: overdueMembers };
+  }
+
+  return filter;
+};
+
 /**
  * Create a new member
  * 
  * Allows administrators to create new library members.
  * Members can borrow books and have a unique membership ID.
+ * The member is linked to the user account with the same email, if one exists
+ * and its address is verified.
  * 
  * @route   POST /api/members
- * @access  Private (Admin only)
- * @param   {Object} req.body - Member data (name, email, membershipId, role, borrowedBooks)
+ * @access  Private (members:manage permission)
+ * @param   {Object} req.body - Member data (name, email, membershipId, role)
  * @returns {Object} Created member
  */
 exports.createMember = async (req, res, next) => {
@@ -35,8 +89,23 @@ exports.createMember = async (req, res, next) => {
       });
     }
 
+    // borrowedBooks and fineBalance are maintained by circulation and cannot be set directly
+    // user is linked automatically by verified email
+    // deletedAt and deletedBy are only changed by deleting and restoring the member
+    const { borrowedBooks, fineBalance, user, deletedAt, deletedBy, ...memberData } = req.body;
+
+    // Link the verified user account with the same email, unless it already owns a membership
+    // Unverified accounts are linked once they verify their address
+    const account = await User.findOne({ email: String(memberData.email).toLowerCase(), emailVerified: true });
+    if (account && !(await Member.exists({ user: account._id }))) {
+      memberData.user = account._id;
+    }
+
     // Create new member in database
-    const member = await Member.create(req.body);
+    const member = await Member.create(memberData);
+
+    // Notify subscribed systems
+    webhooks.emit('member.created', { member });
     
     // Return success response with created member
     res.status(201).json({
@@ -59,33 +128,112 @@ exports.createMember = async (req, res, next) => {
 };
 
 /**
- * Get all members
+ * Get members (search, filter, sort and paginate)
  * 
- * Returns a list of all library members with their borrowed books populated.
+ * Returns a page of library members with their borrowed books populated.
  * Accessible by any authenticated user.
  * 
+ * Query parameters:
+ * - q: Case-insensitive search across name, email and membershipId
+ * - role: Role name (e.g. 'Member')
+ * - hasOverdue: true or false (validated and converted by the route) - members with (or without) overdue loans
+ * - createdFrom, createdTo: Creation date range (ISO 8601)
+ * - sort: Comma-separated fields, '-' prefix for descending (default: -createdAt)
+ * - page, limit: Page-based pagination (default page 1, 20 per page, max 100)
+ * 
  * @route   GET /api/members
  * @access  Private (Any authenticated user)
- * @returns {Object} List of all members
+ * @param   {Object} req.query - Search, filter, sort and pagination parameters
+ * @returns {Object} Page of members with count, total, page, pages, limit and next
  */
 exports.getMembers = async (req, res, next) => {
   try {
-    // Find all members
-    // populate('borrowedBooks') replaces ObjectIds with full Book documents
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const filter = await buildMemberFilter(req.query);
+    const sort = parseSort(req.query.sort, MEMBER_SORT_FIELDS, { createdAt: -1, _id: 1 });
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches
+    // populate('borrowedBooks') replaces ObjectIds with Book documents
     // Only includes title, author, and ISBN fields from Book documents
-    // sort({ createdAt: -1 }) sorts by newest first
-    const members = await Member.find()
-      .populate('borrowedBooks', 'title author ISBN')
-      .sort({ createdAt: -1 });
+    const [members, total] = await Promise.all([
+      Member.find(filter)
+        .populate('borrowedBooks', 'title author ISBN')
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Member.countDocuments(filter)
+    ]);
     
-    // Return success response with member list
+    // Return success response with the page of members
     res.json({
       success: true,
-      count: members.length,
+      ...pageMeta(pagination, members.length, total),
       data: members
     });
   } catch (error) {
-    // Pass errors to error handling middleware
+    // Handle invalid sort fields
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Export members
+ * 
+ * Streams every member matching the listing filters as a file download.
+ * 
+ * Query parameters:
+ * - format: 'csv' (default), 'json' or 'ndjson'
+ * - q, role, hasOverdue, createdFrom, createdTo, sort: Same as GET /api/members
+ * 
+ * @route   GET /api/members/export
+ * @access  Private (members:manage permission)
+ * @param   {Object} req.query - Format, filter and sort parameters
+ * @returns {Stream} members-<date>.<format> attachment
+ */
+exports.exportMembers = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const filter = await buildMemberFilter(req.query);
+    const sort = parseSort(req.query.sort, MEMBER_SORT_FIELDS, { createdAt: -1, _id: 1 });
+
+    await streamExport(res, Member.find(filter).sort(sort).cursor(), {
+      format: req.query.format || 'csv',
+      filename: 'members',
+      columns: MEMBER_EXPORT_COLUMNS
+    });
+  } catch (error) {
+    // Handle invalid sort fields
+    if (error.status) {
+      return res.status(error.status).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    // Pass other errors to error handling middleware
     next(error);
   }
 };
@@ -138,10 +286,11 @@ exports.getMember = async (req, res, next) => {
  * Update member
  * 
  * Allows administrators to update member information.
- * Can update name, email, membershipId, role, or borrowedBooks.
+ * Can update name, email, membershipId, or role. Borrowed books are managed
+ * through book checkout and return (see books controller).
  * 
  * @route   PUT /api/members/:id
- * @access  Private (Admin only)
+ * @access  Private (members:manage permission)
  * @param   {String} req.params.id - Member MongoDB ObjectId
  * @param   {Object} req.body - Updated member data
  * @returns {Object} Updated member
@@ -171,11 +320,27 @@ exports.updateMember = async (req, res, next) => {
     // new: true returns the updated document instead of the original
     // runValidators: true ensures schema validators run on update
     // populate('borrowedBooks') populates the borrowedBooks field with Book documents
+    // borrowedBooks and fineBalance are maintained by circulation and cannot be set directly
+    // user is linked automatically by verified email
+    // deletedAt and deletedBy are only changed by deleting and restoring the member
+    const { borrowedBooks, fineBalance, user, deletedAt, deletedBy, ...memberData } = req.body;
+
+    // An unlinked member whose email changed may now match a verified user account
+    if (!member.user && memberData.email) {
+      const account = await User.findOne({ email: String(memberData.email).toLowerCase(), emailVerified: true });
+      if (account && !(await Member.exists({ user: account._id }))) {
+        memberData.user = account._id;
+      }
+    }
+
     member = await Member.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      memberData,
       { new: true, runValidators: true }
     ).populate('borrowedBooks', 'title author ISBN');
+
+    // Notify subscribed systems
+    webhooks.emit('member.updated', { member });
     
     // Return success response with updated member
     res.json({
@@ -207,15 +372,18 @@ exports.updateMember = async (req, res, next) => {
 /**
  * Delete member
  * 
- * Permanently removes a member from the database.
- * This action cannot be undone.
+ * Moves a member to the trash and cancels their open holds; copies set aside
+ * for them pass to the next holder. The member is hidden until an admin
+ * restores it, and is permanently removed once the trash retention period
+ * has passed. Members with active loans cannot be deleted.
  * 
  * @route   DELETE /api/members/:id
- * @access  Private (Admin only)
+ * @access  Private (members:manage permission)
  * @param   {String} req.params.id - Member MongoDB ObjectId
  * @returns {Object} Success message
  */
 exports.deleteMember = async (req, res, next) => {
+  let session;
   try {
     // Check if member exists before attempting to delete
     const member = await Member.findById(req.params.id);
@@ -227,13 +395,32 @@ exports.deleteMember = async (req, res, next) => {
       });
     }
 
-    // Permanently delete member from database
-    await Member.findByIdAndDelete(req.params.id);
+    // Books must be returned first, or their loans would be left without a member
+    const activeLoans = await Loan.countDocuments({ member: member._id, status: 'active' });
+    if (activeLoans) {
+      return res.status(409).json({ 
+        success: false,
+        message: `Member has ${activeLoans} active loan(s) and cannot be deleted` 
+      });
+    }
+
+    // Cancel the member's holds (books set aside for them go to the next holder)
+    // and move the member to the trash in one transaction
+    let promoted = [];
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      ({ promoted } = await circulation.cancelHolds({ member: member._id }, session));
+      await member.softDelete(req.user._id, session);
+    });
+    promoted.forEach(hold => notifications.notifyHoldReady(hold));
+
+    // Notify subscribed systems
+    webhooks.emit('member.deleted', { member });
     
     // Return success response
     res.json({
       success: true,
-      message: 'Member deleted successfully'
+      message: 'Member moved to trash'
     });
   } catch (error) {
     // Handle invalid MongoDB ObjectId format
@@ -245,5 +432,84 @@ exports.deleteMember = async (req, res, next) => {
     }
     // Pass other errors to error handling middleware
     next(error);
+  } finally {
+    session?.endSession();
+  }
+};
+
+/**
+ * Get deleted members
+ * 
+ * Returns a page of members in the trash, most recently deleted first, with
+ * who deleted them and when they will be permanently removed (purgeAt).
+ * 
+ * @route   GET /api/members/trash
+ * @access  Private (members:manage permission)
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @returns {Object} Page of deleted members with count, total, page, pages, limit and next
+ */
+exports.getDeletedMembers = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    const { records, total } = await trash.getTrashPage(Member, pagination);
+
+    res.json({
+      success: true,
+      ...pageMeta(pagination, records.length, total),
+      data: records
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Restore a deleted member
+ * 
+ * Takes a member out of the trash with its borrowed books, fines and user link.
+ * 
+ * @route   PUT /api/members/:id/restore
+ * @access  Private (members:manage permission)
+ * @param   {String} req.params.id - Member MongoDB ObjectId
+ * @returns {Object} Restored member
+ */
+exports.restoreMember = async (req, res, next) => {
+  try {
+    const member = await Member.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!member) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Member not found in trash' 
+      });
+    }
+
+    await member.restore();
+
+    res.json({
+      success: true,
+      message: 'Member restored successfully',
+      data: member
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Member not found in trash' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
   }
 };
@@ -0,0 +1,211 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Member = require('../models/Member.model');
+const User = require('../models/User.model');
+const Loan = require('../models/Loan.model');
+const Hold = require('../models/Hold.model');
+const circulation = require('../services/circulation.service');
+const notifications = require('../services/notification.service');
+const webhooks = require('../services/webhook.service');
+const membersController = require('./members.controller');
+const membersRoutes = require('../routes/members.routes');
+const { id, query, mockReq, mockRes, mockNext, mockTransaction, validate } = require('../testing/helpers');
+
+describe('members controller', () => {
+  describe('getMembers', () => {
+    const list = async (t, reqQuery) => {
+      const find = t.mock.method(Member, 'find', () => query([]));
+      t.mock.method(Member, 'countDocuments', () => query(0));
+      const req = await validate(membersRoutes, 'get', '/', mockReq({ query: reqQuery }));
+      const res = mockRes();
+      await membersController.getMembers(req, res, mockNext());
+      return { res, find };
+    };
+
+    it('searches name, email and membership id and filters by role and join date', async (t) => {
+      const { find } = await list(t, { q: 'ada', role: 'Member', createdFrom: '2026-01-01' });
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.$or.map(condition => Object.keys(condition)[0]), ['name', 'email', 'membershipId']);
+      assert.equal(filter.role, 'Member');
+      assert.deepEqual(filter.createdAt, { $gte: new Date('2026-01-01') });
+    });
+
+    it('filters members with and without overdue loans', async (t) => {
+      const overdue = [id(), id()];
+      t.mock.method(circulation, 'getMembersWithOverdueLoans', async () => overdue);
+
+      const { find: withOverdue } = await list(t, { hasOverdue: 'true' });
+      assert.deepEqual(withOverdue.mock.calls[0].arguments[0]._id, { $in: overdue });
+
+      const { find: withoutOverdue } = await list(t, { hasOverdue: 'false' });
+      assert.deepEqual(withoutOverdue.mock.calls[0].arguments[0]._id, { $nin: overdue });
+    });
+
+    it('reads hasOverdue=1 and hasOverdue=0 like true and false', async (t) => {
+      const overdue = [id()];
+      t.mock.method(circulation, 'getMembersWithOverdueLoans', async () => overdue);
+
+      const { find: withOverdue } = await list(t, { hasOverdue: '1' });
+      assert.deepEqual(withOverdue.mock.calls[0].arguments[0]._id, { $in: overdue });
+
+      const { find: withoutOverdue } = await list(t, { hasOverdue: '0' });
+      assert.deepEqual(withoutOverdue.mock.calls[0].arguments[0]._id, { $nin: overdue });
+    });
+
+    it('sorts and pages the members', async (t) => {
+      const { res, find } = await list(t, { sort: '-fineBalance', page: '2', limit: '5' });
+
+      const { calls } = find.mock.calls[0].result;
+      assert.deepEqual(calls.sort, [{ fineBalance: -1, _id: 1 }]);
+      assert.deepEqual(calls.skip, [5]);
+      assert.equal(res.body.page, 2);
+    });
+
+    it('rejects sorting by unknown fields', async (t) => {
+      const { res } = await list(t, { sort: 'user' });
+
+      assert.equal(res.statusCode, 400);
+    });
+  });
+
+  describe('exportMembers', () => {
+    it('streams the filtered members as records', async (t) => {
+      const member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1', fineBalance: 2.5, borrowedBooks: [id(), id()], user: id() });
+      const find = t.mock.method(Member, 'find', () => query([member]));
+      const res = mockRes();
+
+      await membersController.exportMembers(mockReq({ query: { format: 'ndjson', role: 'Member' } }), res, mockNext());
+
+      assert.equal(find.mock.calls[0].arguments[0].role, 'Member');
+      assert.match(res.headers['content-disposition'], /^attachment; filename="members-\d{4}-\d{2}-\d{2}\.ndjson"$/);
+      const record = JSON.parse(res.text);
+      assert.equal(record.membershipId, 'M-1');
+      assert.equal(record.fineBalance, 2.5);
+      assert.equal(record.borrowedBooks, 2);
+      assert.equal(record.linkedAccount, true);
+    });
+
+    it('exports the same members as the listing for hasOverdue=1', async (t) => {
+      const overdue = [id()];
+      t.mock.method(circulation, 'getMembersWithOverdueLoans', async () => overdue);
+      const find = t.mock.method(Member, 'find', () => query([]));
+      const req = await validate(membersRoutes, 'get', '/export', mockReq({ query: { format: 'csv', hasOverdue: '1' } }));
+
+      await membersController.exportMembers(req, mockRes(), mockNext());
+
+      assert.deepEqual(find.mock.calls[0].arguments[0]._id, { $in: overdue });
+    });
+  });
+
+  describe('deleteMember', () => {
+    let member, session;
+
+    beforeEach((t) => {
+      member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1' });
+      session = mockTransaction(t);
+      t.mock.method(Member, 'findById', () => query(member));
+      t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(notifications, 'notifyHoldReady', async () => null);
+      t.mock.method(webhooks, 'emit', async () => {});
+    });
+
+    const remove = async () => {
+      const res = mockRes();
+      await membersController.deleteMember(mockReq({ params: { id: member._id.toString() }, user: { _id: id() } }), res, mockNext());
+      return res;
+    };
+
+    it('cancels their holds and moves the member to the trash in one transaction, then notifies the next holders', async (t) => {
+      const next = new Hold({ book: id(), member: id(), placedBy: id(), status: 'ready' });
+      t.mock.method(Loan, 'countDocuments', () => query(0));
+      const cancel = t.mock.method(circulation, 'cancelHolds', async () => ({ cancelled: 1, promoted: [next] }));
+
+      const res = await remove();
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(cancel.mock.calls[0].arguments, [{ member: member._id }, session]);
+      assert.equal(notifications.notifyHoldReady.mock.calls[0].arguments[0], next);
+      assert.ok(member.deletedAt instanceof Date);
+      assert.deepEqual(Member.updateOne.mock.calls[0].arguments[2], { session });
+      assert.equal(webhooks.emit.mock.calls[0].arguments[0], 'member.deleted');
+      assert.ok(session.ended);
+    });
+
+    it('refuses members with active loans', async (t) => {
+      const count = t.mock.method(Loan, 'countDocuments', () => query(2));
+      const cancel = t.mock.method(circulation, 'cancelHolds', async () => ({ cancelled: 0, promoted: [] }));
+
+      const res = await remove();
+
+      assert.deepEqual(count.mock.calls[0].arguments[0], { member: member._id, status: 'active' });
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.message, 'Member has 2 active loan(s) and cannot be deleted');
+      assert.equal(cancel.mock.callCount(), 0);
+      assert.equal(member.deletedAt, null);
+    });
+  });
+
+  describe('restoreMember', () => {
+    it('takes the member out of the trash', async (t) => {
+      const member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1', deletedAt: new Date() });
+      t.mock.method(Member, 'findOne', () => query(member));
+      const update = t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+      const res = mockRes();
+
+      await membersController.restoreMember(mockReq({ params: { id: member._id.toString() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(update.mock.calls[0].arguments[1], { deletedAt: null, deletedBy: null });
+    });
+  });
+
+  describe('linking user accounts', () => {
+    let account;
+
+    beforeEach((t) => {
+      account = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', emailVerified: true });
+      t.mock.method(webhooks, 'emit', async () => {});
+    });
+
+    it('links a new member to the verified account with the same email', async (t) => {
+      const findUser = t.mock.method(User, 'findOne', () => query(account));
+      t.mock.method(Member, 'exists', () => query(null));
+      const create = t.mock.method(Member, 'create', async (data) => new Member(data));
+      const res = mockRes();
+
+      await membersController.createMember(mockReq({ body: { name: 'Ada', email: 'Ada@Example.com', membershipId: 'M-1', user: id(), fineBalance: 99 } }), res, mockNext());
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual(findUser.mock.calls[0].arguments[0], { email: 'ada@example.com', emailVerified: true });
+      const data = create.mock.calls[0].arguments[0];
+      assert.equal(data.user, account._id);
+      assert.equal(data.fineBalance, undefined);
+      assert.equal(webhooks.emit.mock.calls[0].arguments[0], 'member.created');
+    });
+
+    it('leaves the member unlinked when the account already has a membership', async (t) => {
+      t.mock.method(User, 'findOne', () => query(account));
+      t.mock.method(Member, 'exists', () => query({ _id: id() }));
+      const create = t.mock.method(Member, 'create', async (data) => new Member(data));
+
+      await membersController.createMember(mockReq({ body: { name: 'Ada', email: 'ada@example.com', membershipId: 'M-1' } }), mockRes(), mockNext());
+
+      assert.equal(create.mock.calls[0].arguments[0].user, undefined);
+    });
+
+    it('links an unlinked member whose email changed to a verified account', async (t) => {
+      const member = new Member({ name: 'Ada', email: 'old@example.com', membershipId: 'M-1' });
+      t.mock.method(Member, 'findById', () => query(member));
+      const findUser = t.mock.method(User, 'findOne', () => query(account));
+      t.mock.method(Member, 'exists', () => query(null));
+      const update = t.mock.method(Member, 'findByIdAndUpdate', () => query(member));
+
+      await membersController.updateMember(mockReq({ params: { id: member._id.toString() }, body: { email: 'ada@example.com' } }), mockRes(), mockNext());
+
+      assert.equal(findUser.mock.calls[0].arguments[0].emailVerified, true);
+      assert.equal(update.mock.calls[0].arguments[1].user, account._id);
+      assert.deepEqual(webhooks.emit.mock.calls[0].arguments, ['member.updated', { member }]);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Notifications Controller
+ * 
+ * This controller handles the current user's notification inbox including:
+ * - Listing notifications with the number of unread ones
+ * - Marking one or all notifications as read
+ * - Reading and changing which notification types the user receives
+ * 
+ * Notifications are created by the notification service. Users only ever
+ * see and change their own notifications.
+ * 
+ * @module controllers/notifications.controller
+ */
+
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const { parsePagination, pageMeta } = require('../utils/pagination.util');
+const { validationResult } = require('express-validator');
+
+/**
+ * Build the preference list of a user
+ * 
+ * @param   {Object} user - User document
+ * @returns {Object[]} One { type, description, enabled } entry per notification type
+ */
+const preferencesOf = (user) => Object.entries(Notification.TYPES).map(([type, description]) => ({
+  type,
+  description,
+  enabled: !user.mutedNotifications.includes(type)
+}));
+
+/**
+ * Get notifications
+ * 
+ * Returns a page of the current user's notifications, newest first, with
+ * the number of unread notifications.
+ * 
+ * @route   GET /api/notifications
+ * @access  Private
+ * @param   {String} req.query.unread - Optional filter ('true' for unread only, 'false' for read only)
+ * @param   {String} req.query.type - Optional notification type filter
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Page of notifications with count, total, page, pages, limit, next and unreadCount
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (req.query.unread === 'false') filter.readAt = { $ne: null };
+    if (req.query.type) filter.type = req.query.type;
+
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page, the total number of matches and the unread count
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    // Return success response with the page of notifications
+    res.json({
+      success: true,
+      ...pageMeta(pagination, notifications.length, total),
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get the number of unread notifications
+ * 
+ * Cheap enough to poll, e.g. for a badge in the navigation bar.
+ * 
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Unread count
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    // Return success response with the count
+    res.json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * 
+ * Marking a notification that is already read keeps its original read time.
+ * 
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private (own notifications only)
+ * @param   {String} req.params.id - Notification MongoDB ObjectId
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Updated notification and the remaining unread count
+ */
+exports.markRead = async (req, res, next) => {
+  try {
+    // Other users' notifications are reported as not found
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Notification not found' 
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    // Return success response with updated notification
+    res.json({
+      success: true,
+      unreadCount,
+      data: notification
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Notification not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Mark all notifications as read
+ * 
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Number of notifications marked as read
+ */
+exports.markAllRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    // Return success response
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      count: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get notification preferences
+ * 
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Every notification type with whether the user receives it
+ */
+exports.getPreferences = (req, res) => {
+  res.json({
+    success: true,
+    data: preferencesOf(req.user)
+  });
+};
+
+/**
+ * Update notification preferences
+ * 
+ * Only the listed types are changed; switching a type off does not remove
+ * notifications already received.
+ * 
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ * @param   {Object} req.body.preferences - Map of notification type to true (receive) or false (mute)
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Updated preferences
+ * 
+ * @example
+ * // PUT /api/notifications/preferences
+ * // { "preferences": { "book.comment": false, "hold.ready": true } }
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const muted = new Set(req.user.mutedNotifications);
+    for (const [type, enabled] of Object.entries(req.body.preferences)) {
+      if (enabled) {
+        muted.delete(type);
+      } else {
+        muted.add(type);
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { mutedNotifications: [...muted] },
+      { new: true, runValidators: true }
+    ).select('mutedNotifications');
+
+    // Return success response with updated preferences
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: preferencesOf(user)
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const notificationsController = require('./notifications.controller');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('notifications controller', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', mutedNotifications: ['book.comment'] });
+  });
+
+  describe('getNotifications', () => {
+    it("lists the user's own notifications with the unread count", async (t) => {
+      const find = t.mock.method(Notification, 'find', () => query([]));
+      t.mock.method(Notification, 'countDocuments', (filter) => query(filter.readAt === null && !filter.type ? 4 : 10));
+      const res = mockRes();
+
+      await notificationsController.getNotifications(mockReq({ query: { unread: 'false', type: 'hold.ready' }, user }), res, mockNext());
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { user: user._id, readAt: { $ne: null }, type: 'hold.ready' });
+      assert.equal(res.body.unreadCount, 4);
+    });
+  });
+
+  describe('markRead', () => {
+    const mark = async () => {
+      const res = mockRes();
+      await notificationsController.markRead(mockReq({ params: { id: id().toString() }, user }), res, mockNext());
+      return res;
+    };
+
+    it('marks an own notification as read and keeps the first read time', async (t) => {
+      const notification = new Notification({ user: user._id, type: 'hold.ready', title: 'Ready' });
+      const findOne = t.mock.method(Notification, 'findOne', () => query(notification));
+      const save = t.mock.method(notification, 'save', async () => notification);
+      t.mock.method(Notification, 'countDocuments', () => query(0));
+
+      await mark();
+      const readAt = notification.readAt;
+      await mark();
+
+      assert.equal(findOne.mock.calls[0].arguments[0].user, user._id);
+      assert.ok(readAt instanceof Date);
+      assert.equal(notification.readAt, readAt);
+      assert.equal(save.mock.callCount(), 1);
+    });
+
+    it("reports other users' notifications as not found", async (t) => {
+      t.mock.method(Notification, 'findOne', () => query(null));
+
+      const res = await mark();
+
+      assert.equal(res.statusCode, 404);
+    });
+  });
+
+  describe('markAllRead', () => {
+    it("marks only the user's unread notifications", async (t) => {
+      const update = t.mock.method(Notification, 'updateMany', () => query({ modifiedCount: 3 }));
+      const res = mockRes();
+
+      await notificationsController.markAllRead(mockReq({ user }), res, mockNext());
+
+      assert.deepEqual(update.mock.calls[0].arguments[0], { user: user._id, readAt: null });
+      assert.equal(res.body.count, 3);
+    });
+  });
+
+  describe('preferences', () => {
+    it('lists every type with whether it is received', () => {
+      const res = mockRes();
+
+      notificationsController.getPreferences(mockReq({ user }), res);
+
+      assert.deepEqual(res.body.data.map(({ type, enabled }) => [type, enabled]), [
+        ['book.approved', true],
+        ['book.rejected', true],
+        ['book.comment', false],
+        ['hold.ready', true]
+      ]);
+    });
+
+    it('changes only the listed types', async (t) => {
+      const update = t.mock.method(User, 'findByIdAndUpdate', (userId, changes) => query(new User({ ...user.toObject(), ...changes })));
+      const res = mockRes();
+
+      await notificationsController.updatePreferences(mockReq({ body: { preferences: { 'book.comment': true, 'hold.ready': false } }, user }), res, mockNext());
+
+      assert.deepEqual(update.mock.calls[0].arguments[1], { mutedNotifications: ['hold.ready'] });
+      assert.equal(res.body.data.find(preference => preference.type === 'hold.ready').enabled, false);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Roles Controller
+ * 
+ * This controller handles roles and their permissions including:
+ * - Listing roles and the permission catalogue (Any authenticated user)
+ * - Creating, updating and deleting roles (roles:manage)
+ * 
+ * The built-in roles (Admin, Librarian, Member) cannot be renamed or
+ * deleted, and Admin always keeps every permission (see permission service).
+ * 
+ * @module controllers/roles.controller
+ */
+
+const Role = require('../models/Role.model');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const Invitation = require('../models/Invitation.model');
+const { validationResult } = require('express-validator');
+
+/**
+ * Get roles
+ * 
+ * Returns every role with its permissions and the number of users that have
+ * it (users in the trash are not counted).
+ * 
+ * @route   GET /api/roles
+ * @access  Private (Any authenticated user)
+ * @returns {Object} List of roles
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ system: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    // Return success response with the roles
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({ ...role.toJSON(), userCount: userCounts.get(role.name) || 0 }))
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get the permission catalogue
+ * 
+ * @route   GET /api/roles/permissions
+ * @access  Private (Any authenticated user)
+ * @returns {Object} Permissions with what each allows
+ */
+exports.getPermissionCatalogue = (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+/**
+ * Create a role
+ * 
+ * @route   POST /api/roles
+ * @access  Private (roles:manage permission)
+ * @param   {String} req.body.name - Role name (must be unique)
+ * @param   {String} req.body.description - Optional description
+ * @param   {String[]} req.body.permissions - Permissions granted by the role
+ * @returns {Object} Created role
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+    const role = await Role.create({ name, description, permissions });
+
+    // Return success response with created role
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    // Handle duplicate role name (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'A role with this name already exists' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Update a role
+ * 
+ * Renaming a role also renames it on every user, member and invitation that
+ * has it. Built-in roles cannot be renamed and the permissions of Admin
+ * cannot be changed.
+ * 
+ * @route   PUT /api/roles/:id
+ * @access  Private (roles:manage permission)
+ * @param   {String} req.params.id - Role MongoDB ObjectId
+ * @param   {String} req.body.name - Optional new name
+ * @param   {String} req.body.description - Optional new description
+ * @param   {String[]} req.body.permissions - Optional new permissions
+ * @returns {Object} Updated role
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Role not found' 
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+    const previousName = role.name;
+
+    if (name !== undefined && name !== role.name && role.system) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Built-in roles cannot be renamed' 
+      });
+    }
+
+    if (permissions !== undefined && role.name === 'Admin') {
+      return res.status(400).json({ 
+        success: false,
+        message: 'The Admin role always has every permission' 
+      });
+    }
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    await role.save();
+
+    // Move everyone who had the role over to its new name
+    if (role.name !== previousName) {
+      await Promise.all([
+        User.updateMany({ role: previousName }, { role: role.name }).setOptions({ withDeleted: true }),
+        Member.updateMany({ role: previousName }, { role: role.name }).setOptions({ withDeleted: true }),
+        Invitation.updateMany({ role: previousName }, { role: role.name })
+      ]);
+    }
+
+    // Return success response with updated role
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    // Handle duplicate role name (unique constraint violation)
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'A role with this name already exists' 
+      });
+    }
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Role not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Delete a role
+ * 
+ * Built-in roles and roles that users, members or pending invitations still
+ * have cannot be deleted.
+ * 
+ * @route   DELETE /api/roles/:id
+ * @access  Private (roles:manage permission)
+ * @param   {String} req.params.id - Role MongoDB ObjectId
+ * @returns {Object} Success message
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Role not found' 
+      });
+    }
+
+    if (role.system) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Built-in roles cannot be deleted' 
+      });
+    }
+
+    // Count everything still referring to the role, including the trash
+    const [users, members, invitations] = await Promise.all([
+      User.countDocuments({ role: role.name }).setOptions({ withDeleted: true }),
+      Member.countDocuments({ role: role.name }).setOptions({ withDeleted: true }),
+      Invitation.countDocuments({ role: role.name, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+    if (users || members || invitations) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Role is still in use by ${users} user(s), ${members} member(s) and ${invitations} pending invitation(s)` 
+      });
+    }
+
+    await role.deleteOne();
+
+    // Return success response
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Role not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Role = require('../models/Role.model');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const Invitation = require('../models/Invitation.model');
+const rolesController = require('./roles.controller');
+const { query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('roles controller', () => {
+  let role;
+
+  beforeEach(() => {
+    role = new Role({ name: 'Volunteer', permissions: ['loans:view'] });
+    role.isNew = false;
+  });
+
+  describe('getRoles', () => {
+    it('counts the users of each role', async (t) => {
+      const admin = new Role({ name: 'Admin', permissions: ['users:manage'], system: true });
+      t.mock.method(Role, 'find', () => query([admin, role]));
+      t.mock.method(User, 'aggregate', () => query([{ _id: 'Admin', count: 2 }]));
+      const res = mockRes();
+
+      await rolesController.getRoles(mockReq(), res, mockNext());
+
+      assert.deepEqual(res.body.data.map(({ name, userCount }) => [name, userCount]), [['Admin', 2], ['Volunteer', 0]]);
+      assert.deepEqual(Role.find.mock.calls[0].result.calls.sort, [{ system: -1, name: 1 }]);
+    });
+  });
+
+  describe('getPermissionCatalogue', () => {
+    it('describes every permission', () => {
+      const res = mockRes();
+
+      rolesController.getPermissionCatalogue(mockReq(), res);
+
+      assert.equal(res.body.data.length, Object.keys(Role.PERMISSIONS).length);
+      assert.deepEqual(res.body.data.find(permission => permission.name === 'books:manage'), { name: 'books:manage', description: Role.PERMISSIONS['books:manage'] });
+    });
+  });
+
+  describe('updateRole', () => {
+    beforeEach((t) => {
+      t.mock.method(Role, 'findById', () => query(role));
+      t.mock.method(role, 'save', async () => role);
+      for (const Model of [User, Member, Invitation]) {
+        t.mock.method(Model, 'updateMany', () => query({ modifiedCount: 1 }));
+      }
+    });
+
+    const update = async (body) => {
+      const res = mockRes();
+      await rolesController.updateRole(mockReq({ params: { id: role._id.toString() }, body }), res, mockNext());
+      return res;
+    };
+
+    it('renames the role on every user, member and invitation, including trashed ones', async () => {
+      const res = await update({ name: 'Helper' });
+
+      assert.equal(res.statusCode, 200);
+      for (const Model of [User, Member, Invitation]) {
+        assert.deepEqual(Model.updateMany.mock.calls[0].arguments, [{ role: 'Volunteer' }, { role: 'Helper' }]);
+      }
+      assert.deepEqual(User.updateMany.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+      assert.deepEqual(Member.updateMany.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+    });
+
+    it('changes permissions without touching the holders', async () => {
+      const res = await update({ permissions: ['loans:view', 'holds:manage'] });
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual([...role.permissions], ['loans:view', 'holds:manage']);
+      assert.equal(User.updateMany.mock.callCount(), 0);
+    });
+
+    it('keeps built-in role names and the permissions of Admin', async () => {
+      Object.assign(role, { name: 'Admin', system: true });
+
+      let res = await update({ name: 'Root' });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Built-in roles cannot be renamed');
+
+      res = await update({ permissions: [] });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'The Admin role always has every permission');
+      assert.equal(role.save.mock.callCount(), 0);
+    });
+  });
+
+  describe('deleteRole', () => {
+    beforeEach((t) => {
+      t.mock.method(Role, 'findById', () => query(role));
+      t.mock.method(role, 'deleteOne', async () => role);
+    });
+
+    const remove = async () => {
+      const res = mockRes();
+      await rolesController.deleteRole(mockReq({ params: { id: role._id.toString() } }), res, mockNext());
+      return res;
+    };
+
+    const mockHolders = (t, users, members, invitations) => {
+      t.mock.method(User, 'countDocuments', () => query(users));
+      t.mock.method(Member, 'countDocuments', () => query(members));
+      t.mock.method(Invitation, 'countDocuments', () => query(invitations));
+    };
+
+    it('deletes roles nobody has', async (t) => {
+      mockHolders(t, 0, 0, 0);
+
+      const res = await remove();
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(role.deleteOne.mock.callCount(), 1);
+      assert.deepEqual(User.countDocuments.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+    });
+
+    it('refuses roles that are still in use', async (t) => {
+      mockHolders(t, 1, 0, 2);
+
+      const res = await remove();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'Role is still in use by 1 user(s), 0 member(s) and 2 pending invitation(s)');
+      assert.equal(role.deleteOne.mock.callCount(), 0);
+    });
+
+    it('refuses built-in roles', async () => {
+      role.system = true;
+
+      const res = await remove();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(role.deleteOne.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * Webhooks Controller
+ * 
+ * This controller handles outgoing webhooks including:
+ * - Listing the events webhooks can subscribe to (webhooks:manage)
+ * - Registering, updating and deleting webhook endpoints (webhooks:manage)
+ * - Rotating a webhook's signing secret (webhooks:manage)
+ * - Reading the delivery log and redelivering events (webhooks:manage)
+ * 
+ * The signing secret is only returned when a webhook is created or its
+ * secret is rotated. Events are sent by the webhook service.
+ * 
+ * @module controllers/webhooks.controller
+ */
+
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const webhooks = require('../services/webhook.service');
+const { parsePagination, pageMeta } = require('../utils/pagination.util');
+const { validationResult } = require('express-validator');
+
+/**
+ * Get the event catalogue
+ * 
+ * @route   GET /api/webhooks/events
+ * @access  Private (webhooks:manage permission)
+ * @returns {Object} Events with when each is sent
+ */
+exports.getEventCatalogue = (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(Webhook.EVENTS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+/**
+ * Get webhooks
+ * 
+ * Returns every webhook, newest first, with who registered it.
+ * 
+ * @route   GET /api/webhooks
+ * @access  Private (webhooks:manage permission)
+ * @returns {Object} List of webhooks
+ */
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    const list = await Webhook.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    // Return success response with the webhooks
+    res.json({
+      success: true,
+      count: list.length,
+      data: list
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Register a webhook
+ * 
+ * @route   POST /api/webhooks
+ * @access  Private (webhooks:manage permission)
+ * @param   {String} req.body.url - Endpoint the events are POSTed to
+ * @param   {String[]} req.body.events - Events to send
+ * @param   {String} req.body.description - Optional description
+ * @param   {Boolean} req.body.active - Optional, defaults to true
+ * @param   {Object} req.user - Authenticated user (from protect middleware)
+ * @returns {Object} Created webhook, with the signing secret in `secret`
+ */
+exports.createWebhook = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { url, events, description, active } = req.body;
+    const secret = webhooks.generateSecret();
+
+    const webhook = await Webhook.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret,
+      createdBy: req.user._id
+    });
+
+    // Return success response with created webhook
+    // The secret is kept out of data so it is not copied into the audit log
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the signing secret now, it will not be shown again.',
+      secret,
+      data: webhook
+    });
+  } catch (error) {
+    // Pass errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook
+ * 
+ * Deactivating a webhook stops new events and drops its pending retries.
+ * 
+ * @route   PUT /api/webhooks/:id
+ * @access  Private (webhooks:manage permission)
+ * @param   {String} req.params.id - Webhook MongoDB ObjectId
+ * @param   {Object} req.body - Changed fields (url, events, description, active)
+ * @returns {Object} Updated webhook
+ */
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    // Validate request body using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+
+    const { url, events, description, active } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = active;
+    await webhook.save();
+
+    // Return success response with updated webhook
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Rotate a webhook's signing secret
+ * 
+ * Deliveries are signed with the new secret from now on, including retries
+ * of earlier events.
+ * 
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @access  Private (webhooks:manage permission)
+ * @param   {String} req.params.id - Webhook MongoDB ObjectId
+ * @returns {Object} Webhook, with the new signing secret in `secret`
+ */
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+
+    const secret = webhooks.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    // Return success response with the new secret
+    res.json({
+      success: true,
+      message: 'Signing secret rotated. Copy it now, it will not be shown again.',
+      secret,
+      data: webhook
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook
+ * 
+ * Removes the webhook together with its delivery log.
+ * 
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private (webhooks:manage permission)
+ * @param   {String} req.params.id - Webhook MongoDB ObjectId
+ * @returns {Object} Success message
+ */
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    // Return success response
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook's deliveries
+ * 
+ * Returns a page of the webhook's delivery log, newest first.
+ * 
+ * @route   GET /api/webhooks/:id/deliveries
+ * @access  Private (webhooks:manage permission)
+ * @param   {String} req.params.id - Webhook MongoDB ObjectId
+ * @param   {String} req.query.status - Optional filter ('pending', 'succeeded' or 'failed')
+ * @param   {String} req.query.event - Optional event type filter
+ * @param   {Object} req.query - Pagination parameters (page, limit)
+ * @returns {Object} Page of deliveries with count, total, page, pages, limit and next
+ */
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    // Validate query parameters using express-validator
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const webhook = await Webhook.exists({ _id: req.params.id });
+    if (!webhook) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const pagination = parsePagination(req.query);
+
+    // Fetch the page and the total number of matches
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    // Return success response with the page of deliveries
+    res.json({
+      success: true,
+      ...pageMeta(pagination, deliveries.length, total),
+      data: deliveries
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Webhook not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
+
+/**
+ * Redeliver an event
+ * 
+ * Sends a logged delivery again, e.g. after fixing the receiving endpoint.
+ * A new delivery with the same payload is created and attempted right away;
+ * the response reports the outcome of that first attempt.
+ * 
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @access  Private (webhooks:manage permission)
+ * @param   {String} req.params.deliveryId - WebhookDelivery MongoDB ObjectId
+ * @returns {Object} The new delivery
+ */
+exports.redeliver = async (req, res, next) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.deliveryId);
+
+    if (!original) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Delivery not found' 
+      });
+    }
+
+    const webhook = await Webhook.findById(original.webhook);
+    if (!webhook || !webhook.active) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Deliveries can only be sent to an active webhook' 
+      });
+    }
+
+    const delivery = await webhooks.redeliver(original);
+
+    // Return success response with the new delivery
+    res.status(201).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? 'Event redelivered successfully'
+        : `Redelivery failed (${delivery.error})${delivery.status === 'pending' ? ', it will be retried' : ''}`,
+      data: delivery
+    });
+  } catch (error) {
+    // Handle invalid MongoDB ObjectId format
+    if (error.name === 'CastError') {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Delivery not found' 
+      });
+    }
+    // Pass other errors to error handling middleware
+    next(error);
+  }
+};
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const webhooks = require('../services/webhook.service');
+const webhooksController = require('./webhooks.controller');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('webhooks controller', () => {
+  const user = { _id: id() };
+  let webhook;
+
+  beforeEach(() => {
+    webhook = new Webhook({ url: 'https://example.com/hooks', events: ['book.approved'], secret: 'whsec_old', createdBy: user._id });
+  });
+
+  describe('createWebhook', () => {
+    it('returns the signing secret once, outside the webhook data', async (t) => {
+      const create = t.mock.method(Webhook, 'create', async (data) => new Webhook(data));
+      const res = mockRes();
+
+      await webhooksController.createWebhook(mockReq({ body: { url: 'https://example.com/hooks', events: ['book.approved', 'book.approved', 'member.created'] }, user }), res, mockNext());
+
+      assert.equal(res.statusCode, 201);
+      const stored = create.mock.calls[0].arguments[0];
+      assert.deepEqual(stored.events, ['book.approved', 'member.created']);
+      assert.equal(stored.secret, res.body.secret);
+      assert.match(res.body.secret, /^whsec_/);
+      assert.equal(JSON.parse(JSON.stringify(res.body.data)).secret, undefined);
+    });
+  });
+
+  describe('rotateSecret', () => {
+    it('replaces the signing secret', async (t) => {
+      t.mock.method(Webhook, 'findById', () => query(webhook));
+      const save = t.mock.method(webhook, 'save', async () => webhook);
+      const res = mockRes();
+
+      await webhooksController.rotateSecret(mockReq({ params: { id: webhook._id.toString() } }), res, mockNext());
+
+      assert.equal(save.mock.callCount(), 1);
+      assert.notEqual(webhook.secret, 'whsec_old');
+      assert.equal(res.body.secret, webhook.secret);
+      assert.equal(JSON.parse(JSON.stringify(res.body.data)).secret, undefined);
+    });
+  });
+
+  describe('deleteWebhook', () => {
+    it('removes the webhook with its delivery log', async (t) => {
+      t.mock.method(Webhook, 'findById', () => query(webhook));
+      const remove = t.mock.method(webhook, 'deleteOne', async () => webhook);
+      const clear = t.mock.method(WebhookDelivery, 'deleteMany', () => query({ deletedCount: 3 }));
+      const res = mockRes();
+
+      await webhooksController.deleteWebhook(mockReq({ params: { id: webhook._id.toString() } }), res, mockNext());
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(remove.mock.callCount(), 1);
+      assert.deepEqual(clear.mock.calls[0].arguments[0], { webhook: webhook._id });
+    });
+  });
+
+  describe('redeliver', () => {
+    let original;
+
+    beforeEach((t) => {
+      original = new WebhookDelivery({ webhook: webhook._id, event: 'book.approved', status: 'failed' });
+      t.mock.method(WebhookDelivery, 'findById', () => query(original));
+      t.mock.method(Webhook, 'findById', () => query(webhook));
+    });
+
+    const redeliver = async () => {
+      const res = mockRes();
+      await webhooksController.redeliver(mockReq({ params: { deliveryId: original._id.toString() } }), res, mockNext());
+      return res;
+    };
+
+    it('reports the outcome of the new delivery', async (t) => {
+      const sent = new WebhookDelivery({ webhook: webhook._id, event: 'book.approved', status: 'succeeded', redeliveryOf: original._id });
+      const redeliverEvent = t.mock.method(webhooks, 'redeliver', async () => sent);
+
+      const res = await redeliver();
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(redeliverEvent.mock.calls[0].arguments[0], original);
+      assert.equal(res.body.message, 'Event redelivered successfully');
+      assert.equal(res.body.data, sent);
+    });
+
+    it('only sends to active webhooks', async (t) => {
+      webhook.active = false;
+      const redeliverEvent = t.mock.method(webhooks, 'redeliver', async () => original);
+
+      const res = await redeliver();
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(redeliverEvent.mock.callCount(), 0);
+    });
+  });
+});
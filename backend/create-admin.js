@@ -9,6 +9,7 @@
 
 const mongoose = require('mongoose');
 const User = require('./models/User.model');
+const { ensureDefaultRoles } = require('./services/permission.service');
 require('dotenv').config();
 
 /**
@@ -30,6 +31,9 @@ async function createAdmin() {
     });
     console.log('✅ Connected to MongoDB');
 
+    // The Admin role has to exist for the admin to have any permissions
+    await ensureDefaultRoles();
+
     // Default admin credentials
     const adminEmail = 'admin@library.com';
     const adminPassword = 'admin123';
@@ -42,7 +46,7 @@ async function createAdmin() {
       console.log(`   Email: ${existingAdmin.email}`);
       console.log(`   Role: ${existingAdmin.role}`);
       console.log(`   ID: ${existingAdmin._id}`);
-      console.log('\n💡 If you want to reset the password, delete this user first or update it manually.');
+      console.log('\n💡 Forgot the password? Use "Forgot password?" on the login page (POST /api/auth/forgot-password).');
       await mongoose.disconnect();
       process.exit(0);
     }
@@ -53,7 +57,9 @@ async function createAdmin() {
       name: adminName,
       email: adminEmail,
       password: adminPassword, // Will be hashed automatically by User model
-      role: 'Admin'
+      role: 'Admin',
+      emailVerified: true, // Nobody could open a verification link for the default address
+      emailVerifiedAt: new Date()
     });
 
     console.log('\n✅ Admin user created successfully!');
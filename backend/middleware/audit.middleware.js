@@ -0,0 +1,117 @@
+/**
+ * Audit Middleware
+ * 
+ * This module records an AuditEvent for every successful request to a
+ * mutating route:
+ * - audit: Route middleware capturing actor, action, target, before/after
+ *   snapshots and IP address
+ * 
+ * The event is written after the response has been sent, so auditing never
+ * slows down or fails the request itself. Requests that fail (4xx/5xx) are
+ * not recorded because they changed nothing.
+ * 
+ * @module middleware/audit.middleware
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent.model');
+
+// Fields never copied into audit snapshots
+const REDACTED_FIELDS = ['password'];
+
+/**
+ * Make a plain, redacted copy of a record for an audit snapshot
+ * 
+ * @param   {Object} record - Mongoose document, lean object or response payload
+ * @returns {Object|null} Snapshot
+ */
+const snapshot = (record) => {
+  if (!record) return null;
+  const plain = JSON.parse(JSON.stringify(record));
+  for (const field of REDACTED_FIELDS) delete plain[field];
+  return plain;
+};
+
+/**
+ * Audit a Route - Audit Trail Middleware
+ * 
+ * Must be used after the protect middleware (when the route is protected) so
+ * the actor is known. For routes that act on an existing record, name the
+ * route parameter holding its id: the record is loaded before the handler runs
+ * and again after it, giving before/after snapshots (after is null once the
+ * record is permanently deleted; trashed records are included with their
+ * deletedAt, see softDelete plugin). Otherwise the record returned in the response's data (or
+ * user, for registration) is used as the after snapshot and its id as the target.
+ * 
+ * @param   {String} action - What the route does, e.g. 'book.approve'
+ * @param   {Object} options - Target description
+ * @param   {String} options.target - Model name of the affected record (e.g. 'Book')
+ * @param   {String} [options.param] - Route parameter holding the record id (e.g. 'id')
+ * @returns {Function} Express middleware function
+ * 
+ * @example
+ * // Usage in routes:
+ * router.put('/:id/approve', protect, requirePermission('books:approve'), audit('book.approve', { target: 'Book', param: 'id' }), controller.approveBook);
+ * router.post('/', protect, audit('book.create', { target: 'Book' }), controller.createBook);
+ */
+exports.audit = (action, { target, param }) => {
+  return async (req, res, next) => {
+    try {
+      const Model = mongoose.model(target);
+      const targetId = param && mongoose.isObjectIdOrHexString(req.params[param])
+        ? req.params[param]
+        : null;
+
+      // Load the target, including records in the trash
+      const findTarget = () => Model.findById(targetId)
+        .setOptions(Model.schema.path('deletedAt') ? { withDeleted: true } : {})
+        .lean();
+
+      // Snapshot the record before the handler changes it
+      const before = targetId ? await findTarget() : null;
+
+      // Capture the response payload
+      let payload;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        payload = body;
+        return json(body);
+      };
+
+      res.on('finish', async () => {
+        if (res.statusCode >= 400) return;
+        try {
+          const after = targetId
+            ? await findTarget()
+            : payload?.data ?? payload?.user ?? null;
+          const createdId = after?._id ?? after?.id;
+
+          await AuditEvent.create({
+            actor: req.user?._id ?? null,
+            actorName: req.user?.name ?? null,
+            actorEmail: req.user?.email ?? null,
+            apiKey: req.apiKey?._id ?? null,
+            action,
+            targetType: target,
+            targetId: targetId || (mongoose.isObjectIdOrHexString(createdId) ? createdId : null),
+            before: snapshot(before),
+            after: snapshot(after),
+            details: payload?.summary ? { summary: payload.summary, dryRun: payload.dryRun } : null,
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            ip: req.ip
+          });
+        } catch (error) {
+          // The request already succeeded; report the gap in the audit trail
+          console.error(`❌ Audit event '${action}' could not be recorded:`, error.message);
+        }
+      });
+
+      next();
+    } catch (error) {
+      // Pass unexpected errors to error handling middleware
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const AuditEvent = require('../models/AuditEvent.model');
+const { audit } = require('./audit.middleware');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('audit middleware', () => {
+  const user = { _id: id(), name: 'Admin', email: 'admin@example.com' };
+
+  beforeEach((t) => {
+    t.mock.method(AuditEvent, 'create', async (data) => data);
+  });
+
+  /**
+   * Run the middleware, then the handler, then the response's finish listeners
+   */
+  const run = async (middleware, req, handler) => {
+    const res = mockRes();
+    const next = mockNext();
+    await middleware(req, res, next);
+    assert.ok(next.called);
+    assert.equal(next.error, undefined);
+    await handler(res);
+    await Promise.all((res.listeners.finish || []).map(listener => listener()));
+    return res;
+  };
+
+  it('records before and after snapshots of the target without secrets', async (t) => {
+    const bookId = id();
+    const versions = [
+      { _id: bookId, title: 'Dune', approvalStatus: 'pending', password: 'never' },
+      { _id: bookId, title: 'Dune', approvalStatus: 'approved', password: 'never' }
+    ];
+    const findById = t.mock.method(Book, 'findById', () => query(versions.shift()));
+    const req = mockReq({ params: { id: bookId.toString() }, user, method: 'PUT', originalUrl: `/api/books/${bookId}/approve`, ip: '10.0.0.1' });
+
+    await run(audit('book.approve', { target: 'Book', param: 'id' }), req, res => res.json({ success: true }));
+
+    const event = AuditEvent.create.mock.calls[0].arguments[0];
+    assert.equal(event.action, 'book.approve');
+    assert.equal(event.actor, user._id);
+    assert.equal(event.actorEmail, 'admin@example.com');
+    assert.equal(event.targetType, 'Book');
+    assert.equal(event.targetId, bookId.toString());
+    assert.deepEqual(event.before, { _id: bookId.toString(), title: 'Dune', approvalStatus: 'pending' });
+    assert.equal(event.after.approvalStatus, 'approved');
+    assert.equal(event.statusCode, 200);
+    assert.equal(event.ip, '10.0.0.1');
+    // Trashed books are snapshotted too
+    assert.deepEqual(findById.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+  });
+
+  it('uses the created record from the response and its id as the target', async () => {
+    const created = { _id: id(), title: 'Dune' };
+
+    await run(audit('book.create', { target: 'Book' }), mockReq({ user }), res => res.status(201).json({ success: true, data: created }));
+
+    const event = AuditEvent.create.mock.calls[0].arguments[0];
+    assert.equal(event.before, null);
+    assert.deepEqual(event.after, { _id: created._id.toString(), title: 'Dune' });
+    assert.equal(event.targetId, created._id);
+  });
+
+  it('keeps the summary of bulk operations', async () => {
+    const summary = { total: 2, created: 2 };
+
+    await run(audit('book.import', { target: 'Book' }), mockReq({ user }), res => res.json({ success: true, dryRun: false, summary, rows: [] }));
+
+    const event = AuditEvent.create.mock.calls[0].arguments[0];
+    assert.deepEqual(event.details, { summary, dryRun: false });
+    assert.equal(event.targetId, null);
+  });
+
+  it('does not record failed requests', async () => {
+    await run(audit('book.create', { target: 'Book' }), mockReq({ user }), res => res.status(400).json({ success: false }));
+
+    assert.equal(AuditEvent.create.mock.callCount(), 0);
+  });
+
+  it('never fails the request when the event cannot be written', async (t) => {
+    t.mock.method(AuditEvent, 'create', async () => {
+      throw new Error('database down');
+    });
+    const log = t.mock.method(console, 'error', () => {});
+
+    await run(audit('book.create', { target: 'Book' }), mockReq({ user }), res => res.status(201).json({ data: { _id: id() } }));
+
+    assert.match(log.mock.calls[0].arguments[0], /'book.create' could not be recorded/);
+  });
+});
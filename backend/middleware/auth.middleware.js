@@ -2,23 +2,38 @@
  * Authentication Middleware
  * 
  * This module provides middleware functions for authentication and authorization:
- * - protect: Verifies JWT tokens and authenticates users
- * - authorize: Checks if user has required role(s) to access a route
+ * - protect: Verifies JWT access tokens (checking their session has not been revoked) or API keys and authenticates users
+ * - requirePermission: Checks if the user's role grants a permission required by a route
+ * - requireVerifiedEmail: Checks that the user has verified their email address
+ * - requireSession: Keeps API keys away from routes that act on the signed-in account itself
  * 
  * @module middleware/auth.middleware
  */
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const { isSessionActive } = require('../services/session.service');
+const { authenticateApiKey } = require('../services/apiKey.service');
+const { getPermissions, hasPermission } = require('../services/permission.service');
 
 /**
  * Protect Routes - JWT Authentication Middleware
  * 
- * Verifies JWT tokens from the Authorization header and attaches the authenticated
+ * Verifies JWT access tokens from the Authorization header and attaches the authenticated
  * user to the request object. This middleware must be used before any route that
  * requires authentication.
  * 
- * Token Format: "Bearer <token>"
+ * Every access token names the session it was issued for; tokens of sessions
+ * that were logged out, revoked or have expired are rejected even if the
+ * token itself has not expired yet.
+ * 
+ * The permissions of the user's role are attached as req.permissions.
+ * 
+ * Scripts and other services can send an API key in the X-API-Key header
+ * instead. The request then acts as the user who created the key, with only
+ * the key's scopes as req.permissions, and the key is attached as req.apiKey.
+ * 
+ * Token Format: "Bearer <token>" or "X-API-Key: <key>"
  * 
  * @param   {Object} req - Express request object
  * @param   {Object} res - Express response object
@@ -31,6 +46,26 @@ const User = require('../models/User.model');
  */
 exports.protect = async (req, res, next) => {
   try {
+    // Authenticate integrations by API key
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      try {
+        const { apiKey, user, permissions } = await authenticateApiKey(apiKeyHeader, req.ip);
+        req.user = user;
+        req.apiKey = apiKey;
+        req.permissions = permissions;
+      } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ 
+          success: false,
+          message: error.message 
+        });
+      }
+
+      // Authentication successful - proceed to next middleware/route handler
+      return next();
+    }
+
     let token;
 
     // Extract token from Authorization header
@@ -44,7 +79,7 @@ exports.protect = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({ 
         success: false,
-        message: 'Not authorized, no token provided' 
+        message: 'Not authorized, no token or API key provided' 
       });
     }
 
@@ -52,6 +87,14 @@ exports.protect = async (req, res, next) => {
       // Verify and decode the JWT token
       // jwt.verify() throws an error if token is invalid or expired
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Check the token's session is still active (tokens without a session predate revocation)
+      if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Session has expired or been revoked, please sign in again' 
+        });
+      }
       
       // Find user by ID from decoded token
       // select('-password') excludes password from the result
@@ -66,6 +109,9 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      // Load what the user's role allows (see Role model)
+      req.permissions = await getPermissions(req.user.role);
+
       // Authentication successful - proceed to next middleware/route handler
       next();
     } catch (error) {
@@ -82,20 +128,21 @@ exports.protect = async (req, res, next) => {
 };
 
 /**
- * Authorize by Role - Role-Based Access Control Middleware
+ * Require Permission - Permission-Based Access Control Middleware
  * 
- * Checks if the authenticated user has one of the required roles to access a route.
- * This middleware must be used after the protect middleware (which sets req.user).
+ * Checks if the authenticated user's role grants one of the required
+ * permissions (see the catalogue in the Role model).
+ * This middleware must be used after the protect middleware (which sets req.user and req.permissions).
  * 
- * @param   {...String} roles - One or more allowed roles (e.g., 'Admin', 'Member')
+ * @param   {...String} permissions - One or more permissions, any of which allows access (e.g., 'books:approve')
  * @returns {Function} Express middleware function
  * 
  * @example
  * // Usage in routes:
- * router.get('/admin-only', protect, authorize('Admin'), controller.handler);
- * router.get('/admin-or-member', protect, authorize('Admin', 'Member'), controller.handler);
+ * router.get('/pending', protect, requirePermission('books:approve'), controller.handler);
+ * router.get('/copies/:barcode', protect, requirePermission('copies:manage', 'loans:checkout'), controller.handler);
  */
-exports.authorize = (...roles) => {
+exports.requirePermission = (...permissions) => {
   /**
    * Returns the actual middleware function that will be executed
    * 
@@ -113,11 +160,13 @@ exports.authorize = (...roles) => {
       });
     }
 
-    // Check if user's role is in the list of allowed roles
-    if (!roles.includes(req.user.role)) {
+    // Check if user's role grants one of the required permissions
+    if (!permissions.some(permission => hasPermission(req, permission))) {
       return res.status(403).json({ 
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route` 
+        message: req.apiKey
+          ? `API key '${req.apiKey.name}' is not authorized to access this route (requires scope ${permissions.join(' or ')})`
+          : `User role '${req.user.role}' is not authorized to access this route (requires ${permissions.join(' or ')})` 
       });
     }
 
@@ -125,3 +174,66 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+/**
+ * Require Verified Email - Email Verification Middleware
+ * 
+ * Blocks users who have not verified their email address yet. Staff who
+ * manage books (books:manage) are exempt. This middleware must be used after the protect middleware (which sets req.user).
+ * 
+ * @param   {Object} req - Express request object (must have req.user from protect middleware)
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next middleware function
+ * @returns {void} Calls next() if the email is verified, sends error response otherwise
+ * 
+ * @example
+ * // Usage in routes:
+ * router.post('/', protect, requireVerifiedEmail, controller.createBook);
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  // Check if user is authenticated (req.user should be set by protect middleware)
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false,
+      message: 'Not authorized' 
+    });
+  }
+
+  if (!hasPermission(req, 'books:manage') && !req.user.emailVerified) {
+    return res.status(403).json({ 
+      success: false,
+      message: 'Please verify your email address first' 
+    });
+  }
+
+  // Email verified - proceed to next middleware/route handler
+  next();
+};
+
+/**
+ * Require Session - Signed-In User Middleware
+ * 
+ * Rejects requests authenticated with an API key. Used on routes that manage
+ * the account itself (sessions, password, profile) or API keys, which an
+ * integration acting on someone's behalf must not reach. This middleware must be used after the protect middleware.
+ * 
+ * @param   {Object} req - Express request object (must have req.user from protect middleware)
+ * @param   {Object} res - Express response object
+ * @param   {Function} next - Express next middleware function
+ * @returns {void} Calls next() if the user signed in, sends error response otherwise
+ * 
+ * @example
+ * // Usage in routes:
+ * router.put('/password', protect, requireSession, controller.changePassword);
+ */
+exports.requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ 
+      success: false,
+      message: 'This route cannot be used with an API key, please sign in' 
+    });
+  }
+
+  // Signed in with a session - proceed to next middleware/route handler
+  next();
+};
@@ -0,0 +1,211 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User.model');
+const Role = require('../models/Role.model');
+const Session = require('../models/Session.model');
+const ApiKey = require('../models/ApiKey.model');
+const { protect, requirePermission, requireVerifiedEmail, requireSession } = require('./auth.middleware');
+const { id, query, mockReq, mockRes, mockNext } = require('../testing/helpers');
+
+describe('auth middleware', () => {
+  before(() => {
+    process.env.JWT_SECRET ||= 'test-secret';
+  });
+
+  describe('protect', () => {
+    let user, sessionId;
+
+    beforeEach((t) => {
+      user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'Librarian' });
+      sessionId = id();
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(Role, 'findOne', () => query({ permissions: ['books:manage'] }));
+    });
+
+    const authenticate = async (token) => {
+      const req = mockReq({ headers: token ? { Authorization: `Bearer ${token}` } : {} });
+      const res = mockRes();
+      const next = mockNext();
+      await protect(req, res, next);
+      return { req, res, next };
+    };
+
+    const sign = (claims, options = { expiresIn: 60 }) => jwt.sign(claims, process.env.JWT_SECRET, options);
+
+    it('authenticates access tokens of active sessions with the permissions of the role', async (t) => {
+      const exists = t.mock.method(Session, 'exists', () => query({ _id: sessionId }));
+
+      const { req, next } = await authenticate(sign({ id: user._id, sid: sessionId }));
+
+      assert.ok(next.called);
+      assert.equal(req.user, user);
+      assert.deepEqual(req.permissions, ['books:manage']);
+      assert.equal(exists.mock.calls[0].arguments[0]._id, sessionId.toString());
+      assert.deepEqual(User.findById.mock.calls[0].result.calls.select, ['-password']);
+    });
+
+    it('rejects access tokens of revoked or expired sessions', async (t) => {
+      t.mock.method(Session, 'exists', () => query(null));
+
+      const { res, next } = await authenticate(sign({ id: user._id, sid: sessionId }));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.message, 'Session has expired or been revoked, please sign in again');
+      assert.ok(!next.called);
+    });
+
+    it('rejects access tokens issued without a session', async (t) => {
+      const exists = t.mock.method(Session, 'exists', () => query({ _id: sessionId }));
+
+      const { res } = await authenticate(sign({ id: user._id }));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(exists.mock.callCount(), 0);
+    });
+
+    it('rejects expired, forged and missing tokens', async (t) => {
+      t.mock.method(Session, 'exists', () => query({ _id: sessionId }));
+      const expired = sign({ id: user._id, sid: sessionId, exp: Math.floor(Date.now() / 1000) - 10 }, {});
+      const forged = jwt.sign({ id: user._id, sid: sessionId }, 'not-the-secret');
+
+      for (const token of [expired, forged]) {
+        const { res } = await authenticate(token);
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.message, 'Not authorized, token failed');
+      }
+      assert.equal((await authenticate()).res.statusCode, 401);
+      assert.equal(User.findById.mock.callCount(), 0);
+    });
+
+    it('rejects tokens of deleted users', async (t) => {
+      t.mock.method(Session, 'exists', () => query({ _id: sessionId }));
+      t.mock.method(User, 'findById', () => query(null));
+
+      const { res } = await authenticate(sign({ id: user._id, sid: sessionId }));
+
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.message, 'User not found');
+    });
+
+    describe('with an API key', () => {
+      let apiKey;
+
+      beforeEach((t) => {
+        apiKey = new ApiKey({ name: 'Portal', prefix: 'lib_01234567', keyHash: 'hash', scopes: ['books:manage', 'users:manage'], createdBy: user._id });
+        t.mock.method(ApiKey, 'findOne', () => query(apiKey));
+        t.mock.method(ApiKey, 'updateOne', () => query({ modifiedCount: 1 }));
+      });
+
+      const authenticateKey = async (key) => {
+        const req = mockReq({ headers: { 'X-API-Key': key } });
+        const res = mockRes();
+        const next = mockNext();
+        await protect(req, res, next);
+        return { req, res, next };
+      };
+
+      it("acts as the key's creator with the key's scopes as permissions", async () => {
+        const { req, next } = await authenticateKey('lib_0123456789abcdef');
+
+        assert.ok(next.called);
+        assert.equal(next.error, undefined);
+        assert.equal(req.user, user);
+        assert.equal(req.apiKey, apiKey);
+        // users:manage is dropped since the creator's role does not grant it
+        assert.deepEqual(req.permissions, ['books:manage']);
+      });
+
+      it('rejects unusable keys with 401', async () => {
+        apiKey.revokedAt = new Date();
+
+        const { res, next } = await authenticateKey('lib_0123456789abcdef');
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.message, 'API key is invalid or has been revoked');
+        assert.ok(!next.called);
+      });
+    });
+  });
+
+  describe('requirePermission', () => {
+    const check = (req) => {
+      const res = mockRes();
+      const next = mockNext();
+      requirePermission('copies:manage', 'loans:checkout')(mockReq(req), res, next);
+      return { res, next };
+    };
+
+    it('lets users through whose role grants any of the permissions', () => {
+      assert.ok(check({ user: { role: 'Librarian' }, permissions: ['loans:checkout'] }).next.called);
+    });
+
+    it('stops users whose role grants none of them', () => {
+      const { res, next } = check({ user: { role: 'Member' }, permissions: ['books:manage'] });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.message, "User role 'Member' is not authorized to access this route (requires copies:manage or loans:checkout)");
+      assert.ok(!next.called);
+    });
+
+    it('names the missing scope for API keys', () => {
+      const { res } = check({ user: { role: 'Admin' }, permissions: [], apiKey: { name: 'Portal' } });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.message, "API key 'Portal' is not authorized to access this route (requires scope copies:manage or loans:checkout)");
+    });
+
+    it('requires an authenticated user', () => {
+      const { res, next } = check({ permissions: ['copies:manage'] });
+
+      assert.equal(res.statusCode, 401);
+      assert.ok(!next.called);
+    });
+  });
+
+  describe('requireVerifiedEmail', () => {
+    const check = (user, permissions = []) => {
+      const res = mockRes();
+      const next = mockNext();
+      requireVerifiedEmail(mockReq({ user, permissions }), res, next);
+      return { res, next };
+    };
+
+    it('lets verified users through', () => {
+      assert.ok(check({ emailVerified: true }).next.called);
+    });
+
+    it('stops unverified users', () => {
+      const { res, next } = check({ emailVerified: false });
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.message, 'Please verify your email address first');
+      assert.ok(!next.called);
+    });
+
+    it('exempts staff who manage books', () => {
+      assert.ok(check({ emailVerified: false }, ['books:manage']).next.called);
+    });
+  });
+
+  describe('requireSession', () => {
+    it('lets signed-in users through', () => {
+      const next = mockNext();
+
+      requireSession(mockReq({ user: {} }), mockRes(), next);
+
+      assert.ok(next.called);
+    });
+
+    it('stops requests made with an API key', () => {
+      const res = mockRes();
+      const next = mockNext();
+
+      requireSession(mockReq({ user: {}, apiKey: { name: 'Portal' } }), res, next);
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.message, 'This route cannot be used with an API key, please sign in');
+      assert.ok(!next.called);
+    });
+  });
+});
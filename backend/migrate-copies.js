@@ -0,0 +1,90 @@
+/**
+ * Migrate Books to Copies Script
+ * 
+ * Books used to carry their availability directly. Availability is now derived
+ * from physical copies, so this script creates one copy for every book that
+ * has none yet, preserving its current circulation state:
+ * - Book with an active loan: copy is on loan and the loan is linked to it
+ * - Book with a ready hold: copy is on hold and the hold is linked to it
+ * - Otherwise: copy is available
+ * 
+ * The generated barcode is "<ISBN>-1". Safe to run more than once.
+ * 
+ * Usage: node migrate-copies.js
+ */
+
+const mongoose = require('mongoose');
+const Book = require('./models/Book.model');
+const Copy = require('./models/Copy.model');
+const Loan = require('./models/Loan.model');
+const Hold = require('./models/Hold.model');
+const { syncBookAvailability } = require('./services/circulation.service');
+require('dotenv').config();
+
+/**
+ * Create a copy for every book without one
+ */
+async function migrateCopies() {
+  try {
+    // Check for required environment variables
+    if (!process.env.MONGO_URI) {
+      console.error('❌ ERROR: MONGO_URI is not defined in .env file');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const books = await Book.find();
+    let created = 0;
+
+    for (const book of books) {
+      // Skip books that already have copies
+      if (await Copy.exists({ book: book._id })) continue;
+
+      const activeLoan = await Loan.findOne({ book: book._id, status: 'active' });
+      const readyHold = activeLoan ? null : await Hold.findOne({ book: book._id, status: 'ready' });
+
+      const copy = await Copy.create({
+        book: book._id,
+        barcode: `${book.ISBN}-1`,
+        acquisitionDate: book.createdAt,
+        status: activeLoan ? 'on_loan' : readyHold ? 'on_hold' : 'available'
+      });
+
+      if (activeLoan) {
+        activeLoan.copy = copy._id;
+        await activeLoan.save();
+      }
+      if (readyHold) {
+        readyHold.copy = copy._id;
+        await readyHold.save();
+      }
+
+      await syncBookAvailability(book._id);
+      created++;
+      console.log(`📗 ${book.title} → ${copy.barcode} (${copy.status})`);
+    }
+
+    console.log(`\n✅ Migration complete: ${created} cop${created === 1 ? 'y' : 'ies'} created for ${books.length} book(s).`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error migrating copies:', error.message);
+    if (error.code === 11000) {
+      console.error('   A copy with a generated barcode already exists. Add the remaining copies manually.');
+    } else if (error.name === 'MongoServerError') {
+      console.error('   MongoDB connection error. Check your MONGO_URI in .env file.');
+    }
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateCopies();
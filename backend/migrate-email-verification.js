@@ -0,0 +1,67 @@
+/**
+ * Migrate Email Verification Script
+ * 
+ * New accounts now start with an unverified email address and cannot request
+ * books until it is verified. Accounts created before email verification
+ * existed have no verification status; this script marks them as verified so
+ * their users are not locked out. Accounts in the trash are included.
+ * 
+ * Memberships are only linked to accounts when their address is verified,
+ * so unlinked members are then linked to the verified account with the same
+ * email, as verifying the address would have done.
+ * 
+ * Safe to run more than once.
+ * 
+ * Usage: node migrate-email-verification.js
+ */
+
+const mongoose = require('mongoose');
+const User = require('./models/User.model');
+const Member = require('./models/Member.model');
+require('dotenv').config();
+
+/**
+ * Mark every user without a verification status as verified and link their memberships
+ */
+async function migrateEmailVerification() {
+  try {
+    // Check for required environment variables
+    if (!process.env.MONGO_URI) {
+      console.error('❌ ERROR: MONGO_URI is not defined in .env file');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { emailVerified: true, emailVerifiedAt: null }
+    ).setOptions({ withDeleted: true });
+
+    // Link unlinked memberships of verified accounts
+    let linked = 0;
+    for await (const user of User.find({ emailVerified: true }).select('email emailVerified')) {
+      if (await Member.linkVerifiedUser(user)) linked++;
+    }
+
+    console.log(`\n✅ Migration complete: ${result.modifiedCount} existing user(s) marked as verified, ${linked} membership(s) linked.`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error migrating users:', error.message);
+    if (error.name === 'MongoServerError') {
+      console.error('   MongoDB connection error. Check your MONGO_URI in .env file.');
+    }
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateEmailVerification();
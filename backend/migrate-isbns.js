@@ -0,0 +1,83 @@
+/**
+ * Migrate ISBNs Script
+ *
+ * Books are now stored under their canonical ISBN (unhyphenated ISBN-13).
+ * This script converts the ISBN of every existing book and keeps the value
+ * that was stored before in originalISBN. Books are left unchanged and
+ * reported when:
+ * - Their ISBN fails the ISBN-10/ISBN-13 checksum (fix them by hand)
+ * - Another book already has the same canonical ISBN (a true duplicate)
+ *
+ * Safe to run more than once.
+ *
+ * Usage: node migrate-isbns.js
+ */
+
+const mongoose = require('mongoose');
+const Book = require('./models/Book.model');
+const isbn = require('./utils/isbn.util');
+require('dotenv').config();
+
+/**
+ * Normalize the ISBN of every book
+ */
+async function migrateIsbns() {
+  try {
+    // Check for required environment variables
+    if (!process.env.MONGO_URI) {
+      console.error('❌ ERROR: MONGO_URI is not defined in .env file');
+      process.exit(1);
+    }
+
+    // Connect to MongoDB
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const books = await Book.find().select('title ISBN originalISBN');
+    let converted = 0;
+    let problems = 0;
+
+    for (const book of books) {
+      const canonical = isbn.toIsbn13(book.ISBN);
+
+      if (!canonical) {
+        problems++;
+        console.log(`⚠️  ${book.title} (${book._id}): invalid ISBN "${book.ISBN}"`);
+        continue;
+      }
+      if (canonical === book.ISBN) continue;
+
+      const duplicate = await Book.findOne({ ISBN: canonical, _id: { $ne: book._id } }).select('title');
+      if (duplicate) {
+        problems++;
+        console.log(`⚠️  ${book.title} (${book._id}): ISBN "${book.ISBN}" duplicates ${duplicate.title} (${duplicate._id})`);
+        continue;
+      }
+
+      await Book.updateOne(
+        { _id: book._id },
+        { ISBN: canonical, originalISBN: book.originalISBN || book.ISBN }
+      );
+      converted++;
+      console.log(`📗 ${book.title}: ${book.ISBN} → ${canonical}`);
+    }
+
+    console.log(`\n✅ Migration complete: ${converted} of ${books.length} book(s) converted, ${problems} need attention.`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error migrating ISBNs:', error.message);
+    if (error.name === 'MongoServerError') {
+      console.error('   MongoDB connection error. Check your MONGO_URI in .env file.');
+    }
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the script
+migrateIsbns();
@@ -0,0 +1,122 @@
+/**
+ * ApiKey Model
+ * 
+ * This model defines the schema for API keys. An API key lets a script or
+ * another service (e.g. the campus portal) call the API without signing in
+ * as a person: it is sent in the X-API-Key header and accepted by the
+ * protect middleware.
+ * 
+ * A key acts on behalf of the user who created it, limited to its scopes
+ * (permissions from the catalogue in the Role model). Only a hash of the key
+ * is stored; the key itself is shown once, when it is created.
+ * 
+ * @module models/ApiKey.model
+ */
+
+const mongoose = require('mongoose');
+const Role = require('./Role.model');
+
+/**
+ * ApiKey Schema Definition
+ * 
+ * Defines the structure of API key documents in MongoDB.
+ */
+const apiKeySchema = new mongoose.Schema({
+  // What the key is used for (e.g. 'Campus portal')
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+
+  // First characters of the key, so it can be recognised in lists
+  prefix: {
+    type: String,
+    required: [true, 'Prefix is required']
+  },
+
+  // SHA-256 hash of the key
+  // Excluded from queries by default
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true,
+    select: false
+  },
+
+  // Permissions the key may use (never more than its creator has)
+  scopes: {
+    type: [{
+      type: String,
+      enum: { values: Object.keys(Role.PERMISSIONS), message: 'Unknown permission: {VALUE}' }
+    }],
+    default: []
+  },
+
+  // Reference to the user who created the key; requests made with it act as this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'Creating user is required']
+  },
+
+  // When the key stops working (null if it never expires)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // When and from where the key was last used
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  // When the key was revoked (null while it is active)
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true,
+  // Include virtuals (status) in API responses, never the key hash
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Virtual Field: status
+ * 
+ * 'revoked', 'expired' or 'active'
+ */
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+/**
+ * Indexes
+ * 
+ * - Keys are listed newest first
+ */
+apiKeySchema.index({ createdAt: -1 });
+
+/**
+ * Export the ApiKey model
+ * 
+ * This creates a Mongoose model named 'ApiKey' using the apiKeySchema.
+ * The model is used to interact with the 'apikeys' collection in MongoDB.
+ */
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,145 @@
+/**
+ * AuditEvent Model
+ * 
+ * This model defines the schema for audit events. An audit event is recorded
+ * for every successful request to a mutating route (see audit middleware) and
+ * captures who did what to which record, with snapshots of the record before
+ * and after the change.
+ * 
+ * The collection is append-only: events can be created and read, but any
+ * attempt to update or delete them through the model is rejected.
+ * 
+ * @module models/AuditEvent.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * AuditEvent Schema Definition
+ * 
+ * Defines the structure of audit event documents in MongoDB.
+ */
+const auditEventSchema = new mongoose.Schema({
+  // Reference to the user who performed the action
+  // null for public actions such as registration
+  actor: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    default: null
+  },
+
+  // Actor name and email at the time of the action
+  // Kept on the event so it stays readable after the user is deleted
+  actorName: {
+    type: String,
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: null
+  },
+
+  // Reference to the API key the action was performed with (null when signed in)
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to ApiKey model
+    ref: 'ApiKey', // Model name for population
+    default: null
+  },
+
+  // What was done, as '<target>.<verb>' (e.g. 'book.approve', 'user.delete')
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+
+  // Model name of the affected record (e.g. 'Book', 'User', 'Member')
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required']
+  },
+
+  // Id of the affected record (null for bulk actions such as imports)
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Snapshot of the record before the action (null when it did not exist yet)
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Snapshot of the record after the action (null when it was deleted)
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Additional information about bulk actions (e.g. import summary)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Request that performed the action
+  method: String,
+  path: String,
+  statusCode: Number,
+
+  // IP address the request came from
+  ip: {
+    type: String,
+    default: null
+  },
+
+  // When the action happened
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Events are never modified, so only the creation time matters
+  versionKey: false
+});
+
+/**
+ * Indexes
+ * 
+ * The audit log is filtered by actor, target and date range, newest first.
+ */
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ actor: 1, timestamp: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, timestamp: -1 });
+
+/**
+ * Append-only Guard
+ * 
+ * Rejects every update and delete operation so recorded events cannot be
+ * altered or removed through the application.
+ */
+const rejectChange = function (next) {
+  next(new Error('Audit events are append-only and cannot be modified or deleted'));
+};
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+// Document-level updateOne()/deleteOne() calls
+auditEventSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectChange);
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+/**
+ * Export the AuditEvent model
+ * 
+ * This creates a Mongoose model named 'AuditEvent' using the auditEventSchema.
+ * The model is used to interact with the 'auditevents' collection in MongoDB.
+ */
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
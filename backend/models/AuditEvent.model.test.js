@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditEvent = require('./AuditEvent.model');
+require('../testing/helpers');
+
+describe('AuditEvent model', () => {
+  const appendOnly = { message: 'Audit events are append-only and cannot be modified or deleted' };
+
+  it('rejects updates and deletes', async () => {
+    await assert.rejects(AuditEvent.updateOne({}, { action: 'x' }).exec(), appendOnly);
+    await assert.rejects(AuditEvent.findOneAndUpdate({}, { action: 'x' }).exec(), appendOnly);
+    await assert.rejects(AuditEvent.deleteMany({}).exec(), appendOnly);
+  });
+
+  it('rejects saving an event that was already recorded', async () => {
+    const event = new AuditEvent({ action: 'book.create', targetType: 'Book' });
+    event.isNew = false;
+    event.action = 'book.delete';
+
+    await assert.rejects(event.save(), appendOnly);
+    await assert.rejects(event.deleteOne(), appendOnly);
+  });
+});
@@ -3,12 +3,57 @@
  * 
  * This model defines the schema for books in the library system.
  * Books can be created by any authenticated user but require admin approval
- * before they become visible to all users.
+ * before they become visible to all users. A book is the bibliographic record;
+ * its physical items are stored as copies (see Copy model).
  * 
  * @module models/Book.model
  */
 
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete.plugin');
+const isbn = require('../utils/isbn.util');
+
+/**
+ * Revision Schema Definition
+ * 
+ * One entry of a book request's revision history. Every change the requester
+ * makes (edit, withdrawal, resubmission) records the request as it was
+ * before the change, including the review it had received.
+ */
+const revisionSchema = new mongoose.Schema({
+  // What the requester did: edited the pending request, withdrew it or resubmitted it
+  action: {
+    type: String,
+    enum: ['revised', 'withdrawn', 'resubmitted'],
+    required: true
+  },
+
+  // Book fields before the change
+  title: String,
+  author: String,
+  ISBN: String,
+  category: String,
+
+  // Review state before the change
+  approvalStatus: String,
+  rejectionReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User'
+  },
+  reviewedAt: Date,
+
+  // Who made the change and when
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: true
+  },
+  revisedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 /**
  * Book Schema Definition
@@ -32,10 +77,22 @@ const bookSchema = new mongoose.Schema({
   },
   
   // International Standard Book Number - must be unique across all books
+  // Stored in canonical form: unhyphenated ISBN-13 (ISBN-10s are converted on input)
+  // Multiple physical copies of the same title are represented as Copy documents
   ISBN: {
     type: String,
     required: [true, 'ISBN is required'],
     unique: true, // Ensures no duplicate ISBNs
+    trim: true,
+    validate: {
+      validator: isbn.isValidIsbn13,
+      message: 'ISBN must be a valid ISBN-13'
+    }
+  },
+
+  // ISBN exactly as it was entered (e.g. a hyphenated ISBN-10)
+  originalISBN: {
+    type: String,
     trim: true
   },
   
@@ -46,19 +103,21 @@ const bookSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Availability status - whether the book is currently available for borrowing
+  // Availability status - whether at least one copy is currently available for borrowing
+  // Derived from the book's copies (see Copy model) and kept in sync by the circulation service
   availability: {
     type: Boolean,
-    default: true // Default to available when created
+    default: false // No copies yet when created
   },
   
   // Approval status - determines if the book is visible to all users
   // 'pending': Book was created but not yet approved by admin
   // 'approved': Book has been approved by admin and is visible to all
   // 'rejected': Book was rejected by admin
+  // 'withdrawn': Request was withdrawn by its requester before a decision
   approvalStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'], // Only allow these three values
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'], // Only allow these four values
     default: 'pending' // New books start as pending approval
   },
   
@@ -82,12 +141,65 @@ const bookSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date,
     default: null // Not set until admin reviews
+  },
+
+  // Reason given by the admin when rejecting the request, shown to the requester
+  // Cleared when the book is approved
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters'],
+    default: null
+  },
+
+  // Revision history of the request, oldest first (see revisionSchema)
+  // Not loaded unless selected explicitly: .select('+revisions')
+  revisions: {
+    type: [revisionSchema],
+    select: false
   }
 }, {
   // Enable automatic timestamps (createdAt and updatedAt)
-  timestamps: true
+  timestamps: true,
+  // Include virtuals (ISBN10) in API responses
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * ISBN-10 Virtual
+ * 
+ * The ISBN-10 form of the book's ISBN, or null for ISBN-13s without one
+ * (979 prefix). Computed from the canonical ISBN, never stored.
+ */
+bookSchema.virtual('ISBN10').get(function () {
+  return this.ISBN ? isbn.toIsbn10(this.ISBN) : null;
 });
 
+/**
+ * Find a book by MongoDB ObjectId or by ISBN
+ * 
+ * Lets book routes be addressed as /api/books/:id with either the book's id
+ * or any form of its ISBN (ISBN-10 or ISBN-13, with or without hyphens).
+ * 
+ * @param   {String} value - Book ObjectId or ISBN
+ * @returns {Query} Mongoose query resolving to the book or null
+ */
+bookSchema.statics.findByIdOrIsbn = function (value) {
+  if (mongoose.isObjectIdOrHexString(value)) {
+    return this.findById(value);
+  }
+  return this.findOne({ ISBN: isbn.toIsbn13(value) });
+};
+
+/**
+ * Soft Delete
+ * 
+ * Deleted books are moved to the trash and hidden from queries until they
+ * are restored or purged (see softDelete plugin).
+ */
+bookSchema.plugin(softDelete);
+
 /**
  * Export the Book model
  * 
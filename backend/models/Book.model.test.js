@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('./Book.model');
+const { query } = require('../testing/helpers');
+
+describe('Book model', () => {
+  const book = (ISBN) => new Book({ title: 'Dune', author: 'Frank Herbert', ISBN, category: 'Fiction', requestedBy: '507f1f77bcf86cd799439011' });
+
+  describe('ISBN', () => {
+    it('must be a valid ISBN-13', () => {
+      assert.equal(book('9780441172719').validateSync(), undefined);
+      assert.equal(book('0441172717').validateSync().errors.ISBN.message, 'ISBN must be a valid ISBN-13');
+      assert.ok(book('9780441172710').validateSync().errors.ISBN);
+    });
+  });
+
+  describe('findByIdOrIsbn', () => {
+    it('looks ids up by id', (t) => {
+      const findById = t.mock.method(Book, 'findById', () => query(null));
+
+      Book.findByIdOrIsbn('507f1f77bcf86cd799439011');
+
+      assert.equal(findById.mock.calls[0].arguments[0], '507f1f77bcf86cd799439011');
+    });
+
+    it('looks any form of an ISBN up by its ISBN-13', (t) => {
+      const findOne = t.mock.method(Book, 'findOne', () => query(null));
+
+      Book.findByIdOrIsbn('0-441-17271-7');
+
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { ISBN: '9780441172719' });
+    });
+  });
+});
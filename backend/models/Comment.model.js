@@ -0,0 +1,58 @@
+/**
+ * Comment Model
+ * 
+ * This model defines the schema for comments on book requests. The requester
+ * of a book and the admins use the comment thread to discuss a request (e.g.
+ * which edition is wanted) before it is approved or rejected.
+ * 
+ * @module models/Comment.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Comment Schema Definition
+ * 
+ * Defines the structure and validation rules for comment documents in MongoDB.
+ */
+const commentSchema = new mongoose.Schema({
+  // Reference to the book request the comment belongs to
+  book: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Book model
+    ref: 'Book', // Model name for population
+    required: [true, 'Book is required']
+  },
+
+  // Reference to the user who wrote the comment (the requester or an admin)
+  author: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'Author is required']
+  },
+
+  // Comment text
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - A book's thread is read oldest first
+ */
+commentSchema.index({ book: 1, createdAt: 1 });
+
+/**
+ * Export the Comment model
+ * 
+ * This creates a Mongoose model named 'Comment' using the commentSchema.
+ * The model is used to interact with the 'comments' collection in MongoDB.
+ */
+module.exports = mongoose.model('Comment', commentSchema);
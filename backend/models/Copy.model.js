@@ -0,0 +1,94 @@
+/**
+ * Copy Model
+ * 
+ * This model defines the schema for physical copies (items) of a book.
+ * A Book is the bibliographic record (title, author, ISBN, ...) while each
+ * Copy is one physical item on the shelf, identified by its barcode.
+ * Circulation (checkout, return, holds) always operates on a specific copy,
+ * and a book is available when at least one of its copies is available.
+ * 
+ * @module models/Copy.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Copy Schema Definition
+ * 
+ * Defines the structure and validation rules for copy documents in MongoDB.
+ * Includes the owning book, the item barcode, its physical condition and
+ * its circulation status.
+ */
+const copySchema = new mongoose.Schema({
+  // Reference to the book this copy belongs to
+  book: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Book model
+    ref: 'Book', // Model name for population
+    required: [true, 'Book is required']
+  },
+
+  // Item barcode - must be unique across all copies
+  barcode: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    unique: true, // Ensures no duplicate barcodes
+    trim: true
+  },
+
+  // Physical condition of the copy
+  condition: {
+    type: String,
+    enum: ['new', 'good', 'fair', 'poor', 'damaged'],
+    default: 'good'
+  },
+
+  // Date the library acquired this copy
+  acquisitionDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Circulation status
+  // 'available': On the shelf and can be checked out
+  // 'on_loan': Checked out to a member
+  // 'on_hold': Set aside for the member at the front of the hold queue
+  // 'in_repair': Temporarily out of circulation
+  // 'lost': Reported lost
+  // 'withdrawn': Permanently removed from circulation
+  status: {
+    type: String,
+    enum: ['available', 'on_loan', 'on_hold', 'in_repair', 'lost', 'withdrawn'],
+    default: 'available' // New copies go straight to the shelf
+  },
+
+  // Free-text notes about the copy (shelf location, damage, ...)
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Statuses managed by circulation (checkout, return, holds)
+ * Admins cannot set these directly when creating or updating copies.
+ */
+copySchema.statics.CIRCULATION_STATUSES = ['on_loan', 'on_hold'];
+
+/**
+ * Indexes
+ * 
+ * - Copies are listed and counted per book by status
+ */
+copySchema.index({ book: 1, status: 1 });
+
+/**
+ * Export the Copy model
+ * 
+ * This creates a Mongoose model named 'Copy' using the copySchema.
+ * The model is used to interact with the 'copies' collection in MongoDB.
+ */
+module.exports = mongoose.model('Copy', copySchema);
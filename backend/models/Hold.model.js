@@ -0,0 +1,106 @@
+/**
+ * Hold Model
+ * 
+ * This model defines the schema for holds (reservations) on books.
+ * Members place a hold on a book whose copies are all checked out and are
+ * served in first-in, first-out order: when a copy is returned it is
+ * set aside for the first waiting member, who has a limited time to pick it up.
+ * 
+ * @module models/Hold.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Hold Schema Definition
+ * 
+ * Defines the structure and validation rules for hold documents in MongoDB.
+ * Includes references to the book and member, the queue position and the
+ * pickup window once the book has been set aside.
+ */
+const holdSchema = new mongoose.Schema({
+  // Reference to the book being held
+  book: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Book model
+    ref: 'Book', // Model name for population
+    required: [true, 'Book is required']
+  },
+
+  // Reference to the member waiting for the book
+  member: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Member model
+    ref: 'Member', // Model name for population
+    required: [true, 'Member is required']
+  },
+
+  // Reference to the user who placed the hold (the member themselves or an admin)
+  placedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: true
+  },
+
+  // Hold status
+  // 'waiting': Member is in the queue
+  // 'ready': Book has been set aside for the member to pick up
+  // 'fulfilled': Member checked out the book
+  // 'cancelled': Hold was cancelled by the member or an admin
+  // 'expired': Member did not pick up the book in time
+  status: {
+    type: String,
+    enum: ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'],
+    default: 'waiting' // New holds join the queue
+  },
+
+  // Position in the book's queue - lower values are served first
+  // Defaults to the placement time so holds are FIFO unless an admin reorders them
+  position: {
+    type: Number,
+    default: Date.now
+  },
+
+  // Reference to the copy set aside for the member (if applicable)
+  // Set when the hold becomes ready
+  copy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Copy model
+    ref: 'Copy', // Model name for population
+    default: null // Not set until a copy is returned
+  },
+
+  // Timestamp when the book was set aside for the member (if applicable)
+  readyAt: {
+    type: Date,
+    default: null // Not set until the book is returned
+  },
+
+  // Deadline for picking up the book once it is ready (if applicable)
+  pickupExpiresAt: {
+    type: Date,
+    default: null // Not set until the book is returned
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - A member can only have one open hold per book
+ * - Queues are read per book in position order
+ * - Expiry scans ready holds by pickup deadline
+ */
+holdSchema.index(
+  { book: 1, member: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'ready'] } } }
+);
+holdSchema.index({ book: 1, status: 1, position: 1 });
+holdSchema.index({ status: 1, pickupExpiresAt: 1 });
+
+/**
+ * Export the Hold model
+ * 
+ * This creates a Mongoose model named 'Hold' using the holdSchema.
+ * The model is used to interact with the 'holds' collection in MongoDB.
+ */
+module.exports = mongoose.model('Hold', holdSchema);
@@ -0,0 +1,102 @@
+/**
+ * Invitation Model
+ * 
+ * This model defines the schema for account invitations. Public registration
+ * only creates Members; an admin invites anyone who needs another role (or
+ * an account without registering themselves). The invitee receives a signed,
+ * expiring link and redeems it to create an account with the pre-assigned role.
+ * 
+ * The invitation record makes each link single-use and lets admins revoke it.
+ * 
+ * @module models/Invitation.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Schema Definition
+ * 
+ * Defines the structure of invitation documents in MongoDB.
+ */
+const invitationSchema = new mongoose.Schema({
+  // Email address the invitation was sent to; the account is created with it
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+
+  // Role of the account created from the invitation
+  role: {
+    type: String, // Name of a Role
+    trim: true,
+    required: [true, 'Role is required']
+  },
+
+  // Reference to the admin who sent the invitation
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'Inviting user is required']
+  },
+
+  // When the invitation link stops working
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+
+  // When the invitation was redeemed and the account it created
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User',
+    default: null
+  },
+
+  // When an admin revoked the invitation (null unless revoked)
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true,
+  // Include virtuals (status) in API responses
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Virtual Field: status
+ * 
+ * 'accepted', 'revoked', 'expired' or 'pending'
+ */
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+/**
+ * Indexes
+ * 
+ * - Invitations are listed newest first
+ * - Earlier pending invitations to the same address are revoked when a new one is sent
+ */
+invitationSchema.index({ createdAt: -1 });
+invitationSchema.index({ email: 1 });
+
+/**
+ * Export the Invitation model
+ * 
+ * This creates a Mongoose model named 'Invitation' using the invitationSchema.
+ * The model is used to interact with the 'invitations' collection in MongoDB.
+ */
+module.exports = mongoose.model('Invitation', invitationSchema);
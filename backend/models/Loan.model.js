@@ -0,0 +1,117 @@
+/**
+ * Loan Model
+ * 
+ * This model defines the schema for loans (circulation transactions).
+ * A loan is created every time a book is checked out to a member and is
+ * closed when the book is returned. Loans are never deleted so they form
+ * the borrowing history of both books and members.
+ * 
+ * @module models/Loan.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Loan Schema Definition
+ * 
+ * Defines the structure and validation rules for loan documents in MongoDB.
+ * Includes references to the borrowed book, the borrowing member and the
+ * staff users who handled the checkout and the return.
+ */
+const loanSchema = new mongoose.Schema({
+  // Reference to the book that was checked out
+  book: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Book model
+    ref: 'Book', // Model name for population
+    required: [true, 'Book is required']
+  },
+
+  // Reference to the physical copy that was checked out
+  copy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Copy model
+    ref: 'Copy', // Model name for population
+    required: [true, 'Copy is required']
+  },
+
+  // Reference to the member who borrowed the book
+  member: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Member model
+    ref: 'Member', // Model name for population
+    required: [true, 'Member is required']
+  },
+
+  // Loan status
+  // 'active': Book is currently checked out to the member
+  // 'returned': Book has been returned and the loan is closed
+  status: {
+    type: String,
+    enum: ['active', 'returned'], // Only allow these two values
+    default: 'active' // New loans start as active
+  },
+
+  // Timestamp when the book was checked out
+  checkedOutAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Date by which the book must be returned
+  // Calculated from the configured loan periods at checkout
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+
+  // Overdue fine recorded for this loan
+  // Accrued daily while the loan is overdue and finalized on return
+  fineAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fine amount cannot be negative']
+  },
+
+  // Reference to the user who performed the checkout
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: true // Every checkout is performed by someone
+  },
+
+  // Timestamp when the book was returned (if applicable)
+  returnedAt: {
+    type: Date,
+    default: null // Not set until the book is returned
+  },
+
+  // Reference to the user who processed the return (if applicable)
+  returnedTo: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    default: null // Not set until the book is returned
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - Only one active loan may exist per copy at any time
+ * - Member loans are frequently listed by status
+ * - Overdue detection scans active loans by due date
+ */
+loanSchema.index(
+  { copy: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+loanSchema.index({ member: 1, status: 1 });
+loanSchema.index({ status: 1, dueDate: 1 });
+
+/**
+ * Export the Loan model
+ * 
+ * This creates a Mongoose model named 'Loan' using the loanSchema.
+ * The model is used to interact with the 'loans' collection in MongoDB.
+ */
+module.exports = mongoose.model('Loan', loanSchema);
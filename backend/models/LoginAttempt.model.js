@@ -0,0 +1,62 @@
+/**
+ * Login Attempt Model
+ * 
+ * This model defines the schema for failed login attempts. Each failure is
+ * recorded with the client IP address so guessing across many accounts from
+ * one address can be throttled (see loginThrottle service). Per-account
+ * failures are tracked on the User model.
+ * 
+ * Attempts are removed by MongoDB through a TTL index once they no longer
+ * count.
+ * 
+ * @module models/LoginAttempt.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Login Attempt Schema Definition
+ * 
+ * Defines the structure of login attempt documents in MongoDB.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  // Client IP address the attempt came from
+  ip: {
+    type: String,
+    required: [true, 'IP address is required']
+  },
+
+  // Email address that was tried (whether or not an account exists)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // When the attempt stops counting against the IP address
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  // Only the creation time is of interest
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes
+ * 
+ * - Attempts are deleted automatically once they stop counting (TTL index)
+ * - Attempts are counted per IP address
+ */
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ ip: 1, expiresAt: 1 });
+
+/**
+ * Export the LoginAttempt model
+ * 
+ * This creates a Mongoose model named 'LoginAttempt' using the loginAttemptSchema.
+ * The model is used to interact with the 'loginattempts' collection in MongoDB.
+ */
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -4,11 +4,13 @@
  * This model defines the schema for library members.
  * Members can borrow books and have a unique membership ID.
  * Note: This is separate from the User model which handles authentication.
+ * A member can be linked to the user account with the same email address.
  * 
  * @module models/Member.model
  */
 
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete.plugin');
 
 /**
  * Member Schema Definition
@@ -42,24 +44,102 @@ const memberSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Member's role - determines access level and permissions
+  // Reference to the user account that owns this membership (if any)
+  // A user owns at most one member record; linked automatically by email once the
+  // user's address is verified (see linkVerifiedUser)
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    default: null // Members can exist without an account
+  },
+  
+  // Member's role - name of a Role (e.g. for role-based loan periods)
   role: {
     type: String,
-    enum: ['Admin', 'Member'], // Only allow these two values
+    trim: true,
     default: 'Member' // New members default to Member role
   },
   
   // Array of borrowed books - references to Book documents
+  // Maintained by book checkout/return together with Book.availability and Loan records
   borrowedBooks: [{
     type: mongoose.Schema.Types.ObjectId, // Reference to Book model
     ref: 'Book' // Model name for population
     // When populated, this will contain full Book documents
-  }]
+  }],
+
+  // Outstanding overdue fines - sum of the fines recorded on the member's loans
+  // Maintained by the circulation service and cannot be set directly
+  fineBalance: {
+    type: Number,
+    default: 0
+  }
 }, {
   // Enable automatic timestamps (createdAt and updatedAt)
   timestamps: true
 });
 
+/**
+ * Indexes
+ * 
+ * - A user account can own at most one member record
+ */
+memberSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+
+/**
+ * Find the Member Record of a User
+ * 
+ * Returns the member linked to the user. Reading never links a member: an
+ * email address can be changed to anyone's, so members are only linked when
+ * the address is verified (see linkVerifiedUser).
+ * 
+ * @param   {Object} user - User document
+ * @returns {Promise<Object|null>} Member document or null
+ * 
+ * @example
+ * const member = await Member.findForUser(req.user);
+ */
+memberSchema.statics.findForUser = function(user) {
+  return this.findOne({ user: user._id });
+};
+
+/**
+ * Link a Verified User to their Member Record
+ * 
+ * Links the unlinked member with the user's email address to the user. Only
+ * users who have proven they own the address are linked, otherwise anyone
+ * could take over a membership by registering with a patron's email.
+ * 
+ * @param   {Object} user - User document
+ * @returns {Promise<Object|null>} Newly linked member, or null if nothing was linked
+ * 
+ * @example
+ * await Member.linkVerifiedUser(user); // After the user verified their email
+ */
+memberSchema.statics.linkVerifiedUser = async function(user) {
+  if (!user.emailVerified) return null;
+
+  // A user owns at most one membership
+  if (await this.exists({ user: user._id })) return null;
+
+  return this.findOneAndUpdate(
+    { email: user.email, user: null },
+    { user: user._id },
+    { new: true }
+  );
+};
+
+/**
+ * Soft Delete
+ * 
+ * Deleted members are moved to the trash and hidden from queries until they
+ * are restored or purged (see softDelete plugin).
+ */
+memberSchema.plugin(softDelete);
+
 /**
  * Export the Member model
  * 
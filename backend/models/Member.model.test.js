@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Member = require('./Member.model');
+const User = require('./User.model');
+const { query } = require('../testing/helpers');
+
+describe('Member model', () => {
+  const user = (emailVerified) => new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', emailVerified });
+
+  describe('findForUser', () => {
+    it('only finds the membership linked to the user', (t) => {
+      const account = user(true);
+      const findOne = t.mock.method(Member, 'findOne', () => query(null));
+
+      Member.findForUser(account);
+
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { user: account._id });
+    });
+  });
+
+  describe('linkVerifiedUser', () => {
+    it('links the unlinked membership with the verified address', async (t) => {
+      const account = user(true);
+      t.mock.method(Member, 'exists', () => query(null));
+      const link = t.mock.method(Member, 'findOneAndUpdate', () => query(new Member({ email: account.email, user: account._id })));
+
+      const member = await Member.linkVerifiedUser(account);
+
+      assert.deepEqual(link.mock.calls[0].arguments.slice(0, 2), [{ email: 'ada@example.com', user: null }, { user: account._id }]);
+      assert.equal(member.user, account._id);
+    });
+
+    it('never links unverified users', async (t) => {
+      const link = t.mock.method(Member, 'findOneAndUpdate', () => query(null));
+
+      assert.equal(await Member.linkVerifiedUser(user(false)), null);
+      assert.equal(link.mock.callCount(), 0);
+    });
+
+    it('does not give a user a second membership', async (t) => {
+      t.mock.method(Member, 'exists', () => query({ _id: 'm1' }));
+      const link = t.mock.method(Member, 'findOneAndUpdate', () => query(null));
+
+      assert.equal(await Member.linkVerifiedUser(user(true)), null);
+      assert.equal(link.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Notification Model
+ * 
+ * This model defines the schema for in-app notifications. A notification
+ * tells one user about something that happened to them, e.g. that their book
+ * request was approved, and stays unread until they open it. Notifications
+ * are created by the notification service; users can switch off the types
+ * they do not want (see User model).
+ * 
+ * @module models/Notification.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Type Catalogue
+ * 
+ * Every type of notification, with when it is sent.
+ */
+const TYPES = {
+  'book.approved': 'Your book request was approved',
+  'book.rejected': 'Your book request was rejected',
+  'book.comment': 'Staff commented on your book request',
+  'hold.ready': 'A book you placed a hold on is ready for pickup'
+};
+
+/**
+ * Notification Schema Definition
+ * 
+ * Defines the structure of notification documents in MongoDB.
+ */
+const notificationSchema = new mongoose.Schema({
+  // Reference to the user the notification is for
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'User is required']
+  },
+
+  // Notification type (see type catalogue)
+  type: {
+    type: String,
+    enum: { values: Object.keys(TYPES), message: 'Unknown notification type: {VALUE}' },
+    required: [true, 'Type is required']
+  },
+
+  // Short headline (e.g. 'Book request approved')
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+
+  // Details shown below the title
+  message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Page of the frontend the notification points to (e.g. '/books/<id>')
+  link: {
+    type: String,
+    default: null
+  },
+
+  // References of the records involved (e.g. { book, hold })
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // When the user read the notification (null while unread)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - A user's notifications are listed newest first
+ * - Unread notifications are counted and listed per user
+ */
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+/**
+ * Type catalogue, for validation and the notifications API
+ */
+notificationSchema.statics.TYPES = TYPES;
+
+/**
+ * Export the Notification model
+ * 
+ * This creates a Mongoose model named 'Notification' using the notificationSchema.
+ * The model is used to interact with the 'notifications' collection in MongoDB.
+ */
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,90 @@
+/**
+ * Role Model
+ * 
+ * This model defines the schema for roles. A role is a named set of
+ * permissions; every user (and library member) has one role, and routes
+ * check permissions rather than role names (see requirePermission in
+ * middleware/auth.middleware).
+ * 
+ * The built-in roles (Admin, Librarian, Member) are created at startup (see
+ * permission service) and cannot be renamed or deleted; their permissions
+ * can be changed, except that Admin always has every permission.
+ * 
+ * @module models/Role.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Permission Catalogue
+ * 
+ * Every permission a role can grant, with what it allows.
+ */
+const PERMISSIONS = {
+  'books:manage': 'Add, edit, delete, restore, import and export books; see unapproved books',
+  'books:approve': 'Review book requests (approve, reject, discuss)',
+  'copies:manage': 'Add, edit and delete copies; look copies up by barcode',
+  'loans:checkout': 'Check books out and in',
+  'loans:view': 'See overdue loans',
+  'holds:manage': 'See, reorder, purge and cancel holds; place holds for members',
+  'members:manage': 'Add, edit, delete, restore and export library members',
+  'users:manage': 'Manage user accounts and invitations',
+  'roles:manage': 'Define roles and change the role of users',
+  'apikeys:manage': 'Create and revoke API keys for integrations',
+  'webhooks:manage': 'Register webhook endpoints and inspect and redeliver their deliveries',
+  'audit:view': 'Read the audit log'
+};
+
+/**
+ * Role Schema Definition
+ * 
+ * Defines the structure of role documents in MongoDB.
+ */
+const roleSchema = new mongoose.Schema({
+  // Name users and members refer to the role by (e.g. 'Librarian')
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9 _-]*$/, 'Name must start with a letter and contain only letters, digits, spaces, _ and -']
+  },
+
+  // What the role is for
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Permissions granted by the role
+  permissions: {
+    type: [{
+      type: String,
+      enum: { values: Object.keys(PERMISSIONS), message: 'Unknown permission: {VALUE}' }
+    }],
+    default: []
+  },
+
+  // Built-in roles cannot be renamed or deleted
+  system: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Permission catalogue, for validation and the roles API
+ */
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Export the Role model
+ * 
+ * This creates a Mongoose model named 'Role' using the roleSchema.
+ * The model is used to interact with the 'roles' collection in MongoDB.
+ */
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,93 @@
+/**
+ * Session Model
+ * 
+ * This model defines the schema for sign-in sessions. A session is created
+ * at login (or registration) and holds the hash of the current refresh token.
+ * Every access token names its session, so revoking the session (logout,
+ * account deletion) invalidates its tokens immediately.
+ * 
+ * Expired sessions are removed by MongoDB through a TTL index.
+ * 
+ * @module models/Session.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema Definition
+ * 
+ * Defines the structure of session documents in MongoDB.
+ */
+const sessionSchema = new mongoose.Schema({
+  // Reference to the signed-in user
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'User is required']
+  },
+
+  // SHA-256 hash of the current refresh token secret
+  // Replaced on every refresh; excluded from queries by default
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false
+  },
+
+  // When the session ends, regardless of refreshes
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+
+  // When the session was revoked (null while it is active)
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the refresh token was last used
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Client that signed in, to help users recognise their sessions
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - Expired sessions are deleted automatically (TTL index)
+ * - A user's sessions are revoked together
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1 });
+
+/**
+ * Instance Method: Check whether the session can still be used
+ * 
+ * @returns {Boolean} True if the session is neither revoked nor expired
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Export the Session model
+ * 
+ * This creates a Mongoose model named 'Session' using the sessionSchema.
+ * The model is used to interact with the 'sessions' collection in MongoDB.
+ */
+module.exports = mongoose.model('Session', sessionSchema);
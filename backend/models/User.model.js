@@ -2,13 +2,16 @@
  * User Model
  * 
  * This model defines the schema for users in the library system.
- * Users can be either 'Admin' or 'Member' and are used for authentication
- * and authorization throughout the application.
+ * Each user has a role (see Role model) whose permissions decide what they
+ * may do; users are used for authentication and authorization throughout
+ * the application.
  * 
  * @module models/User.model
  */
 
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete.plugin');
+const Notification = require('./Notification.model');
 const bcrypt = require('bcryptjs'); // Library for password hashing
 
 /**
@@ -42,11 +45,51 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'] // Minimum length validation
   },
   
-  // User's role - determines access level and permissions
+  // User's role - name of a Role, whose permissions determine access
   role: {
     type: String,
-    enum: ['Admin', 'Member'], // Only allow these two values
+    trim: true,
     default: 'Member' // New users default to Member role
+  },
+
+  // Whether the user has confirmed their email address (or an admin has)
+  // Unverified users cannot request books
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // When the email address was verified
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Failed login attempts since the last successful one (see loginThrottle service)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  // When the last failed login attempt happened
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  // Logins are refused until this time after too many failed attempts
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Notification types the user has switched off (see Notification model)
+  mutedNotifications: {
+    type: [{
+      type: String,
+      enum: { values: Object.keys(Notification.TYPES), message: 'Unknown notification type: {VALUE}' }
+    }],
+    default: []
   }
 }, {
   // Enable automatic timestamps (createdAt and updatedAt)
@@ -103,6 +146,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Check Lockout Method
+ * 
+ * @returns {Boolean} True while logins to the account are refused after too many failed attempts
+ */
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
 /**
  * Remove Password from JSON Output
  * 
@@ -123,6 +175,14 @@ userSchema.methods.toJSON = function() {
   return obj;
 };
 
+/**
+ * Soft Delete
+ * 
+ * Deleted users are moved to the trash and hidden from queries until they
+ * are restored or purged (see softDelete plugin).
+ */
+userSchema.plugin(softDelete);
+
 /**
  * Export the User model
  * 
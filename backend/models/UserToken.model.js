@@ -0,0 +1,74 @@
+/**
+ * UserToken Model
+ * 
+ * This model defines the schema for single-use tokens sent to a user by
+ * email, such as password reset and email verification links. Only a hash of the token is stored;
+ * the token itself exists only in the email.
+ * 
+ * A token is used up once it has been redeemed, and expired tokens are
+ * removed by MongoDB through a TTL index.
+ * 
+ * @module models/UserToken.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * UserToken Schema Definition
+ * 
+ * Defines the structure of user token documents in MongoDB.
+ */
+const userTokenSchema = new mongoose.Schema({
+  // Reference to the user the token was issued to
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'User is required']
+  },
+
+  // What the token allows
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: [true, 'Purpose is required']
+  },
+
+  // SHA-256 hash of the token
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  // When the token stops working
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+
+  // When the token was redeemed (null while unused)
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - Expired tokens are deleted automatically (TTL index)
+ * - A user's earlier tokens are invalidated when a new one is issued
+ */
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+/**
+ * Export the UserToken model
+ * 
+ * This creates a Mongoose model named 'UserToken' using the userTokenSchema.
+ * The model is used to interact with the 'usertokens' collection in MongoDB.
+ */
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,112 @@
+/**
+ * Webhook Model
+ * 
+ * This model defines the schema for webhook endpoints. Other systems register
+ * a URL and the library events they want to hear about; every such event is
+ * POSTed to the URL as JSON, signed with the webhook's secret (see webhook
+ * service). Each attempt is recorded as a WebhookDelivery.
+ * 
+ * The secret is only returned when the webhook is created or its secret is
+ * rotated.
+ * 
+ * @module models/Webhook.model
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Event Catalogue
+ * 
+ * Every event a webhook can subscribe to, with when it is sent.
+ */
+const EVENTS = {
+  'book.approved': 'A book request was approved',
+  'book.rejected': 'A book request was rejected',
+  'book.deleted': 'A book was moved to the trash',
+  'member.created': 'A library member was added',
+  'member.updated': 'A library member was changed',
+  'member.deleted': 'A library member was moved to the trash',
+  'user.role_changed': "A user's role was changed"
+};
+
+/**
+ * Webhook Schema Definition
+ * 
+ * Defines the structure of webhook documents in MongoDB.
+ */
+const webhookSchema = new mongoose.Schema({
+  // Endpoint the events are POSTed to
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'URL must start with http:// or https://']
+  },
+
+  // What the endpoint is for (e.g. 'Campus portal')
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Events sent to the endpoint
+  events: {
+    type: [{
+      type: String,
+      enum: { values: Object.keys(EVENTS), message: 'Unknown event: {VALUE}' }
+    }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+
+  // Key the payloads are signed with (HMAC-SHA256)
+  // Excluded from queries by default
+  secret: {
+    type: String,
+    required: [true, 'Secret is required'],
+    select: false
+  },
+
+  // Inactive webhooks receive no events and their pending retries are dropped
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Reference to the user who registered the webhook
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to User model
+    ref: 'User', // Model name for population
+    required: [true, 'Creating user is required']
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true,
+  // Never include the secret in API responses
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes
+ * 
+ * - Active webhooks are looked up by event
+ */
+webhookSchema.index({ active: 1, events: 1 });
+
+/**
+ * Event catalogue, for validation and the webhooks API
+ */
+webhookSchema.statics.EVENTS = EVENTS;
+
+/**
+ * Export the Webhook model
+ * 
+ * This creates a Mongoose model named 'Webhook' using the webhookSchema.
+ * The model is used to interact with the 'webhooks' collection in MongoDB.
+ */
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,116 @@
+/**
+ * WebhookDelivery Model
+ * 
+ * This model defines the schema for webhook deliveries: one event sent to one
+ * webhook, with the payload and the outcome of the latest attempt. Failed
+ * deliveries are retried with backoff until they succeed or run out of
+ * attempts (see webhook service and config/webhook.config).
+ * 
+ * Deliveries form the delivery log shown to admins and are removed by
+ * MongoDB through a TTL index after WEBHOOK_LOG_DAYS.
+ * 
+ * @module models/WebhookDelivery.model
+ */
+
+const mongoose = require('mongoose');
+const { webhookLogDays } = require('../config/webhook.config');
+
+/**
+ * WebhookDelivery Schema Definition
+ * 
+ * Defines the structure of webhook delivery documents in MongoDB.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  // Reference to the webhook the event is sent to
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to Webhook model
+    ref: 'Webhook', // Model name for population
+    required: [true, 'Webhook is required']
+  },
+
+  // Event type (see Webhook model)
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+
+  // JSON body POSTed to the endpoint
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Payload is required']
+  },
+
+  // 'pending' while attempts remain, then 'succeeded' or 'failed'
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+
+  // Number of attempts made so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // When the next attempt is due (null once the delivery is finished)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Outcome of the latest attempt
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+
+  // When the endpoint accepted the delivery
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Reference to the delivery this one was manually redelivered from
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId, // Reference to WebhookDelivery model
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  // Enable automatic timestamps (createdAt and updatedAt)
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * 
+ * - Deliveries are removed once they leave the delivery log (TTL index)
+ * - Due retries are found by status and time
+ * - A webhook's deliveries are listed newest first
+ */
+if (webhookLogDays > 0) {
+  webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: webhookLogDays * 24 * 60 * 60 });
+}
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+/**
+ * Export the WebhookDelivery model
+ * 
+ * This creates a Mongoose model named 'WebhookDelivery' using the webhookDeliverySchema.
+ * The model is used to interact with the 'webhookdeliveries' collection in MongoDB.
+ */
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,166 @@
+/**
+ * Soft Delete Plugin
+ * 
+ * Mongoose schema plugin that lets records be moved to the trash instead of
+ * being removed from the database:
+ * - Adds deletedAt and deletedBy fields
+ * - Hides trashed records from every query and aggregation unless it filters
+ *   on deletedAt itself or sets the withDeleted option
+ * - Explains duplicate key errors caused by a trashed record (409)
+ * - Adds softDelete() and restore() document methods
+ * 
+ * Trashed records are permanently removed by the trash service once the
+ * retention period has passed (see services/trash.service).
+ * 
+ * @module models/plugins/softDelete.plugin
+ * 
+ * @example
+ * bookSchema.plugin(softDelete);
+ * 
+ * await book.softDelete(req.user._id);
+ * await Book.find({ deletedAt: { $ne: null } }); // Trashed books
+ * await Book.findById(id).setOptions({ withDeleted: true }); // Trashed or not
+ * await Book.aggregate(pipeline).option({ withDeleted: true }); // Trashed or not
+ */
+
+const mongoose = require('mongoose');
+
+// Query operations that only see records outside the trash
+const FILTERED_OPERATIONS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'updateOne', 'updateMany'
+];
+
+/**
+ * Soft Delete Plugin
+ * 
+ * @param   {Object} schema - Mongoose schema to extend
+ * @returns {void}
+ */
+module.exports = function softDelete(schema) {
+  schema.add({
+    // When the record was moved to the trash (null when not deleted)
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Reference to the user who deleted the record
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Reference to User model
+      ref: 'User', // Model name for population
+      default: null
+    }
+  });
+
+  // Trash listings and the purge job look records up by deletion time
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  /**
+   * Pre-Query Hook - Hide Trashed Records
+   * 
+   * Adds { deletedAt: null } to the filter of every query that does not
+   * mention deletedAt and does not set the withDeleted option.
+   */
+  schema.pre(FILTERED_OPERATIONS, function () {
+    const options = this.getOptions();
+    if (options.withDeleted) {
+      // Mongoose-only option; don't pass it on to the driver
+      delete options.withDeleted;
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  /**
+   * Pre-Aggregate Hook - Hide Trashed Records
+   * 
+   * Prepends a { deletedAt: null } $match stage to every aggregation whose
+   * first stage does not match on deletedAt and that does not set the
+   * withDeleted option.
+   */
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) {
+      // Mongoose-only option; don't pass it on to the driver
+      delete this.options.withDeleted;
+      return;
+    }
+    const [firstStage] = this.pipeline();
+    if (firstStage?.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Post-Error Hook - Explain Duplicates in the Trash
+   * 
+   * Trashed records keep their unique values (e.g. ISBN, email or membership
+   * ID). When a write fails because a trashed record holds the value, the
+   * duplicate key error is replaced by a 409 error asking to restore that
+   * record instead.
+   * 
+   * @param   {Error} error - Error of the failed write
+   * @param   {*} result - Result of the write (unused)
+   * @param   {Function} next - Mongoose next middleware function
+   * @returns {Promise<void>} Calls next() with the error to report
+   */
+  async function explainTrashedDuplicate(error, result, next) {
+    if (error.code !== 11000 || !error.keyValue) return next(error);
+
+    // Document middleware runs on the document, query middleware on the query
+    const Model = this instanceof mongoose.Query ? this.model : this.constructor;
+    try {
+      const trashed = await Model.exists({ ...error.keyValue, deletedAt: { $ne: null } });
+      if (trashed) {
+        const field = Object.keys(error.keyValue)[0];
+        const trashError = new Error(
+          `A deleted ${Model.modelName.toLowerCase()} with this ${field} is in the trash; restore it instead`
+        );
+        trashError.status = 409;
+        return next(trashError);
+      }
+    } catch (lookupError) {
+      // Report the original error if the trash cannot be checked
+    }
+    next(error);
+  }
+  schema.post('save', explainTrashedDuplicate);
+  schema.post(['findOneAndUpdate', 'updateOne'], explainTrashedDuplicate);
+
+  /**
+   * Move the record to the trash
+   * 
+   * @param   {ObjectId} [userId] - User performing the deletion
+   * @param   {ClientSession} [session] - Transaction the deletion is part of
+   * @returns {Promise<Object>} The trashed document
+   */
+  schema.methods.softDelete = async function (userId = null, session = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    // updateOne skips document validation, so records that predate newer rules can still be deleted
+    await this.constructor.updateOne(
+      { _id: this._id, deletedAt: null },
+      { deletedAt: this.deletedAt, deletedBy: this.deletedBy },
+      { session }
+    );
+    return this;
+  };
+
+  /**
+   * Take the record out of the trash
+   * 
+   * @returns {Promise<Object>} The restored document
+   */
+  schema.methods.restore = async function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    await this.constructor.updateOne(
+      { _id: this._id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null }
+    );
+    return this;
+  };
+};
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const softDelete = require('./softDelete.plugin');
+const { id, query } = require('../../testing/helpers');
+
+const schema = new mongoose.Schema({ name: String, code: { type: String, unique: true } });
+schema.plugin(softDelete);
+const Thing = mongoose.model('SoftDeleteTestThing', schema);
+
+/**
+ * Run the middleware of queries and aggregations, up to the database call
+ * that fails without a connection
+ */
+const runHooks = (...operations) => Promise.all(operations.map(operation => operation.exec().catch(() => {})));
+
+describe('softDelete plugin', () => {
+  it('hides trashed records from queries', async () => {
+    const find = Thing.find({ name: 'x' });
+    const count = Thing.countDocuments({});
+    const update = Thing.updateMany({}, { name: 'y' });
+
+    await runHooks(find, count, update);
+
+    assert.deepEqual(find.getFilter(), { name: 'x', deletedAt: null });
+    assert.deepEqual(count.getFilter(), { deletedAt: null });
+    assert.deepEqual(update.getFilter(), { deletedAt: null });
+  });
+
+  it('leaves queries on deletedAt and withDeleted queries alone', async () => {
+    const trashed = Thing.find({ deletedAt: { $ne: null } });
+    const all = Thing.findOne({ name: 'x' }).setOptions({ withDeleted: true });
+
+    await runHooks(trashed, all);
+
+    assert.deepEqual(trashed.getFilter(), { deletedAt: { $ne: null } });
+    assert.deepEqual(all.getFilter(), { name: 'x' });
+    assert.equal(all.getOptions().withDeleted, undefined);
+  });
+
+  it('hides trashed records from aggregations', async () => {
+    const aggregate = Thing.aggregate([{ $group: { _id: '$name' } }]);
+    const trashed = Thing.aggregate([{ $match: { deletedAt: { $ne: null } } }]);
+    const all = Thing.aggregate([{ $group: { _id: '$name' } }]).option({ withDeleted: true });
+
+    await runHooks(aggregate, trashed, all);
+
+    assert.deepEqual(aggregate.pipeline(), [{ $match: { deletedAt: null } }, { $group: { _id: '$name' } }]);
+    assert.deepEqual(trashed.pipeline(), [{ $match: { deletedAt: { $ne: null } } }]);
+    assert.deepEqual(all.pipeline(), [{ $group: { _id: '$name' } }]);
+    assert.equal(all.options.withDeleted, undefined);
+  });
+
+  describe('duplicate keys', () => {
+    const duplicate = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyValue: { code: 'A-1' } });
+
+    it('asks to restore the trashed record holding the value', async (t) => {
+      t.mock.method(Thing.collection, 'insertOne', async () => {
+        throw duplicate();
+      });
+      const exists = t.mock.method(Thing, 'exists', () => query({ _id: id() }));
+
+      await assert.rejects(new Thing({ code: 'A-1' }).save(), {
+        status: 409,
+        message: 'A deleted softdeletetestthing with this code is in the trash; restore it instead'
+      });
+      assert.deepEqual(exists.mock.calls[0].arguments[0], { code: 'A-1', deletedAt: { $ne: null } });
+    });
+
+    it('explains duplicates of updates too', async (t) => {
+      t.mock.method(Thing.collection, 'updateOne', async () => {
+        throw duplicate();
+      });
+      t.mock.method(Thing, 'exists', () => query({ _id: id() }));
+
+      await assert.rejects(Thing.updateOne({ _id: id() }, { code: 'A-1' }).exec(), { status: 409 });
+    });
+
+    it('keeps the duplicate key error when the value is held by a live record', async (t) => {
+      t.mock.method(Thing.collection, 'insertOne', async () => {
+        throw duplicate();
+      });
+      t.mock.method(Thing, 'exists', () => query(null));
+
+      await assert.rejects(new Thing({ code: 'A-1' }).save(), { code: 11000 });
+    });
+  });
+
+  describe('softDelete and restore', () => {
+    it('moves the record to the trash and back', async (t) => {
+      const thing = new Thing({ name: 'x' });
+      const userId = id();
+      const update = t.mock.method(Thing, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      await thing.softDelete(userId);
+
+      assert.ok(thing.deletedAt instanceof Date);
+      assert.deepEqual(update.mock.calls[0].arguments, [
+        { _id: thing._id, deletedAt: null },
+        { deletedAt: thing.deletedAt, deletedBy: userId },
+        { session: null }
+      ]);
+
+      await thing.restore();
+
+      assert.equal(thing.deletedAt, null);
+      assert.deepEqual(update.mock.calls[1].arguments, [
+        { _id: thing._id, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null }
+      ]);
+    });
+
+    it('moves the record to the trash as part of a transaction', async (t) => {
+      const thing = new Thing({ name: 'x' });
+      const session = { id: 'session' };
+      const update = t.mock.method(Thing, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      await thing.softDelete(id(), session);
+
+      assert.deepEqual(update.mock.calls[0].arguments[2], { session });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Audit Routes
+ * 
+ * This file defines the routes of the audit log.
+ * The audit log is read-only and restricted to administrators.
+ * 
+ * @module routes/audit.routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const auditController = require('../controllers/audit.controller');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+
+/**
+ * Audit Log Validation Rules
+ * 
+ * Validates the filter and pagination query parameters of GET /api/audit.
+ */
+const auditListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  // Actor and target validation: optional, valid MongoDB ObjectIds
+  query('actor')
+    .optional()
+    .isMongoId().withMessage('Actor must be a valid user ID'),
+  query('targetId')
+    .optional()
+    .isMongoId().withMessage('Target ID must be a valid ID'),
+
+  // Date range validation: optional, ISO 8601 dates
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid date')
+];
+
+/**
+ * Route Definitions
+ * 
+ * All routes are prefixed with /api/audit (defined in server.js)
+ */
+
+/**
+ * GET /api/audit
+ * 
+ * Search the audit log.
+ * Supports actor, targetType, targetId, action and from/to filters and pagination.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('audit:view'): Ensures user's role grants audit:view
+ * - auditListValidation: Validates query parameters
+ * 
+ * @access  Private (audit:view permission)
+ */
+router.get('/', protect, requirePermission('audit:view'), auditListValidation, auditController.getAuditEvents);
+
+/**
+ * Export the router
+ * 
+ * This router is imported in server.js and mounted at /api/audit
+ */
+module.exports = router;
@@ -9,9 +9,15 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const holdsController = require('../controllers/holds.controller');
+const invitationsController = require('../controllers/invitations.controller');
+const apiKeysController = require('../controllers/apiKeys.controller');
+const Role = require('../models/Role.model');
+const { protect, requirePermission, requireSession } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { checkRoleExists } = require('../services/permission.service');
 
 /**
  * Registration Validation Rules
@@ -35,12 +41,7 @@ const registerValidation = [
   // Password validation: required, minimum 6 characters
   body('password')
     .notEmpty().withMessage('Password is required')
-    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  
-  // Role validation: optional, must be either 'Admin' or 'Member'
-  body('role')
-    .optional() // Field is optional
-    .isIn(['Admin', 'Member']).withMessage('Role must be either Admin or Member')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ];
 
 /**
@@ -60,16 +61,274 @@ const loginValidation = [
     .notEmpty().withMessage('Password is required')
 ];
 
+/**
+ * Refresh Token Validation Rules
+ * 
+ * Defines validation rules for refreshing access tokens and logging out.
+ */
+const refreshTokenValidation = [
+  // Refresh token validation: required string
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string')
+];
+
+/**
+ * Forgot Password Validation Rules
+ * 
+ * Defines validation rules for requesting a password reset email.
+ */
+const forgotPasswordValidation = [
+  // Email validation: required, trimmed, must be valid email format
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+];
+
+/**
+ * Reset Password Validation Rules
+ * 
+ * Defines validation rules for setting a new password with a reset token.
+ */
+const resetPasswordValidation = [
+  // Token validation: required string
+  body('token')
+    .notEmpty().withMessage('Reset token is required')
+    .isString().withMessage('Reset token must be a string'),
+
+  // Password validation: required, minimum 6 characters
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+/**
+ * Email Verification Validation Rules
+ * 
+ * Defines validation rules for verifying an email address with a token.
+ */
+const verifyEmailValidation = [
+  // Token validation: required string
+  body('token')
+    .notEmpty().withMessage('Verification token is required')
+    .isString().withMessage('Verification token must be a string')
+];
+
+/**
+ * Profile Update Validation Rules
+ * 
+ * Defines validation rules for users changing their own name or email address.
+ */
+const profileUpdateValidation = [
+  // Name validation: optional, trimmed, minimum 2 characters
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+
+  // Email validation: optional, trimmed, must be valid email format
+  body('email')
+    .optional()
+    .trim()
+    .isEmail().withMessage('Please provide a valid email'),
+
+  // Current password validation: optional string (required by the controller to change the email)
+  body('currentPassword')
+    .optional()
+    .isString().withMessage('Current password must be a string')
+];
+
+/**
+ * Password Change Validation Rules
+ * 
+ * Defines validation rules for users changing their own password.
+ */
+const passwordChangeValidation = [
+  // Current password validation: required
+  body('currentPassword')
+    .notEmpty().withMessage('Current password is required'),
+
+  // New password validation: required, minimum 6 characters, different from the current one
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    .custom((value, { req }) => value !== req.body.currentPassword).withMessage('New password must be different from the current password')
+];
+
+/**
+ * Invitation Validation Rules
+ * 
+ * Defines validation rules for inviting someone.
+ */
+const invitationValidation = [
+  // Email validation: required, trimmed, must be valid email format
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email'),
+
+  // Role validation: required, must be a defined role (see Role model)
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .custom(checkRoleExists)
+];
+
+/**
+ * Invitation List Validation Rules
+ * 
+ * Validates the filter and pagination query parameters of GET /api/auth/invitations.
+ */
+const invitationListValidation = [
+  // Status filter validation: optional, one of the invitation statuses
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'revoked', 'expired']).withMessage('Status must be pending, accepted, revoked or expired'),
+
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * API Key Validation Rules
+ * 
+ * Defines validation rules for creating API keys.
+ */
+const apiKeyValidation = [
+  // Name validation: required, trimmed
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+
+  // Scopes validation: non-empty array of known permissions
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(Object.keys(Role.PERMISSIONS)).withMessage('Unknown scope'),
+
+  // Expiry validation: optional date in the future
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+];
+
+/**
+ * API Key List Validation Rules
+ * 
+ * Validates the filter and pagination query parameters of GET /api/auth/api-keys.
+ */
+const apiKeyListValidation = [
+  // Status filter validation: optional, one of the API key statuses
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked', 'expired']).withMessage('Status must be active, revoked or expired'),
+
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Accept Invitation Validation Rules
+ * 
+ * Defines validation rules for creating an account from an invitation.
+ */
+const acceptInvitationValidation = [
+  // Token validation: required string
+  body('token')
+    .notEmpty().withMessage('Invitation token is required')
+    .isString().withMessage('Invitation token must be a string'),
+
+  // Name validation: required, trimmed, minimum 2 characters
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+
+  // Password validation: required, minimum 6 characters
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
 /**
  * Role Update Validation Rules
  * 
- * Defines validation rules for role updates (Admin only).
+ * Defines validation rules for role updates.
  */
 const roleUpdateValidation = [
-  // Role validation: required, must be either 'Admin' or 'Member'
+  // Role validation: required, must be a defined role (see Role model)
   body('role')
     .notEmpty().withMessage('Role is required')
-    .isIn(['Admin', 'Member']).withMessage('Role must be either Admin or Member')
+    .custom(checkRoleExists)
+];
+
+/**
+ * User List Validation Rules
+ * 
+ * Validates the search, filter and pagination query parameters of GET /api/auth/users.
+ */
+const userListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  // Role filter validation: optional role name
+  query('role')
+    .optional()
+    .isString().withMessage('Role must be a string'),
+
+  // Overdue filter validation: optional, boolean (converted to true/false)
+  query('hasOverdue')
+    .optional()
+    .isBoolean().withMessage('hasOverdue must be true or false')
+    .toBoolean(true),
+
+  // Creation date range validation: optional, ISO 8601 dates
+  query('createdFrom')
+    .optional()
+    .isISO8601().withMessage('createdFrom must be a valid date'),
+  query('createdTo')
+    .optional()
+    .isISO8601().withMessage('createdTo must be a valid date')
+];
+
+/**
+ * Trash Listing Validation Rules
+ * 
+ * Validates the pagination query parameters of GET /api/auth/users/trash.
+ */
+const trashListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ];
 
 /**
@@ -82,20 +341,23 @@ const roleUpdateValidation = [
  * POST /api/auth/register
  * 
  * Register a new user account.
- * Anyone can create an account. New users default to 'Member' role.
+ * Anyone can create an account. Self-registered users are always Members;
+ * other roles are assigned through invitations.
  * 
  * Middleware:
  * - registerValidation: Validates request body
+ * - audit: Records the action in the audit log
  * 
  * @access  Public
  */
-router.post('/register', registerValidation, authController.register);
+router.post('/register', registerValidation, audit('user.register', { target: 'User' }), authController.register);
 
 /**
  * POST /api/auth/login
  * 
- * Authenticate user and receive JWT token.
- * Returns a token that must be included in Authorization header for protected routes.
+ * Authenticate user and receive an access token and a refresh token.
+ * The access token must be included in Authorization header for protected routes.
+ * Repeated failures are throttled per account and per IP address (see loginThrottle service).
  * 
  * Middleware:
  * - loginValidation: Validates request body
@@ -104,6 +366,196 @@ router.post('/register', registerValidation, authController.register);
  */
 router.post('/login', loginValidation, authController.login);
 
+/**
+ * POST /api/auth/refresh
+ * 
+ * Exchange a refresh token for a new access token and refresh token.
+ * 
+ * Middleware:
+ * - refreshTokenValidation: Validates request body
+ * 
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', refreshTokenValidation, authController.refresh);
+
+/**
+ * POST /api/auth/logout
+ * 
+ * End the session of a refresh token, revoking its access tokens.
+ * Works without a valid access token so expired sessions can still log out.
+ * 
+ * Middleware:
+ * - refreshTokenValidation: Validates request body
+ * 
+ * @access  Public (requires the refresh token of the session)
+ */
+router.post('/logout', refreshTokenValidation, authController.logout);
+
+/**
+ * POST /api/auth/logout-all
+ * 
+ * End every session of the current user (e.g. after losing a device).
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requireSession: Rejects API keys
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.post('/logout-all', protect, requireSession, authController.logoutAll);
+
+/**
+ * POST /api/auth/forgot-password
+ * 
+ * Email a password reset link to the account with the given email, if any.
+ * 
+ * Middleware:
+ * - forgotPasswordValidation: Validates request body
+ * 
+ * @access  Public
+ */
+router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * 
+ * Set a new password with the token from a password reset email.
+ * 
+ * Middleware:
+ * - resetPasswordValidation: Validates request body
+ * 
+ * @access  Public (requires a valid reset token)
+ */
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
+
+/**
+ * POST /api/auth/verify-email
+ * 
+ * Verify an email address with the token from a verification email.
+ * 
+ * Middleware:
+ * - verifyEmailValidation: Validates request body
+ * 
+ * @access  Public (requires a valid verification token)
+ */
+router.post('/verify-email', verifyEmailValidation, authController.verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * 
+ * Email a new verification link to the current user.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.post('/resend-verification', protect, authController.resendVerification);
+
+/**
+ * POST /api/auth/invitations/accept
+ * 
+ * Create an account from an invitation link and sign the new user in.
+ * 
+ * Middleware:
+ * - acceptInvitationValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Public (requires a valid invitation token)
+ */
+router.post('/invitations/accept', acceptInvitationValidation, audit('invitation.accept', { target: 'User' }), invitationsController.acceptInvitation);
+
+/**
+ * GET /api/auth/invitations
+ * 
+ * List invitations, newest first.
+ * Optional query: status=pending|accepted|revoked|expired, page, limit
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - invitationListValidation: Validates query parameters
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.get('/invitations', protect, requirePermission('users:manage'), invitationListValidation, invitationsController.getInvitations);
+
+/**
+ * POST /api/auth/invitations
+ * 
+ * Email an invitation to create an account with a pre-assigned role.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - invitationValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.post('/invitations', protect, requirePermission('users:manage'), invitationValidation, audit('invitation.create', { target: 'Invitation' }), invitationsController.createInvitation);
+
+/**
+ * DELETE /api/auth/invitations/:id
+ * 
+ * Revoke a pending invitation so its link stops working.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.delete('/invitations/:id', protect, requirePermission('users:manage'), audit('invitation.revoke', { target: 'Invitation', param: 'id' }), invitationsController.revokeInvitation);
+
+/**
+ * GET /api/auth/api-keys
+ * 
+ * List API keys, newest first, with when they were last used.
+ * Optional query: status=active|revoked|expired, page, limit
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requireSession: Rejects API keys
+ * - requirePermission('apikeys:manage'): Ensures user's role grants apikeys:manage
+ * - apiKeyListValidation: Validates query parameters
+ * 
+ * @access  Private (apikeys:manage permission)
+ */
+router.get('/api-keys', protect, requireSession, requirePermission('apikeys:manage'), apiKeyListValidation, apiKeysController.getApiKeys);
+
+/**
+ * POST /api/auth/api-keys
+ * 
+ * Create an API key. The key is only included in this response.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requireSession: Rejects API keys
+ * - requirePermission('apikeys:manage'): Ensures user's role grants apikeys:manage
+ * - apiKeyValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (apikeys:manage permission)
+ */
+router.post('/api-keys', protect, requireSession, requirePermission('apikeys:manage'), apiKeyValidation, audit('apikey.create', { target: 'ApiKey' }), apiKeysController.createApiKey);
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * 
+ * Revoke an API key so it stops working immediately.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requireSession: Rejects API keys
+ * - requirePermission('apikeys:manage'): Ensures user's role grants apikeys:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (apikeys:manage permission)
+ */
+router.delete('/api-keys/:id', protect, requireSession, requirePermission('apikeys:manage'), audit('apikey.revoke', { target: 'ApiKey', param: 'id' }), apiKeysController.revokeApiKey);
+
 /**
  * GET /api/auth/profile
  * 
@@ -117,64 +569,192 @@ router.post('/login', loginValidation, authController.login);
  */
 router.get('/profile', protect, authController.getProfile);
 
+/**
+ * PUT /api/auth/profile
+ * 
+ * Change the current user's name and/or email address.
+ * A new email address must be verified again.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requireSession: Rejects API keys
+ * - profileUpdateValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.put('/profile', protect, requireSession, profileUpdateValidation, audit('user.profile.update', { target: 'User' }), authController.updateProfile);
+
+/**
+ * PUT /api/auth/password
+ * 
+ * Change the current user's password and sign out every other session.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requireSession: Rejects API keys
+ * - passwordChangeValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.put('/password', protect, requireSession, passwordChangeValidation, audit('user.password.change', { target: 'User' }), authController.changePassword);
+
+/**
+ * GET /api/auth/me/loans
+ * 
+ * Get the current user's loans.
+ * Optional query: status=active|returned
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/me/loans', protect, authController.getMyLoans);
+
+/**
+ * GET /api/auth/me/holds
+ * 
+ * Get the current user's holds.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/me/holds', protect, holdsController.getMyHolds);
+
+/**
+ * GET /api/auth/me/requests
+ * 
+ * Get the books the current user has requested, in any approval status.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/me/requests', protect, authController.getMyRequests);
+
 /**
  * GET /api/auth/users
  * 
- * Get all users in the system (Admin only).
- * Returns a list of all registered users for administrative purposes.
+ * Get registered users for administrative purposes.
+ * Supports search (q), role, hasOverdue and createdFrom/createdTo filters,
+ * sorting and pagination.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - userListValidation: Validates query parameters
  * 
- * @access  Private (Admin only)
+ * @access  Private (users:manage permission)
  */
-router.get('/users', protect, authorize('Admin'), authController.getAllUsers);
+router.get('/users', protect, requirePermission('users:manage'), userListValidation, authController.getAllUsers);
+
+/**
+ * GET /api/auth/users/trash
+ * 
+ * List deleted user accounts in the trash.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - trashListValidation: Validates query parameters
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.get('/users/trash', protect, requirePermission('users:manage'), trashListValidation, authController.getDeletedUsers);
 
 /**
  * GET /api/auth/users/:id
  * 
- * Get a single user by ID (Admin only).
+ * Get a single user by ID.
  * Returns detailed information about a specific user.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
  * 
- * @access  Private (Admin only)
+ * @access  Private (users:manage permission)
  */
-router.get('/users/:id', protect, authorize('Admin'), authController.getUserById);
+router.get('/users/:id', protect, requirePermission('users:manage'), authController.getUserById);
 
 /**
  * PUT /api/auth/users/:id/role
  * 
- * Update a user's role (Admin only).
+ * Update a user's role.
  * Allows admins to promote members to admins or demote admins to members.
  * Admins cannot change their own role.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('roles:manage'): Ensures user's role grants roles:manage
  * - roleUpdateValidation: Validates request body
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (roles:manage permission)
  */
-router.put('/users/:id/role', protect, authorize('Admin'), roleUpdateValidation, authController.updateUserRole);
+router.put('/users/:id/role', protect, requirePermission('roles:manage'), roleUpdateValidation, audit('user.role.update', { target: 'User', param: 'id' }), authController.updateUserRole);
+
+/**
+ * PUT /api/auth/users/:id/verify-email
+ * 
+ * Mark a user's email address as verified without a verification link.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.put('/users/:id/verify-email', protect, requirePermission('users:manage'), audit('user.email.verify', { target: 'User', param: 'id' }), authController.verifyUserEmail);
+
+/**
+ * PUT /api/auth/users/:id/unlock
+ * 
+ * Lift a lockout after too many failed login attempts.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.put('/users/:id/unlock', protect, requirePermission('users:manage'), audit('user.unlock', { target: 'User', param: 'id' }), authController.unlockUser);
 
 /**
  * DELETE /api/auth/users/:id
  * 
- * Delete a user account (Admin only).
- * Permanently removes a user from the system.
+ * Delete a user account.
+ * Moves the user to the trash, from where it can be restored until it is purged.
  * Admins cannot delete their own account.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (users:manage permission)
+ */
+router.delete('/users/:id', protect, requirePermission('users:manage'), audit('user.delete', { target: 'User', param: 'id' }), authController.deleteUser);
+
+/**
+ * PUT /api/auth/users/:id/restore
+ * 
+ * Restore a deleted user account from the trash.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('users:manage'): Ensures user's role grants users:manage
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (users:manage permission)
  */
-router.delete('/users/:id', protect, authorize('Admin'), authController.deleteUser);
+router.put('/users/:id/restore', protect, requirePermission('users:manage'), audit('user.restore', { target: 'User', param: 'id' }), authController.restoreUser);
 
 /**
  * Export the router
@@ -9,45 +9,204 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query, check } = require('express-validator');
 const booksController = require('../controllers/books.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const holdsController = require('../controllers/holds.controller');
+const copiesController = require('../controllers/copies.controller');
+const commentsController = require('../controllers/comments.controller');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { bookValidation, bookChangesValidation } = require('../validators/book.validators');
+const { EXPORT_FORMATS } = require('../utils/export.util');
 
 /**
- * Book Validation Rules
+ * Book Listing Validation Rules
  * 
- * Defines validation rules for book creation and updates using express-validator.
- * These rules ensure data integrity before processing requests.
+ * Defines validation rules for the search, filter and pagination query parameters.
  */
-const bookValidation = [
-  // Title validation: required, trimmed, minimum 1 character
-  body('title')
-    .trim() // Remove leading/trailing whitespace
-    .notEmpty().withMessage('Title is required')
-    .isLength({ min: 1 }).withMessage('Title cannot be empty'),
-  
-  // Author validation: required, trimmed, minimum 1 character
-  body('author')
+const bookListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  // Availability filter validation: optional, boolean (converted to true/false)
+  query('availability')
+    .optional()
+    .isBoolean().withMessage('Availability must be true or false')
+    .toBoolean(true),
+
+  // Approval status filter validation: optional, must be a known status
+  query('approvalStatus')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'withdrawn']).withMessage('Approval status must be pending, approved, rejected or withdrawn')
+];
+
+/**
+ * Trash Listing Validation Rules
+ * 
+ * Validates the pagination query parameters of GET /api/books/trash.
+ */
+const trashListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Book Export Validation Rules
+ * 
+ * The listing filters plus the file format.
+ */
+const bookExportValidation = [
+  ...bookListValidation,
+
+  // Format validation: optional, must be a supported export format
+  // MARCXML is available for books in addition to the generic formats
+  query('format')
+    .optional()
+    .isIn([...EXPORT_FORMATS, 'marcxml']).withMessage(`Format must be one of: ${[...EXPORT_FORMATS, 'marcxml'].join(', ')}`)
+];
+
+/**
+ * Import Validation Rules
+ * 
+ * Defines validation rules for the options of a CSV import. Options may be
+ * given in the query string or in a JSON body, so both locations are checked.
+ */
+const importValidation = [
+  // Dry run validation: optional, boolean (converted to true/false)
+  check('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be true or false')
+    .toBoolean(true),
+
+  // Duplicate handling validation: optional, 'skip' or 'update'
+  check('onDuplicate')
+    .optional()
+    .isIn(['skip', 'update']).withMessage('onDuplicate must be skip or update'),
+
+  // Approval status validation: optional, status given to new books
+  check('approvalStatus')
+    .optional()
+    .isIn(['approved', 'pending']).withMessage('approvalStatus must be approved or pending'),
+
+  // Column mapping validation: optional, object of field → column name
+  check('mapping')
+    .optional()
+    .isObject().withMessage('mapping must map book fields to CSV column names')
+];
+
+/**
+ * Circulation Validation Rules
+ * 
+ * Defines validation rules for checkout and return requests.
+ * Circulation always operates on a specific copy, identified by its barcode.
+ */
+const checkoutValidation = [
+  // Member ID validation: required, must be a valid MongoDB ObjectId
+  body('memberId')
+    .notEmpty().withMessage('Member ID is required')
+    .isMongoId().withMessage('Member ID must be a valid ID'),
+
+  // Barcode validation: required, trimmed
+  body('barcode')
     .trim()
-    .notEmpty().withMessage('Author is required')
-    .isLength({ min: 1 }).withMessage('Author cannot be empty'),
-  
-  // ISBN validation: required, trimmed, minimum 1 character
-  body('ISBN')
+    .notEmpty().withMessage('Barcode is required')
+];
+
+const returnValidation = [
+  // Barcode validation: required, trimmed
+  body('barcode')
     .trim()
-    .notEmpty().withMessage('ISBN is required')
-    .isLength({ min: 1 }).withMessage('ISBN cannot be empty'),
-  
-  // Category validation: required, trimmed, minimum 1 character
-  body('category')
+    .notEmpty().withMessage('Barcode is required'),
+
+  // Member ID validation: optional, must be a valid MongoDB ObjectId if provided
+  body('memberId')
+    .optional()
+    .isMongoId().withMessage('Member ID must be a valid ID')
+];
+
+/**
+ * Copy Validation Rules
+ * 
+ * Defines validation rules for adding and updating physical copies.
+ * Circulation statuses (on_loan, on_hold) cannot be set directly.
+ */
+const copyValidation = [
+  // Barcode validation: required, trimmed
+  body('barcode')
+    .trim()
+    .notEmpty().withMessage('Barcode is required'),
+
+  // Condition validation: optional, must be a known condition
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged']).withMessage('Condition must be one of new, good, fair, poor, damaged'),
+
+  // Acquisition date validation: optional, must be a date
+  body('acquisitionDate')
+    .optional()
+    .isISO8601().withMessage('Acquisition date must be a valid date'),
+
+  // Status validation: optional, only non-circulation statuses
+  body('status')
+    .optional()
+    .isIn(['available', 'in_repair', 'lost', 'withdrawn']).withMessage('Status must be one of available, in_repair, lost, withdrawn')
+];
+
+/**
+ * Hold Validation Rules
+ * 
+ * Defines validation rules for placing holds and reordering hold queues.
+ */
+const holdValidation = [
+  // Member ID validation: optional (admins placing a hold for a member), must be a valid MongoDB ObjectId
+  body('memberId')
+    .optional()
+    .isMongoId().withMessage('Member ID must be a valid ID')
+];
+
+const holdOrderValidation = [
+  // Hold IDs validation: required, non-empty array of valid MongoDB ObjectIds
+  body('holdIds')
+    .isArray({ min: 1 }).withMessage('Hold IDs must be a non-empty array'),
+  body('holdIds.*')
+    .isMongoId().withMessage('Each hold ID must be a valid ID')
+];
+
+/**
+ * Review Validation Rules
+ * 
+ * Defines validation rules for rejecting book requests and commenting on them.
+ */
+const rejectValidation = [
+  // Reason validation: optional, at most 500 characters
+  body('reason')
+    .optional({ values: 'null' })
+    .isString().withMessage('Reason must be text')
     .trim()
-    .notEmpty().withMessage('Category is required')
-    .isLength({ min: 1 }).withMessage('Category cannot be empty'),
-  
-  // Availability validation: optional, must be boolean if provided
-  body('availability')
-    .optional() // Field is optional
-    .isBoolean().withMessage('Availability must be a boolean')
+    .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+];
+
+const commentValidation = [
+  // Comment text validation: required, at most 2000 characters
+  body('body')
+    .isString().withMessage('Comment text is required')
+    .trim()
+    .notEmpty().withMessage('Comment text is required')
+    .isLength({ max: 2000 }).withMessage('Comment cannot be more than 2000 characters')
 ];
 
 /**
@@ -56,48 +215,156 @@ const bookValidation = [
  * All routes are prefixed with /api/books (defined in server.js)
  */
 
+/**
+ * :id Parameter
+ * 
+ * Every /api/books/:id route accepts either the book's id or its ISBN
+ * (ISBN-10 or ISBN-13, hyphens optional), e.g. GET /api/books/0-7432-7356-7.
+ */
+router.param('id', booksController.resolveBookId);
+
 /**
  * POST /api/books
  * 
  * Create a new book request.
- * Any authenticated user (Member or Admin) can create a book request.
+ * Any authenticated user can create a book request.
  * The book will be created with 'pending' status and requires admin approval.
+ * Members must have verified their email address.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
+ * - requireVerifiedEmail: Ensures the user's email address is verified
  * - bookValidation: Validates request body
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Any authenticated user)
+ * @access  Private (Any authenticated user with a verified email address)
  */
-router.post('/', protect, bookValidation, booksController.createBook);
+router.post('/', protect, requireVerifiedEmail, bookValidation, audit('book.create', { target: 'Book' }), booksController.createBook);
+
+/**
+ * POST /api/books/import
+ * 
+ * Bulk import books from CSV.
+ * Accepts a raw text/csv body (options in the query string) or JSON
+ * { csv, mapping, dryRun, onDuplicate }. Returns a per-row report.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
+ * - express.text(): Reads raw CSV bodies (up to 5 MB)
+ * - importValidation: Validates import options
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (books:manage permission)
+ */
+router.post(
+  '/import',
+  protect,
+  requirePermission('books:manage'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  importValidation,
+  audit('book.import', { target: 'Book' }),
+  booksController.importBooks
+);
+
+/**
+ * POST /api/books/import/marc
+ * 
+ * Bulk import books from binary MARC 21 or MARCXML.
+ * Options (approvalStatus, dryRun, onDuplicate) are read from the query string.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
+ * - express.raw(): Reads the MARC document (up to 20 MB)
+ * - importValidation: Validates import options
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (books:manage permission)
+ */
+router.post(
+  '/import/marc',
+  protect,
+  requirePermission('books:manage'),
+  express.raw({
+    type: ['application/marc', 'application/marcxml+xml', 'application/xml', 'text/xml', 'application/octet-stream'],
+    limit: '20mb'
+  }),
+  importValidation,
+  audit('book.import.marc', { target: 'Book' }),
+  booksController.importMarc
+);
 
 /**
  * GET /api/books
  * 
- * Get all books (filtered by user role).
+ * Search, filter, sort and paginate books (filtered by user role).
  * - Regular users: Only see approved books
  * - Admins: See all books (pending, approved, rejected)
  * 
+ * Query: q, category, availability, approvalStatus, sort, page, limit
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - bookListValidation: Validates query parameters
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/', protect, bookListValidation, booksController.getBooks);
+
+/**
+ * GET /api/books/export
+ * 
+ * Download books matching the listing filters as CSV, JSON or NDJSON.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
+ * - bookExportValidation: Validates query parameters
+ * 
+ * @access  Private (books:manage permission)
+ */
+router.get('/export', protect, requirePermission('books:manage'), bookExportValidation, booksController.exportBooks);
+
+/**
+ * GET /api/books/categories
+ * 
+ * Get the distinct categories of the books the user can see.
+ * 
  * Middleware:
  * - protect: Ensures user is authenticated
  * 
  * @access  Private (Any authenticated user)
  */
-router.get('/', protect, booksController.getBooks);
+router.get('/categories', protect, booksController.getCategories);
 
 /**
  * GET /api/books/pending
  * 
- * Get all pending book requests (Admin only).
+ * Get all pending book requests.
  * This route is used by admins to review book requests that need approval.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('books:approve'): Ensures user's role grants books:approve
  * 
- * @access  Private (Admin only)
+ * @access  Private (books:approve permission)
  */
-router.get('/pending', protect, authorize('Admin'), booksController.getPendingBooks);
+router.get('/pending', protect, requirePermission('books:approve'), booksController.getPendingBooks);
+
+/**
+ * GET /api/books/trash
+ * 
+ * List deleted books in the trash.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
+ * - trashListValidation: Validates query parameters
+ * 
+ * @access  Private (books:manage permission)
+ */
+router.get('/trash', protect, requirePermission('books:manage'), trashListValidation, booksController.getDeletedBooks);
 
 /**
  * GET /api/books/:id
@@ -116,59 +383,315 @@ router.get('/:id', protect, booksController.getBook);
 /**
  * PUT /api/books/:id/approve
  * 
- * Approve a pending book request (Admin only).
+ * Approve a pending book request.
  * Changes book status from 'pending' to 'approved', making it visible to all users.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('books:approve'): Ensures user's role grants books:approve
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (books:approve permission)
  */
-router.put('/:id/approve', protect, authorize('Admin'), booksController.approveBook);
+router.put('/:id/approve', protect, requirePermission('books:approve'), audit('book.approve', { target: 'Book', param: 'id' }), booksController.approveBook);
 
 /**
  * PUT /api/books/:id/reject
  * 
- * Reject a pending book request (Admin only).
+ * Reject a pending book request.
  * Changes book status from 'pending' to 'rejected', preventing it from being visible.
+ * An optional reason is stored and shown to the requester.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('books:approve'): Ensures user's role grants books:approve
+ * - rejectValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (books:approve permission)
+ */
+router.put('/:id/reject', protect, requirePermission('books:approve'), rejectValidation, audit('book.reject', { target: 'Book', param: 'id' }), booksController.rejectBook);
+
+/**
+ * PUT /api/books/:id/revise
+ * 
+ * Edit a pending book request (Requester only).
+ * The previous version is kept in the request's revision history.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - bookChangesValidation: Validates the changed fields
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (Requester)
  */
-router.put('/:id/reject', protect, authorize('Admin'), booksController.rejectBook);
+router.put('/:id/revise', protect, bookChangesValidation, audit('book.revise', { target: 'Book', param: 'id' }), booksController.reviseBookRequest);
+
+/**
+ * PUT /api/books/:id/withdraw
+ * 
+ * Withdraw a pending book request (Requester only).
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Requester)
+ */
+router.put('/:id/withdraw', protect, audit('book.withdraw', { target: 'Book', param: 'id' }), booksController.withdrawBookRequest);
+
+/**
+ * PUT /api/books/:id/resubmit
+ * 
+ * Resubmit a rejected or withdrawn book request for review (Requester only),
+ * optionally with changed fields.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - bookChangesValidation: Validates the changed fields
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Requester)
+ */
+router.put('/:id/resubmit', protect, bookChangesValidation, audit('book.resubmit', { target: 'Book', param: 'id' }), booksController.resubmitBookRequest);
+
+/**
+ * GET /api/books/:id/comments
+ * 
+ * Get the discussion thread of a book request, oldest first.
+ * Available to the user who requested the book and to admins.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Requester or books:approve permission)
+ */
+router.get('/:id/comments', protect, commentsController.getComments);
+
+/**
+ * POST /api/books/:id/comments
+ * 
+ * Add a comment to a pending book request.
+ * Available to the user who requested the book and to admins.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - commentValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Requester or books:approve permission)
+ */
+router.post('/:id/comments', protect, commentValidation, audit('comment.create', { target: 'Comment' }), commentsController.addComment);
+
+/**
+ * POST /api/books/:id/checkout
+ * 
+ * Check out a copy (by barcode) of an approved book to a member.
+ * Marks the copy on loan, adds the book to the member's borrowed books
+ * and records a Loan.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('loans:checkout'): Ensures user's role grants loans:checkout
+ * - checkoutValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (loans:checkout permission)
+ */
+router.post('/:id/checkout', protect, requirePermission('loans:checkout'), checkoutValidation, audit('loan.checkout', { target: 'Loan' }), booksController.checkoutBook);
+
+/**
+ * POST /api/books/:id/return
+ * 
+ * Return a checked out copy (by barcode).
+ * Closes the active Loan, puts the copy back on the shelf (or sets it aside
+ * for the next holder) and removes the book from the member's borrowed books.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('loans:checkout'): Ensures user's role grants loans:checkout
+ * - returnValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (loans:checkout permission)
+ */
+router.post('/:id/return', protect, requirePermission('loans:checkout'), returnValidation, audit('loan.return', { target: 'Loan' }), booksController.returnBook);
+
+/**
+ * GET /api/books/:id/copies
+ * 
+ * Get the physical copies of a book.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/:id/copies', protect, copiesController.getCopies);
+
+/**
+ * POST /api/books/:id/copies
+ * 
+ * Add a physical copy to a book.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('copies:manage'): Ensures user's role grants copies:manage
+ * - copyValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (copies:manage permission)
+ */
+router.post('/:id/copies', protect, requirePermission('copies:manage'), copyValidation, audit('copy.create', { target: 'Copy' }), copiesController.addCopy);
+
+/**
+ * PUT /api/books/:id/copies/:copyId
+ * 
+ * Update a physical copy.
+ * Used to record condition changes, repairs, losses and withdrawals.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('copies:manage'): Ensures user's role grants copies:manage
+ * - copyValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (copies:manage permission)
+ */
+router.put('/:id/copies/:copyId', protect, requirePermission('copies:manage'), copyValidation, audit('copy.update', { target: 'Copy', param: 'copyId' }), copiesController.updateCopy);
+
+/**
+ * DELETE /api/books/:id/copies/:copyId
+ * 
+ * Delete a physical copy.
+ * Copies that are on loan or on hold cannot be deleted.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('copies:manage'): Ensures user's role grants copies:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (copies:manage permission)
+ */
+router.delete('/:id/copies/:copyId', protect, requirePermission('copies:manage'), audit('copy.delete', { target: 'Copy', param: 'copyId' }), copiesController.deleteCopy);
+
+/**
+ * POST /api/books/:id/holds
+ * 
+ * Place a hold on a checked out book.
+ * The member joins the end of the book's FIFO hold queue.
+ * Admins may place a hold on behalf of a member with memberId.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - holdValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.post('/:id/holds', protect, holdValidation, audit('hold.create', { target: 'Hold' }), holdsController.placeHold);
+
+/**
+ * GET /api/books/:id/holds
+ * 
+ * Get the open hold queue of a book.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('holds:manage'): Ensures user's role grants holds:manage
+ * 
+ * @access  Private (holds:manage permission)
+ */
+router.get('/:id/holds', protect, requirePermission('holds:manage'), holdsController.getBookHolds);
+
+/**
+ * PUT /api/books/:id/holds/order
+ * 
+ * Reorder the waiting holds of a book.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('holds:manage'): Ensures user's role grants holds:manage
+ * - holdOrderValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (holds:manage permission)
+ */
+router.put('/:id/holds/order', protect, requirePermission('holds:manage'), holdOrderValidation, audit('hold.reorder', { target: 'Hold' }), holdsController.reorderHolds);
+
+/**
+ * DELETE /api/books/:id/holds
+ * 
+ * Purge the hold queue of a book.
+ * Cancels every open hold of the book.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('holds:manage'): Ensures user's role grants holds:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (holds:manage permission)
+ */
+router.delete('/:id/holds', protect, requirePermission('holds:manage'), audit('hold.purge', { target: 'Hold' }), holdsController.purgeHolds);
+
+/**
+ * DELETE /api/books/:id/holds/:holdId
+ * 
+ * Cancel a hold.
+ * Members can cancel their own holds, admins can cancel any hold.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (Holder or holds:manage permission)
+ */
+router.delete('/:id/holds/:holdId', protect, audit('hold.cancel', { target: 'Hold', param: 'holdId' }), holdsController.cancelHold);
 
 /**
  * PUT /api/books/:id
  * 
- * Update a book (Admin only).
+ * Update a book.
  * Allows admins to modify book information.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
  * - bookValidation: Validates request body
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (books:manage permission)
  */
-router.put('/:id', protect, authorize('Admin'), bookValidation, booksController.updateBook);
+router.put('/:id', protect, requirePermission('books:manage'), bookValidation, audit('book.update', { target: 'Book', param: 'id' }), booksController.updateBook);
 
 /**
  * DELETE /api/books/:id
  * 
- * Delete a book (Admin only).
- * Permanently removes a book from the database.
+ * Delete a book.
+ * Moves the book to the trash, from where it can be restored until it is purged.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (books:manage permission)
+ */
+router.delete('/:id', protect, requirePermission('books:manage'), audit('book.delete', { target: 'Book', param: 'id' }), booksController.deleteBook);
+
+/**
+ * PUT /api/books/:id/restore
+ * 
+ * Restore a deleted book from the trash.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('books:manage'): Ensures user's role grants books:manage
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (books:manage permission)
  */
-router.delete('/:id', protect, authorize('Admin'), booksController.deleteBook);
+router.put('/:id/restore', protect, requirePermission('books:manage'), audit('book.restore', { target: 'Book', param: 'id' }), booksController.restoreBook);
 
 /**
  * Export the router
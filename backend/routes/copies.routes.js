@@ -0,0 +1,39 @@
+/**
+ * Copies Routes
+ * 
+ * This file defines routes for looking up physical copies by barcode.
+ * Routes for managing the copies of a book live under /api/books/:id/copies.
+ * 
+ * @module routes/copies.routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const copiesController = require('../controllers/copies.controller');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+
+/**
+ * Route Definitions
+ * 
+ * All routes are prefixed with /api/copies (defined in server.js)
+ */
+
+/**
+ * GET /api/copies/:barcode
+ * 
+ * Get a copy and its book by barcode.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('copies:manage', 'loans:checkout'): Ensures user's role grants copies:manage or loans:checkout
+ * 
+ * @access  Private (copies:manage or loans:checkout permission)
+ */
+router.get('/:barcode', protect, requirePermission('copies:manage', 'loans:checkout'), copiesController.getCopyByBarcode);
+
+/**
+ * Export the router
+ * 
+ * This router is imported in server.js and mounted at /api/copies
+ */
+module.exports = router;
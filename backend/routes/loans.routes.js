@@ -0,0 +1,40 @@
+/**
+ * Loans Routes
+ * 
+ * This file defines all routes related to loan reporting.
+ * Checkout and return routes live under /api/books.
+ * 
+ * @module routes/loans.routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const loansController = require('../controllers/loans.controller');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+
+/**
+ * Route Definitions
+ * 
+ * All routes are prefixed with /api/loans (defined in server.js)
+ */
+
+/**
+ * GET /api/loans/overdue
+ * 
+ * Get all overdue loans.
+ * Returns active loans past their due date with days overdue and current fine.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('loans:view'): Ensures user's role grants loans:view
+ * 
+ * @access  Private (loans:view permission)
+ */
+router.get('/overdue', protect, requirePermission('loans:view'), loansController.getOverdueLoans);
+
+/**
+ * Export the router
+ * 
+ * This router is imported in server.js and mounted at /api/loans
+ */
+module.exports = router;
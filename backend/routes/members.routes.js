@@ -9,9 +9,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const membersController = require('../controllers/members.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+const { checkRoleExists } = require('../services/permission.service');
+const { EXPORT_FORMATS } = require('../utils/export.util');
 
 /**
  * Member Validation Rules
@@ -38,10 +41,10 @@ const memberValidation = [
     .notEmpty().withMessage('Membership ID is required')
     .isLength({ min: 1 }).withMessage('Membership ID cannot be empty'),
   
-  // Role validation: optional, must be either 'Admin' or 'Member'
+  // Role validation: optional, must be a defined role (see Role model)
   body('role')
     .optional() // Field is optional
-    .isIn(['Admin', 'Member']).withMessage('Role must be either Admin or Member'),
+    .custom(checkRoleExists),
   
   // Borrowed books validation: optional, must be an array if provided
   body('borrowedBooks')
@@ -49,6 +52,73 @@ const memberValidation = [
     .isArray().withMessage('Borrowed books must be an array')
 ];
 
+/**
+ * Member List Validation Rules
+ * 
+ * Validates the search, filter and pagination query parameters of GET /api/members.
+ */
+const memberListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  // Role filter validation: optional role name
+  query('role')
+    .optional()
+    .isString().withMessage('Role must be a string'),
+
+  // Overdue filter validation: optional, boolean (converted to true/false)
+  query('hasOverdue')
+    .optional()
+    .isBoolean().withMessage('hasOverdue must be true or false')
+    .toBoolean(true),
+
+  // Creation date range validation: optional, ISO 8601 dates
+  query('createdFrom')
+    .optional()
+    .isISO8601().withMessage('createdFrom must be a valid date'),
+  query('createdTo')
+    .optional()
+    .isISO8601().withMessage('createdTo must be a valid date')
+];
+
+/**
+ * Member Export Validation Rules
+ * 
+ * The listing filters plus the file format.
+ */
+const memberExportValidation = [
+  ...memberListValidation,
+
+  // Format validation: optional, must be a supported export format
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+];
+
+/**
+ * Trash Listing Validation Rules
+ * 
+ * Validates the pagination query parameters of GET /api/members/trash.
+ */
+const trashListValidation = [
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
 /**
  * Route Definitions
  * 
@@ -63,25 +133,56 @@ const memberValidation = [
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('members:manage'): Ensures user's role grants members:manage
  * - memberValidation: Validates request body
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (members:manage permission)
  */
-router.post('/', protect, authorize('Admin'), memberValidation, membersController.createMember);
+router.post('/', protect, requirePermission('members:manage'), memberValidation, audit('member.create', { target: 'Member' }), membersController.createMember);
 
 /**
  * GET /api/members
  * 
- * Get all library members.
- * Returns a list of all members with their borrowed books populated.
+ * Get library members with their borrowed books populated.
+ * Supports search (q), role, hasOverdue and createdFrom/createdTo filters,
+ * sorting and pagination.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
+ * - memberListValidation: Validates query parameters
  * 
  * @access  Private (Any authenticated user)
  */
-router.get('/', protect, membersController.getMembers);
+router.get('/', protect, memberListValidation, membersController.getMembers);
+
+/**
+ * GET /api/members/export
+ * 
+ * Download members matching the listing filters as CSV, JSON or NDJSON.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('members:manage'): Ensures user's role grants members:manage
+ * - memberExportValidation: Validates query parameters
+ * 
+ * @access  Private (members:manage permission)
+ */
+router.get('/export', protect, requirePermission('members:manage'), memberExportValidation, membersController.exportMembers);
+
+/**
+ * GET /api/members/trash
+ * 
+ * List deleted members in the trash.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('members:manage'): Ensures user's role grants members:manage
+ * - trashListValidation: Validates query parameters
+ * 
+ * @access  Private (members:manage permission)
+ */
+router.get('/trash', protect, requirePermission('members:manage'), trashListValidation, membersController.getDeletedMembers);
 
 /**
  * GET /api/members/:id
@@ -104,27 +205,43 @@ router.get('/:id', protect, membersController.getMember);
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('members:manage'): Ensures user's role grants members:manage
  * - memberValidation: Validates request body
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (members:manage permission)
  */
-router.put('/:id', protect, authorize('Admin'), memberValidation, membersController.updateMember);
+router.put('/:id', protect, requirePermission('members:manage'), memberValidation, audit('member.update', { target: 'Member', param: 'id' }), membersController.updateMember);
 
 /**
  * DELETE /api/members/:id
  * 
  * Delete a member from the system.
  * Only administrators can delete members.
- * This action cannot be undone.
+ * The member is moved to the trash, from where it can be restored until it is purged.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('members:manage'): Ensures user's role grants members:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (members:manage permission)
+ */
+router.delete('/:id', protect, requirePermission('members:manage'), audit('member.delete', { target: 'Member', param: 'id' }), membersController.deleteMember);
+
+/**
+ * PUT /api/members/:id/restore
+ * 
+ * Restore a deleted member from the trash.
  * 
  * Middleware:
  * - protect: Ensures user is authenticated
- * - authorize('Admin'): Ensures user has Admin role
+ * - requirePermission('members:manage'): Ensures user's role grants members:manage
+ * - audit: Records the action in the audit log
  * 
- * @access  Private (Admin only)
+ * @access  Private (members:manage permission)
  */
-router.delete('/:id', protect, authorize('Admin'), membersController.deleteMember);
+router.put('/:id/restore', protect, requirePermission('members:manage'), audit('member.restore', { target: 'Member', param: 'id' }), membersController.restoreMember);
 
 /**
  * Export the router
@@ -0,0 +1,152 @@
+/**
+ * Notifications Routes
+ * 
+ * This file defines the routes of the current user's notification inbox and
+ * notification preferences. Every route only touches the signed-in user's
+ * own notifications.
+ * 
+ * @module routes/notifications.routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const notificationsController = require('../controllers/notifications.controller');
+const Notification = require('../models/Notification.model');
+const { protect } = require('../middleware/auth.middleware');
+
+/**
+ * Notification List Validation Rules
+ * 
+ * Validates the filter and pagination query parameters of GET /api/notifications.
+ */
+const notificationListValidation = [
+  // Unread filter validation: optional boolean
+  query('unread')
+    .optional()
+    .isIn(['true', 'false']).withMessage('Unread must be true or false'),
+
+  // Type filter validation: optional, a known notification type
+  query('type')
+    .optional()
+    .isIn(Object.keys(Notification.TYPES)).withMessage('Unknown notification type'),
+
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Preference Validation Rules
+ * 
+ * Defines validation rules for changing notification preferences.
+ */
+const preferenceValidation = [
+  // Preferences validation: map of known notification types to booleans
+  body('preferences')
+    .isObject().withMessage('Preferences must be an object')
+    .custom(preferences => {
+      for (const [type, enabled] of Object.entries(preferences)) {
+        if (!Notification.TYPES[type]) {
+          throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (typeof enabled !== 'boolean') {
+          throw new Error(`Preference for ${type} must be true or false`);
+        }
+      }
+      return true;
+    })
+];
+
+/**
+ * Route Definitions
+ * 
+ * All routes are prefixed with /api/notifications (defined in server.js)
+ */
+
+/**
+ * GET /api/notifications
+ * 
+ * Get a page of the current user's notifications with the unread count.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - notificationListValidation: Validates query parameters
+ * 
+ * @access  Private
+ */
+router.get('/', protect, notificationListValidation, notificationsController.getNotifications);
+
+/**
+ * GET /api/notifications/unread-count
+ * 
+ * Get the number of unread notifications.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private
+ */
+router.get('/unread-count', protect, notificationsController.getUnreadCount);
+
+/**
+ * PUT /api/notifications/read-all
+ * 
+ * Mark every notification of the current user as read.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private
+ */
+router.put('/read-all', protect, notificationsController.markAllRead);
+
+/**
+ * GET /api/notifications/preferences
+ * 
+ * Get which notification types the current user receives.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private
+ */
+router.get('/preferences', protect, notificationsController.getPreferences);
+
+/**
+ * PUT /api/notifications/preferences
+ * 
+ * Switch notification types on or off for the current user.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - preferenceValidation: Validates request body
+ * 
+ * @access  Private
+ */
+router.put('/preferences', protect, preferenceValidation, notificationsController.updatePreferences);
+
+/**
+ * PUT /api/notifications/:id/read
+ * 
+ * Mark one of the current user's notifications as read.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (own notifications only)
+ */
+router.put('/:id/read', protect, notificationsController.markRead);
+
+/**
+ * Export the router
+ * 
+ * This router is imported in server.js and mounted at /api/notifications
+ */
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Roles Routes
+ * 
+ * This file defines the routes of roles and their permissions.
+ * Anyone signed in can read them; changing them requires roles:manage.
+ * 
+ * @module routes/roles.routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const rolesController = require('../controllers/roles.controller');
+const Role = require('../models/Role.model');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+
+/**
+ * Role Validation Rules
+ * 
+ * Defines validation rules for creating roles.
+ */
+const roleValidation = [
+  // Name validation: required, trimmed
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required'),
+
+  // Description validation: optional string
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string'),
+
+  // Permissions validation: array of known permissions
+  body('permissions')
+    .isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(Role.PERMISSIONS)).withMessage('Unknown permission')
+];
+
+/**
+ * Role Change Validation Rules
+ * 
+ * The role validation rules for updates, which only carry the fields being
+ * changed.
+ */
+const roleChangesValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Name cannot be empty'),
+
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string'),
+
+  body('permissions')
+    .optional()
+    .isArray().withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(Role.PERMISSIONS)).withMessage('Unknown permission')
+];
+
+/**
+ * Route Definitions
+ * 
+ * All routes are prefixed with /api/roles (defined in server.js)
+ */
+
+/**
+ * GET /api/roles
+ * 
+ * Get every role with its permissions.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/', protect, rolesController.getRoles);
+
+/**
+ * GET /api/roles/permissions
+ * 
+ * Get the permission catalogue roles are built from.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * 
+ * @access  Private (Any authenticated user)
+ */
+router.get('/permissions', protect, rolesController.getPermissionCatalogue);
+
+/**
+ * POST /api/roles
+ * 
+ * Create a role.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('roles:manage'): Ensures user's role grants roles:manage
+ * - roleValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (roles:manage permission)
+ */
+router.post('/', protect, requirePermission('roles:manage'), roleValidation, audit('role.create', { target: 'Role' }), rolesController.createRole);
+
+/**
+ * PUT /api/roles/:id
+ * 
+ * Update a role's name, description or permissions.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('roles:manage'): Ensures user's role grants roles:manage
+ * - roleChangesValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (roles:manage permission)
+ */
+router.put('/:id', protect, requirePermission('roles:manage'), roleChangesValidation, audit('role.update', { target: 'Role', param: 'id' }), rolesController.updateRole);
+
+/**
+ * DELETE /api/roles/:id
+ * 
+ * Delete a role nobody has.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('roles:manage'): Ensures user's role grants roles:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (roles:manage permission)
+ */
+router.delete('/:id', protect, requirePermission('roles:manage'), audit('role.delete', { target: 'Role', param: 'id' }), rolesController.deleteRole);
+
+/**
+ * Export the router
+ * 
+ * This router is imported in server.js and mounted at /api/roles
+ */
+module.exports = router;
@@ -0,0 +1,225 @@
+/**
+ * Webhooks Routes
+ * 
+ * This file defines the routes of outgoing webhooks and their delivery log.
+ * Every route requires webhooks:manage.
+ * 
+ * @module routes/webhooks.routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const webhooksController = require('../controllers/webhooks.controller');
+const Webhook = require('../models/Webhook.model');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+const { audit } = require('../middleware/audit.middleware');
+
+/**
+ * Webhook Validation Rules
+ * 
+ * Defines validation rules for registering webhooks.
+ */
+const webhookValidation = [
+  // URL validation: required, http(s) URL
+  body('url')
+    .trim()
+    .notEmpty().withMessage('URL is required')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be a valid http(s) URL'),
+
+  // Events validation: non-empty array of known events
+  body('events')
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(Object.keys(Webhook.EVENTS)).withMessage('Unknown event'),
+
+  // Description validation: optional string
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string'),
+
+  // Active validation: optional boolean
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Active must be true or false')
+];
+
+/**
+ * Webhook Change Validation Rules
+ * 
+ * The webhook validation rules for updates, which only carry the fields
+ * being changed.
+ */
+const webhookChangesValidation = [
+  body('url')
+    .optional()
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be a valid http(s) URL'),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*')
+    .isIn(Object.keys(Webhook.EVENTS)).withMessage('Unknown event'),
+
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string'),
+
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Active must be true or false')
+];
+
+/**
+ * Delivery List Validation Rules
+ * 
+ * Validates the filter and pagination query parameters of GET /api/webhooks/:id/deliveries.
+ */
+const deliveryListValidation = [
+  // Status filter validation: optional, one of the delivery statuses
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed']).withMessage('Status must be pending, succeeded or failed'),
+
+  // Event filter validation: optional, a known event
+  query('event')
+    .optional()
+    .isIn(Object.keys(Webhook.EVENTS)).withMessage('Unknown event'),
+
+  // Page validation: optional, positive integer
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  // Limit validation: optional, between 1 and 100
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Route Definitions
+ * 
+ * All routes are prefixed with /api/webhooks (defined in server.js)
+ */
+
+/**
+ * GET /api/webhooks/events
+ * 
+ * Get the events webhooks can subscribe to.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.get('/events', protect, requirePermission('webhooks:manage'), webhooksController.getEventCatalogue);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * 
+ * Send a logged delivery again as a new delivery.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.post('/deliveries/:deliveryId/redeliver', protect, requirePermission('webhooks:manage'), audit('webhook.redeliver', { target: 'WebhookDelivery' }), webhooksController.redeliver);
+
+/**
+ * GET /api/webhooks
+ * 
+ * Get every webhook.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.get('/', protect, requirePermission('webhooks:manage'), webhooksController.getWebhooks);
+
+/**
+ * POST /api/webhooks
+ * 
+ * Register a webhook. The signing secret is only included in this response.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * - webhookValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.post('/', protect, requirePermission('webhooks:manage'), webhookValidation, audit('webhook.create', { target: 'Webhook' }), webhooksController.createWebhook);
+
+/**
+ * PUT /api/webhooks/:id
+ * 
+ * Update a webhook's URL, events, description or active flag.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * - webhookChangesValidation: Validates request body
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.put('/:id', protect, requirePermission('webhooks:manage'), webhookChangesValidation, audit('webhook.update', { target: 'Webhook', param: 'id' }), webhooksController.updateWebhook);
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * 
+ * Replace a webhook's signing secret. The new secret is only included in this response.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.post('/:id/rotate-secret', protect, requirePermission('webhooks:manage'), audit('webhook.rotate_secret', { target: 'Webhook', param: 'id' }), webhooksController.rotateSecret);
+
+/**
+ * DELETE /api/webhooks/:id
+ * 
+ * Delete a webhook and its delivery log.
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * - audit: Records the action in the audit log
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.delete('/:id', protect, requirePermission('webhooks:manage'), audit('webhook.delete', { target: 'Webhook', param: 'id' }), webhooksController.deleteWebhook);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * 
+ * Get a webhook's delivery log, newest first.
+ * Optional query: status=pending|succeeded|failed, event, page, limit
+ * 
+ * Middleware:
+ * - protect: Ensures user is authenticated
+ * - requirePermission('webhooks:manage'): Ensures user's role grants webhooks:manage
+ * - deliveryListValidation: Validates query parameters
+ * 
+ * @access  Private (webhooks:manage permission)
+ */
+router.get('/:id/deliveries', protect, requirePermission('webhooks:manage'), deliveryListValidation, webhooksController.getDeliveries);
+
+/**
+ * Export the router
+ * 
+ * This router is imported in server.js and mounted at /api/webhooks
+ */
+module.exports = router;
@@ -12,6 +12,11 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config(); // Load environment variables from .env file
+const { accrueFines, expireHolds } = require('./services/circulation.service');
+const { purgeExpired } = require('./services/trash.service');
+const { ensureDefaultRoles } = require('./services/permission.service');
+const { processDueDeliveries } = require('./services/webhook.service');
+const { trustProxy } = require('./config/auth.config');
 
 /**
  * Environment Variable Validation
@@ -32,6 +37,15 @@ if (!process.env.JWT_SECRET) {
  */
 const app = express();
 
+/**
+ * Proxy Configuration
+ * 
+ * Behind a reverse proxy (see TRUST_PROXY in config/auth.config), req.ip is
+ * taken from the X-Forwarded-For header set by the trusted proxies, so the
+ * per-IP login limit and the audit log see the real client address.
+ */
+app.set('trust proxy', trustProxy);
+
 /**
  * CORS (Cross-Origin Resource Sharing) Configuration
  * 
@@ -43,7 +57,7 @@ app.use(cors({
   origin: ['http://localhost:4200', 'http://localhost:3000'], // Allowed frontend origins
   credentials: true, // Allow cookies/credentials to be sent
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // Allowed HTTP methods
-  allowedHeaders: ['Content-Type', 'Authorization'], // Allowed request headers
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'], // Allowed request headers
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 }));
 
@@ -108,6 +122,112 @@ const connectDB = async () => {
 // Call the database connection function
 connectDB();
 
+/**
+ * Built-in Roles
+ * 
+ * Creates the Admin, Librarian and Member roles if they are missing and
+ * grants Admin every permission, once the database connection is established.
+ * 
+ * @async
+ * @function seedRoles
+ */
+const seedRoles = async () => {
+  try {
+    await ensureDefaultRoles();
+  } catch (err) {
+    console.error('❌ Built-in roles could not be created:', err.message);
+  }
+};
+
+mongoose.connection.once('open', seedRoles);
+
+/**
+ * Daily Fine Accrual
+ * 
+ * Updates the fines of all overdue loans once at startup (after the database
+ * connection is established) and then every 24 hours.
+ * 
+ * @async
+ * @function runFineAccrual
+ */
+const runFineAccrual = async () => {
+  try {
+    const result = await accrueFines();
+    console.log(`💰 Fines accrued on ${result.loans} overdue loan(s)`);
+  } catch (err) {
+    console.error('❌ Fine accrual failed:', err.message);
+  }
+};
+
+mongoose.connection.once('open', runFineAccrual);
+setInterval(runFineAccrual, 24 * 60 * 60 * 1000).unref(); // Don't keep the process alive for the timer
+
+/**
+ * Hourly Hold Expiry
+ * 
+ * Expires holds whose pickup window has passed and hands the book to the
+ * next member in the queue. Runs at startup and then every hour.
+ * 
+ * @async
+ * @function runHoldExpiry
+ */
+const runHoldExpiry = async () => {
+  try {
+    const expired = await expireHolds();
+    if (expired) console.log(`📚 ${expired} hold(s) expired`);
+  } catch (err) {
+    console.error('❌ Hold expiry failed:', err.message);
+  }
+};
+
+mongoose.connection.once('open', runHoldExpiry);
+setInterval(runHoldExpiry, 60 * 60 * 1000).unref();
+
+/**
+ * Daily Trash Purge
+ * 
+ * Permanently removes books, members and users that have been in the trash
+ * longer than the retention period. Runs at startup and then every 24 hours.
+ * 
+ * @async
+ * @function runTrashPurge
+ */
+const runTrashPurge = async () => {
+  try {
+    const purged = await purgeExpired();
+    const total = purged.books + purged.members + purged.users;
+    if (total) {
+      console.log(`🗑️  Purged ${purged.books} book(s), ${purged.members} member(s) and ${purged.users} user(s) from the trash`);
+    }
+  } catch (err) {
+    console.error('❌ Trash purge failed:', err.message);
+  }
+};
+
+mongoose.connection.once('open', runTrashPurge);
+setInterval(runTrashPurge, 24 * 60 * 60 * 1000).unref();
+
+/**
+ * Webhook Retries
+ * 
+ * Sends webhook deliveries whose retry backoff has passed. Runs at startup
+ * and then every minute.
+ * 
+ * @async
+ * @function runWebhookRetries
+ */
+const runWebhookRetries = async () => {
+  try {
+    const attempted = await processDueDeliveries();
+    if (attempted) console.log(`🔔 Retried ${attempted} webhook delivery(ies)`);
+  } catch (err) {
+    console.error('❌ Webhook retries failed:', err.message);
+  }
+};
+
+mongoose.connection.once('open', runWebhookRetries);
+setInterval(runWebhookRetries, 60 * 1000).unref();
+
 /**
  * API Routes
  * 
@@ -118,10 +238,22 @@ connectDB();
  * - /api/auth - Authentication and user management routes
  * - /api/books - Book management routes
  * - /api/members - Member management routes
+ * - /api/loans - Loan reporting routes
+ * - /api/copies - Copy lookup by barcode
+ * - /api/audit - Audit log of privileged actions
+ * - /api/roles - Roles and their permissions
+ * - /api/webhooks - Outgoing webhooks and their delivery log
+ * - /api/notifications - The current user's notification inbox
  */
 app.use('/api/auth', require('./routes/auth.routes')); // Authentication routes
 app.use('/api/books', require('./routes/books.routes')); // Book management routes
 app.use('/api/members', require('./routes/members.routes')); // Member management routes
+app.use('/api/loans', require('./routes/loans.routes')); // Loan reporting routes
+app.use('/api/copies', require('./routes/copies.routes')); // Copy lookup routes
+app.use('/api/audit', require('./routes/audit.routes')); // Audit log routes
+app.use('/api/roles', require('./routes/roles.routes')); // Role and permission routes
+app.use('/api/webhooks', require('./routes/webhooks.routes')); // Webhook routes
+app.use('/api/notifications', require('./routes/notifications.routes')); // Notification routes
 
 /**
  * Health Check Endpoint
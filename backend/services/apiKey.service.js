@@ -0,0 +1,106 @@
+/**
+ * API Key Service
+ * 
+ * Issues and checks the API keys used by scripts and other services (see
+ * ApiKey model):
+ * - createApiKey: Generates a key and stores its hash
+ * - authenticateApiKey: Resolves a key to its user and the permissions it may use
+ * 
+ * Keys have the form 'lib_<secret>'; the prefix makes them easy to spot in
+ * configuration files and secret scanners.
+ * 
+ * @module services/apiKey.service
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey.model');
+const User = require('../models/User.model');
+const { getPermissions } = require('./permission.service');
+
+// Marks a string as one of our API keys
+const KEY_PREFIX = 'lib_';
+
+// Number of characters of the key kept in clear to recognise it
+const VISIBLE_LENGTH = KEY_PREFIX.length + 8;
+
+// Last-used tracking is written at most once per minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Build an error for a key that cannot be used
+ * 
+ * @param   {String} message - Error message
+ * @returns {Error} Error with status 401
+ */
+const invalidKey = (message) => Object.assign(new Error(message), { status: 401 });
+
+/**
+ * Hash a key for storage and lookup
+ * 
+ * @param   {String} key - API key as given to the client
+ * @returns {String} Hex-encoded SHA-256 hash
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Create an API key
+ * 
+ * @param   {Object} options - Key details
+ * @param   {String} options.name - What the key is used for
+ * @param   {String[]} options.scopes - Permissions the key may use
+ * @param   {Date|null} options.expiresAt - When the key stops working (null for never)
+ * @param   {String} options.createdBy - User MongoDB ObjectId the key acts as
+ * @returns {Promise<Object>} { apiKey, key } - the stored document and the key itself, which cannot be recovered later
+ */
+exports.createApiKey = async ({ name, scopes, expiresAt, createdBy }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, VISIBLE_LENGTH),
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt: expiresAt || null,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Authenticate a request made with an API key
+ * 
+ * The key may use its scopes only as far as its creator's role still grants
+ * them, so demoting or deleting the creator also limits or disables the key.
+ * Records when and from where the key was used.
+ * 
+ * @param   {String} key - API key from the request
+ * @param   {String} ip - Client IP address
+ * @returns {Promise<Object>} { apiKey, user, permissions }
+ * @throws  {Error} With status 401 when the key is unknown, revoked or expired, or its creator no longer exists
+ */
+exports.authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+
+  if (!apiKey || apiKey.status === 'revoked') {
+    throw invalidKey('API key is invalid or has been revoked');
+  }
+  if (apiKey.status === 'expired') {
+    throw invalidKey('API key has expired');
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user) {
+    throw invalidKey('The user this API key belongs to no longer exists');
+  }
+
+  const rolePermissions = await getPermissions(user.role);
+  const permissions = apiKey.scopes.filter(scope => rolePermissions.includes(scope));
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ip) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip });
+  }
+
+  return { apiKey, user, permissions };
+};
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey.model');
+const User = require('../models/User.model');
+const Role = require('../models/Role.model');
+const apiKeys = require('./apiKey.service');
+const { id, query } = require('../testing/helpers');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('api key service', () => {
+  describe('createApiKey', () => {
+    it('returns the key once and stores only its hash and prefix', async (t) => {
+      const create = t.mock.method(ApiKey, 'create', async (data) => new ApiKey(data));
+      const createdBy = id();
+
+      const { apiKey, key } = await apiKeys.createApiKey({ name: 'Portal', scopes: ['books:manage'], createdBy });
+
+      assert.match(key, /^lib_[0-9a-f]{64}$/);
+      const stored = create.mock.calls[0].arguments[0];
+      assert.equal(stored.keyHash, sha256(key));
+      assert.equal(stored.prefix, key.slice(0, 12));
+      assert.equal(stored.expiresAt, null);
+      assert.equal(apiKey.createdBy, createdBy);
+      assert.ok(!JSON.stringify(apiKey).includes(key));
+      assert.equal(apiKey.toJSON().keyHash, undefined);
+    });
+  });
+
+  describe('authenticateApiKey', () => {
+    const key = 'lib_0123456789abcdef';
+    let user, apiKey;
+
+    beforeEach((t) => {
+      user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'Librarian' });
+      apiKey = new ApiKey({ name: 'Portal', prefix: 'lib_01234567', keyHash: sha256(key), scopes: ['books:manage', 'users:manage'], createdBy: user._id });
+      t.mock.method(ApiKey, 'findOne', () => query(apiKey));
+      t.mock.method(ApiKey, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(User, 'findById', () => query(user));
+      t.mock.method(Role, 'findOne', () => query({ permissions: ['books:manage', 'loans:checkout'] }));
+    });
+
+    it("looks the key up by hash and limits its scopes to the creator's role", async () => {
+      const result = await apiKeys.authenticateApiKey(key, '10.0.0.1');
+
+      assert.deepEqual(ApiKey.findOne.mock.calls[0].arguments[0], { keyHash: sha256(key) });
+      assert.equal(result.user, user);
+      assert.equal(result.apiKey, apiKey);
+      assert.deepEqual(result.permissions, ['books:manage']);
+      assert.deepEqual(User.findById.mock.calls[0].result.calls.select, ['-password']);
+    });
+
+    it('records when and from where the key was used, at most once a minute per address', async () => {
+      await apiKeys.authenticateApiKey(key, '10.0.0.1');
+      assert.equal(ApiKey.updateOne.mock.calls[0].arguments[1].lastUsedIp, '10.0.0.1');
+
+      Object.assign(apiKey, { lastUsedAt: new Date(), lastUsedIp: '10.0.0.1' });
+      await apiKeys.authenticateApiKey(key, '10.0.0.1');
+      assert.equal(ApiKey.updateOne.mock.callCount(), 1);
+
+      await apiKeys.authenticateApiKey(key, '10.0.0.2');
+      assert.equal(ApiKey.updateOne.mock.callCount(), 2);
+    });
+
+    it('rejects unknown, revoked and expired keys with status 401', async (t) => {
+      t.mock.method(ApiKey, 'findOne', () => query(null));
+      await assert.rejects(apiKeys.authenticateApiKey('lib_unknown', '10.0.0.1'), { status: 401, message: 'API key is invalid or has been revoked' });
+
+      t.mock.method(ApiKey, 'findOne', () => query(apiKey));
+      apiKey.revokedAt = new Date();
+      await assert.rejects(apiKeys.authenticateApiKey(key, '10.0.0.1'), { status: 401, message: 'API key is invalid or has been revoked' });
+
+      apiKey.revokedAt = null;
+      apiKey.expiresAt = new Date(Date.now() - 1000);
+      await assert.rejects(apiKeys.authenticateApiKey(key, '10.0.0.1'), { status: 401, message: 'API key has expired' });
+      assert.equal(ApiKey.updateOne.mock.callCount(), 0);
+    });
+
+    it('rejects keys whose creator no longer exists', async (t) => {
+      t.mock.method(User, 'findById', () => query(null));
+
+      await assert.rejects(apiKeys.authenticateApiKey(key, '10.0.0.1'), { status: 401, message: 'The user this API key belongs to no longer exists' });
+    });
+  });
+});
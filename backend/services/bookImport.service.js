@@ -0,0 +1,235 @@
+/**
+ * Book Import Service
+ * 
+ * Bulk creation of books, used to onboard an existing collection:
+ * - resolveColumns: Maps CSV header columns to Book fields
+ * - importBooks: Imports the rows of a CSV document
+ * - importMarc: Imports binary MARC 21 or MARCXML records (see marc.service)
+ * 
+ * Every row (or record) goes through the same validation as a single book
+ * request (see validators/book.validators) and is reported individually, so
+ * one bad row never prevents the others from being imported.
+ * 
+ * @module services/bookImport.service
+ */
+
+const Book = require('../models/Book.model');
+const isbn = require('../utils/isbn.util');
+const { parseCsv } = require('../utils/csv.util');
+const { parseMarc } = require('../utils/marc.util');
+const { recordToBook } = require('./marc.service');
+const { bookValidation } = require('../validators/book.validators');
+const { validationResult } = require('express-validator');
+
+// Book fields that can be imported
+const IMPORT_FIELDS = ['title', 'author', 'ISBN', 'category'];
+
+// Largest number of data rows (or records) accepted in a single import
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Build an error carrying an HTTP status
+ * 
+ * @param   {String} message - Error message
+ * @returns {Error} Error with status 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Map CSV header columns to Book fields
+ * 
+ * Without a mapping, columns whose header matches a field name
+ * (case-insensitive, e.g. "isbn" or "Title") are used.
+ * 
+ * @param   {String[]} header - Header row of the CSV
+ * @param   {Object} [mapping] - Field → header name, e.g. { title: 'Book Title', ISBN: 'ISBN13' }
+ * @returns {Object} Field → column index
+ * @throws  {Error} With status 400 if a mapped column is missing or a required field has no column
+ */
+exports.resolveColumns = (header, mapping = {}) => {
+  const normalized = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+
+  for (const field of IMPORT_FIELDS) {
+    const name = mapping[field] ?? field;
+    const index = normalized.indexOf(String(name).trim().toLowerCase());
+    if (index === -1) {
+      throw badRequest(mapping[field]
+        ? `Column '${mapping[field]}' mapped to ${field} was not found in the CSV header`
+        : `No column found for ${field}. Add a '${field}' column or map one with mapping[${field}]`);
+    }
+    columns[field] = index;
+  }
+
+  return columns;
+};
+
+/**
+ * Validate one row with the book validation rules
+ * 
+ * @async
+ * @param   {Object} data - Book fields of the row
+ * @returns {Promise<Object>} { data, errors } - sanitized (trimmed) data and error messages
+ */
+const validateRow = async (data) => {
+  // express-validator chains run against a request-like object
+  const req = { body: { ...data } };
+  await Promise.all(bookValidation.map(chain => chain.run(req)));
+  const errors = validationResult(req).array().map(error => error.msg);
+  return { data: req.body, errors };
+};
+
+/**
+ * Import books from CSV
+ * 
+ * @async
+ * @param   {String} csv - CSV document with a header row
+ * @param   {Object} options - Import options (see importRows), plus:
+ * @param   {Object} [options.mapping] - Field → header name overrides
+ * @returns {Promise<Object>} Import report (see importRows)
+ * @throws  {Error} With status 400 if the CSV cannot be read
+ */
+exports.importBooks = async (csv, { mapping, ...options }) => {
+  const [header, ...records] = parseCsv(csv);
+  if (!header) throw badRequest('CSV is empty');
+  if (!records.length) throw badRequest('CSV has no data rows');
+
+  const columns = exports.resolveColumns(header, mapping);
+  const rows = records.map(record => Object.fromEntries(
+    IMPORT_FIELDS.map(field => [field, record[columns[field]] ?? ''])
+  ));
+
+  return importRows(rows, options);
+};
+
+/**
+ * Import books from MARC records
+ * 
+ * Accepts binary MARC 21 (ISO 2709) or MARCXML; the format is detected from
+ * the data. Rows of the report are numbered by record.
+ * 
+ * @async
+ * @param   {Buffer|String} data - MARC document
+ * @param   {Object} options - Import options (see importRows)
+ * @returns {Promise<Object>} Import report (see importRows)
+ * @throws  {Error} With status 400 if the document cannot be read
+ */
+exports.importMarc = async (data, options) => {
+  const records = parseMarc(data);
+  return importRows(records.map(recordToBook), options);
+};
+
+/**
+ * Validate and save imported rows
+ * 
+ * Rows are processed in order. A row whose ISBN (in any form) belongs to an
+ * existing book, or to an earlier row of the same import, is a duplicate:
+ * - onDuplicate 'skip': the row is skipped
+ * - onDuplicate 'update': the book's title, author and category are updated
+ * 
+ * New books are created with the requested approval status. Approved books
+ * are recorded as reviewed by the importing admin; pending books are
+ * recorded as requested by them and wait for review like any other request.
+ * With dryRun nothing is written; the report shows what would happen.
+ * 
+ * @async
+ * @param   {Object[]} books - Book fields ({ title, author, ISBN, category }) of each row
+ * @param   {Object} options - Import options
+ * @param   {Boolean} [options.dryRun=false] - Validate only, without saving
+ * @param   {String} [options.onDuplicate='skip'] - 'skip' or 'update'
+ * @param   {String} [options.approvalStatus='approved'] - 'approved' or 'pending'
+ * @param   {Object} options.user - Importing admin (req.user)
+ * @returns {Promise<Object>} { dryRun, summary: { total, created, updated, skipped, failed }, rows }
+ */
+const importRows = async (books, { dryRun = false, onDuplicate = 'skip', approvalStatus = 'approved', user }) => {
+  if (!books.length) throw badRequest('Nothing to import');
+  if (books.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Import has ${books.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  const summary = { total: books.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const rows = [];
+
+  // Rows of this import that created a book, by canonical ISBN
+  const importedRows = new Map();
+
+  // Existing books with an ISBN from the import, by canonical ISBN
+  const isbns = books
+    .map(fields => isbn.toIsbn13(fields.ISBN))
+    .filter(Boolean);
+  const existing = new Map(
+    (await Book.find({ ISBN: { $in: isbns } }).select('_id ISBN'))
+      .map(book => [book.ISBN, book._id])
+  );
+
+  for (const [index, fields] of books.entries()) {
+    // Row numbers count data rows (or records), starting at 1
+    const result = { row: index + 1 };
+    rows.push(result);
+
+    const { data, errors } = await validateRow(fields);
+    result.ISBN = data.ISBN;
+    if (errors.length) {
+      result.status = 'failed';
+      result.errors = errors;
+      summary.failed++;
+      continue;
+    }
+
+    const canonical = isbn.toIsbn13(data.ISBN);
+    const bookData = { ...data, ISBN: canonical, originalISBN: data.ISBN };
+    const isDuplicate = existing.has(canonical);
+    const duplicateOf = existing.get(canonical);
+
+    if (isDuplicate && onDuplicate !== 'update') {
+      result.status = 'skipped';
+      result.bookId = duplicateOf;
+      result.message = importedRows.has(canonical)
+        ? `Duplicate of row ${importedRows.get(canonical)}`
+        : 'A book with this ISBN already exists';
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      if (isDuplicate) {
+        if (!dryRun && duplicateOf) {
+          await Book.findByIdAndUpdate(duplicateOf, bookData, { runValidators: true });
+        }
+        result.status = 'updated';
+        result.bookId = duplicateOf;
+        summary.updated++;
+      } else {
+        let bookId = null;
+        if (!dryRun) {
+          const book = await Book.create({
+            ...bookData,
+            approvalStatus,
+            requestedBy: user._id,
+            ...(approvalStatus === 'approved' && { reviewedBy: user._id, reviewedAt: new Date() })
+          });
+          bookId = book._id;
+        }
+        // Later rows with the same ISBN are duplicates of this one
+        existing.set(canonical, bookId);
+        importedRows.set(canonical, result.row);
+        result.status = 'created';
+        result.bookId = bookId;
+        summary.created++;
+      }
+    } catch (error) {
+      // Report the row and continue with the next one
+      result.status = 'failed';
+      result.errors = error.name === 'ValidationError'
+        ? Object.values(error.errors).map(e => e.message)
+        : [error.code === 11000 ? 'A book with this ISBN already exists' : error.message];
+      summary.failed++;
+    }
+  }
+
+  return { dryRun, summary, rows };
+};
@@ -0,0 +1,144 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const bookImport = require('./bookImport.service');
+const { id, query } = require('../testing/helpers');
+
+describe('book import service', () => {
+  const user = { _id: id() };
+
+  describe('resolveColumns', () => {
+    it('finds columns named like the fields, ignoring case', () => {
+      assert.deepEqual(bookImport.resolveColumns(['ISBN', ' Title ', 'author', 'Category']), { title: 1, author: 2, ISBN: 0, category: 3 });
+    });
+
+    it('uses mapped column names', () => {
+      const columns = bookImport.resolveColumns(['Book Title', 'author', 'isbn13', 'category'], { title: 'book title', ISBN: 'ISBN13' });
+
+      assert.deepEqual(columns, { title: 0, author: 1, ISBN: 2, category: 3 });
+    });
+
+    it('reports missing and mismapped columns with status 400', () => {
+      assert.throws(() => bookImport.resolveColumns(['title', 'author', 'ISBN']), { status: 400, message: /No column found for category/ });
+      assert.throws(() => bookImport.resolveColumns(['title', 'author', 'ISBN', 'category'], { title: 'Name' }), {
+        status: 400,
+        message: "Column 'Name' mapped to title was not found in the CSV header"
+      });
+    });
+  });
+
+  describe('importBooks', () => {
+    let existing;
+
+    beforeEach((t) => {
+      existing = new Book({ ISBN: '9780441172719' });
+      t.mock.method(Book, 'find', () => query([existing]));
+      t.mock.method(Book, 'create', async (data) => new Book(data));
+      t.mock.method(Book, 'findByIdAndUpdate', () => query(existing));
+    });
+
+    const csv = [
+      'title,author,ISBN,category',
+      'Emma,Jane Austen,0-14-143958-0,Fiction',
+      'Dune,Frank Herbert,0441172717,Fiction',
+      ',Nobody,12345,',
+      'Emma again,Jane Austen,9780141439587,Fiction'
+    ].join('\n');
+
+    it('creates valid rows, skips duplicates and reports invalid rows', async () => {
+      const report = await bookImport.importBooks(csv, { user });
+
+      assert.deepEqual(report.summary, { total: 4, created: 1, updated: 0, skipped: 2, failed: 1 });
+      assert.deepEqual(report.rows.map(row => row.status), ['created', 'skipped', 'failed', 'skipped']);
+      assert.equal(report.rows[1].message, 'A book with this ISBN already exists');
+      assert.equal(report.rows[1].bookId, existing._id);
+      assert.ok(report.rows[2].errors.includes('Title is required'));
+      assert.ok(report.rows[2].errors.includes('ISBN must be a valid ISBN-10 or ISBN-13'));
+      assert.ok(report.rows[2].errors.includes('Category is required'));
+      assert.equal(report.rows[3].message, 'Duplicate of row 1');
+
+      const created = Book.create.mock.calls[0].arguments[0];
+      assert.equal(created.ISBN, '9780141439587');
+      assert.equal(created.originalISBN, '0-14-143958-0');
+      assert.equal(created.approvalStatus, 'approved');
+      assert.equal(created.reviewedBy, user._id);
+    });
+
+    it('updates existing books on request', async () => {
+      const report = await bookImport.importBooks(csv, { user, onDuplicate: 'update' });
+
+      assert.equal(report.rows[1].status, 'updated');
+      assert.equal(Book.findByIdAndUpdate.mock.calls[0].arguments[0], existing._id);
+      assert.equal(Book.findByIdAndUpdate.mock.calls[0].arguments[1].title, 'Dune');
+    });
+
+    it('writes nothing on a dry run', async () => {
+      const report = await bookImport.importBooks(csv, { user, dryRun: true, onDuplicate: 'update' });
+
+      assert.equal(report.dryRun, true);
+      assert.equal(report.summary.created, 1);
+      assert.equal(Book.create.mock.callCount(), 0);
+      assert.equal(Book.findByIdAndUpdate.mock.callCount(), 0);
+    });
+
+    it('files pending books as requests by the importer', async () => {
+      await bookImport.importBooks(csv, { user, approvalStatus: 'pending' });
+
+      const created = Book.create.mock.calls[0].arguments[0];
+      assert.equal(created.approvalStatus, 'pending');
+      assert.equal(created.requestedBy, user._id);
+      assert.equal(created.reviewedBy, undefined);
+    });
+
+    it('reports rows the database rejects and continues', async (t) => {
+      t.mock.method(Book, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      });
+
+      const report = await bookImport.importBooks(csv, { user });
+
+      assert.deepEqual(report.rows[0].errors, ['A book with this ISBN already exists']);
+      // The later row with the same ISBN is tried again since no book was created for it
+      assert.deepEqual(report.rows.map(row => row.status), ['failed', 'skipped', 'failed', 'failed']);
+    });
+
+    it('rejects CSVs without data rows', async () => {
+      await assert.rejects(bookImport.importBooks('title,author,ISBN,category\n', { user }), { status: 400, message: 'CSV has no data rows' });
+      await assert.rejects(bookImport.importBooks('', { user }), { status: 400, message: 'CSV is empty' });
+    });
+  });
+
+  describe('importMarc', () => {
+    beforeEach((t) => {
+      t.mock.method(Book, 'find', () => query([]));
+      t.mock.method(Book, 'create', async (data) => new Book(data));
+    });
+
+    it('imports the books of MARCXML records', async () => {
+      const xml = `<collection>
+        <record>
+          <datafield tag="020" ind1=" " ind2=" "><subfield code="a">0441172717</subfield></datafield>
+          <datafield tag="100" ind1="1" ind2=" "><subfield code="a">Herbert, Frank.</subfield></datafield>
+          <datafield tag="245" ind1="1" ind2="0"><subfield code="a">Dune /</subfield></datafield>
+          <datafield tag="650" ind1=" " ind2="4"><subfield code="a">Fiction</subfield></datafield>
+        </record>
+        <record>
+          <datafield tag="245" ind1="1" ind2="0"><subfield code="a">No ISBN</subfield></datafield>
+        </record>
+      </collection>`;
+
+      const report = await bookImport.importMarc(Buffer.from(xml), { user });
+
+      assert.deepEqual(report.rows.map(row => row.status), ['created', 'failed']);
+      assert.deepEqual(
+        ['title', 'author', 'ISBN', 'category'].map(field => Book.create.mock.calls[0].arguments[0][field]),
+        ['Dune', 'Herbert, Frank', '9780441172719', 'Fiction']
+      );
+    });
+
+    it('rejects unreadable MARC data with status 400', async () => {
+      await assert.rejects(bookImport.importMarc(Buffer.from('<collection/>'), { user }), { status: 400 });
+      assert.equal(Book.create.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Circulation Service
+ * 
+ * Business rules shared by the books and loans controllers:
+ * - Due date calculation from the configured loan periods
+ * - Overdue fine calculation (grace period and per-loan cap)
+ * - Daily fine accrual and the member fine balance
+ * - Book availability derived from its copies
+ * - Hold queue promotion, cancellation and pickup expiry
+ * 
+ * @module services/circulation.service
+ */
+
+const mongoose = require('mongoose');
+const Book = require('../models/Book.model');
+const Copy = require('../models/Copy.model');
+const Loan = require('../models/Loan.model');
+const Hold = require('../models/Hold.model');
+const Member = require('../models/Member.model');
+const notifications = require('./notification.service');
+const { loanPeriods, fines, holds } = require('../config/circulation.config');
+
+// Number of milliseconds in one day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a monetary amount to two decimal places
+ * 
+ * @param   {Number} amount - Amount to round
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Resolve the loan period for a book and member
+ * 
+ * A category-specific period takes precedence over a member-role period,
+ * which takes precedence over the default period.
+ * 
+ * @param   {Object} book - Book document (uses category)
+ * @param   {Object} member - Member document (uses role)
+ * @returns {Number} Loan period in days
+ */
+exports.getLoanPeriodDays = (book, member) => {
+  if (book && loanPeriods.byCategory[book.category] !== undefined) {
+    return loanPeriods.byCategory[book.category];
+  }
+  if (member && loanPeriods.byMemberRole[member.role] !== undefined) {
+    return loanPeriods.byMemberRole[member.role];
+  }
+  return loanPeriods.default;
+};
+
+/**
+ * Calculate the due date of a new loan
+ * 
+ * @param   {Object} book - Book being checked out
+ * @param   {Object} member - Member borrowing the book
+ * @param   {Date} [from=new Date()] - Checkout date
+ * @returns {Date} Due date
+ */
+exports.calculateDueDate = (book, member, from = new Date()) => {
+  return new Date(from.getTime() + exports.getLoanPeriodDays(book, member) * DAY_MS);
+};
+
+/**
+ * Count the whole days a loan is overdue
+ * 
+ * Returned loans are measured up to their return date, active loans up to asOf.
+ * 
+ * @param   {Object} loan - Loan document
+ * @param   {Date} [asOf=new Date()] - Reference date for active loans
+ * @returns {Number} Days overdue (0 if not overdue)
+ */
+exports.getDaysOverdue = (loan, asOf = new Date()) => {
+  const end = loan.returnedAt || asOf;
+  const days = Math.floor((end.getTime() - loan.dueDate.getTime()) / DAY_MS);
+  return Math.max(days, 0);
+};
+
+/**
+ * Calculate the fine for a loan
+ * 
+ * No fine is charged while the loan is within the grace period. Once the
+ * grace period has passed, every day beyond it is charged at the daily rate,
+ * up to the per-loan maximum.
+ * 
+ * @param   {Object} loan - Loan document
+ * @param   {Date} [asOf=new Date()] - Reference date for active loans
+ * @returns {Number} Fine amount
+ */
+exports.calculateFine = (loan, asOf = new Date()) => {
+  const chargeableDays = exports.getDaysOverdue(loan, asOf) - fines.gracePeriodDays;
+  if (chargeableDays <= 0) return 0;
+
+  const amount = chargeableDays * fines.dailyRate;
+  return roundAmount(fines.maxPerLoan > 0 ? Math.min(amount, fines.maxPerLoan) : amount);
+};
+
+/**
+ * Find the members that currently have overdue loans
+ * 
+ * @async
+ * @param   {Date} [asOf=new Date()] - Reference date
+ * @returns {Promise<ObjectId[]>} Member MongoDB ObjectIds
+ */
+exports.getMembersWithOverdueLoans = (asOf = new Date()) => {
+  return Loan.distinct('member', { status: 'active', dueDate: { $lt: asOf } });
+};
+
+/**
+ * Recalculate a member's outstanding fine balance
+ * 
+ * The balance is the sum of the fines recorded on all of the member's loans.
+ * 
+ * @async
+ * @param   {String|ObjectId} memberId - Member MongoDB ObjectId
+ * @param   {ClientSession} [session] - Optional transaction session
+ * @returns {Promise<Number>} Updated fine balance
+ */
+exports.syncMemberFines = async (memberId, session) => {
+  const [totals] = await Loan.aggregate([
+    { $match: { member: new mongoose.Types.ObjectId(memberId) } },
+    { $group: { _id: null, total: { $sum: '$fineAmount' } } }
+  ]).session(session || null);
+
+  const fineBalance = roundAmount(totals ? totals.total : 0);
+  await Member.updateOne({ _id: memberId }, { fineBalance }, { session });
+  return fineBalance;
+};
+
+/**
+ * Accrue fines on all overdue loans
+ * 
+ * Updates the fine of every active loan past its due date and refreshes the
+ * fine balance of the affected members. Intended to run once a day.
+ * 
+ * @async
+ * @param   {Date} [asOf=new Date()] - Reference date
+ * @returns {Promise<Object>} Number of loans and members updated
+ */
+exports.accrueFines = async (asOf = new Date()) => {
+  const overdueLoans = await Loan.find({ status: 'active', dueDate: { $lt: asOf } });
+  const memberIds = new Set();
+
+  for (const loan of overdueLoans) {
+    const fineAmount = exports.calculateFine(loan, asOf);
+    if (fineAmount !== loan.fineAmount) {
+      loan.fineAmount = fineAmount;
+      await loan.save();
+      memberIds.add(loan.member.toString());
+    }
+  }
+
+  for (const memberId of memberIds) {
+    await exports.syncMemberFines(memberId);
+  }
+
+  return { loans: overdueLoans.length, members: memberIds.size };
+};
+
+/**
+ * Recalculate whether a book is available
+ * 
+ * A book is available when at least one of its copies is on the shelf.
+ * Must be called whenever the status of one of its copies changes.
+ * 
+ * @async
+ * @param   {String|ObjectId} bookId - Book MongoDB ObjectId
+ * @param   {ClientSession} [session] - Optional transaction session
+ * @returns {Promise<Boolean>} Updated availability
+ */
+exports.syncBookAvailability = async (bookId, session) => {
+  const availability = !!(await Copy.exists({ book: bookId, status: 'available' }).session(session || null));
+  await Book.updateOne({ _id: bookId }, { availability }, { session });
+  return availability;
+};
+
+/**
+ * Hand a copy that is back on the shelf to the next holder
+ * 
+ * If a member is waiting for the book, their hold becomes ready with a pickup
+ * deadline and the copy is set aside for them. Otherwise the copy is made
+ * available again. Must only be called when the copy is not on loan.
+ * 
+ * @async
+ * @param   {String|ObjectId} copyId - Copy MongoDB ObjectId
+ * @param   {ClientSession} [session] - Optional transaction session
+ * @returns {Promise<Object|null>} The hold that became ready, or null if the queue is empty
+ */
+exports.promoteNextHold = async (copyId, session) => {
+  const copy = await Copy.findById(copyId).session(session || null);
+  if (!copy) return null;
+
+  const now = new Date();
+  const hold = await Hold.findOneAndUpdate(
+    { book: copy.book, status: 'waiting' },
+    {
+      status: 'ready',
+      copy: copy._id,
+      readyAt: now,
+      pickupExpiresAt: new Date(now.getTime() + holds.pickupDays * DAY_MS)
+    },
+    { sort: { position: 1 }, new: true, session }
+  );
+
+  copy.status = hold ? 'on_hold' : 'available';
+  await copy.save({ session });
+  await exports.syncBookAvailability(copy.book, session);
+  return hold;
+};
+
+/**
+ * Cancel open holds
+ * 
+ * Cancels every waiting or ready hold matching the filter. Copies that were
+ * set aside for a cancelled hold pass to the next holder of their book, or
+ * go back on the shelf if nobody else is waiting.
+ * 
+ * @async
+ * @param   {Object} filter - Hold filter (e.g. { book } or { member })
+ * @param   {ClientSession} [session] - Optional transaction session
+ * @returns {Promise<Object>} { cancelled, promoted } - number of holds cancelled and the holds that became ready
+ * 
+ * @example
+ * const { cancelled, promoted } = await circulation.cancelHolds({ book: book._id }, session);
+ */
+exports.cancelHolds = async (filter, session) => {
+  const readyHolds = await Hold.find({ ...filter, status: 'ready' }).session(session || null);
+  const result = await Hold.updateMany(
+    { ...filter, status: { $in: ['waiting', 'ready'] } },
+    { status: 'cancelled' },
+    { session }
+  );
+
+  // Hand the set-aside copies on now that their holds are cancelled
+  const promoted = [];
+  for (const hold of readyHolds) {
+    const next = await exports.promoteNextHold(hold.copy, session);
+    if (next) promoted.push(next);
+  }
+
+  return { cancelled: result.modifiedCount, promoted };
+};
+
+/**
+ * Expire holds that were not picked up in time
+ * 
+ * Every ready hold past its pickup deadline is marked as expired and the
+ * copy passes to the next member in the queue, who is notified.
+ * 
+ * @async
+ * @param   {Date} [asOf=new Date()] - Reference date
+ * @returns {Promise<Number>} Number of holds expired
+ */
+exports.expireHolds = async (asOf = new Date()) => {
+  const expiredHolds = await Hold.find({ status: 'ready', pickupExpiresAt: { $lt: asOf } });
+  let expired = 0;
+
+  for (const hold of expiredHolds) {
+    // Conditional update skips holds picked up since the query ran
+    const result = await Hold.updateOne({ _id: hold._id, status: 'ready' }, { status: 'expired' });
+    if (result.modifiedCount) {
+      const readyHold = await exports.promoteNextHold(hold.copy);
+      await notifications.notifyHoldReady(readyHold);
+      expired++;
+    }
+  }
+
+  return expired;
+};
@@ -0,0 +1,219 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Loan = require('../models/Loan.model');
+const Member = require('../models/Member.model');
+const Copy = require('../models/Copy.model');
+const Hold = require('../models/Hold.model');
+const notifications = require('./notification.service');
+const circulation = require('./circulation.service');
+const { loanPeriods, fines, holds } = require('../config/circulation.config');
+const { id, query, mockDocuments } = require('../testing/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('circulation service', () => {
+  let savedPeriods, savedFines, savedHolds;
+
+  // Pin the policy so the tests do not depend on the environment
+  beforeEach(() => {
+    savedPeriods = { ...loanPeriods };
+    savedFines = { ...fines };
+    savedHolds = { ...holds };
+    Object.assign(loanPeriods, { default: 14, byCategory: { Reference: 3 }, byMemberRole: { Admin: 28 } });
+    Object.assign(fines, { dailyRate: 0.25, gracePeriodDays: 2, maxPerLoan: 10 });
+    Object.assign(holds, { pickupDays: 3 });
+  });
+
+  afterEach(() => {
+    Object.assign(loanPeriods, savedPeriods);
+    Object.assign(fines, savedFines);
+    Object.assign(holds, savedHolds);
+  });
+
+  describe('getLoanPeriodDays', () => {
+    it('prefers the book category over the member role over the default', () => {
+      assert.equal(circulation.getLoanPeriodDays({ category: 'Reference' }, { role: 'Admin' }), 3);
+      assert.equal(circulation.getLoanPeriodDays({ category: 'Fiction' }, { role: 'Admin' }), 28);
+      assert.equal(circulation.getLoanPeriodDays({ category: 'Fiction' }, { role: 'Member' }), 14);
+    });
+  });
+
+  describe('calculateDueDate', () => {
+    it('adds the loan period to the checkout date', () => {
+      const from = new Date('2026-03-01T10:00:00Z');
+
+      const dueDate = circulation.calculateDueDate({ category: 'Reference' }, { role: 'Member' }, from);
+
+      assert.equal(dueDate.toISOString(), '2026-03-04T10:00:00.000Z');
+    });
+  });
+
+  describe('getDaysOverdue', () => {
+    const dueDate = new Date('2026-03-10T12:00:00Z');
+
+    it('counts whole days past the due date of an active loan', () => {
+      assert.equal(circulation.getDaysOverdue({ dueDate }, new Date('2026-03-13T11:00:00Z')), 2);
+    });
+
+    it('stops counting at the return date', () => {
+      const loan = { dueDate, returnedAt: new Date('2026-03-12T12:00:00Z') };
+
+      assert.equal(circulation.getDaysOverdue(loan, new Date('2026-04-01T00:00:00Z')), 2);
+    });
+
+    it('is zero before the due date', () => {
+      assert.equal(circulation.getDaysOverdue({ dueDate }, new Date('2026-03-01T00:00:00Z')), 0);
+    });
+  });
+
+  describe('calculateFine', () => {
+    const dueDate = new Date('2026-03-10T00:00:00Z');
+    const daysLate = (days) => new Date(dueDate.getTime() + days * DAY_MS);
+
+    it('charges nothing within the grace period', () => {
+      assert.equal(circulation.calculateFine({ dueDate }, daysLate(2)), 0);
+    });
+
+    it('charges the daily rate for every day past the grace period', () => {
+      assert.equal(circulation.calculateFine({ dueDate }, daysLate(5)), 0.75);
+    });
+
+    it('caps the fine per loan', () => {
+      assert.equal(circulation.calculateFine({ dueDate }, daysLate(100)), 10);
+    });
+
+    it('does not cap the fine when the maximum is zero', () => {
+      fines.maxPerLoan = 0;
+
+      assert.equal(circulation.calculateFine({ dueDate }, daysLate(100)), 24.5);
+    });
+
+    it('rounds to cents', () => {
+      fines.dailyRate = 0.1;
+
+      assert.equal(circulation.calculateFine({ dueDate }, daysLate(5)), 0.3);
+    });
+  });
+
+  describe('accrueFines', () => {
+    it('updates changed fines and refreshes the balance of their members', async (t) => {
+      const asOf = new Date('2026-03-20T00:00:00Z');
+      const memberId = id();
+      const changed = new Loan({ member: memberId, dueDate: new Date('2026-03-10T00:00:00Z'), fineAmount: 0 });
+      const unchanged = new Loan({ member: id(), dueDate: new Date('2026-03-19T00:00:00Z'), fineAmount: 0 });
+      const find = t.mock.method(Loan, 'find', () => query([changed, unchanged]));
+      const save = t.mock.method(Loan.prototype, 'save', async function () {
+        return this;
+      });
+      const sync = t.mock.method(circulation, 'syncMemberFines', async () => 2);
+
+      const result = await circulation.accrueFines(asOf);
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { status: 'active', dueDate: { $lt: asOf } });
+      assert.equal(changed.fineAmount, 2);
+      assert.equal(save.mock.callCount(), 1);
+      assert.deepEqual(sync.mock.calls.map(call => call.arguments[0]), [memberId.toString()]);
+      assert.deepEqual(result, { loans: 2, members: 1 });
+    });
+  });
+
+  describe('syncMemberFines', () => {
+    it('stores the sum of the fines, rounded to cents, on the member', async (t) => {
+      const memberId = id();
+      t.mock.method(Loan, 'aggregate', () => query([{ _id: null, total: 1.2500000001 }]));
+      const update = t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      const balance = await circulation.syncMemberFines(memberId);
+
+      assert.equal(balance, 1.25);
+      assert.deepEqual(update.mock.calls[0].arguments[1], { fineBalance: 1.25 });
+    });
+
+    it('resets the balance of members without loans', async (t) => {
+      t.mock.method(Loan, 'aggregate', () => query([]));
+      const update = t.mock.method(Member, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      assert.equal(await circulation.syncMemberFines(id()), 0);
+      assert.deepEqual(update.mock.calls[0].arguments[1], { fineBalance: 0 });
+    });
+  });
+
+  describe('promoteNextHold', () => {
+    let copy;
+
+    beforeEach((t) => {
+      copy = new Copy({ book: id(), barcode: 'B-1', status: 'on_loan' });
+      mockDocuments(t, Copy);
+      t.mock.method(Copy, 'findById', () => query(copy));
+      t.mock.method(circulation, 'syncBookAvailability', async () => false);
+    });
+
+    it('sets the copy aside for the first waiting member with a pickup deadline', async (t) => {
+      const hold = new Hold({ book: copy.book, member: id(), placedBy: id(), status: 'ready' });
+      const promote = t.mock.method(Hold, 'findOneAndUpdate', () => query(hold));
+
+      const result = await circulation.promoteNextHold(copy._id);
+
+      const [filter, update, options] = promote.mock.calls[0].arguments;
+      assert.deepEqual(filter, { book: copy.book, status: 'waiting' });
+      assert.equal(update.status, 'ready');
+      assert.equal(update.copy, copy._id);
+      assert.equal(update.pickupExpiresAt - update.readyAt, 3 * DAY_MS);
+      assert.deepEqual(options.sort, { position: 1 });
+      assert.equal(result, hold);
+      assert.equal(copy.status, 'on_hold');
+      assert.equal(circulation.syncBookAvailability.mock.calls[0].arguments[0], copy.book);
+    });
+
+    it('puts the copy back on the shelf when nobody is waiting', async (t) => {
+      t.mock.method(Hold, 'findOneAndUpdate', () => query(null));
+
+      assert.equal(await circulation.promoteNextHold(copy._id), null);
+      assert.equal(copy.status, 'available');
+    });
+  });
+
+  describe('cancelHolds', () => {
+    it('cancels open holds and passes their set-aside copies on', async (t) => {
+      const bookId = id();
+      const ready = new Hold({ book: bookId, member: id(), placedBy: id(), status: 'ready', copy: id() });
+      const next = new Hold({ book: bookId, member: id(), placedBy: id(), status: 'ready' });
+      const session = {};
+      const find = t.mock.method(Hold, 'find', () => query([ready]));
+      const update = t.mock.method(Hold, 'updateMany', () => query({ modifiedCount: 3 }));
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => next);
+
+      const result = await circulation.cancelHolds({ book: bookId }, session);
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { book: bookId, status: 'ready' });
+      assert.deepEqual(update.mock.calls[0].arguments, [
+        { book: bookId, status: { $in: ['waiting', 'ready'] } },
+        { status: 'cancelled' },
+        { session }
+      ]);
+      assert.deepEqual(promote.mock.calls[0].arguments, [ready.copy, session]);
+      assert.deepEqual(result, { cancelled: 3, promoted: [next] });
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('expires uncollected holds and passes their copies on', async (t) => {
+      const asOf = new Date();
+      const stale = new Hold({ book: id(), member: id(), placedBy: id(), status: 'ready', copy: id() });
+      const collected = new Hold({ book: id(), member: id(), placedBy: id(), status: 'ready', copy: id() });
+      const next = new Hold({ book: stale.book, member: id(), placedBy: id(), status: 'ready' });
+      t.mock.method(Hold, 'find', () => query([stale, collected]));
+      // The second hold was picked up after the query ran
+      t.mock.method(Hold, 'updateOne', (filter) => query({ modifiedCount: filter._id === stale._id ? 1 : 0 }));
+      const promote = t.mock.method(circulation, 'promoteNextHold', async () => next);
+      t.mock.method(notifications, 'notifyHoldReady', async () => null);
+
+      const expired = await circulation.expireHolds(asOf);
+
+      assert.equal(expired, 1);
+      assert.deepEqual(Hold.updateOne.mock.calls[0].arguments, [{ _id: stale._id, status: 'ready' }, { status: 'expired' }]);
+      assert.deepEqual(promote.mock.calls.map(call => call.arguments[0]), [stale.copy]);
+      assert.deepEqual(notifications.notifyHoldReady.mock.calls.map(call => call.arguments[0]), [next]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Login Throttle Service
+ * 
+ * Limits password guessing at login, per account and per IP address:
+ * - checkIp: Refuses addresses with too many recent failed attempts
+ * - checkAccount: Refuses locked accounts and attempts made too soon after a failure
+ * - recordFailure: Counts a failed attempt and locks the account at the threshold
+ * - recordSuccess: Clears an account's failed attempts
+ * - unlock: Lifts an account's lockout
+ * 
+ * After each failure the account has to wait before the next attempt; the
+ * wait doubles with every failure until LOGIN_MAX_ATTEMPTS is reached and the
+ * account is locked for LOGIN_LOCKOUT_MINUTES (see config/auth.config).
+ * 
+ * Refusals are thrown as errors with a status (423 for a locked account, 429
+ * otherwise), retryAfter in seconds and, for lockouts, lockedUntil.
+ * 
+ * @module services/loginThrottle.service
+ */
+
+const User = require('../models/User.model');
+const LoginAttempt = require('../models/LoginAttempt.model');
+const AuditEvent = require('../models/AuditEvent.model');
+const {
+  loginMaxAttempts,
+  loginLockoutMinutes,
+  loginDelaySeconds,
+  loginIpMaxAttempts,
+  loginIpWindowMinutes
+} = require('../config/auth.config');
+
+/**
+ * Build the error thrown for a refused login attempt
+ * 
+ * @param   {Number} status - 423 (account locked) or 429 (too many attempts)
+ * @param   {Date} until - When the next attempt is allowed
+ * @returns {Error} Error with status, retryAfter (seconds) and, for 423, lockedUntil
+ */
+const refusal = (status, until) => {
+  const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`;
+  const message = status === 423
+    ? `Account is locked after too many failed login attempts. Try again in ${wait}`
+    : `Too many failed login attempts. Try again in ${wait}`;
+  return Object.assign(new Error(message), {
+    status,
+    retryAfter,
+    lockedUntil: status === 423 ? until : undefined
+  });
+};
+
+/**
+ * Check whether the failures on an account are recent enough to count
+ * 
+ * @param   {Object} user - User document
+ * @returns {Boolean} True if the account's failed attempts still count
+ */
+const failuresCount = (user) => Boolean(user.lastFailedLoginAt)
+  && user.lastFailedLoginAt > new Date(Date.now() - loginLockoutMinutes * 60 * 1000);
+
+/**
+ * Refuse an IP address with too many recent failed attempts
+ * 
+ * @param   {String} ip - Client IP address
+ * @returns {Promise<void>}
+ * @throws  {Error} With status 429 when the address has reached LOGIN_IP_MAX_ATTEMPTS
+ */
+exports.checkIp = async (ip) => {
+  const filter = { ip, expiresAt: { $gt: new Date() } };
+  const failures = await LoginAttempt.countDocuments(filter);
+  if (failures < loginIpMaxAttempts) return;
+
+  // The address may try again once its oldest counted failure expires
+  const oldest = await LoginAttempt.findOne(filter).sort({ expiresAt: 1 });
+  throw refusal(429, oldest.expiresAt);
+};
+
+/**
+ * Refuse a login attempt on a locked account or one made too soon after a failure
+ * 
+ * @param   {Object} user - User document
+ * @returns {void}
+ * @throws  {Error} With status 423 while the account is locked, 429 during the wait after a failure
+ */
+exports.checkAccount = (user) => {
+  if (user.isLocked()) {
+    throw refusal(423, user.lockedUntil);
+  }
+
+  if (user.failedLoginAttempts > 0 && failuresCount(user)) {
+    const delay = loginDelaySeconds * 2 ** (user.failedLoginAttempts - 1);
+    const until = new Date(user.lastFailedLoginAt.getTime() + delay * 1000);
+    if (until > new Date()) {
+      throw refusal(429, until);
+    }
+  }
+};
+
+/**
+ * Record a failed login attempt
+ * 
+ * Counts against the IP address and, if the email belongs to an account,
+ * against the account. Reaching LOGIN_MAX_ATTEMPTS locks the account and
+ * records a 'user.lock' audit event.
+ * 
+ * @param   {Object} req - Express request (for the IP address)
+ * @param   {String} email - Email address that was tried
+ * @param   {Object} [user] - User document of the account, if one exists
+ * @returns {Promise<void>}
+ * @throws  {Error} With status 423 when this failure locks the account
+ */
+exports.recordFailure = async (req, email, user) => {
+  await LoginAttempt.create({
+    ip: req.ip,
+    email,
+    expiresAt: new Date(Date.now() + loginIpWindowMinutes * 60 * 1000)
+  });
+
+  if (!user) return;
+
+  // Old failures are forgotten, so an occasional typo never adds up to a lockout
+  const now = new Date();
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    failuresCount(user)
+      ? { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now }
+      : { failedLoginAttempts: 1, lastFailedLoginAt: now },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < loginMaxAttempts) return;
+
+  const lockedUntil = new Date(now.getTime() + loginLockoutMinutes * 60 * 1000);
+  await User.updateOne({ _id: updated._id }, { failedLoginAttempts: 0, lockedUntil });
+
+  try {
+    await AuditEvent.create({
+      action: 'user.lock',
+      targetType: 'User',
+      targetId: updated._id,
+      details: { failedLoginAttempts: updated.failedLoginAttempts, lockedUntil },
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 423,
+      ip: req.ip
+    });
+  } catch (error) {
+    // The lockout is in place; report the gap in the audit trail
+    console.error('❌ Audit event \'user.lock\' could not be recorded:', error.message);
+  }
+
+  throw refusal(423, lockedUntil);
+};
+
+/**
+ * Clear an account's failed login attempts after a successful login
+ * 
+ * @param   {Object} user - User document
+ * @returns {Promise<void>}
+ */
+exports.recordSuccess = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+};
+
+/**
+ * Lift an account's lockout and clear its failed login attempts
+ * 
+ * Only the throttle fields are written; other unsaved changes to the user
+ * document are left for the caller to save.
+ * 
+ * @param   {Object} user - User document; its throttle fields are updated
+ * @returns {Promise<Object>} The user document
+ */
+exports.unlock = async (user) => {
+  const cleared = { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null };
+  await User.updateOne({ _id: user._id }, cleared);
+  user.set(cleared);
+  return user;
+};
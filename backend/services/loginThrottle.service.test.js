@@ -0,0 +1,169 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User.model');
+const LoginAttempt = require('../models/LoginAttempt.model');
+const AuditEvent = require('../models/AuditEvent.model');
+const loginThrottle = require('./loginThrottle.service');
+const { loginMaxAttempts, loginLockoutMinutes, loginDelaySeconds, loginIpMaxAttempts } = require('../config/auth.config');
+const { query, mockReq } = require('../testing/helpers');
+
+describe('login throttle service', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+  });
+
+  describe('checkIp', () => {
+    it('lets addresses below the limit through', async (t) => {
+      t.mock.method(LoginAttempt, 'countDocuments', () => query(loginIpMaxAttempts - 1));
+      const findOne = t.mock.method(LoginAttempt, 'findOne', () => query(null));
+
+      await loginThrottle.checkIp('10.0.0.1');
+
+      assert.equal(LoginAttempt.countDocuments.mock.calls[0].arguments[0].ip, '10.0.0.1');
+      assert.equal(findOne.mock.callCount(), 0);
+    });
+
+    it('refuses addresses at the limit until their oldest failure expires', async (t) => {
+      const expiresAt = new Date(Date.now() + 90 * 1000);
+      t.mock.method(LoginAttempt, 'countDocuments', () => query(loginIpMaxAttempts));
+      const findOne = t.mock.method(LoginAttempt, 'findOne', () => query(new LoginAttempt({ ip: '10.0.0.1', email: 'x@example.com', expiresAt })));
+
+      await assert.rejects(loginThrottle.checkIp('10.0.0.1'), (error) => {
+        assert.equal(error.status, 429);
+        assert.ok(error.retryAfter >= 89 && error.retryAfter <= 90);
+        assert.match(error.message, /Try again in 2 minute\(s\)/);
+        return true;
+      });
+      assert.deepEqual(findOne.mock.calls[0].result.calls.sort, [{ expiresAt: 1 }]);
+    });
+  });
+
+  describe('checkAccount', () => {
+    it('refuses locked accounts with 423 until the lock ends', () => {
+      user.lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+
+      assert.throws(() => loginThrottle.checkAccount(user), (error) => {
+        assert.equal(error.status, 423);
+        assert.equal(error.lockedUntil, user.lockedUntil);
+        assert.match(error.message, /Account is locked/);
+        return true;
+      });
+    });
+
+    it('doubles the wait after every failure', () => {
+      user.failedLoginAttempts = 3;
+      user.lastFailedLoginAt = new Date();
+
+      assert.throws(() => loginThrottle.checkAccount(user), (error) => {
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, loginDelaySeconds * 4);
+        return true;
+      });
+    });
+
+    it('allows attempts once the wait is over, the lock expired or the failures are forgotten', () => {
+      user.failedLoginAttempts = 1;
+      user.lastFailedLoginAt = new Date(Date.now() - (loginDelaySeconds + 1) * 1000);
+      assert.doesNotThrow(() => loginThrottle.checkAccount(user));
+
+      user.lockedUntil = new Date(Date.now() - 1000);
+      assert.doesNotThrow(() => loginThrottle.checkAccount(user));
+
+      user.failedLoginAttempts = loginMaxAttempts - 1;
+      user.lastFailedLoginAt = new Date(Date.now() - (loginLockoutMinutes + 1) * 60 * 1000);
+      assert.doesNotThrow(() => loginThrottle.checkAccount(user));
+    });
+  });
+
+  describe('recordFailure', () => {
+    let req;
+
+    beforeEach((t) => {
+      req = mockReq({ ip: '10.0.0.1', method: 'POST', originalUrl: '/api/auth/login' });
+      t.mock.method(LoginAttempt, 'create', async (data) => new LoginAttempt(data));
+      t.mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(AuditEvent, 'create', async (data) => data);
+    });
+
+    it('counts unknown emails against the address only', async (t) => {
+      const update = t.mock.method(User, 'findByIdAndUpdate', () => query(null));
+
+      await loginThrottle.recordFailure(req, 'nobody@example.com');
+
+      assert.equal(LoginAttempt.create.mock.calls[0].arguments[0].ip, '10.0.0.1');
+      assert.equal(LoginAttempt.create.mock.calls[0].arguments[0].email, 'nobody@example.com');
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('adds to recent failures and restarts the count after old ones', async (t) => {
+      const update = t.mock.method(User, 'findByIdAndUpdate', () => query(new User({ ...user.toObject(), failedLoginAttempts: 2 })));
+
+      user.failedLoginAttempts = 1;
+      user.lastFailedLoginAt = new Date();
+      await loginThrottle.recordFailure(req, user.email, user);
+      assert.deepEqual(update.mock.calls[0].arguments[1].$inc, { failedLoginAttempts: 1 });
+
+      user.lastFailedLoginAt = new Date(Date.now() - (loginLockoutMinutes + 1) * 60 * 1000);
+      await loginThrottle.recordFailure(req, user.email, user);
+      assert.equal(update.mock.calls[1].arguments[1].failedLoginAttempts, 1);
+      assert.equal(update.mock.calls[1].arguments[1].$inc, undefined);
+      assert.equal(User.updateOne.mock.callCount(), 0);
+    });
+
+    it('locks the account at the threshold and records an audit event', async (t) => {
+      t.mock.method(User, 'findByIdAndUpdate', () => query(new User({ ...user.toObject(), failedLoginAttempts: loginMaxAttempts })));
+
+      await assert.rejects(loginThrottle.recordFailure(req, user.email, user), { status: 423 });
+
+      const [filter, update] = User.updateOne.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: user._id });
+      assert.equal(update.failedLoginAttempts, 0);
+      const lockMinutes = (update.lockedUntil - Date.now()) / 60000;
+      assert.ok(lockMinutes > loginLockoutMinutes - 1 && lockMinutes <= loginLockoutMinutes);
+
+      const event = AuditEvent.create.mock.calls[0].arguments[0];
+      assert.equal(event.action, 'user.lock');
+      assert.ok(event.targetId.equals(user._id));
+      assert.equal(event.statusCode, 423);
+    });
+
+    it('keeps the lockout when the audit event cannot be recorded', async (t) => {
+      t.mock.method(User, 'findByIdAndUpdate', () => query(new User({ ...user.toObject(), failedLoginAttempts: loginMaxAttempts })));
+      t.mock.method(AuditEvent, 'create', async () => {
+        throw new Error('write failed');
+      });
+      t.mock.method(console, 'error', () => {});
+
+      await assert.rejects(loginThrottle.recordFailure(req, user.email, user), { status: 423 });
+      assert.equal(User.updateOne.mock.callCount(), 1);
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('clears failed attempts, and skips the write when there are none', async (t) => {
+      const update = t.mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      await loginThrottle.recordSuccess(user);
+      assert.equal(update.mock.callCount(), 0);
+
+      user.failedLoginAttempts = 2;
+      await loginThrottle.recordSuccess(user);
+      assert.deepEqual(update.mock.calls[0].arguments[1], { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+    });
+  });
+
+  describe('unlock', () => {
+    it('clears the lock in the database and on the document', async (t) => {
+      const update = t.mock.method(User, 'updateOne', () => query({ modifiedCount: 1 }));
+      Object.assign(user, { failedLoginAttempts: 2, lastFailedLoginAt: new Date(), lockedUntil: new Date(Date.now() + 60000) });
+
+      await loginThrottle.unlock(user);
+
+      assert.deepEqual(update.mock.calls[0].arguments, [{ _id: user._id }, { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }]);
+      assert.equal(user.isLocked(), false);
+      assert.equal(user.failedLoginAttempts, 0);
+    });
+  });
+});
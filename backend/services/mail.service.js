@@ -0,0 +1,72 @@
+/**
+ * Mail Service
+ * 
+ * Delivers outgoing email through a pluggable transport:
+ * - sendMail: Sends a message with the configured transport
+ * - registerTransport: Adds a transport (e.g. SMTP or an email API)
+ * 
+ * The built-in transports never send real email; they are meant for
+ * development and tests:
+ * - console: Prints each message to the server log
+ * - file: Writes each message as a JSON file to the outbox directory
+ * 
+ * The transport is selected in config/mail.config.
+ * 
+ * @module services/mail.service
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail.config');
+
+/**
+ * Transports by name
+ * 
+ * A transport is an async function receiving the complete message
+ * ({ from, to, subject, text, date }).
+ */
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    await fs.mkdir(mailConfig.outboxDir, { recursive: true });
+    const name = `${message.date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(mailConfig.outboxDir, name), JSON.stringify(message, null, 2));
+  }
+};
+
+/**
+ * Add or replace a transport
+ * 
+ * @param   {String} name - Name used in MAIL_TRANSPORT
+ * @param   {Function} send - Async function receiving the message
+ * @returns {void}
+ * 
+ * @example
+ * registerTransport('smtp', (message) => smtpClient.sendMail(message));
+ */
+exports.registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send an email
+ * 
+ * @param   {Object} options - Message
+ * @param   {String} options.to - Recipient address
+ * @param   {String} options.subject - Subject line
+ * @param   {String} options.text - Plain text body
+ * @returns {Promise<void>}
+ * @throws  {Error} When the configured transport does not exist or fails
+ */
+exports.sendMail = async ({ to, subject, text }) => {
+  const send = transports[mailConfig.transport];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+
+  await send({ from: mailConfig.from, to, subject, text, date: new Date() });
+};
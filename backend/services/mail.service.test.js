@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mailConfig = require('../config/mail.config');
+const mail = require('./mail.service');
+
+describe('mail service', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = { ...mailConfig };
+  });
+
+  afterEach(() => {
+    Object.assign(mailConfig, saved);
+  });
+
+  const message = { to: 'ada@example.com', subject: 'Hello', text: 'Body' };
+
+  it('sends through a registered transport', async () => {
+    const sent = [];
+    mail.registerTransport('test', async (mailMessage) => sent.push(mailMessage));
+    Object.assign(mailConfig, { transport: 'test', from: 'Library <library@example.com>' });
+
+    await mail.sendMail(message);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].from, 'Library <library@example.com>');
+    assert.equal(sent[0].to, 'ada@example.com');
+    assert.ok(sent[0].date instanceof Date);
+  });
+
+  it('prints messages with the console transport', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    mailConfig.transport = 'console';
+
+    await mail.sendMail(message);
+
+    assert.match(log.mock.calls[0].arguments[0], /Mail to ada@example.com: Hello\nBody/);
+  });
+
+  it('writes messages to the outbox with the file transport', async () => {
+    const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    Object.assign(mailConfig, { transport: 'file', outboxDir });
+
+    try {
+      await mail.sendMail(message);
+
+      const [file] = await fs.readdir(outboxDir);
+      const written = JSON.parse(await fs.readFile(path.join(outboxDir, file), 'utf8'));
+      assert.equal(written.subject, 'Hello');
+      assert.equal(written.text, 'Body');
+    } finally {
+      await fs.rm(outboxDir, { recursive: true, force: true });
+    }
+  });
+
+  it('fails for unknown transports', async () => {
+    mailConfig.transport = 'carrier-pigeon';
+
+    await assert.rejects(mail.sendMail(message), { message: 'Unknown mail transport: carrier-pigeon' });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * MARC Service
+ * 
+ * Maps books to and from MARC 21 bibliographic records for exchange with
+ * other library systems:
+ * - 001: Book id (export only)
+ * - 020 $a: ISBN
+ * - 100 $a: Author (main entry, personal name)
+ * - 245 $a $b: Title and remainder of title
+ * - 650 $a: Subject, used as category
+ * 
+ * @module services/marc.service
+ */
+
+const isbn = require('../utils/isbn.util');
+const { MARCXML_HEADER, MARCXML_FOOTER, recordToXml } = require('../utils/marc.util');
+
+/**
+ * Values of one subfield across all occurrences of a field
+ * 
+ * @param   {Object} record - MARC record
+ * @param   {String} tag - Field tag
+ * @param   {String} code - Subfield code
+ * @returns {String[]} Subfield values
+ */
+const subfieldValues = (record, tag, code) => record.fields
+  .filter(field => field.tag === tag && field.subfields)
+  .flatMap(field => field.subfields.filter(subfield => subfield.code === code))
+  .map(subfield => subfield.value);
+
+/**
+ * Remove the ISBD punctuation cataloguers put at the end of subfields
+ * 
+ * @param   {String} value - Subfield value, e.g. 'The great Gatsby /'
+ * @returns {String} Cleaned value, e.g. 'The great Gatsby'
+ */
+const stripPunctuation = (value = '') => value.replace(/[\s/:;,.=]+$/, '').trim();
+
+/**
+ * Convert a MARC record to book fields
+ * 
+ * The first 020 $a holding a valid ISBN is used (qualifiers such as
+ * "(pbk.)" are ignored); if none is valid, the first 020 $a is kept so the
+ * import can report it. Fields missing from the record are left empty.
+ * 
+ * @param   {Object} record - MARC record
+ * @returns {Object} { title, author, ISBN, category }
+ */
+exports.recordToBook = (record) => {
+  const isbns = subfieldValues(record, '020', 'a').map(value => value.trim().split(/\s+/)[0]);
+  const [title, remainder] = [subfieldValues(record, '245', 'a')[0], subfieldValues(record, '245', 'b')[0]]
+    .map(value => stripPunctuation(value));
+
+  return {
+    title: remainder ? `${title}: ${remainder}` : title,
+    author: stripPunctuation(subfieldValues(record, '100', 'a')[0]),
+    ISBN: isbns.find(value => isbn.isValid(value)) ?? isbns[0] ?? '',
+    category: stripPunctuation(subfieldValues(record, '650', 'a')[0])
+  };
+};
+
+/**
+ * Convert a book to a MARC record
+ * 
+ * @param   {Object} book - Book document
+ * @returns {Object} MARC record
+ */
+exports.bookToRecord = (book) => {
+  const fields = [
+    { tag: '001', value: book._id.toString() },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: book.ISBN }] }
+  ];
+
+  // Also list the ISBN-10 form for systems that only index ISBN-10
+  const isbn10 = isbn.toIsbn10(book.ISBN);
+  if (isbn10) {
+    fields.push({ tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: isbn10 }] });
+  }
+
+  fields.push(
+    { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: book.author }] },
+    { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: book.title }] },
+    // Second indicator 4: subject heading source not specified
+    { tag: '650', ind1: ' ', ind2: '4', subfields: [{ code: 'a', value: book.category }] }
+  );
+
+  return { fields };
+};
+
+/**
+ * MARCXML export format for utils/export.util streamExport
+ * 
+ * Writes the streamed books as a MARCXML <collection>.
+ */
+exports.marcXmlFormat = {
+  extension: 'xml',
+  contentType: 'application/marcxml+xml; charset=utf-8',
+  start: MARCXML_HEADER,
+  item: (book) => recordToXml(exports.bookToRecord(book)),
+  end: () => MARCXML_FOOTER
+};
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const marc = require('./marc.service');
+const { parseMarcXml } = require('../utils/marc.util');
+const { id } = require('../testing/helpers');
+
+describe('MARC service', () => {
+  const datafield = (tag, ...subfields) => ({ tag, ind1: ' ', ind2: ' ', subfields: subfields.map(([code, value]) => ({ code, value })) });
+
+  describe('recordToBook', () => {
+    it('maps the title, author, ISBN and subject without cataloguing punctuation', () => {
+      const record = {
+        fields: [
+          datafield('020', ['a', '12345 (invalid)']),
+          datafield('020', ['a', '0441172717 (pbk.)']),
+          datafield('100', ['a', 'Herbert, Frank,']),
+          datafield('245', ['a', 'Dune :'], ['b', 'a novel /'], ['c', 'Frank Herbert.']),
+          datafield('650', ['a', 'Science fiction.'])
+        ]
+      };
+
+      assert.deepEqual(marc.recordToBook(record), {
+        title: 'Dune: a novel',
+        author: 'Herbert, Frank',
+        ISBN: '0441172717',
+        category: 'Science fiction'
+      });
+    });
+
+    it('keeps an invalid ISBN for the report and leaves missing fields empty', () => {
+      const book = marc.recordToBook({ fields: [datafield('020', ['a', '12345']), { tag: '001', value: 'x' }] });
+
+      assert.deepEqual(book, { title: '', author: '', ISBN: '12345', category: '' });
+    });
+  });
+
+  describe('bookToRecord', () => {
+    it('writes the id, both ISBN forms, author, title and subject', () => {
+      const book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', requestedBy: id() });
+
+      const record = marc.bookToRecord(book);
+
+      assert.deepEqual(record.fields.map(field => [field.tag, field.value ?? field.subfields[0].value]), [
+        ['001', book._id.toString()],
+        ['020', '9780441172719'],
+        ['020', '0441172717'],
+        ['100', 'Frank Herbert'],
+        ['245', 'Dune'],
+        ['650', 'Fiction']
+      ]);
+      assert.deepEqual(marc.recordToBook(record), { title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction' });
+    });
+
+    it('leaves out the ISBN-10 of 979 ISBNs', () => {
+      const book = new Book({ title: 'T', author: 'A', ISBN: '9791032305690', category: 'C', requestedBy: id() });
+
+      assert.equal(marc.bookToRecord(book).fields.filter(field => field.tag === '020').length, 1);
+    });
+  });
+
+  describe('marcXmlFormat', () => {
+    it('wraps the books in a MARCXML collection', () => {
+      const { start, item, end, extension } = marc.marcXmlFormat;
+      const book = new Book({ title: 'Dune', author: 'Frank Herbert', ISBN: '9780441172719', category: 'Fiction', requestedBy: id() });
+
+      const [record] = parseMarcXml(start + item(book, 0) + end(1));
+
+      assert.equal(extension, 'xml');
+      assert.equal(marc.recordToBook(record).title, 'Dune');
+    });
+  });
+});
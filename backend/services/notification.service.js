@@ -0,0 +1,123 @@
+/**
+ * Notification Service
+ * 
+ * Creates the in-app notifications users see in their inbox (see
+ * Notification model):
+ * - notify: Sends one notification to a user, unless they muted its type
+ * - notifyBookReviewed: Tells the requester their book request was approved or rejected
+ * - notifyBookComment: Tells the requester someone commented on their request
+ * - notifyHoldReady: Tells a member their hold is ready for pickup
+ * 
+ * Notifying never fails or delays the change that caused it; call these
+ * after the change has been saved (and after its transaction has committed).
+ * 
+ * @module services/notification.service
+ */
+
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const Book = require('../models/Book.model');
+
+/**
+ * Send a notification to a user
+ * 
+ * Nothing is sent if the user no longer exists or has muted the type.
+ * 
+ * @param   {String|ObjectId} userId - User MongoDB ObjectId
+ * @param   {String} type - Notification type (see Notification model)
+ * @param   {Object} content - { title, message, link, data }
+ * @returns {Promise<Object|null>} The notification, or null if none was sent; never rejects
+ * 
+ * @example
+ * notifications.notify(book.requestedBy._id, 'book.approved', {
+ *   title: 'Book request approved',
+ *   link: `/books/${book._id}`
+ * });
+ */
+exports.notify = async (userId, type, { title, message, link, data } = {}) => {
+  try {
+    const user = await User.findById(userId).select('mutedNotifications');
+    if (!user || user.mutedNotifications.includes(type)) return null;
+
+    return await Notification.create({ user: user._id, type, title, message, link, data });
+  } catch (error) {
+    // The change itself succeeded; report the missing notification
+    console.error(`❌ Notification '${type}' for user ${userId} could not be created:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Tell the requester their book request was approved or rejected
+ * 
+ * Staff reviewing their own request are not notified.
+ * 
+ * @param   {Object} book - Reviewed book, with requestedBy and reviewedBy populated
+ * @returns {Promise<Object|null>} The notification, or null if none was sent
+ */
+exports.notifyBookReviewed = async (book) => {
+  const requester = book.requestedBy?._id ?? book.requestedBy;
+  const reviewer = book.reviewedBy?._id ?? book.reviewedBy;
+  if (!requester || requester.equals(reviewer)) return null;
+
+  const approved = book.approvalStatus === 'approved';
+  return exports.notify(requester, approved ? 'book.approved' : 'book.rejected', {
+    title: approved ? 'Book request approved' : 'Book request rejected',
+    message: approved
+      ? `"${book.title}" was added to the catalogue.`
+      : `"${book.title}" was not added to the catalogue.${book.rejectionReason ? ` Reason: ${book.rejectionReason}` : ''}`,
+    link: `/books/${book._id}`,
+    data: { book: book._id }
+  });
+};
+
+/**
+ * Tell the requester someone else commented on their book request
+ * 
+ * @param   {Object} book - Book with title and requestedBy
+ * @param   {Object} comment - Comment with author populated
+ * @returns {Promise<Object|null>} The notification, or null if none was sent
+ */
+exports.notifyBookComment = async (book, comment) => {
+  const author = comment.author?._id ?? comment.author;
+  if (!book.requestedBy || book.requestedBy.equals(author)) return null;
+
+  return exports.notify(book.requestedBy, 'book.comment', {
+    title: 'New comment on your book request',
+    message: `${comment.author?.name || 'Staff'} commented on "${book.title}".`,
+    link: `/books/${book._id}`,
+    data: { book: book._id, comment: comment._id }
+  });
+};
+
+/**
+ * Tell a member their hold is ready for pickup
+ * 
+ * Members without a linked user account are not notified.
+ * 
+ * @param   {Object|null} hold - Hold that became ready (as returned by circulation.promoteNextHold)
+ * @returns {Promise<Object|null>} The notification, or null if none was sent; never rejects
+ */
+exports.notifyHoldReady = async (hold) => {
+  if (!hold) return null;
+
+  try {
+    const [member, book] = await Promise.all([
+      Member.findById(hold.member).select('user'),
+      Book.findById(hold.book).select('title')
+    ]);
+    if (!member?.user) return null;
+
+    return await exports.notify(member.user, 'hold.ready', {
+      title: 'Your hold is ready for pickup',
+      message: `"${book?.title || 'Your book'}" is waiting for you until ${hold.pickupExpiresAt.toDateString()}.`,
+      link: `/books/${hold.book}`,
+      data: { book: hold.book, hold: hold._id, copy: hold.copy }
+    });
+  } catch (error) {
+    // The hold itself was updated; report the missing notification
+    console.error(`❌ Hold ready notification for hold ${hold._id} could not be created:`, error.message);
+    return null;
+  }
+};
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const Member = require('../models/Member.model');
+const Book = require('../models/Book.model');
+const Hold = require('../models/Hold.model');
+const notifications = require('./notification.service');
+const { id, query } = require('../testing/helpers');
+
+describe('notification service', () => {
+  let user;
+
+  beforeEach((t) => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+    t.mock.method(User, 'findById', () => query(user));
+    t.mock.method(Notification, 'create', async (data) => new Notification(data));
+  });
+
+  describe('notify', () => {
+    it('creates a notification for the user', async () => {
+      const notification = await notifications.notify(user._id, 'book.approved', { title: 'Book request approved', link: '/books/1' });
+
+      assert.deepEqual(User.findById.mock.calls[0].result.calls.select, ['mutedNotifications']);
+      assert.equal(notification.user, user._id);
+      assert.equal(notification.type, 'book.approved');
+      assert.equal(notification.link, '/books/1');
+    });
+
+    it('sends nothing for muted types or deleted users', async (t) => {
+      user.mutedNotifications = ['book.comment'];
+      assert.equal(await notifications.notify(user._id, 'book.comment', { title: 'New comment' }), null);
+
+      t.mock.method(User, 'findById', () => query(null));
+      assert.equal(await notifications.notify(id(), 'book.approved', { title: 'Book request approved' }), null);
+      assert.equal(Notification.create.mock.callCount(), 0);
+    });
+
+    it('never fails the change that caused it', async (t) => {
+      t.mock.method(Notification, 'create', async () => {
+        throw new Error('connection lost');
+      });
+      t.mock.method(console, 'error', () => {});
+
+      assert.equal(await notifications.notify(user._id, 'book.approved', { title: 'Book request approved' }), null);
+      assert.equal(console.error.mock.callCount(), 1);
+    });
+  });
+
+  describe('notifyBookReviewed', () => {
+    let book;
+
+    beforeEach(() => {
+      book = new Book({ title: 'Dune', approvalStatus: 'rejected', rejectionReason: 'Out of scope', requestedBy: user._id, reviewedBy: id() });
+    });
+
+    it('tells the requester about the decision and the reason', async () => {
+      const notification = await notifications.notifyBookReviewed(book);
+
+      assert.equal(notification.type, 'book.rejected');
+      assert.equal(notification.message, '"Dune" was not added to the catalogue. Reason: Out of scope');
+      assert.equal(notification.link, `/books/${book._id}`);
+
+      book.approvalStatus = 'approved';
+      assert.equal((await notifications.notifyBookReviewed(book)).type, 'book.approved');
+    });
+
+    it('skips staff reviewing their own request', async () => {
+      book.reviewedBy = user._id;
+
+      assert.equal(await notifications.notifyBookReviewed(book), null);
+      assert.equal(Notification.create.mock.callCount(), 0);
+    });
+  });
+
+  describe('notifyBookComment', () => {
+    const book = new Book({ title: 'Dune', approvalStatus: 'pending', requestedBy: id() });
+
+    it('tells the requester about comments by others', async () => {
+      const notification = await notifications.notifyBookComment(book, { _id: id(), author: { _id: id(), name: 'Grace' } });
+
+      assert.equal(notification.type, 'book.comment');
+      assert.equal(notification.message, 'Grace commented on "Dune".');
+    });
+
+    it('skips comments by the requester', async () => {
+      assert.equal(await notifications.notifyBookComment(book, { _id: id(), author: { _id: book.requestedBy, name: 'Ada' } }), null);
+      assert.equal(Notification.create.mock.callCount(), 0);
+    });
+  });
+
+  describe('notifyHoldReady', () => {
+    let hold;
+
+    beforeEach((t) => {
+      hold = new Hold({ book: id(), member: id(), placedBy: id(), status: 'ready', copy: id(), pickupExpiresAt: new Date('2026-11-02T12:00:00Z') });
+      t.mock.method(Book, 'findById', () => query({ title: 'Dune' }));
+    });
+
+    it('tells the member with the pickup deadline', async (t) => {
+      t.mock.method(Member, 'findById', () => query({ user: user._id }));
+
+      const notification = await notifications.notifyHoldReady(hold);
+
+      assert.equal(notification.user, user._id);
+      assert.equal(notification.type, 'hold.ready');
+      assert.equal(notification.message, `"Dune" is waiting for you until ${hold.pickupExpiresAt.toDateString()}.`);
+      assert.equal(notification.data.hold, hold._id);
+    });
+
+    it('skips members without a user account and missing holds', async (t) => {
+      t.mock.method(Member, 'findById', () => query({ user: null }));
+
+      assert.equal(await notifications.notifyHoldReady(hold), null);
+      assert.equal(await notifications.notifyHoldReady(null), null);
+      assert.equal(Notification.create.mock.callCount(), 0);
+    });
+
+    it('never fails the hold change', async (t) => {
+      t.mock.method(Member, 'findById', () => query(new Error('connection lost')));
+      t.mock.method(console, 'error', () => {});
+
+      assert.equal(await notifications.notifyHoldReady(hold), null);
+    });
+  });
+});
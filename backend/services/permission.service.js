@@ -0,0 +1,110 @@
+/**
+ * Permission Service
+ * 
+ * Resolves what users may do from their role (see Role model):
+ * - ensureDefaultRoles: Creates the built-in roles and keeps Admin complete
+ * - getPermissions: Permissions granted by a role
+ * - hasPermission: Whether the authenticated user of a request has a permission
+ * - roleExists: Whether a role name is defined
+ * - checkRoleExists: Validator rejecting undefined role names
+ * 
+ * @module services/permission.service
+ */
+
+const Role = require('../models/Role.model');
+
+// Every permission in the catalogue
+const ALL_PERMISSIONS = Object.keys(Role.PERMISSIONS);
+
+/**
+ * Built-in roles, created at startup if missing
+ * Admin is kept in sync with the whole catalogue; the others are only
+ * created with these permissions and can be changed afterwards.
+ */
+const DEFAULT_ROLES = [
+  {
+    name: 'Admin',
+    description: 'Full access, including user accounts, roles and the audit log',
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    name: 'Librarian',
+    description: 'Front desk staff: catalogue, book requests, circulation and members',
+    permissions: [
+      'books:manage',
+      'books:approve',
+      'copies:manage',
+      'loans:checkout',
+      'loans:view',
+      'holds:manage',
+      'members:manage'
+    ]
+  },
+  {
+    name: 'Member',
+    description: 'Library patrons: browse and request books, place holds',
+    permissions: []
+  }
+];
+
+/**
+ * Create missing built-in roles and grant Admin every permission
+ * 
+ * Safe to run on every startup; changes made to Librarian and Member are kept.
+ * 
+ * @returns {Promise<void>}
+ */
+exports.ensureDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    const update = role.name === 'Admin'
+      ? { $set: { permissions: role.permissions, system: true }, $setOnInsert: { description: role.description } }
+      : { $set: { system: true }, $setOnInsert: { description: role.description, permissions: role.permissions } };
+    await Role.updateOne({ name: role.name }, update, { upsert: true });
+  }
+};
+
+/**
+ * Get the permissions granted by a role
+ * 
+ * @param   {String} roleName - Role name (e.g. 'Librarian')
+ * @returns {Promise<String[]>} Permissions; none for an unknown role
+ */
+exports.getPermissions = async (roleName) => {
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+/**
+ * Check whether the authenticated user of a request has a permission
+ * 
+ * The permissions are loaded by the protect middleware.
+ * 
+ * @param   {Object} req - Express request
+ * @param   {String} permission - Permission name (e.g. 'books:manage')
+ * @returns {Boolean} True if the user's role grants the permission
+ */
+exports.hasPermission = (req, permission) => Boolean(req.permissions?.includes(permission));
+
+/**
+ * Check whether a role is defined
+ * 
+ * @param   {String} roleName - Role name
+ * @returns {Promise<Boolean>} True if a role with this name exists
+ */
+exports.roleExists = async (roleName) => Boolean(await Role.exists({ name: roleName }));
+
+/**
+ * Reject a role name that is not defined (express-validator custom validator)
+ * 
+ * @param   {String} roleName - Role name
+ * @returns {Promise<void>}
+ * @throws  {Error} When no role with this name exists
+ * 
+ * @example
+ * body('role').optional().custom(checkRoleExists)
+ */
+exports.checkRoleExists = async (roleName) => {
+  if (!(await exports.roleExists(roleName))) {
+    throw new Error(`Role '${roleName}' does not exist`);
+  }
+};
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Role = require('../models/Role.model');
+const permissions = require('./permission.service');
+const { query, mockReq } = require('../testing/helpers');
+
+describe('permission service', () => {
+  describe('ensureDefaultRoles', () => {
+    it('creates the built-in roles and keeps Admin complete without overwriting the others', async (t) => {
+      const update = t.mock.method(Role, 'updateOne', () => query({ upsertedCount: 0 }));
+
+      await permissions.ensureDefaultRoles();
+
+      const calls = Object.fromEntries(update.mock.calls.map(({ arguments: [filter, change, options] }) => [filter.name, { change, options }]));
+      assert.deepEqual(Object.keys(calls), ['Admin', 'Librarian', 'Member']);
+      assert.deepEqual(calls.Admin.change.$set.permissions, Object.keys(Role.PERMISSIONS));
+      assert.deepEqual(calls.Librarian.change.$set, { system: true });
+      assert.ok(calls.Librarian.change.$setOnInsert.permissions.includes('loans:checkout'));
+      assert.deepEqual(calls.Member.change.$setOnInsert.permissions, []);
+      assert.deepEqual(calls.Member.options, { upsert: true });
+    });
+  });
+
+  describe('getPermissions', () => {
+    it("returns the role's permissions, and none for unknown roles", async (t) => {
+      const findOne = t.mock.method(Role, 'findOne', () => query({ permissions: ['books:manage'] }));
+
+      assert.deepEqual(await permissions.getPermissions('Librarian'), ['books:manage']);
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { name: 'Librarian' });
+
+      t.mock.method(Role, 'findOne', () => query(null));
+      assert.deepEqual(await permissions.getPermissions('Ghost'), []);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('checks the permissions loaded for the request', () => {
+      const req = mockReq({ permissions: ['books:manage'] });
+
+      assert.equal(permissions.hasPermission(req, 'books:manage'), true);
+      assert.equal(permissions.hasPermission(req, 'users:manage'), false);
+      assert.equal(permissions.hasPermission(mockReq(), 'books:manage'), false);
+    });
+  });
+
+  describe('checkRoleExists', () => {
+    it('accepts defined roles and rejects others', async (t) => {
+      t.mock.method(Role, 'exists', (filter) => query(filter.name === 'Librarian' ? { _id: 1 } : null));
+
+      await permissions.checkRoleExists('Librarian');
+      await assert.rejects(permissions.checkRoleExists('Overlord'), { message: "Role 'Overlord' does not exist" });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Session Service
+ * 
+ * Issues and revokes the tokens of sign-in sessions (see Session model):
+ * - createSession: Starts a session and issues its access and refresh tokens
+ * - refreshSession: Exchanges a refresh token for new tokens (rotation)
+ * - revokeSession: Ends the session of a refresh token (logout)
+ * - revokeUserSessions: Ends every session of a user
+ * - isSessionActive: Whether an access token's session may still be used
+ * 
+ * Refresh tokens have the form '<sessionId>.<secret>'; only a hash of the
+ * secret is stored. Each refresh replaces the secret, and presenting a
+ * replaced one again revokes the session, since the token may have been stolen.
+ * 
+ * Token lifetimes are configured in config/auth.config.
+ * 
+ * @module services/session.service
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session.model');
+const User = require('../models/User.model');
+const { accessTokenMinutes, refreshTokenDays } = require('../config/auth.config');
+
+// One day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error for a refresh token that cannot be used
+ * 
+ * @param   {String} message - Error message
+ * @returns {Error} Error with status 401
+ */
+const invalidToken = (message) => Object.assign(new Error(message), { status: 401 });
+
+/**
+ * Hash a refresh token secret for storage
+ * 
+ * @param   {String} secret - Refresh token secret
+ * @returns {String} Hex-encoded SHA-256 hash
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Generate a new refresh token secret
+ * 
+ * @returns {String} Random hex string
+ */
+const generateSecret = () => crypto.randomBytes(40).toString('hex');
+
+/**
+ * Issue the tokens returned to the client
+ * 
+ * @param   {Object} session - Session document
+ * @param   {String} secret - Current refresh token secret
+ * @returns {Object} { token, refreshToken, expiresIn } - expiresIn is the access token lifetime in seconds
+ */
+const issueTokens = (session, secret) => ({
+  // Access token: identifies the user and the session it belongs to
+  token: jwt.sign({ id: session.user, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenMinutes * 60
+  }),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenMinutes * 60
+});
+
+/**
+ * Start a session for a user who has just signed in
+ * 
+ * @param   {Object} user - User document
+ * @param   {Object} req - Express request (client IP address and user agent are recorded)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+exports.createSession = async (user, req) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + refreshTokenDays * DAY_MS),
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip || null
+  });
+
+  return issueTokens(session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * 
+ * The presented refresh token stops working. The session keeps its original
+ * expiry date.
+ * 
+ * @param   {String} refreshToken - Refresh token from sign-in or the previous refresh
+ * @returns {Promise<Object>} { user, tokens } - tokens: { token, refreshToken, expiresIn }
+ * @throws  {Error} With status 401 when the token is invalid, reused, revoked or expired
+ */
+exports.refreshSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!mongoose.isObjectIdOrHexString(sessionId) || !secret) {
+    throw invalidToken('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+tokenHash');
+  if (!session || !session.isActive()) {
+    throw invalidToken('Session has expired or been revoked, please sign in again');
+  }
+
+  // A replaced secret is being reused: someone else may hold the token
+  if (session.tokenHash !== hashSecret(secret)) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: new Date() });
+    throw invalidToken('Refresh token has already been used, please sign in again');
+  }
+
+  // Deleted users cannot refresh
+  const user = await User.findById(session.user);
+  if (!user) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: new Date() });
+    throw invalidToken('User not found');
+  }
+
+  // Rotate only if no concurrent request has done so in the meantime
+  const nextSecret = generateSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    { tokenHash: hashSecret(nextSecret), lastUsedAt: new Date() },
+    { new: true }
+  );
+  if (!rotated) {
+    throw invalidToken('Refresh token has already been used, please sign in again');
+  }
+
+  return { user, tokens: issueTokens(rotated, nextSecret) };
+};
+
+/**
+ * End the session of a refresh token
+ * 
+ * Invalid or unknown tokens are ignored so logging out always succeeds.
+ * 
+ * @param   {String} refreshToken - Refresh token of the session
+ * @returns {Promise<Boolean>} True if a session was revoked
+ */
+exports.revokeSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!mongoose.isObjectIdOrHexString(sessionId) || !secret) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, tokenHash: hashSecret(secret), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every active session of a user (e.g. sign out everywhere, account deleted)
+ * 
+ * @param   {String} userId - User MongoDB ObjectId
+ * @returns {Promise<Number>} Number of revoked sessions
+ */
+exports.revokeUserSessions = async (userId) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Check whether the session named in an access token may still be used
+ * 
+ * @param   {String} sessionId - Session id (sid claim of the access token)
+ * @param   {String} userId - User id (id claim of the access token)
+ * @returns {Promise<Boolean>} True if the session exists, belongs to the user and is neither revoked nor expired
+ */
+exports.isSessionActive = async (sessionId, userId) => {
+  if (!mongoose.isObjectIdOrHexString(sessionId)) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+};
@@ -0,0 +1,172 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session.model');
+const User = require('../models/User.model');
+const sessions = require('./session.service');
+const { accessTokenMinutes, refreshTokenDays } = require('../config/auth.config');
+const { id, query, mockReq } = require('../testing/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+describe('session service', () => {
+  let user;
+
+  before(() => {
+    process.env.JWT_SECRET ||= 'test-secret';
+  });
+
+  beforeEach(() => {
+    user = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+  });
+
+  describe('createSession', () => {
+    it('stores only a hash of the refresh token and signs an access token for the session', async (t) => {
+      const create = t.mock.method(Session, 'create', async (data) => new Session(data));
+      const req = mockReq({ headers: { 'User-Agent': 'Firefox' }, ip: '10.0.0.1' });
+
+      const tokens = await sessions.createSession(user, req);
+
+      const data = create.mock.calls[0].arguments[0];
+      const session = await create.mock.calls[0].result;
+      const [sessionId, secret] = tokens.refreshToken.split('.');
+      assert.equal(sessionId, session._id.toString());
+      assert.equal(data.tokenHash, hash(secret));
+      assert.ok(!JSON.stringify(data).includes(secret));
+      assert.equal(data.userAgent, 'Firefox');
+      assert.equal(data.ip, '10.0.0.1');
+      assert.ok(Math.abs(data.expiresAt - Date.now() - refreshTokenDays * DAY_MS) < 1000);
+
+      const claims = jwt.verify(tokens.token, process.env.JWT_SECRET);
+      assert.equal(claims.id, user._id.toString());
+      assert.equal(claims.sid, sessionId);
+      assert.equal(claims.exp - claims.iat, accessTokenMinutes * 60);
+      assert.equal(tokens.expiresIn, accessTokenMinutes * 60);
+    });
+  });
+
+  describe('refreshSession', () => {
+    const secret = 'a'.repeat(80);
+    let session;
+
+    beforeEach((t) => {
+      session = new Session({ user: user._id, tokenHash: hash(secret), expiresAt: new Date(Date.now() + DAY_MS) });
+      t.mock.method(Session, 'findById', () => query(session));
+      t.mock.method(Session, 'updateOne', () => query({ modifiedCount: 1 }));
+      t.mock.method(User, 'findById', () => query(user));
+    });
+
+    it('rotates the refresh token', async (t) => {
+      const rotate = t.mock.method(Session, 'findOneAndUpdate', (filter, update) => query(new Session({ ...session.toObject(), ...update })));
+
+      const result = await sessions.refreshSession(`${session._id}.${secret}`);
+
+      const [filter, update] = rotate.mock.calls[0].arguments;
+      // Only the holder of the current secret can rotate, and only once
+      assert.deepEqual(filter, { _id: session._id, tokenHash: hash(secret), revokedAt: null });
+      const [sessionId, nextSecret] = result.tokens.refreshToken.split('.');
+      assert.equal(sessionId, session._id.toString());
+      assert.notEqual(nextSecret, secret);
+      assert.equal(update.tokenHash, hash(nextSecret));
+      assert.equal(result.user, user);
+      assert.equal(jwt.verify(result.tokens.token, process.env.JWT_SECRET).sid, session._id.toString());
+    });
+
+    it('revokes the session when a replaced refresh token is used again', async (t) => {
+      const rotate = t.mock.method(Session, 'findOneAndUpdate', () => query(null));
+
+      await assert.rejects(sessions.refreshSession(`${session._id}.${'b'.repeat(80)}`), {
+        status: 401,
+        message: 'Refresh token has already been used, please sign in again'
+      });
+
+      const [filter, update] = Session.updateOne.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: session._id });
+      assert.ok(update.revokedAt instanceof Date);
+      assert.equal(rotate.mock.callCount(), 0);
+    });
+
+    it('refuses revoked and expired sessions', async () => {
+      session.revokedAt = new Date();
+      await assert.rejects(sessions.refreshSession(`${session._id}.${secret}`), { status: 401, message: /expired or been revoked/ });
+
+      session.revokedAt = null;
+      session.expiresAt = new Date(Date.now() - 1000);
+      await assert.rejects(sessions.refreshSession(`${session._id}.${secret}`), { status: 401, message: /expired or been revoked/ });
+    });
+
+    it('refuses malformed tokens without a lookup', async () => {
+      for (const token of ['nonsense', `${session._id}`, `${session._id}.`, undefined]) {
+        await assert.rejects(sessions.refreshSession(token), { status: 401, message: 'Invalid refresh token' });
+      }
+      assert.equal(Session.findById.mock.callCount(), 0);
+    });
+
+    it('ends the session of a deleted user', async (t) => {
+      t.mock.method(User, 'findById', () => query(null));
+
+      await assert.rejects(sessions.refreshSession(`${session._id}.${secret}`), { status: 401, message: 'User not found' });
+      assert.equal(Session.updateOne.mock.callCount(), 1);
+    });
+
+    it('lets only one of two concurrent refreshes succeed', async (t) => {
+      // The other request rotated the secret between the lookup and the update
+      t.mock.method(Session, 'findOneAndUpdate', () => query(null));
+
+      await assert.rejects(sessions.refreshSession(`${session._id}.${secret}`), { status: 401 });
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('revokes the session the refresh token belongs to', async (t) => {
+      const sessionId = id();
+      const update = t.mock.method(Session, 'updateOne', () => query({ modifiedCount: 1 }));
+
+      assert.equal(await sessions.revokeSession(`${sessionId}.secret`), true);
+
+      const [filter, changes] = update.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: sessionId.toString(), tokenHash: hash('secret'), revokedAt: null });
+      assert.ok(changes.revokedAt instanceof Date);
+    });
+
+    it('ignores malformed tokens', async (t) => {
+      const update = t.mock.method(Session, 'updateOne', () => query({ modifiedCount: 0 }));
+
+      assert.equal(await sessions.revokeSession('nonsense'), false);
+      assert.equal(update.mock.callCount(), 0);
+    });
+  });
+
+  describe('revokeUserSessions', () => {
+    it('revokes every active session of the user', async (t) => {
+      const update = t.mock.method(Session, 'updateMany', () => query({ modifiedCount: 3 }));
+
+      assert.equal(await sessions.revokeUserSessions(user._id), 3);
+      assert.deepEqual(update.mock.calls[0].arguments[0], { user: user._id, revokedAt: null });
+    });
+  });
+
+  describe('isSessionActive', () => {
+    it('looks for an unrevoked, unexpired session of the user', async (t) => {
+      const sessionId = id().toString();
+      const exists = t.mock.method(Session, 'exists', () => query({ _id: sessionId }));
+
+      assert.equal(await sessions.isSessionActive(sessionId, user._id), true);
+
+      const filter = exists.mock.calls[0].arguments[0];
+      assert.equal(filter._id, sessionId);
+      assert.equal(filter.user, user._id);
+      assert.equal(filter.revokedAt, null);
+      assert.ok(filter.expiresAt.$gt instanceof Date);
+    });
+
+    it('rejects malformed session ids', async (t) => {
+      const exists = t.mock.method(Session, 'exists', () => query(null));
+
+      assert.equal(await sessions.isSessionActive('nonsense', user._id), false);
+      assert.equal(exists.mock.callCount(), 0);
+    });
+  });
+});
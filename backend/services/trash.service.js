@@ -0,0 +1,88 @@
+/**
+ * Trash Service
+ * 
+ * Lifecycle of soft-deleted books, members and users (see softDelete plugin):
+ * - getPurgeDate: When a trashed record will be permanently removed
+ * - getTrashPage: Lists a page of trashed records for the admin trash listings
+ * - purgeExpired: Permanently removes records whose retention period has passed
+ * 
+ * The retention period is configured in config/trash.config.
+ * 
+ * @module services/trash.service
+ */
+
+const Book = require('../models/Book.model');
+const Copy = require('../models/Copy.model');
+const Member = require('../models/Member.model');
+const User = require('../models/User.model');
+const { retentionDays } = require('../config/trash.config');
+
+// One day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculate when a trashed record will be purged
+ * 
+ * @param   {Date} deletedAt - When the record was moved to the trash
+ * @returns {Date|null} Purge date, or null if trashed records are kept indefinitely
+ */
+exports.getPurgeDate = (deletedAt) => {
+  if (!deletedAt || retentionDays <= 0) return null;
+  return new Date(deletedAt.getTime() + retentionDays * DAY_MS);
+};
+
+/**
+ * Get a page of trashed records, most recently deleted first
+ * 
+ * @param   {Object} Model - Book, Member or User model
+ * @param   {Object} pagination - { skip, limit } from parsePagination
+ * @returns {Promise<Object>} { records, total } - records include the deleter (deletedBy) and purgeAt
+ */
+exports.getTrashPage = async (Model, { skip, limit }) => {
+  const filter = { deletedAt: { $ne: null } };
+  const [records, total] = await Promise.all([
+    Model.find(filter)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    records: records.map(record => ({ ...record.toJSON(), purgeAt: exports.getPurgeDate(record.deletedAt) })),
+    total
+  };
+};
+
+/**
+ * Permanently remove records that have been in the trash longer than the retention period
+ * 
+ * Related data that only makes sense with the record goes with it:
+ * - Books: their copies
+ * - Users: the link from their library membership
+ * Loans keep their references so circulation history stays intact.
+ * 
+ * @param   {Date} [asOf=new Date()] - Reference date
+ * @returns {Promise<Object>} Number of purged records: { books, members, users }
+ */
+exports.purgeExpired = async (asOf = new Date()) => {
+  if (retentionDays <= 0) return { books: 0, members: 0, users: 0 };
+
+  const expired = { deletedAt: { $ne: null, $lte: new Date(asOf.getTime() - retentionDays * DAY_MS) } };
+
+  const bookIds = await Book.distinct('_id', expired);
+  if (bookIds.length) await Copy.deleteMany({ book: { $in: bookIds } });
+  const books = await Book.deleteMany({ _id: { $in: bookIds } });
+
+  const members = await Member.deleteMany(expired);
+
+  const userIds = await User.distinct('_id', expired);
+  // withDeleted: memberships of trashed users may be in the trash themselves
+  if (userIds.length) {
+    await Member.updateMany({ user: { $in: userIds } }, { user: null }).setOptions({ withDeleted: true });
+  }
+  const users = await User.deleteMany({ _id: { $in: userIds } });
+
+  return { books: books.deletedCount, members: members.deletedCount, users: users.deletedCount };
+};
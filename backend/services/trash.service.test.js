@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Book = require('../models/Book.model');
+const Copy = require('../models/Copy.model');
+const Member = require('../models/Member.model');
+const User = require('../models/User.model');
+const trash = require('./trash.service');
+const { retentionDays } = require('../config/trash.config');
+const { id, query } = require('../testing/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trash service', () => {
+  describe('getPurgeDate', () => {
+    it('adds the retention period to the deletion date', () => {
+      const deletedAt = new Date('2026-03-01T00:00:00Z');
+
+      assert.equal(trash.getPurgeDate(deletedAt).getTime(), deletedAt.getTime() + retentionDays * DAY_MS);
+      assert.equal(trash.getPurgeDate(null), null);
+    });
+  });
+
+  describe('getTrashPage', () => {
+    it('lists trashed records, most recently deleted first, with their purge date', async (t) => {
+      const member = new Member({ name: 'Ada', email: 'ada@example.com', membershipId: 'M-1', deletedAt: new Date('2026-03-01T00:00:00Z') });
+      const find = t.mock.method(Member, 'find', () => query([member]));
+      t.mock.method(Member, 'countDocuments', () => query(1));
+
+      const { records, total } = await trash.getTrashPage(Member, { skip: 20, limit: 20 });
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { deletedAt: { $ne: null } });
+      assert.deepEqual(find.mock.calls[0].result.calls.sort, [{ deletedAt: -1, _id: -1 }]);
+      assert.deepEqual(find.mock.calls[0].result.calls.skip, [20]);
+      assert.equal(total, 1);
+      assert.equal(records[0].membershipId, 'M-1');
+      assert.deepEqual(records[0].purgeAt, trash.getPurgeDate(member.deletedAt));
+    });
+  });
+
+  describe('purgeExpired', () => {
+    it('removes expired books with their copies, members and users', async (t) => {
+      const asOf = new Date('2026-06-01T00:00:00Z');
+      const bookIds = [id()];
+      const userIds = [id()];
+      const bookDistinct = t.mock.method(Book, 'distinct', () => query(bookIds));
+      t.mock.method(User, 'distinct', () => query(userIds));
+      const copies = t.mock.method(Copy, 'deleteMany', () => query({ deletedCount: 3 }));
+      const books = t.mock.method(Book, 'deleteMany', () => query({ deletedCount: 1 }));
+      const members = t.mock.method(Member, 'deleteMany', () => query({ deletedCount: 2 }));
+      const unlink = t.mock.method(Member, 'updateMany', () => query({ modifiedCount: 1 }));
+      const users = t.mock.method(User, 'deleteMany', () => query({ deletedCount: 1 }));
+
+      const result = await trash.purgeExpired(asOf);
+
+      const expired = { deletedAt: { $ne: null, $lte: new Date(asOf.getTime() - retentionDays * DAY_MS) } };
+      assert.deepEqual(bookDistinct.mock.calls[0].arguments, ['_id', expired]);
+      assert.deepEqual(copies.mock.calls[0].arguments[0], { book: { $in: bookIds } });
+      assert.deepEqual(books.mock.calls[0].arguments[0], { _id: { $in: bookIds } });
+      assert.deepEqual(members.mock.calls[0].arguments[0], expired);
+      // Trashed memberships of purged users are unlinked too
+      assert.deepEqual(unlink.mock.calls[0].arguments, [{ user: { $in: userIds } }, { user: null }]);
+      assert.deepEqual(unlink.mock.calls[0].result.calls.setOptions, [{ withDeleted: true }]);
+      assert.deepEqual(users.mock.calls[0].arguments[0], { _id: { $in: userIds } });
+      assert.deepEqual(result, { books: 1, members: 2, users: 1 });
+    });
+
+    it('skips copies and membership links when no book or user expired', async (t) => {
+      t.mock.method(Book, 'distinct', () => query([]));
+      t.mock.method(User, 'distinct', () => query([]));
+      const copies = t.mock.method(Copy, 'deleteMany', () => query({ deletedCount: 0 }));
+      t.mock.method(Book, 'deleteMany', () => query({ deletedCount: 0 }));
+      t.mock.method(Member, 'deleteMany', () => query({ deletedCount: 0 }));
+      const unlink = t.mock.method(Member, 'updateMany', () => query({ modifiedCount: 0 }));
+      t.mock.method(User, 'deleteMany', () => query({ deletedCount: 0 }));
+
+      assert.deepEqual(await trash.purgeExpired(), { books: 0, members: 0, users: 0 });
+      assert.equal(copies.mock.callCount(), 0);
+      assert.equal(unlink.mock.callCount(), 0);
+    });
+  });
+});
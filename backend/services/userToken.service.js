@@ -0,0 +1,83 @@
+/**
+ * User Token Service
+ * 
+ * Issues and redeems the single-use tokens sent to users by email (see
+ * UserToken model):
+ * - issueToken: Creates a token for a purpose, replacing the user's earlier ones
+ * - redeemToken: Uses up a token and returns its user
+ * - revokeTokens: Invalidates a user's unused tokens for a purpose
+ * 
+ * @module services/userToken.service
+ */
+
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken.model');
+
+/**
+ * Hash a token for storage and lookup
+ * 
+ * @param   {String} token - Token as sent to the user
+ * @returns {String} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a new token to a user
+ * 
+ * Unused tokens the user already has for the same purpose stop working, so
+ * only the most recent email can be used.
+ * 
+ * @param   {String} userId - User MongoDB ObjectId
+ * @param   {String} purpose - What the token allows (e.g. 'password-reset')
+ * @param   {Number} minutes - Minutes until the token expires
+ * @returns {Promise<String>} Token to send to the user
+ */
+exports.issueToken = async (userId, purpose, minutes) => {
+  await exports.revokeTokens(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a token
+ * 
+ * The token is marked as used in the same operation that finds it, so it can
+ * only be redeemed once even by concurrent requests.
+ * 
+ * @param   {String} token - Token as sent to the user
+ * @param   {String} purpose - What the token must allow
+ * @returns {Promise<Object>} ObjectId of the token's user
+ * @throws  {Error} With status 400 when the token is unknown, used, expired or for another purpose
+ */
+exports.redeemToken = async (token, purpose) => {
+  const redeemed = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+
+  if (!redeemed) {
+    throw Object.assign(new Error('Token is invalid or has expired'), { status: 400 });
+  }
+
+  return redeemed.user;
+};
+
+/**
+ * Invalidate a user's unused tokens for a purpose (e.g. reset links after a password change)
+ * 
+ * @param   {String} userId - User MongoDB ObjectId
+ * @param   {String} purpose - What the tokens allow (e.g. 'password-reset')
+ * @returns {Promise<Number>} Number of invalidated tokens
+ */
+exports.revokeTokens = async (userId, purpose) => {
+  const result = await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+  return result.deletedCount;
+};
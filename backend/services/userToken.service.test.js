@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken.model');
+const userTokens = require('./userToken.service');
+const { id, query } = require('../testing/helpers');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('user token service', () => {
+  describe('issueToken', () => {
+    it('replaces earlier tokens and stores only a hash of the new one', async (t) => {
+      const userId = id();
+      const revoke = t.mock.method(UserToken, 'deleteMany', () => query({ deletedCount: 1 }));
+      const create = t.mock.method(UserToken, 'create', async (data) => data);
+
+      const token = await userTokens.issueToken(userId, 'password-reset', 30);
+
+      assert.deepEqual(revoke.mock.calls[0].arguments[0], { user: userId, purpose: 'password-reset', usedAt: null });
+      const data = create.mock.calls[0].arguments[0];
+      assert.match(token, /^[0-9a-f]{64}$/);
+      assert.equal(data.tokenHash, hash(token));
+      assert.equal(data.purpose, 'password-reset');
+      assert.ok(Math.abs(data.expiresAt - Date.now() - 30 * 60 * 1000) < 1000);
+    });
+  });
+
+  describe('redeemToken', () => {
+    it('uses up an unused, unexpired token for the purpose in one step', async (t) => {
+      const userId = id();
+      const redeem = t.mock.method(UserToken, 'findOneAndUpdate', () => query({ user: userId }));
+
+      assert.equal(await userTokens.redeemToken('abc', 'password-reset'), userId);
+
+      const [filter, update] = redeem.mock.calls[0].arguments;
+      assert.equal(filter.tokenHash, hash('abc'));
+      assert.equal(filter.purpose, 'password-reset');
+      assert.equal(filter.usedAt, null);
+      assert.ok(filter.expiresAt.$gt instanceof Date);
+      assert.ok(update.usedAt instanceof Date);
+    });
+
+    it('rejects unknown, used, expired and foreign tokens with status 400', async (t) => {
+      t.mock.method(UserToken, 'findOneAndUpdate', () => query(null));
+
+      await assert.rejects(userTokens.redeemToken('abc', 'email-verification'), { status: 400, message: 'Token is invalid or has expired' });
+    });
+  });
+});
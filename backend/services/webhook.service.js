@@ -0,0 +1,237 @@
+/**
+ * Webhook Service
+ * 
+ * Sends library events to the registered webhook endpoints (see Webhook and
+ * WebhookDelivery models):
+ * - generateSecret: Creates a signing secret for a webhook
+ * - emit: Queues an event for every active webhook subscribed to it
+ * - deliver: Makes one delivery attempt and schedules a retry if it fails
+ * - processDueDeliveries: Retries the deliveries whose backoff has passed
+ * - redeliver: Sends a logged delivery again as a new delivery
+ * 
+ * Each delivery is a POST of { id, event, createdAt, data } as JSON with the
+ * headers X-Library-Event, X-Library-Delivery and X-Library-Signature. The
+ * signature has the form 't=<unix seconds>,v1=<hex HMAC-SHA256>' where the
+ * HMAC is computed with the webhook's secret over '<t>.<raw body>'. Any 2xx
+ * response counts as delivered.
+ * 
+ * @module services/webhook.service
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const {
+  webhookMaxAttempts,
+  webhookRetrySeconds,
+  webhookTimeoutSeconds
+} = require('../config/webhook.config');
+
+// Characters of the endpoint's response kept in the delivery log
+const RESPONSE_LOG_LENGTH = 1000;
+
+// Deliveries retried per run of processDueDeliveries
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Generate a signing secret for a webhook
+ * 
+ * @returns {String} Secret of the form 'whsec_<hex>'
+ */
+exports.generateSecret = () => 'whsec_' + crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a payload
+ * 
+ * @param   {String} secret - Webhook secret
+ * @param   {Number} timestamp - Unix time in seconds
+ * @param   {String} body - Raw JSON body
+ * @returns {String} Value of the X-Library-Signature header
+ */
+const sign = (secret, timestamp, body) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+};
+
+/**
+ * Seconds to wait before the next attempt
+ * 
+ * @param   {Number} attempts - Attempts made so far
+ * @returns {Number} Backoff in seconds (doubles with every attempt)
+ */
+const backoffSeconds = (attempts) => webhookRetrySeconds * 2 ** (attempts - 1);
+
+/**
+ * Due time of a delivery while an attempt is in flight
+ * 
+ * Keeps processDueDeliveries from picking the delivery up at the same time;
+ * if the server stops mid-attempt the delivery becomes due again afterwards.
+ * 
+ * @returns {Date} Time after the attempt would have timed out
+ */
+const inFlightUntil = () => new Date(Date.now() + 2 * webhookTimeoutSeconds * 1000);
+
+/**
+ * Make one delivery attempt
+ * 
+ * Records the outcome on the delivery. A failed attempt is retried later
+ * until webhookMaxAttempts is reached; deliveries to webhooks that have been
+ * deactivated or deleted are marked as failed without sending.
+ * 
+ * @param   {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} The updated delivery
+ */
+exports.deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const now = new Date();
+
+  if (!webhook || !webhook.active) {
+    delivery.set({
+      status: 'failed',
+      nextAttemptAt: null,
+      error: webhook ? 'Webhook is inactive' : 'Webhook was deleted'
+    });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LibraryManagement-Webhooks/1.0',
+        'X-Library-Event': delivery.event,
+        'X-Library-Delivery': String(delivery._id),
+        'X-Library-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual', // A redirect is not an acknowledgement
+      signal: AbortSignal.timeout(webhookTimeoutSeconds * 1000)
+    });
+    const text = await response.text().catch(() => '');
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = text.slice(0, RESPONSE_LOG_LENGTH);
+    delivery.error = response.ok ? null : `Endpoint responded with ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.error = error.name === 'TimeoutError'
+      ? `No response within ${webhookTimeoutSeconds} seconds`
+      : (error.cause?.message || error.message);
+  }
+
+  if (!delivery.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= webhookMaxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + backoffSeconds(delivery.attempts) * 1000);
+  }
+
+  return delivery.save();
+};
+
+/**
+ * Queue an event for every active webhook subscribed to it
+ * 
+ * Deliveries are recorded right away and sent in the background, so emitting
+ * never delays or fails the request that caused the event. Call it after the
+ * change has been saved.
+ * 
+ * @param   {String} event - Event type (see Webhook model)
+ * @param   {Object} data - Event data (e.g. { book })
+ * @returns {Promise<void>} Resolves once the deliveries are queued; never rejects
+ * 
+ * @example
+ * webhooks.emit('book.approved', { book: updatedBook });
+ */
+exports.emit = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+    if (!webhooks.length) return;
+
+    const createdAt = new Date();
+    // Serialize once so every endpoint gets the same snapshot
+    const plainData = JSON.parse(JSON.stringify(data));
+
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+      const _id = new WebhookDelivery()._id;
+      return {
+        _id,
+        webhook: webhook._id,
+        event,
+        payload: { id: _id, event, createdAt, data: plainData },
+        nextAttemptAt: inFlightUntil() // First attempt is made below
+      };
+    }));
+
+    for (const delivery of deliveries) {
+      exports.deliver(delivery).catch(error => {
+        console.error(`❌ Webhook delivery ${delivery._id} could not be sent:`, error.message);
+      });
+    }
+  } catch (error) {
+    // The change itself succeeded; report the missing event
+    console.error(`❌ Webhook event '${event}' could not be queued:`, error.message);
+  }
+};
+
+/**
+ * Retry the deliveries whose backoff has passed
+ * 
+ * Each delivery is claimed before it is sent, so concurrent runs (or several
+ * server instances) never send the same attempt twice.
+ * 
+ * @returns {Promise<Number>} Number of deliveries attempted
+ */
+exports.processDueDeliveries = async () => {
+  let attempted = 0;
+
+  while (attempted < RETRY_BATCH_SIZE) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { nextAttemptAt: inFlightUntil() },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    await exports.deliver(delivery);
+    attempted += 1;
+  }
+
+  return attempted;
+};
+
+/**
+ * Send a logged delivery again
+ * 
+ * The original delivery is left as it is; a new delivery with the same
+ * payload (and a new id) is created, attempted right away and retried like
+ * any other if it fails.
+ * 
+ * @param   {Object} original - WebhookDelivery document to send again
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ */
+exports.redeliver = async (original) => {
+  const delivery = new WebhookDelivery({
+    webhook: original.webhook,
+    event: original.event,
+    redeliveryOf: original._id,
+    nextAttemptAt: inFlightUntil() // First attempt is made below
+  });
+  delivery.payload = { ...original.payload, id: delivery._id };
+  await delivery.save();
+
+  return exports.deliver(delivery);
+};
@@ -0,0 +1,201 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const webhooks = require('./webhook.service');
+const { webhookMaxAttempts, webhookRetrySeconds, webhookTimeoutSeconds } = require('../config/webhook.config');
+const { id, query } = require('../testing/helpers');
+
+describe('webhook service', () => {
+  let webhook;
+
+  beforeEach(() => {
+    webhook = new Webhook({ url: 'https://example.com/hooks', events: ['book.approved'], secret: webhooks.generateSecret(), createdBy: id() });
+  });
+
+  describe('generateSecret', () => {
+    it('creates a new random secret every time', () => {
+      const secret = webhooks.generateSecret();
+
+      assert.match(secret, /^whsec_[0-9a-f]{64}$/);
+      assert.notEqual(secret, webhooks.generateSecret());
+    });
+  });
+
+  describe('deliver', () => {
+    let delivery;
+
+    beforeEach((t) => {
+      delivery = new WebhookDelivery({ webhook: webhook._id, event: 'book.approved' });
+      delivery.payload = { id: delivery._id, event: 'book.approved', createdAt: new Date(), data: { book: { title: 'Dune' } } };
+      t.mock.method(Webhook, 'findById', () => query(webhook));
+      t.mock.method(delivery, 'save', async () => delivery);
+    });
+
+    const respond = (t, status, body = '') => t.mock.method(globalThis, 'fetch', async () => new Response(body, { status }));
+
+    it('POSTs the payload signed with an HMAC of the timestamp and body', async (t) => {
+      const fetch = respond(t, 204);
+
+      await webhooks.deliver(delivery);
+
+      const [url, request] = fetch.mock.calls[0].arguments;
+      assert.equal(url, 'https://example.com/hooks');
+      assert.equal(request.method, 'POST');
+      assert.equal(request.redirect, 'manual');
+      assert.equal(request.body, JSON.stringify(delivery.payload));
+      assert.equal(request.headers['X-Library-Event'], 'book.approved');
+      assert.equal(request.headers['X-Library-Delivery'], String(delivery._id));
+
+      const [, timestamp, signature] = request.headers['X-Library-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+      const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${request.body}`).digest('hex');
+      assert.equal(signature, expected);
+      assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+      assert.deepEqual(Webhook.findById.mock.calls[0].result.calls.select, ['+secret']);
+    });
+
+    it('marks 2xx responses as delivered', async (t) => {
+      respond(t, 200, 'thanks');
+
+      await webhooks.deliver(delivery);
+
+      assert.equal(delivery.status, 'succeeded');
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.responseStatus, 200);
+      assert.equal(delivery.responseBody, 'thanks');
+      assert.equal(delivery.nextAttemptAt, null);
+      assert.ok(delivery.deliveredAt instanceof Date);
+    });
+
+    it('retries failures with a doubling backoff', async (t) => {
+      respond(t, 500, 'x'.repeat(2000));
+      delivery.attempts = 2;
+
+      await webhooks.deliver(delivery);
+
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.error, 'Endpoint responded with 500');
+      assert.equal(delivery.responseBody.length, 1000);
+      const wait = (delivery.nextAttemptAt - Date.now()) / 1000;
+      assert.ok(wait > webhookRetrySeconds * 4 - 5 && wait <= webhookRetrySeconds * 4);
+    });
+
+    it('gives up after the last attempt', async (t) => {
+      respond(t, 302);
+      delivery.attempts = webhookMaxAttempts - 1;
+
+      await webhooks.deliver(delivery);
+
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.nextAttemptAt, null);
+    });
+
+    it('records connection errors and timeouts', async (t) => {
+      t.mock.method(globalThis, 'fetch', async () => {
+        throw new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND example.com') });
+      });
+      await webhooks.deliver(delivery);
+      assert.equal(delivery.error, 'getaddrinfo ENOTFOUND example.com');
+      assert.equal(delivery.responseStatus, null);
+
+      t.mock.method(globalThis, 'fetch', async () => {
+        throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+      });
+      await webhooks.deliver(delivery);
+      assert.equal(delivery.error, `No response within ${webhookTimeoutSeconds} seconds`);
+      assert.equal(delivery.status, 'pending');
+    });
+
+    it('fails deliveries to inactive or deleted webhooks without sending', async (t) => {
+      const fetch = respond(t, 200);
+
+      webhook.active = false;
+      await webhooks.deliver(delivery);
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.error, 'Webhook is inactive');
+
+      t.mock.method(Webhook, 'findById', () => query(null));
+      await webhooks.deliver(delivery);
+      assert.equal(delivery.error, 'Webhook was deleted');
+      assert.equal(delivery.attempts, 0);
+      assert.equal(fetch.mock.callCount(), 0);
+    });
+  });
+
+  describe('emit', () => {
+    beforeEach((t) => {
+      t.mock.method(WebhookDelivery, 'insertMany', async (docs) => docs.map(doc => new WebhookDelivery(doc)));
+      t.mock.method(webhooks, 'deliver', async (delivery) => delivery);
+    });
+
+    it('queues a delivery for every subscribed webhook and sends them', async (t) => {
+      const other = id();
+      const find = t.mock.method(Webhook, 'find', () => query([{ _id: webhook._id }, { _id: other }]));
+
+      await webhooks.emit('book.approved', { book: { _id: id(), title: 'Dune' } });
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { active: true, events: 'book.approved' });
+      const docs = WebhookDelivery.insertMany.mock.calls[0].arguments[0];
+      assert.deepEqual(docs.map(doc => doc.webhook), [webhook._id, other]);
+      assert.equal(docs[0].payload.id, docs[0]._id);
+      assert.equal(docs[0].payload.event, 'book.approved');
+      assert.equal(docs[0].payload.data.book.title, 'Dune');
+      // Attempts in flight are not picked up by the retry job
+      assert.ok(docs[0].nextAttemptAt > new Date());
+      assert.equal(webhooks.deliver.mock.callCount(), 2);
+    });
+
+    it('does nothing without subscribers', async (t) => {
+      t.mock.method(Webhook, 'find', () => query([]));
+
+      await webhooks.emit('book.approved', {});
+
+      assert.equal(WebhookDelivery.insertMany.mock.callCount(), 0);
+    });
+
+    it('never fails the request that caused the event', async (t) => {
+      t.mock.method(Webhook, 'find', () => query(new Error('connection lost')));
+      t.mock.method(console, 'error', () => {});
+
+      await webhooks.emit('book.approved', {});
+
+      assert.equal(console.error.mock.callCount(), 1);
+    });
+  });
+
+  describe('processDueDeliveries', () => {
+    it('claims due deliveries one at a time and attempts them', async (t) => {
+      const due = [new WebhookDelivery({ webhook: webhook._id, event: 'book.approved' }), new WebhookDelivery({ webhook: webhook._id, event: 'book.approved' })];
+      const claim = t.mock.method(WebhookDelivery, 'findOneAndUpdate', () => query(due.shift() || null));
+      t.mock.method(webhooks, 'deliver', async (delivery) => delivery);
+
+      assert.equal(await webhooks.processDueDeliveries(), 2);
+
+      const [filter, update, options] = claim.mock.calls[0].arguments;
+      assert.equal(filter.status, 'pending');
+      assert.ok(filter.nextAttemptAt.$lte instanceof Date);
+      assert.ok(update.nextAttemptAt > new Date());
+      assert.deepEqual(options.sort, { nextAttemptAt: 1 });
+    });
+  });
+
+  describe('redeliver', () => {
+    it('sends the payload again as a new delivery', async (t) => {
+      const original = new WebhookDelivery({ webhook: webhook._id, event: 'book.approved', status: 'failed' });
+      original.payload = { id: original._id, event: 'book.approved', data: { book: { title: 'Dune' } } };
+      t.mock.method(WebhookDelivery.prototype, 'save', async function() {
+        return this;
+      });
+      t.mock.method(webhooks, 'deliver', async (delivery) => delivery);
+
+      const delivery = await webhooks.redeliver(original);
+
+      assert.notEqual(String(delivery._id), String(original._id));
+      assert.equal(delivery.redeliveryOf, original._id);
+      assert.equal(delivery.payload.id, delivery._id);
+      assert.deepEqual(delivery.payload.data, original.payload.data);
+      assert.equal(original.status, 'failed');
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Test Helpers
+ * 
+ * Fakes shared by the backend tests (run with node:test, see npm test).
+ * Tests exercise controllers, middleware and services without a database:
+ * each test mocks the model methods it expects to be called with
+ * t.mock.method and returns documents built from the real models.
+ * 
+ * Commands are never buffered, so a model call a test forgot to mock fails
+ * immediately instead of waiting for a connection.
+ * 
+ * @module testing/helpers
+ */
+
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+/**
+ * Create a new MongoDB ObjectId
+ * 
+ * @returns {ObjectId} New ObjectId
+ */
+exports.id = () => new mongoose.Types.ObjectId();
+
+/**
+ * Fake a Mongoose query cursor
+ * 
+ * Iterating the cursor yields the documents one by one; cursor.closed tells
+ * whether the caller released it.
+ * 
+ * @param   {Array} docs - Documents the cursor yields
+ * @returns {Object} Async iterable cursor
+ */
+exports.cursor = (docs) => ({
+  closed: false,
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  },
+  async close() {
+    this.closed = true;
+  }
+});
+
+/**
+ * Fake a Mongoose query
+ * 
+ * Every query builder method (populate, select, sort, session, ...) returns
+ * the query itself and is recorded in query.calls as { method: args }
+ * (the last call wins); awaiting the query resolves to the given result, or
+ * rejects with it if it is an Error. query.cursor() streams the result.
+ * 
+ * @param   {*} result - Value the query resolves to
+ * @returns {Object} Chainable, thenable query
+ * 
+ * @example
+ * const find = t.mock.method(Book, 'find', () => query([book]));
+ * // ...
+ * assert.deepEqual(find.mock.calls[0].result.calls.sort, [{ title: 1 }]);
+ */
+exports.query = (result) => {
+  const settle = () => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result));
+  const calls = {};
+  return new Proxy({}, {
+    get(target, prop, receiver) {
+      if (prop === 'then') return (resolve, reject) => settle().then(resolve, reject);
+      if (prop === 'catch') return (reject) => settle().catch(reject);
+      if (prop === 'exec') return settle;
+      if (prop === 'calls') return calls;
+      if (prop === 'cursor') {
+        return (...args) => {
+          calls.cursor = args;
+          return (calls.cursorResult = exports.cursor(result));
+        };
+      }
+      return (...args) => {
+        calls[prop] = args;
+        return receiver;
+      };
+    }
+  });
+};
+
+/**
+ * Fake an Express request
+ * 
+ * @param   {Object} [overrides] - Request properties (params, query, body, user, headers, ...)
+ * @returns {Object} Request
+ */
+exports.mockReq = (overrides = {}) => {
+  const headers = Object.fromEntries(
+    Object.entries(overrides.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    params: {},
+    query: {},
+    body: {},
+    ip: '127.0.0.1',
+    ...overrides,
+    headers,
+    get(name) {
+      return headers[name.toLowerCase()];
+    },
+    header(name) {
+      return headers[name.toLowerCase()];
+    }
+  };
+};
+
+/**
+ * Fake an Express response
+ * 
+ * Records the status code, headers and JSON body, and anything written to
+ * it as a stream (res.text). res.emit('close') simulates a client that
+ * disconnects.
+ * 
+ * @returns {Object} Response
+ */
+exports.mockRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    text: '',
+    finished: false,
+    destroyed: null,
+    listeners: {},
+    get headersSent() {
+      return res.finished || res.text !== '';
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.finished = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.finished = true;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.entries(name).forEach(([key, val]) => res.set(key, val));
+      } else {
+        res.headers[name.toLowerCase()] = value;
+      }
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+    get(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    attachment(filename) {
+      return res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    },
+    type(type) {
+      return res.set('Content-Type', type);
+    },
+    write(chunk) {
+      res.text += chunk;
+      return true;
+    },
+    end(chunk) {
+      if (chunk) res.text += chunk;
+      res.finished = true;
+      return res;
+    },
+    destroy(error) {
+      res.destroyed = error || true;
+      return res;
+    },
+    once(event, listener) {
+      return res.on(event, listener);
+    },
+    on(event, listener) {
+      (res.listeners[event] ||= []).push(listener);
+      return res;
+    },
+    emit(event, ...args) {
+      (res.listeners[event] || []).forEach(listener => listener(...args));
+      return true;
+    }
+  };
+  return res;
+};
+
+/**
+ * Fake the next callback of an Express handler
+ * 
+ * @returns {Function} next, recording its argument in next.error and its calls in next.called
+ */
+exports.mockNext = () => {
+  const next = (error) => {
+    next.called = true;
+    next.error = error;
+  };
+  next.called = false;
+  next.error = undefined;
+  return next;
+};
+
+/**
+ * Run the validation rules of a route on a fake request
+ *
+ * Runs the express-validator chains among the route's middleware, so the
+ * controller then sees the errors and sanitized values the route would give it.
+ *
+ * @async
+ * @param   {Router} router - Express router defining the route
+ * @param   {String} method - HTTP method in lower case (e.g. 'get')
+ * @param   {String} path - Route path as defined on the router (e.g. '/import')
+ * @param   {Object} req - Request from mockReq
+ * @returns {Promise<Object>} The request
+ */
+exports.validate = async (router, method, path, req) => {
+  const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+  for (const { handle } of layer.route.stack) {
+    if (typeof handle.run === 'function') await handle.run(req);
+  }
+  return req;
+};
+
+/**
+ * Run transactions without a replica set
+ * 
+ * Mocks mongoose.startSession so withTransaction simply runs its callback.
+ * 
+ * @param   {Object} t - node:test context
+ * @returns {Object} Fake session ({ ended } is set once endSession is called)
+ */
+exports.mockTransaction = (t) => {
+  const session = {
+    ended: false,
+    withTransaction: async (fn) => fn(session),
+    endSession() {
+      session.ended = true;
+    }
+  };
+  t.mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+/**
+ * Stop documents from reaching the database
+ * 
+ * Mocks save and populate on the model's documents; save resolves to the
+ * document itself.
+ * 
+ * @param   {Object} t - node:test context
+ * @param   {...Model} models - Models whose documents are saved or populated
+ * @returns {Object} The save mocks, keyed by model name
+ */
+exports.mockDocuments = (t, ...models) => {
+  const saves = {};
+  for (const Model of models) {
+    saves[Model.modelName] = t.mock.method(Model.prototype, 'save', async function () {
+      return this;
+    });
+    t.mock.method(Model.prototype, 'populate', async function () {
+      return this;
+    });
+  }
+  return saves;
+};
@@ -0,0 +1,94 @@
+/**
+ * CSV Utilities
+ * 
+ * Minimal RFC 4180 CSV support for bulk imports and exports:
+ * - parseCsv: Splits CSV text into rows of fields
+ * - toCsvRow: Formats one row of values as a CSV line
+ * 
+ * Fields may be quoted with double quotes; quoted fields can contain commas,
+ * line breaks and escaped quotes (""). Both LF and CRLF line endings are accepted.
+ * 
+ * @module utils/csv.util
+ */
+
+/**
+ * Parse CSV text
+ * 
+ * Blank lines are skipped. A leading byte order mark is ignored.
+ * 
+ * @param   {String} text - CSV document
+ * @returns {String[][]} Rows, each an array of field values
+ * @throws  {Error} With status 400 if a quoted field is not closed
+ */
+exports.parseCsv = (text) => {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        // Escaped quote inside a quoted field
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    const error = new Error('Malformed CSV: unterminated quoted field');
+    error.status = 400;
+    throw error;
+  }
+
+  // Last line without a trailing line break
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Format one CSV line
+ * 
+ * Values containing commas, quotes or line breaks are quoted. Text values
+ * starting with =, +, - or @ are prefixed with an apostrophe so spreadsheet applications
+ * don't evaluate them as formulas. null and undefined become empty fields;
+ * dates are written in ISO 8601.
+ * 
+ * @param   {Array} values - Field values
+ * @returns {String} CSV line terminated by CRLF
+ */
+exports.toCsvRow = (values) => {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
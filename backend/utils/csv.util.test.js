@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsvRow } = require('./csv.util');
+
+describe('csv util', () => {
+  describe('parseCsv', () => {
+    it('splits rows and fields with LF or CRLF line endings', () => {
+      assert.deepEqual(parseCsv('title,author\r\nDune,Herbert\nEmma,Austen'), [
+        ['title', 'author'],
+        ['Dune', 'Herbert'],
+        ['Emma', 'Austen']
+      ]);
+    });
+
+    it('reads quoted fields with commas, line breaks and escaped quotes', () => {
+      assert.deepEqual(parseCsv('"Dune, Part 1","Line\nbreak","Say ""hi"""\n'), [
+        ['Dune, Part 1', 'Line\nbreak', 'Say "hi"']
+      ]);
+    });
+
+    it('keeps empty fields and skips blank lines and the byte order mark', () => {
+      assert.deepEqual(parseCsv('﻿a,,c\n\n , \n'), [['a', '', 'c']]);
+    });
+
+    it('rejects unterminated quotes with status 400', () => {
+      assert.throws(() => parseCsv('"Dune,Herbert\n'), { status: 400, message: /unterminated quoted field/ });
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('quotes values with separators and writes dates and empty values', () => {
+      const row = toCsvRow(['Dune, Part 1', 'Say "hi"', null, undefined, 3, new Date('2026-01-02T03:04:05Z')]);
+
+      assert.equal(row, '"Dune, Part 1","Say ""hi""",,,3,2026-01-02T03:04:05.000Z\r\n');
+    });
+
+    it('neutralizes text that spreadsheets would run as a formula', () => {
+      assert.equal(toCsvRow(['=SUM(A1)', '@cmd', '+1', -1]), "'=SUM(A1),'@cmd,'+1,-1\r\n");
+    });
+
+    it('round-trips through parseCsv', () => {
+      const values = ['a,b', 'multi\r\nline', '"quoted"', ''];
+
+      assert.deepEqual(parseCsv(toCsvRow(values) + toCsvRow(['x'])), [values, ['x']]);
+    });
+  });
+});
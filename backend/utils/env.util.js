@@ -0,0 +1,61 @@
+/**
+ * Environment Variable Utilities
+ * 
+ * Parsing helpers for configuration modules (see config/):
+ * - parseJson: Reads a JSON object
+ * - parseNumber: Reads a number
+ * - parseTrustProxy: Reads an Express 'trust proxy' setting
+ * 
+ * Missing or invalid values fall back to the given default so a typo in the
+ * environment never prevents the server from starting.
+ * 
+ * @module utils/env.util
+ */
+
+/**
+ * Parse a JSON object from an environment variable
+ * 
+ * @param   {String} value - Raw environment variable value
+ * @param   {Object} fallback - Value used when the variable is missing or invalid
+ * @returns {Object} Parsed object
+ */
+exports.parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Invalid JSON in configuration: ${value}`);
+    return fallback;
+  }
+};
+
+/**
+ * Parse a number from an environment variable
+ * 
+ * @param   {String} value - Raw environment variable value
+ * @param   {Number} fallback - Value used when the variable is missing or invalid
+ * @returns {Number} Parsed number
+ */
+exports.parseNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && !Number.isNaN(number) ? number : fallback;
+};
+
+/**
+ * Parse an Express 'trust proxy' setting from an environment variable
+ * 
+ * @param   {String} value - Raw environment variable value
+ * @param   {Boolean|Number|String} fallback - Value used when the variable is missing
+ * @returns {Boolean|Number|String} true or false, a number of proxy hops, or
+ *          a comma-separated list of trusted addresses and subnets
+ * 
+ * @example
+ * parseTrustProxy('1', false); // => 1 (trust the first proxy in front of the server)
+ * parseTrustProxy('loopback, 10.0.0.0/8', false); // => 'loopback, 10.0.0.0/8'
+ */
+exports.parseTrustProxy = (value, fallback) => {
+  if (value === undefined || value.trim() === '') return fallback;
+  const trimmed = value.trim();
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+};
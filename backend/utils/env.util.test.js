@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJson, parseNumber, parseTrustProxy } = require('./env.util');
+
+describe('env util', () => {
+  describe('parseNumber', () => {
+    it('reads numbers, including zero', () => {
+      assert.equal(parseNumber('0.25', 1), 0.25);
+      assert.equal(parseNumber('0', 14), 0);
+    });
+
+    it('falls back when the value is missing or not a number', () => {
+      assert.equal(parseNumber(undefined, 14), 14);
+      assert.equal(parseNumber('', 14), 14);
+      assert.equal(parseNumber('two weeks', 14), 14);
+    });
+  });
+
+  describe('parseJson', () => {
+    it('reads JSON objects', () => {
+      assert.deepEqual(parseJson('{"Reference": 3}', {}), { Reference: 3 });
+    });
+
+    it('falls back when the value is missing or invalid', (t) => {
+      t.mock.method(console, 'error', () => {});
+
+      assert.deepEqual(parseJson(undefined, { a: 1 }), { a: 1 });
+      assert.deepEqual(parseJson('{Reference: 3}', {}), {});
+      assert.equal(console.error.mock.callCount(), 1);
+    });
+  });
+
+  describe('parseTrustProxy', () => {
+    it('reads booleans, hop counts and address lists', () => {
+      assert.equal(parseTrustProxy('true', false), true);
+      assert.equal(parseTrustProxy('false', true), false);
+      assert.equal(parseTrustProxy(' 1 ', false), 1);
+      assert.equal(parseTrustProxy('loopback, 10.0.0.0/8', false), 'loopback, 10.0.0.0/8');
+    });
+
+    it('falls back when the value is missing', () => {
+      assert.equal(parseTrustProxy(undefined, false), false);
+      assert.equal(parseTrustProxy('  ', false), false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Export Utilities
+ * 
+ * Streams query results to the client as a downloadable file, one document at
+ * a time, so large collections are never loaded into memory:
+ * - EXPORT_FORMATS: Built-in formats (csv, json, ndjson)
+ * - streamExport: Writes a Mongoose cursor to the response in the requested format
+ *   (built-in or a custom writer such as MARCXML)
+ * 
+ * @module utils/export.util
+ */
+
+const { once } = require('events');
+const { toCsvRow } = require('./csv.util');
+
+/**
+ * Built-in export formats
+ * 
+ * Each format builds its writer from the export columns:
+ * - extension, contentType: File name extension and Content-Type header
+ * - start: Written before the first document
+ * - item(doc, index): Serializes one document
+ * - end(count): Written after the last document
+ */
+const FORMATS = {
+  // CSV starts with a UTF-8 byte order mark so spreadsheet applications detect the encoding
+  csv: (columns) => ({
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    start: '\uFEFF' + toCsvRow(columns.map(column => column.key)),
+    item: (doc) => toCsvRow(columns.map(column => column.value(doc))),
+    end: () => ''
+  }),
+  json: (columns) => ({
+    extension: 'json',
+    contentType: 'application/json; charset=utf-8',
+    start: '[',
+    item: (doc, index) => (index ? ',\n' : '\n') + JSON.stringify(toRecord(columns, doc)),
+    end: (count) => (count ? '\n]\n' : ']\n')
+  }),
+  ndjson: (columns) => ({
+    extension: 'ndjson',
+    contentType: 'application/x-ndjson; charset=utf-8',
+    start: '',
+    item: (doc) => JSON.stringify(toRecord(columns, doc)) + '\n',
+    end: () => ''
+  })
+};
+
+exports.EXPORT_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Turn a document into a flat record
+ * 
+ * @param   {Array<{ key: String, value: Function }>} columns - Record fields and how to read them
+ * @param   {Object} doc - Document
+ * @returns {Object} Record
+ */
+const toRecord = (columns, doc) => Object.fromEntries(columns.map(column => [column.key, column.value(doc)]));
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * 
+ * @async
+ * @param   {Object} res - Express response object
+ * @param   {String} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+/**
+ * Stream documents to the response as a file download
+ * 
+ * Built-in formats turn every document into a flat record using the columns.
+ * Other formats (e.g. MARCXML) can be streamed by passing their writer object
+ * ({ extension, contentType, start, item, end }) as the format.
+ * Streaming stops if the client disconnects. Errors raised once the download
+ * has started cannot be reported as JSON, so the connection is closed instead.
+ * 
+ * @async
+ * @param   {Object} res - Express response object
+ * @param   {Object} cursor - Mongoose query cursor
+ * @param   {Object} options - Export options
+ * @param   {String|Object} options.format - 'csv', 'json', 'ndjson' or a format writer
+ * @param   {String} options.filename - Download name without date and extension (e.g. 'books')
+ * @param   {Array<{ key: String, value: Function }>} [options.columns] - Record fields of built-in formats
+ * @returns {Promise<Number>} Number of exported documents
+ */
+exports.streamExport = async (res, cursor, { format, filename, columns }) => {
+  const writer = typeof format === 'string' ? FORMATS[format](columns) : format;
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.set('Content-Type', writer.contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}-${date}.${writer.extension}"`);
+
+  // Stop reading from the database when the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  let count = 0;
+
+  try {
+    if (writer.start) await write(res, writer.start);
+
+    for await (const doc of cursor) {
+      if (aborted) break;
+      await write(res, writer.item(doc, count));
+      count++;
+    }
+
+    const end = writer.end(count);
+    if (end) await write(res, end);
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    console.error('Export failed:', error.message);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+
+  return count;
+};
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS, streamExport } = require('./export.util');
+const { cursor, mockRes } = require('../testing/helpers');
+
+describe('export util', () => {
+  const columns = [
+    { key: 'title', value: doc => doc.title },
+    { key: 'copies', value: doc => doc.copies }
+  ];
+  const docs = [{ title: 'Dune', copies: 2 }, { title: 'Emma, a novel', copies: 0 }];
+  const date = new Date().toISOString().slice(0, 10);
+
+  const exportDocs = async (format, items = docs) => {
+    const res = mockRes();
+    const source = cursor(items);
+    const count = await streamExport(res, source, { format, filename: 'books', columns });
+    return { res, source, count };
+  };
+
+  it('supports csv, json and ndjson', () => {
+    assert.deepEqual(EXPORT_FORMATS, ['csv', 'json', 'ndjson']);
+  });
+
+  it('writes CSV with a byte order mark and a header row as a download', async () => {
+    const { res, source, count } = await exportDocs('csv');
+
+    assert.equal(count, 2);
+    assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+    assert.equal(res.headers['content-disposition'], `attachment; filename="books-${date}.csv"`);
+    assert.equal(res.text, '\uFEFFtitle,copies\r\nDune,2\r\n"Emma, a novel",0\r\n');
+    assert.ok(res.finished);
+    assert.ok(source.closed);
+  });
+
+  it('writes a JSON array of records', async () => {
+    const { res } = await exportDocs('json');
+
+    assert.deepEqual(JSON.parse(res.text), docs);
+    assert.equal((await exportDocs('json', [])).res.text, '[]\n');
+  });
+
+  it('writes one JSON record per line', async () => {
+    const { res } = await exportDocs('ndjson');
+
+    assert.equal(res.headers['content-disposition'], `attachment; filename="books-${date}.ndjson"`);
+    assert.deepEqual(res.text.trim().split('\n').map(line => JSON.parse(line)), docs);
+  });
+
+  it('streams custom formats through their writer', async () => {
+    const writer = {
+      extension: 'txt',
+      contentType: 'text/plain',
+      start: '<',
+      item: (doc, index) => `${index}:${doc.title};`,
+      end: (count) => `>${count}`
+    };
+
+    const { res } = await exportDocs(writer);
+
+    assert.equal(res.headers['content-type'], 'text/plain');
+    assert.equal(res.text, '<0:Dune;1:Emma, a novel;>2');
+  });
+
+  it('stops reading when the client disconnects', async () => {
+    const res = mockRes();
+    const source = cursor(docs);
+    const write = res.write;
+    res.write = (chunk) => {
+      write(chunk);
+      if (chunk.startsWith('Dune')) res.emit('close');
+      return true;
+    };
+
+    const count = await streamExport(res, source, { format: 'csv', filename: 'books', columns });
+
+    assert.equal(count, 1);
+    assert.ok(source.closed);
+  });
+
+  it('closes the connection when a document fails after the download started', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const failing = [{ title: 'Dune', copies: 1 }, { get title() { throw new Error('boom'); } }];
+
+    const { res, source } = await exportDocs('csv', failing);
+
+    assert.equal(res.destroyed.message, 'boom');
+    assert.ok(source.closed);
+  });
+
+  it('rethrows errors raised before anything was sent', async () => {
+    const res = mockRes();
+    const source = cursor(docs);
+    res.write = () => {
+      throw new Error('socket closed');
+    };
+
+    await assert.rejects(streamExport(res, source, { format: 'json', filename: 'books', columns }), /socket closed/);
+    assert.ok(source.closed);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * ISBN Utilities
+ * 
+ * Validation and conversion of International Standard Book Numbers.
+ * Books are stored with their ISBN-13 as the canonical form so that the
+ * hyphenated, unhyphenated, ISBN-10 and ISBN-13 spellings of the same book
+ * are recognized as duplicates:
+ * - clean: Strips hyphens and spaces ("0-7432-7356-7" → "0743273567")
+ * - isValidIsbn10 / isValidIsbn13: Checksum validation of a cleaned ISBN
+ * - isValid: Whether a value is a valid ISBN-10 or ISBN-13
+ * - toIsbn13: Canonical ISBN-13 of a valid ISBN (either form)
+ * - toIsbn10: ISBN-10 of a valid ISBN, when one exists (978 prefix only)
+ * 
+ * @module utils/isbn.util
+ */
+
+/**
+ * Remove separators from an ISBN
+ * 
+ * @param   {String} value - ISBN as entered (may contain hyphens or spaces)
+ * @returns {String} Digits (and a trailing 'X' for ISBN-10), uppercased
+ */
+const clean = (value) => String(value ?? '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Compute the ISBN-13 check digit of the first 12 digits
+ * 
+ * @param   {String} digits - 12 digits
+ * @returns {String} Check digit
+ */
+const isbn13CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Compute the ISBN-10 check digit of the first 9 digits
+ * 
+ * @param   {String} digits - 9 digits
+ * @returns {String} Check digit ('0'-'9' or 'X')
+ */
+const isbn10CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(digits[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+/**
+ * Check an ISBN-10
+ * 
+ * @param   {String} value - ISBN (separators allowed)
+ * @returns {Boolean} True if the value is a well-formed ISBN-10 with a valid check digit
+ */
+const isValidIsbn10 = (value) => {
+  const isbn = clean(value);
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+};
+
+/**
+ * Check an ISBN-13
+ * 
+ * @param   {String} value - ISBN (separators allowed)
+ * @returns {Boolean} True if the value is a well-formed ISBN-13 with a valid check digit
+ */
+const isValidIsbn13 = (value) => {
+  const isbn = clean(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+};
+
+/**
+ * Check an ISBN of either form
+ * 
+ * @param   {String} value - ISBN (separators allowed)
+ * @returns {Boolean} True if the value is a valid ISBN-10 or ISBN-13
+ */
+const isValid = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+/**
+ * Convert an ISBN to its canonical ISBN-13 form
+ * 
+ * @param   {String} value - ISBN-10 or ISBN-13 (separators allowed)
+ * @returns {String|null} Unhyphenated ISBN-13, or null if the value is not a valid ISBN
+ */
+const toIsbn13 = (value) => {
+  const isbn = clean(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+  const digits = `978${isbn.slice(0, 9)}`;
+  return digits + isbn13CheckDigit(digits);
+};
+
+/**
+ * Convert an ISBN to its ISBN-10 form
+ * 
+ * Only ISBN-13s with the 978 prefix have an ISBN-10 equivalent.
+ * 
+ * @param   {String} value - ISBN-10 or ISBN-13 (separators allowed)
+ * @returns {String|null} Unhyphenated ISBN-10, or null if there is none
+ */
+const toIsbn10 = (value) => {
+  const isbn = clean(value);
+  if (isValidIsbn10(isbn)) return isbn;
+  if (!isValidIsbn13(isbn) || !isbn.startsWith('978')) return null;
+  const digits = isbn.slice(3, 12);
+  return digits + isbn10CheckDigit(digits);
+};
+
+module.exports = {
+  clean,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValid,
+  toIsbn13,
+  toIsbn10
+};
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const isbn = require('./isbn.util');
+
+describe('isbn util', () => {
+  describe('clean', () => {
+    it('strips hyphens and spaces and uppercases the check digit', () => {
+      assert.equal(isbn.clean('0-8044-2957-x'), '080442957X');
+      assert.equal(isbn.clean(' 978 0 441 17271 9 '), '9780441172719');
+      assert.equal(isbn.clean(undefined), '');
+    });
+  });
+
+  describe('isValidIsbn10', () => {
+    it('accepts valid check digits, including X', () => {
+      assert.ok(isbn.isValidIsbn10('0-441-17271-7'));
+      assert.ok(isbn.isValidIsbn10('080442957X'));
+    });
+
+    it('rejects wrong check digits and malformed values', () => {
+      assert.ok(!isbn.isValidIsbn10('0441172718'));
+      assert.ok(!isbn.isValidIsbn10('044117271'));
+      assert.ok(!isbn.isValidIsbn10('X441172717'));
+    });
+  });
+
+  describe('isValidIsbn13', () => {
+    it('accepts valid 978 and 979 ISBNs', () => {
+      assert.ok(isbn.isValidIsbn13('978-0-441-17271-9'));
+      assert.ok(isbn.isValidIsbn13('9791032305690'));
+    });
+
+    it('rejects wrong check digits and other prefixes', () => {
+      assert.ok(!isbn.isValidIsbn13('9780441172710'));
+      assert.ok(!isbn.isValidIsbn13('9770441172719'));
+    });
+  });
+
+  describe('isValid', () => {
+    it('accepts either form', () => {
+      assert.ok(isbn.isValid('0441172717'));
+      assert.ok(isbn.isValid('9780441172719'));
+      assert.ok(!isbn.isValid('dune'));
+    });
+  });
+
+  describe('toIsbn13', () => {
+    it('converts ISBN-10s and cleans ISBN-13s', () => {
+      assert.equal(isbn.toIsbn13('0-441-17271-7'), '9780441172719');
+      assert.equal(isbn.toIsbn13('080442957X'), '9780804429573');
+      assert.equal(isbn.toIsbn13('978-0-441-17271-9'), '9780441172719');
+    });
+
+    it('returns null for invalid ISBNs', () => {
+      assert.equal(isbn.toIsbn13('0441172718'), null);
+    });
+  });
+
+  describe('toIsbn10', () => {
+    it('converts 978 ISBN-13s', () => {
+      assert.equal(isbn.toIsbn10('9780441172719'), '0441172717');
+      assert.equal(isbn.toIsbn10('9780804429573'), '080442957X');
+    });
+
+    it('returns null when there is no ISBN-10', () => {
+      assert.equal(isbn.toIsbn10('9791032305690'), null);
+      assert.equal(isbn.toIsbn10('dune'), null);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * MARC Utilities
+ * 
+ * Reading and writing MARC 21 bibliographic records, the exchange format of
+ * integrated library systems:
+ * - parseMarc21: Reads binary MARC 21 (ISO 2709) records
+ * - parseMarcXml: Reads MARCXML (MARC 21 slim) records
+ * - parseMarc: Detects the format and reads either
+ * - recordToXml: Writes one record as a MARCXML <record> element
+ * - MARCXML_HEADER / MARCXML_FOOTER: Wrap records into a MARCXML <collection>
+ * 
+ * A record is represented as:
+ *   { leader, fields: [{ tag, value }                                // control fields (001-009)
+ *                      | { tag, ind1, ind2, subfields: [{ code, value }] }] }  // data fields
+ * 
+ * @module utils/marc.util
+ */
+
+// ISO 2709 delimiters
+const RECORD_TERMINATOR = 0x1D;
+const FIELD_TERMINATOR = 0x1E;
+const SUBFIELD_DELIMITER = 0x1F;
+
+// Leader written on exported records (lengths and addresses are not used by MARCXML)
+const DEFAULT_LEADER = '00000nam a2200000 a 4500';
+
+exports.MARCXML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n';
+exports.MARCXML_FOOTER = '</collection>\n';
+
+/**
+ * Build an error for an unreadable MARC document
+ * 
+ * @param   {String} message - Error message
+ * @returns {Error} Error with status 400
+ */
+const malformed = (message) => {
+  const error = new Error(`Malformed MARC: ${message}`);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Whether a tag is a control field (001-009), which has no indicators or subfields
+ * 
+ * @param   {String} tag - Three character field tag
+ * @returns {Boolean}
+ */
+const isControlTag = (tag) => /^00\d$/.test(tag);
+
+/**
+ * Split a buffer on a delimiter byte
+ * 
+ * @param   {Buffer} buffer - Data to split
+ * @param   {Number} delimiter - Byte value
+ * @returns {Buffer[]} Parts
+ */
+const splitBuffer = (buffer, delimiter) => {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] === delimiter) {
+      parts.push(buffer.subarray(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(buffer.subarray(start));
+  return parts;
+};
+
+/**
+ * Read binary MARC 21 (ISO 2709) records
+ * 
+ * Records declaring UTF-8 (leader position 09 = 'a') are decoded as UTF-8;
+ * others (MARC-8) are decoded as Latin-1, which is exact for plain ASCII data.
+ * 
+ * @param   {Buffer} buffer - One or more concatenated records
+ * @returns {Object[]} Records
+ * @throws  {Error} With status 400 if a record is malformed
+ */
+exports.parseMarc21 = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Skip line breaks some tools insert between records
+    if (buffer[offset] === 0x0A || buffer[offset] === 0x0D) {
+      offset++;
+      continue;
+    }
+
+    const recordLength = parseInt(buffer.toString('latin1', offset, offset + 5), 10);
+    if (!recordLength || offset + recordLength > buffer.length) {
+      throw malformed(`invalid record length at byte ${offset}`);
+    }
+    const record = buffer.subarray(offset, offset + recordLength);
+    offset += recordLength;
+
+    const leader = record.toString('latin1', 0, 24);
+    const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+    const baseAddress = parseInt(leader.slice(12, 17), 10);
+    if (!baseAddress) throw malformed(`invalid base address in record ${records.length + 1}`);
+
+    // Directory: 12 byte entries (tag, length, start) up to the field terminator
+    const fields = [];
+    for (let entry = 24; entry + 12 <= baseAddress - 1; entry += 12) {
+      const directory = record.toString('latin1', entry, entry + 12);
+      const tag = directory.slice(0, 3);
+      const length = parseInt(directory.slice(3, 7), 10);
+      const start = baseAddress + parseInt(directory.slice(7, 12), 10);
+
+      // Drop the field terminator
+      let data = record.subarray(start, start + length);
+      if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, -1);
+
+      if (isControlTag(tag)) {
+        fields.push({ tag, value: data.toString(encoding) });
+        continue;
+      }
+
+      const [indicators, ...parts] = splitBuffer(data, SUBFIELD_DELIMITER);
+      const ind = indicators.toString('latin1');
+      fields.push({
+        tag,
+        ind1: ind[0] || ' ',
+        ind2: ind[1] || ' ',
+        subfields: parts
+          .filter(part => part.length)
+          .map(part => ({ code: String.fromCharCode(part[0]), value: part.subarray(1).toString(encoding) }))
+      });
+    }
+
+    records.push({ leader, fields });
+
+    // Records normally end with a record terminator already counted in their length
+    if (buffer[offset] === RECORD_TERMINATOR) offset++;
+  }
+
+  return records;
+};
+
+/**
+ * Decode XML character entities
+ * 
+ * @param   {String} text - XML text content
+ * @returns {String} Decoded text
+ */
+const decodeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Escape text for XML content and attribute values
+ * 
+ * @param   {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Read an attribute from the attribute list of an XML start tag
+ * 
+ * @param   {String} attributes - Attribute list, e.g. 'tag="245" ind1="1"'
+ * @param   {String} name - Attribute name
+ * @returns {String|undefined} Decoded value
+ */
+const attribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*(["'])(.*?)\\1`).exec(attributes);
+  return match ? decodeXml(match[2]) : undefined;
+};
+
+/**
+ * Read MARCXML records
+ * 
+ * Accepts a <collection> of records or a single <record>, with or without a
+ * namespace prefix (e.g. <marc:record>).
+ * 
+ * @param   {String} xml - MARCXML document
+ * @returns {Object[]} Records
+ * @throws  {Error} With status 400 if the document contains no records
+ */
+exports.parseMarcXml = (xml) => {
+  const records = [];
+  const recordPattern = /<(?:[\w-]+:)?record\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?record>/g;
+  let match;
+
+  while ((match = recordPattern.exec(xml))) {
+    const body = match[1];
+    const leader = /<(?:[\w-]+:)?leader\b[^>]*>([\s\S]*?)<\//.exec(body);
+    const fields = [];
+
+    // Control and data fields, in document order
+    const fieldPattern = /<(?:[\w-]+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g;
+    let field;
+    while ((field = fieldPattern.exec(body))) {
+      const [, kind, attributes, content] = field;
+      const tag = attribute(attributes, 'tag');
+      if (kind === 'controlfield') {
+        fields.push({ tag, value: decodeXml(content) });
+        continue;
+      }
+
+      const subfields = [];
+      const subfieldPattern = /<(?:[\w-]+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?subfield>/g;
+      let subfield;
+      while ((subfield = subfieldPattern.exec(content))) {
+        subfields.push({ code: attribute(subfield[1], 'code'), value: decodeXml(subfield[2]) });
+      }
+      fields.push({
+        tag,
+        ind1: attribute(attributes, 'ind1') || ' ',
+        ind2: attribute(attributes, 'ind2') || ' ',
+        subfields
+      });
+    }
+
+    records.push({ leader: leader ? decodeXml(leader[1]) : DEFAULT_LEADER, fields });
+  }
+
+  if (!records.length) throw malformed('no <record> elements found');
+  return records;
+};
+
+/**
+ * Read MARC records in either format
+ * 
+ * Documents starting with '<' are read as MARCXML, anything else as binary MARC 21.
+ * 
+ * @param   {Buffer|String} data - MARC document
+ * @returns {Object[]} Records
+ * @throws  {Error} With status 400 if the document is malformed
+ */
+exports.parseMarc = (data) => {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+  const text = buffer.toString('utf8', 0, Math.min(buffer.length, 256)).replace(/^\uFEFF/, '').trimStart();
+  return text.startsWith('<')
+    ? exports.parseMarcXml(buffer.toString('utf8'))
+    : exports.parseMarc21(buffer);
+};
+
+/**
+ * Write a record as a MARCXML <record> element
+ * 
+ * @param   {Object} record - Record ({ leader, fields })
+ * @returns {String} XML element (namespace declared by the enclosing <collection>)
+ */
+exports.recordToXml = (record) => {
+  const lines = ['  <record>', `    <leader>${escapeXml(record.leader || DEFAULT_LEADER)}</leader>`];
+
+  for (const field of record.fields) {
+    if (isControlTag(field.tag)) {
+      lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      continue;
+    }
+    lines.push(`    <datafield tag="${field.tag}" ind1="${escapeXml(field.ind1 || ' ')}" ind2="${escapeXml(field.ind2 || ' ')}">`);
+    for (const subfield of field.subfields) {
+      lines.push(`      <subfield code="${escapeXml(subfield.code)}">${escapeXml(subfield.value)}</subfield>`);
+    }
+    lines.push('    </datafield>');
+  }
+
+  lines.push('  </record>');
+  return lines.join('\n') + '\n';
+};
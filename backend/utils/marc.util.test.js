@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const marc = require('./marc.util');
+
+/**
+ * Encode fields as a binary MARC 21 (ISO 2709) record
+ */
+const toMarc21 = (fields, encoding = 'a') => {
+  const data = fields.map(field => Buffer.concat([
+    Buffer.from(field.value ?? `${field.ind1}${field.ind2}` + field.subfields.map(sub => `\x1F${sub.code}${sub.value}`).join(''), 'utf8'),
+    Buffer.from([0x1E])
+  ]));
+  let start = 0;
+  const directory = fields.map((field, index) => {
+    const entry = field.tag + String(data[index].length).padStart(4, '0') + String(start).padStart(5, '0');
+    start += data[index].length;
+    return entry;
+  }).join('') + '\x1E';
+  const baseAddress = 24 + directory.length;
+  const length = baseAddress + start + 1;
+  const leader = `${String(length).padStart(5, '0')}nam ${encoding}22${String(baseAddress).padStart(5, '0')} a 4500`;
+  return Buffer.concat([Buffer.from(leader + directory, 'latin1'), ...data, Buffer.from([0x1D])]);
+};
+
+describe('MARC util', () => {
+  const fields = [
+    { tag: '001', value: 'rec-1' },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '9780441172719 (pbk.)' }] },
+    { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Dune /' }, { code: 'c', value: 'Frank Herbert.' }] },
+    { tag: '650', ind1: ' ', ind2: '4', subfields: [{ code: 'a', value: 'Science fiction — Épopée' }] }
+  ];
+
+  describe('parseMarc21', () => {
+    it('reads the control and data fields of every record', () => {
+      const records = marc.parseMarc21(Buffer.concat([toMarc21(fields), Buffer.from('\n'), toMarc21(fields.slice(0, 1))]));
+
+      assert.equal(records.length, 2);
+      assert.deepEqual(records[0].fields, fields);
+      assert.equal(records[0].leader.length, 24);
+      assert.deepEqual(records[1].fields, [{ tag: '001', value: 'rec-1' }]);
+    });
+
+    it('decodes MARC-8 records as Latin-1', () => {
+      const record = toMarc21([{ tag: '245', ind1: '0', ind2: '0', subfields: [{ code: 'a', value: 'plain' }] }], ' ');
+
+      assert.equal(marc.parseMarc21(record)[0].fields[0].subfields[0].value, 'plain');
+    });
+
+    it('rejects truncated records with status 400', () => {
+      const record = toMarc21(fields);
+
+      assert.throws(() => marc.parseMarc21(record.subarray(0, 40)), { status: 400, message: /invalid record length at byte 0/ });
+      assert.throws(() => marc.parseMarc21(Buffer.from('garbage')), { status: 400 });
+    });
+  });
+
+  describe('parseMarcXml', () => {
+    it('reads namespaced records and decodes entities', () => {
+      const xml = `<?xml version="1.0"?>
+        <marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+          <marc:record>
+            <marc:leader>00000nam a2200000 a 4500</marc:leader>
+            <marc:controlfield tag="001">rec-1</marc:controlfield>
+            <marc:datafield tag="245" ind1="1" ind2="0">
+              <marc:subfield code="a">Pride &amp; prejudice &#x2014; &lt;annotated&gt;</marc:subfield>
+            </marc:datafield>
+          </marc:record>
+        </marc:collection>`;
+
+      const [record] = marc.parseMarcXml(xml);
+
+      assert.equal(record.leader, '00000nam a2200000 a 4500');
+      assert.deepEqual(record.fields, [
+        { tag: '001', value: 'rec-1' },
+        { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Pride & prejudice — <annotated>' }] }
+      ]);
+    });
+
+    it('requires at least one record', () => {
+      assert.throws(() => marc.parseMarcXml('<collection/>'), { status: 400, message: 'Malformed MARC: no <record> elements found' });
+    });
+  });
+
+  describe('parseMarc', () => {
+    it('detects MARCXML, also after a byte order mark', () => {
+      const xml = '\uFEFF  <record><controlfield tag="001">x</controlfield></record>';
+
+      assert.deepEqual(marc.parseMarc(Buffer.from(xml))[0].fields, [{ tag: '001', value: 'x' }]);
+    });
+
+    it('reads anything else as binary MARC 21', () => {
+      assert.deepEqual(marc.parseMarc(toMarc21(fields))[0].fields, fields);
+    });
+  });
+
+  describe('recordToXml', () => {
+    it('writes records that read back the same', () => {
+      const xml = marc.MARCXML_HEADER + marc.recordToXml({ fields: [...fields, { tag: '500', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: 'Quotes "&" <tags>' }] }] }) + marc.MARCXML_FOOTER;
+
+      const [record] = marc.parseMarcXml(xml);
+
+      assert.equal(record.leader, '00000nam a2200000 a 4500');
+      assert.deepEqual(record.fields.at(-1).subfields[0].value, 'Quotes "&" <tags>');
+      assert.deepEqual(record.fields.slice(0, -1), fields);
+      assert.ok(xml.includes('&quot;&amp;&quot; &lt;tags&gt;'));
+    });
+  });
+});
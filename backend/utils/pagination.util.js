@@ -0,0 +1,128 @@
+/**
+ * Listing Utilities
+ * 
+ * Helpers shared by the list endpoints (books, members, users) to implement
+ * search, sorting and page-based pagination consistently:
+ * - parsePagination: Reads page/limit from the query string
+ * - parseSort: Turns "?sort=-createdAt,title" into a Mongoose sort object
+ * - searchFilter: Builds a case-insensitive "contains" filter over several fields
+ * - dateRangeFilter: Builds a from/to filter on a date field
+ * - pageMeta: Builds the pagination metadata of the response envelope
+ * 
+ * @module utils/pagination.util
+ */
+
+// Page size used when the client does not ask for one
+const DEFAULT_LIMIT = 20;
+
+// Largest page size a client can ask for
+const MAX_LIMIT = 100;
+
+/**
+ * Escape a string for literal use in a regular expression
+ * 
+ * @param   {String} value - Raw user input
+ * @returns {String} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read pagination parameters from the query string
+ * 
+ * @param   {Object} query - Express req.query
+ * @returns {Object} { page, limit, skip }
+ */
+exports.parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Parse a sort expression into a Mongoose sort object
+ * 
+ * Fields are comma separated; a leading '-' sorts descending.
+ * Only whitelisted fields are accepted.
+ * 
+ * @param   {String} value - Sort expression (e.g. "-createdAt,title")
+ * @param   {String[]} allowedFields - Fields that may be sorted on
+ * @param   {Object} defaultSort - Sort used when no expression is given
+ * @returns {Object} Mongoose sort object
+ * @throws  {Error} With status 400 if a field is not allowed
+ * 
+ * @example
+ * parseSort('-createdAt,title', ['title', 'createdAt'], { createdAt: -1 });
+ * // => { createdAt: -1, title: 1 }
+ */
+exports.parseSort = (value, allowedFields, defaultSort) => {
+  if (!value) return defaultSort;
+
+  const sort = {};
+  for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+    const field = part.replace(/^[-+]/, '');
+    if (!allowedFields.includes(field)) {
+      const error = new Error(`Cannot sort by '${field}'. Allowed fields: ${allowedFields.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    sort[field] = part.startsWith('-') ? -1 : 1;
+  }
+
+  // Always break ties by _id so pages are stable
+  return Object.keys(sort).length ? { ...sort, _id: 1 } : defaultSort;
+};
+
+/**
+ * Build a case-insensitive "contains" filter across several fields
+ * 
+ * @param   {String} term - Search term
+ * @param   {String[]} fields - Fields to search
+ * @returns {Object|null} Mongoose filter, or null if the term is empty
+ */
+exports.searchFilter = (term, fields) => {
+  if (!term || !String(term).trim()) return null;
+  const pattern = new RegExp(escapeRegex(String(term).trim()), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+};
+
+/**
+ * Build an inclusive date range filter
+ * 
+ * @param   {String} from - Optional start date (ISO 8601)
+ * @param   {String} to - Optional end date (ISO 8601)
+ * @returns {Object|null} Mongoose condition (e.g. { $gte, $lte }), or null if neither is given
+ */
+exports.dateRangeFilter = (from, to) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+/**
+ * Build the pagination metadata of a list response
+ * 
+ * Responses keep the existing { success, count, data } envelope and add
+ * total, page, pages, limit and next (the next page number, or null).
+ * 
+ * @param   {Object} pagination - Result of parsePagination
+ * @param   {Number} count - Number of items in this page
+ * @param   {Number} total - Number of items matching the filters
+ * @returns {Object} Pagination metadata
+ */
+exports.pageMeta = ({ page, limit }, count, total) => {
+  const pages = Math.ceil(total / limit);
+  return {
+    count,
+    total,
+    page,
+    pages,
+    limit,
+    next: page < pages ? page + 1 : null
+  };
+};
+
+exports.escapeRegex = escapeRegex;
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+exports.MAX_LIMIT = MAX_LIMIT;
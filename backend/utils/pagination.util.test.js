@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePagination, parseSort, searchFilter, dateRangeFilter, pageMeta } = require('./pagination.util');
+
+describe('pagination util', () => {
+  describe('parsePagination', () => {
+    it('defaults to the first page of 20', () => {
+      assert.deepEqual(parsePagination({}), { page: 1, limit: 20, skip: 0 });
+    });
+
+    it('skips the earlier pages', () => {
+      assert.deepEqual(parsePagination({ page: '3', limit: '10' }), { page: 3, limit: 10, skip: 20 });
+    });
+
+    it('clamps the page and page size', () => {
+      assert.deepEqual(parsePagination({ page: '-2', limit: '1000' }), { page: 1, limit: 100, skip: 0 });
+      assert.deepEqual(parsePagination({ page: 'last', limit: '0' }), { page: 1, limit: 20, skip: 0 });
+    });
+  });
+
+  describe('parseSort', () => {
+    const fields = ['title', 'createdAt'];
+
+    it('sorts ascending, or descending with a leading -, and breaks ties by _id', () => {
+      assert.deepEqual(parseSort('-createdAt, title', fields, {}), { createdAt: -1, title: 1, _id: 1 });
+    });
+
+    it('uses the default without a sort expression', () => {
+      assert.deepEqual(parseSort(undefined, fields, { createdAt: -1 }), { createdAt: -1 });
+      assert.deepEqual(parseSort(',', fields, { createdAt: -1 }), { createdAt: -1 });
+    });
+
+    it('rejects fields that are not whitelisted with status 400', () => {
+      assert.throws(() => parseSort('password', fields, {}), { status: 400, message: /Cannot sort by 'password'/ });
+    });
+  });
+
+  describe('searchFilter', () => {
+    it('matches the term anywhere in any field, ignoring case', () => {
+      const { $or } = searchFilter(' dune ', ['title', 'author']);
+
+      assert.deepEqual($or.map(condition => Object.keys(condition)[0]), ['title', 'author']);
+      assert.ok($or[0].title.test('Children of DUNE'));
+    });
+
+    it('treats the term literally', () => {
+      const { $or } = searchFilter('c++ (3rd ed.)', ['title']);
+
+      assert.ok($or[0].title.test('Learning C++ (3rd ed.)'));
+      assert.ok(!$or[0].title.test('Learning cpp 3rd edX'));
+    });
+
+    it('ignores empty terms', () => {
+      assert.equal(searchFilter('  ', ['title']), null);
+      assert.equal(searchFilter(undefined, ['title']), null);
+    });
+  });
+
+  describe('dateRangeFilter', () => {
+    it('builds an inclusive range from either bound', () => {
+      assert.deepEqual(dateRangeFilter('2026-01-01', '2026-02-01'), { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') });
+      assert.deepEqual(dateRangeFilter(undefined, '2026-02-01'), { $lte: new Date('2026-02-01') });
+      assert.equal(dateRangeFilter(), null);
+    });
+  });
+
+  describe('pageMeta', () => {
+    it('reports the number of pages and the next page', () => {
+      assert.deepEqual(pageMeta({ page: 2, limit: 20 }, 20, 45), { count: 20, total: 45, page: 2, pages: 3, limit: 20, next: 3 });
+      assert.equal(pageMeta({ page: 3, limit: 20 }, 5, 45).next, null);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Book Validators
+ * 
+ * Validation rules for book data shared by the book routes and the bulk import.
+ * 
+ * @module validators/book.validators
+ */
+
+const { body } = require('express-validator');
+const isbn = require('../utils/isbn.util');
+
+/**
+ * Book Validation Rules
+ * 
+ * Defines validation rules for book creation and updates using express-validator.
+ * These rules ensure data integrity before processing requests. They are also
+ * applied to every row of a bulk import (see bookImport.service).
+ */
+exports.bookValidation = [
+  // Title validation: required, trimmed, minimum 1 character
+  body('title')
+    .trim() // Remove leading/trailing whitespace
+    .notEmpty().withMessage('Title is required')
+    .isLength({ min: 1 }).withMessage('Title cannot be empty'),
+  
+  // Author validation: required, trimmed, minimum 1 character
+  body('author')
+    .trim()
+    .notEmpty().withMessage('Author is required')
+    .isLength({ min: 1 }).withMessage('Author cannot be empty'),
+  
+  // ISBN validation: required, trimmed, valid ISBN-10 or ISBN-13 checksum
+  // Hyphens and spaces are allowed; the book is stored under its ISBN-13
+  body('ISBN')
+    .trim()
+    .notEmpty().withMessage('ISBN is required')
+    .custom(value => isbn.isValid(value)).withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+  
+  // Category validation: required, trimmed, minimum 1 character
+  body('category')
+    .trim()
+    .notEmpty().withMessage('Category is required')
+    .isLength({ min: 1 }).withMessage('Category cannot be empty')
+];
+
+/**
+ * Book Change Validation Rules
+ * 
+ * The book validation rules for requests that only carry the fields being
+ * changed (e.g. a requester editing or resubmitting a book request). Fields
+ * that are present must be valid; missing fields are left unchanged.
+ */
+exports.bookChangesValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Title cannot be empty'),
+
+  body('author')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Author cannot be empty'),
+
+  body('ISBN')
+    .optional()
+    .trim()
+    .custom(value => isbn.isValid(value)).withMessage('ISBN must be a valid ISBN-10 or ISBN-13'),
+
+  body('category')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Category cannot be empty')
+];
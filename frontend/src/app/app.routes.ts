@@ -1,5 +1,5 @@
 import { Routes } from '@angular/router';
-import { authGuard, adminGuard } from './guards/auth.guard';
+import { authGuard, permissionGuard } from './guards/auth.guard';
 
 export const routes: Routes = [
   {
@@ -15,11 +15,32 @@ export const routes: Routes = [
     path: 'register',
     loadComponent: () => import('./components/register/register').then(m => m.RegisterComponent)
   },
+  {
+    path: 'forgot-password',
+    loadComponent: () => import('./components/forgot-password/forgot-password').then(m => m.ForgotPasswordComponent)
+  },
+  {
+    path: 'reset-password',
+    loadComponent: () => import('./components/reset-password/reset-password').then(m => m.ResetPasswordComponent)
+  },
+  {
+    path: 'verify-email',
+    loadComponent: () => import('./components/verify-email/verify-email').then(m => m.VerifyEmailComponent)
+  },
+  {
+    path: 'accept-invite',
+    loadComponent: () => import('./components/accept-invite/accept-invite').then(m => m.AcceptInviteComponent)
+  },
   {
     path: 'profile',
     loadComponent: () => import('./components/profile/profile').then(m => m.ProfileComponent),
     canActivate: [authGuard]
   },
+  {
+    path: 'notifications',
+    loadComponent: () => import('./components/notification-list/notification-list').then(m => m.NotificationListComponent),
+    canActivate: [authGuard]
+  },
   {
     path: 'books',
     loadComponent: () => import('./components/book-list/book-list').then(m => m.BookListComponent),
@@ -38,7 +59,7 @@ export const routes: Routes = [
   {
     path: 'books/:id/edit',
     loadComponent: () => import('./components/book-form/book-form').then(m => m.BookFormComponent),
-    canActivate: [authGuard, adminGuard]
+    canActivate: [authGuard] // Admins edit any book; requesters edit or resubmit their own requests
   },
   {
     path: 'members',
@@ -48,7 +69,7 @@ export const routes: Routes = [
   {
     path: 'members/new',
     loadComponent: () => import('./components/member-form/member-form').then(m => m.MemberFormComponent),
-    canActivate: [authGuard, adminGuard]
+    canActivate: [authGuard, permissionGuard('members:manage')]
   },
   {
     path: 'members/:id',
@@ -58,17 +79,32 @@ export const routes: Routes = [
   {
     path: 'members/:id/edit',
     loadComponent: () => import('./components/member-form/member-form').then(m => m.MemberFormComponent),
-    canActivate: [authGuard, adminGuard]
+    canActivate: [authGuard, permissionGuard('members:manage')]
   },
   {
     path: 'admin/dashboard',
     loadComponent: () => import('./components/book-dashboard/book-dashboard').then(m => m.BookDashboardComponent),
-    canActivate: [authGuard, adminGuard]
+    canActivate: [authGuard, permissionGuard('books:manage')]
   },
   {
     path: 'admin/pending-books',
     loadComponent: () => import('./components/pending-books/pending-books').then(m => m.PendingBooksComponent),
-    canActivate: [authGuard, adminGuard]
+    canActivate: [authGuard, permissionGuard('books:approve')]
+  },
+  {
+    path: 'admin/invitations',
+    loadComponent: () => import('./components/invitation-list/invitation-list').then(m => m.InvitationListComponent),
+    canActivate: [authGuard, permissionGuard('users:manage')]
+  },
+  {
+    path: 'admin/api-keys',
+    loadComponent: () => import('./components/api-key-list/api-key-list').then(m => m.ApiKeyListComponent),
+    canActivate: [authGuard, permissionGuard('apikeys:manage')]
+  },
+  {
+    path: 'admin/webhooks',
+    loadComponent: () => import('./components/webhook-list/webhook-list').then(m => m.WebhookListComponent),
+    canActivate: [authGuard, permissionGuard('webhooks:manage')]
   },
   {
     path: '**',
@@ -1,11 +1,25 @@
 import { TestBed } from '@angular/core/testing';
+import { provideRouter, Router } from '@angular/router';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
 import { App } from './app';
+import { environment } from '../environments/environment';
 
 describe('App', () => {
+  let httpMock: HttpTestingController;
+
   beforeEach(async () => {
+    localStorage.clear();
     await TestBed.configureTestingModule({
       imports: [App],
+      providers: [provideRouter([]), provideHttpClient(), provideHttpClientTesting()]
     }).compileComponents();
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    localStorage.clear();
   });
 
   it('should create the app', () => {
@@ -14,10 +28,32 @@ describe('App', () => {
     expect(app).toBeTruthy();
   });
 
-  it('should render title', async () => {
+  it('should offer login and register when signed out', async () => {
     const fixture = TestBed.createComponent(App);
     await fixture.whenStable();
     const compiled = fixture.nativeElement as HTMLElement;
-    expect(compiled.querySelector('h1')?.textContent).toContain('Hello, frontend');
+    const links = Array.from(compiled.querySelectorAll('.nav-link')).map(link => link.textContent?.trim());
+    expect(links).toEqual(['Login', 'Register']);
+  });
+
+  it('should show the unread notification count after navigating', async () => {
+    localStorage.setItem('token', 'token');
+    localStorage.setItem('user', JSON.stringify({ _id: '1', name: 'Ada', email: 'ada@example.com', permissions: [] }));
+    const fixture = TestBed.createComponent(App);
+    fixture.detectChanges();
+    httpMock.expectOne(`${environment.apiUrl}/auth/profile`).flush({
+      success: true,
+      user: { _id: '1', name: 'Ada', email: 'ada@example.com', permissions: [] }
+    });
+
+    await TestBed.inject(Router).navigateByUrl('/');
+    httpMock.expectOne(`${environment.apiUrl}/notifications/unread-count`).flush({ success: true, unreadCount: 3 });
+    expect(fixture.componentInstance.unreadCount).toBe(3);
+
+    fixture.componentRef.changeDetectorRef.markForCheck();
+    await fixture.whenStable();
+
+    const badge = (fixture.nativeElement as HTMLElement).querySelector('.badge');
+    expect(badge?.textContent?.trim()).toBe('3');
   });
 });
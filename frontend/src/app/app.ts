@@ -1,7 +1,9 @@
 import { Component, OnInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
-import { RouterModule, Router } from '@angular/router';
+import { RouterModule, Router, NavigationEnd } from '@angular/router';
+import { filter } from 'rxjs';
 import { AuthService } from './services/auth.service';
+import { NotificationService } from './services/notification.service';
 import { User } from './models/user.model';
 
 @Component({
@@ -13,10 +15,12 @@ import { User } from './models/user.model';
 })
 export class App implements OnInit {
   currentUser: User | null = null;
+  unreadCount = 0;
   isMenuOpen = false;
 
   constructor(
     public authService: AuthService,
+    private notificationService: NotificationService,
     private router: Router
   ) {}
 
@@ -24,6 +28,25 @@ export class App implements OnInit {
     this.authService.currentUser$.subscribe(user => {
       this.currentUser = user;
     });
+
+    // Pick up role and permission changes made since the user signed in
+    if (this.authService.isAuthenticated()) {
+      this.authService.getProfile().subscribe({
+        error: (error) => console.error('Error refreshing profile:', error)
+      });
+    }
+
+    // Keep the unread badge current as the user moves between pages
+    this.notificationService.unreadCount$.subscribe(count => {
+      this.unreadCount = count;
+    });
+    this.router.events.pipe(filter(event => event instanceof NavigationEnd)).subscribe(() => {
+      if (this.authService.isAuthenticated()) {
+        this.notificationService.refreshUnreadCount().subscribe({
+          error: (error) => console.error('Error loading unread notifications:', error)
+        });
+      }
+    });
   }
 
   toggleMenu(): void {
@@ -36,6 +59,7 @@ export class App implements OnInit {
 
   logout(): void {
     this.authService.logout();
+    this.notificationService.clearUnreadCount();
     this.router.navigate(['/login']);
     this.closeMenu();
   }
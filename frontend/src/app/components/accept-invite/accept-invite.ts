@@ -0,0 +1,81 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
+import { ActivatedRoute, Router, RouterModule } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+/**
+ * Accept Invite Component
+ * 
+ * Creates an account from an admin's invitation link
+ * (/accept-invite?token=...). The invited email and role come from the
+ * invitation and cannot be changed.
+ */
+@Component({
+  selector: 'app-accept-invite',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, RouterModule],
+  templateUrl: './accept-invite.html',
+  styleUrl: './accept-invite.css'
+})
+export class AcceptInviteComponent implements OnInit {
+  form: FormGroup;
+  token: string = '';
+  email: string = '';
+  role: string = '';
+  isLoading: boolean = false;
+  errorMessage: string = '';
+
+  constructor(
+    private fb: FormBuilder,
+    private route: ActivatedRoute,
+    private router: Router,
+    private authService: AuthService
+  ) {
+    this.form = this.fb.group({
+      name: ['', [Validators.required, Validators.minLength(2)]],
+      password: ['', [Validators.required, Validators.minLength(6)]]
+    });
+  }
+
+  ngOnInit(): void {
+    this.token = this.route.snapshot.queryParamMap.get('token') || '';
+    this.readInvitation();
+  }
+
+  /**
+   * Show who the invitation is for; the server checks the token when it is redeemed
+   */
+  private readInvitation(): void {
+    try {
+      const payload = JSON.parse(atob(this.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      this.email = payload.email || '';
+      this.role = payload.role || '';
+    } catch {
+      this.token = '';
+    }
+  }
+
+  onSubmit(): void {
+    if (this.form.invalid || !this.token) {
+      this.form.markAllAsTouched();
+      return;
+    }
+
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.authService.acceptInvitation({ token: this.token, ...this.form.value }).subscribe({
+      next: (response) => {
+        this.isLoading = false;
+        this.router.navigate([this.authService.isStaff() ? '/admin/dashboard' : '/books']);
+      },
+      error: (error) => {
+        console.error('Error accepting invitation:', error);
+        this.isLoading = false;
+        this.errorMessage = error.error?.message
+          || error.error?.errors?.map((e: any) => e.msg).join(', ')
+          || 'Failed to create your account. Please try again.';
+      }
+    });
+  }
+}
@@ -0,0 +1,145 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { ApiKeyService } from '../../services/api-key.service';
+import { AuthService } from '../../services/auth.service';
+import { RoleService } from '../../services/role.service';
+import { ApiKey, ApiKeyStatus } from '../../models/api-key.model';
+import { Permission } from '../../models/role.model';
+
+/**
+ * API Key List Component
+ * 
+ * Lets admins create API keys for scripts and other services, and lists and
+ * revokes the keys created so far. A new key is shown once, right after it
+ * is created.
+ */
+@Component({
+  selector: 'app-api-key-list',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './api-key-list.html',
+  styleUrl: './api-key-list.css'
+})
+export class ApiKeyListComponent implements OnInit {
+  apiKeys: ApiKey[] = [];
+  status: ApiKeyStatus | '' = 'active';
+  page: number = 1;
+  pages: number = 1;
+  isLoading: boolean = false;
+  errorMessage: string = '';
+
+  // Scopes offered when creating a key: the permissions the current user has
+  permissions: Permission[] = [];
+  newName: string = '';
+  newScopes: Set<string> = new Set();
+  newExpiresAt: string = '';
+  isCreating: boolean = false;
+  createdKey: string = '';
+
+  constructor(
+    private apiKeyService: ApiKeyService,
+    private authService: AuthService,
+    private roleService: RoleService
+  ) {}
+
+  ngOnInit(): void {
+    this.loadPermissions();
+    this.loadApiKeys();
+  }
+
+  loadPermissions(): void {
+    this.roleService.getPermissionCatalogue().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.permissions = response.data.filter(permission => this.authService.hasPermission(permission.name));
+        }
+      },
+      error: (error) => console.error('Error loading permissions:', error)
+    });
+  }
+
+  loadApiKeys(page: number = 1): void {
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.apiKeyService.getApiKeys(this.status || undefined, page).subscribe({
+      next: (response) => {
+        this.apiKeys = response.success ? response.data : [];
+        this.page = response.page || 1;
+        this.pages = response.pages || 1;
+        this.isLoading = false;
+      },
+      error: (error) => {
+        console.error('Error loading API keys:', error);
+        this.errorMessage = error.error?.message || 'Failed to load API keys. Please try again.';
+        this.isLoading = false;
+      }
+    });
+  }
+
+  toggleScope(scope: string): void {
+    if (this.newScopes.has(scope)) {
+      this.newScopes.delete(scope);
+    } else {
+      this.newScopes.add(scope);
+    }
+  }
+
+  createApiKey(): void {
+    const name = this.newName.trim();
+    if (!name || !this.newScopes.size) return;
+
+    this.isCreating = true;
+    this.createdKey = '';
+    this.apiKeyService.createApiKey({
+      name,
+      scopes: [...this.newScopes],
+      // The date input gives a day; the key works until the end of it
+      expiresAt: this.newExpiresAt ? new Date(`${this.newExpiresAt}T23:59:59`).toISOString() : null
+    }).subscribe({
+      next: (response) => {
+        this.isCreating = false;
+        if (response.success && response.key) {
+          this.createdKey = response.key;
+          this.newName = '';
+          this.newScopes = new Set();
+          this.newExpiresAt = '';
+          this.loadApiKeys();
+        } else {
+          alert('Error: ' + (response.message || 'Failed to create API key'));
+        }
+      },
+      error: (error) => {
+        console.error('Error creating API key:', error);
+        this.isCreating = false;
+        alert('Error: ' + (error.error?.message
+          || error.error?.errors?.map((e: any) => e.msg).join(', ')
+          || 'Failed to create API key. Please try again.'));
+      }
+    });
+  }
+
+  copyCreatedKey(): void {
+    navigator.clipboard?.writeText(this.createdKey);
+  }
+
+  revokeApiKey(apiKey: ApiKey): void {
+    if (confirm(`Revoke the API key "${apiKey.name}"? Integrations using it will stop working immediately.`)) {
+      this.apiKeyService.revokeApiKey(apiKey._id).subscribe({
+        next: () => this.loadApiKeys(this.page),
+        error: (error) => {
+          console.error('Error revoking API key:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to revoke API key. Please try again.'));
+        }
+      });
+    }
+  }
+
+  getStatusClass(status: ApiKeyStatus): string {
+    switch (status) {
+      case 'active': return 'bg-success';
+      case 'revoked': return 'bg-danger';
+      default: return 'bg-secondary';
+    }
+  }
+}
@@ -0,0 +1,85 @@
+import { Component, Input, OnChanges } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { BookService } from '../../services/book.service';
+import { AuthService } from '../../services/auth.service';
+import { Comment } from '../../models/comment.model';
+
+/**
+ * Book Comments Component
+ *
+ * Discussion thread of a book request between the requester and the admins.
+ * New comments can only be posted while the request is pending.
+ */
+@Component({
+  selector: 'app-book-comments',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './book-comments.html',
+  styleUrl: './book-comments.css'
+})
+export class BookCommentsComponent implements OnChanges {
+  @Input() bookId: string = '';
+  @Input() canPost: boolean = false;
+
+  comments: Comment[] = [];
+  newComment: string = '';
+  isLoading: boolean = false;
+  isPosting: boolean = false;
+
+  constructor(
+    private bookService: BookService,
+    private authService: AuthService
+  ) {}
+
+  ngOnChanges(): void {
+    if (this.bookId) {
+      this.loadComments();
+    }
+  }
+
+  loadComments(): void {
+    this.isLoading = true;
+    this.bookService.getComments(this.bookId).subscribe({
+      next: (response) => {
+        this.comments = response.success ? response.data : [];
+        this.isLoading = false;
+      },
+      error: (error) => {
+        console.error('Error loading comments:', error);
+        this.comments = [];
+        this.isLoading = false;
+      }
+    });
+  }
+
+  addComment(): void {
+    const body = this.newComment.trim();
+    if (!body) return;
+
+    this.isPosting = true;
+    this.bookService.addComment(this.bookId, body).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.comments = [...this.comments, response.data];
+          this.newComment = '';
+        } else {
+          alert('Error: ' + (response.message || 'Failed to post comment'));
+        }
+        this.isPosting = false;
+      },
+      error: (error) => {
+        console.error('Error posting comment:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to post comment. Please try again.'));
+        this.isPosting = false;
+      }
+    });
+  }
+
+  /**
+   * Whether a comment was written by the signed-in user
+   */
+  isOwn(comment: Comment): boolean {
+    return comment.author?._id === this.authService.getCurrentUser()?.id;
+  }
+}
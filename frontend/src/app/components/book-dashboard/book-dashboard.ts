@@ -49,8 +49,8 @@ export class BookDashboardComponent implements OnInit {
   loadBooks(): void {
     this.isLoading = true;
     
-    // Load books
-    this.bookService.getBooks().subscribe({
+    // Load the most recent books (largest page the API allows)
+    this.bookService.getBooks({ limit: 100, sort: '-createdAt' }).subscribe({
       next: (response) => {
         if (response.success && response.data) {
           this.books = response.data;
@@ -92,10 +92,10 @@ export class BookDashboardComponent implements OnInit {
    * Load members count
    */
   loadMembers(): void {
-    this.memberService.getMembers().subscribe({
+    this.memberService.getMembers({ limit: 1 }).subscribe({
       next: (response) => {
         if (response.success && response.data) {
-          this.stats.totalMembers = response.data.length;
+          this.stats.totalMembers = response.total ?? response.data.length;
         }
         this.isLoading = false;
       },
@@ -154,7 +154,7 @@ export class BookDashboardComponent implements OnInit {
    * Delete a book from the collection
    */
   deleteBook(id: string): void {
-    if (confirm('Are you sure you want to delete this collection? This action cannot be undone.')) {
+    if (confirm('Are you sure you want to delete this collection? It will be moved to the trash and can be restored by an admin.')) {
       this.bookService.deleteBook(id).subscribe({
         next: (response) => {
           if (response.success) {
@@ -1,19 +1,26 @@
 import { Component, OnInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
 import { ActivatedRoute, Router, RouterModule } from '@angular/router';
 import { BookService } from '../../services/book.service';
 import { Book } from '../../models/book.model';
+import { Hold } from '../../models/hold.model';
+import { Copy } from '../../models/copy.model';
 import { AuthService } from '../../services/auth.service';
+import { BookCommentsComponent } from '../book-comments/book-comments';
 
 @Component({
   selector: 'app-book-detail',
   standalone: true,
-  imports: [CommonModule, RouterModule],
+  imports: [CommonModule, FormsModule, RouterModule, BookCommentsComponent],
   templateUrl: './book-detail.html',
   styleUrl: './book-detail.css'
 })
 export class BookDetailComponent implements OnInit {
   book: Book | null = null;
+  holds: Hold[] = [];
+  copies: Copy[] = [];
+  newBarcode: string = '';
   isLoading: boolean = false;
   bookId: string = '';
 
@@ -35,6 +42,10 @@ export class BookDetailComponent implements OnInit {
       next: (response) => {
         if (response.success && response.data) {
           this.book = response.data;
+          this.loadCopies();
+          if (this.authService.hasPermission('holds:manage')) {
+            this.loadHolds();
+          }
         }
         this.isLoading = false;
       },
@@ -87,8 +98,10 @@ export class BookDetailComponent implements OnInit {
 
   rejectBook(): void {
     if (!this.bookId) return;
-    if (confirm('Are you sure you want to reject this book request? It will not be visible to users.')) {
-      this.bookService.rejectBook(this.bookId).subscribe({
+    // null when the admin cancels; an empty reason is allowed
+    const reason = prompt('Reject this book request? It will not be visible to users.\n\nReason (optional, shown to the requester):');
+    if (reason !== null) {
+      this.bookService.rejectBook(this.bookId, reason.trim()).subscribe({
         next: (response) => {
           if (response.success) {
             alert('Book rejected successfully!');
@@ -104,4 +117,175 @@ export class BookDetailComponent implements OnInit {
       });
     }
   }
+
+  withdrawRequest(): void {
+    if (!this.bookId) return;
+    if (confirm('Withdraw this book request? Admins will no longer review it, but you can resubmit it later.')) {
+      this.bookService.withdrawBookRequest(this.bookId).subscribe({
+        next: (response) => {
+          if (response.success) {
+            this.loadBook(); // Reload to show updated status
+          } else {
+            alert('Error: ' + (response.message || 'Failed to withdraw request'));
+          }
+        },
+        error: (error) => {
+          console.error('Error withdrawing request:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to withdraw request. Please try again.'));
+        }
+      });
+    }
+  }
+
+  resubmitRequest(): void {
+    if (!this.bookId) return;
+    if (confirm('Resubmit this book request for admin approval as it is?')) {
+      this.bookService.resubmitBookRequest(this.bookId).subscribe({
+        next: (response) => {
+          if (response.success) {
+            this.loadBook(); // Reload to show updated status
+          } else {
+            alert('Error: ' + (response.message || 'Failed to resubmit request'));
+          }
+        },
+        error: (error) => {
+          console.error('Error resubmitting request:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to resubmit request. Please try again.'));
+        }
+      });
+    }
+  }
+
+  /**
+   * Whether the signed-in user requested this book
+   */
+  get isRequester(): boolean {
+    return !!this.book?.requestedBy && this.book.requestedBy._id === this.authService.getCurrentUser()?.id;
+  }
+
+  /**
+   * Whether the signed-in user can see the request's discussion (reviewers and the requester)
+   */
+  get canDiscuss(): boolean {
+    return this.authService.hasPermission('books:approve') || this.isRequester;
+  }
+
+  loadCopies(): void {
+    this.bookService.getCopies(this.bookId).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.copies = response.data;
+        }
+      },
+      error: (error) => {
+        console.error('Error loading copies:', error);
+      }
+    });
+  }
+
+  addCopy(): void {
+    const barcode = this.newBarcode.trim();
+    if (!barcode) return;
+    this.bookService.addCopy(this.bookId, { barcode }).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.newBarcode = '';
+          this.loadBook(); // Availability may change with the new copy
+        } else {
+          alert('Error: ' + (response.message || 'Failed to add copy'));
+        }
+      },
+      error: (error) => {
+        console.error('Error adding copy:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to add copy. Please try again.'));
+      }
+    });
+  }
+
+  get availableCopies(): number {
+    return this.copies.filter(copy => copy.status === 'available').length;
+  }
+
+  loadHolds(): void {
+    this.bookService.getHolds(this.bookId).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.holds = response.data;
+        }
+      },
+      error: (error) => {
+        console.error('Error loading holds:', error);
+      }
+    });
+  }
+
+  getHolderName(hold: Hold): string {
+    return typeof hold.member === 'string' ? hold.member : `${hold.member.name} (${hold.member.membershipId})`;
+  }
+
+  get waitingHolds(): Hold[] {
+    return this.holds.filter(hold => hold.status === 'waiting');
+  }
+
+  placeHold(): void {
+    if (!this.bookId) return;
+    this.bookService.placeHold(this.bookId).subscribe({
+      next: (response) => {
+        if (response.success) {
+          alert(`Hold placed! You are number ${response.data.queuePosition} in the queue.`);
+        } else {
+          alert('Error: ' + (response.message || 'Failed to place hold'));
+        }
+      },
+      error: (error) => {
+        console.error('Error placing hold:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to place hold. Please try again.'));
+      }
+    });
+  }
+
+  cancelHold(hold: Hold): void {
+    if (confirm('Are you sure you want to cancel this hold?')) {
+      this.bookService.cancelHold(this.bookId, hold._id).subscribe({
+        next: () => this.loadBook(), // Cancelling a ready hold can change availability
+        error: (error) => {
+          console.error('Error cancelling hold:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to cancel hold. Please try again.'));
+        }
+      });
+    }
+  }
+
+  moveHold(hold: Hold, offset: number): void {
+    const order = this.waitingHolds.map(h => h._id);
+    const index = order.indexOf(hold._id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    this.bookService.reorderHolds(this.bookId, order).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.holds = response.data;
+        }
+      },
+      error: (error) => {
+        console.error('Error reordering holds:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to reorder holds. Please try again.'));
+        this.loadHolds();
+      }
+    });
+  }
+
+  purgeHolds(): void {
+    if (confirm('Are you sure you want to cancel every hold on this book?')) {
+      this.bookService.purgeHolds(this.bookId).subscribe({
+        next: () => this.loadBook(),
+        error: (error) => {
+          console.error('Error purging holds:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to purge holds. Please try again.'));
+        }
+      });
+    }
+  }
 }
@@ -4,7 +4,7 @@ import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angula
 import { ActivatedRoute, Router, RouterModule } from '@angular/router';
 import { BookService } from '../../services/book.service';
 import { AuthService } from '../../services/auth.service';
-import { Book } from '../../models/book.model';
+import { ApprovalStatus } from '../../models/book.model';
 
 @Component({
   selector: 'app-book-form',
@@ -19,7 +19,9 @@ export class BookFormComponent implements OnInit {
   bookId: string = '';
   isLoading: boolean = false;
   errorMessage: string = '';
-  isAdmin: boolean = false;
+  canManageBooks: boolean = false;
+  needsEmailVerification: boolean = false;
+  approvalStatus?: ApprovalStatus;
 
   constructor(
     private fb: FormBuilder,
@@ -31,15 +33,15 @@ export class BookFormComponent implements OnInit {
     this.bookForm = this.fb.group({
       title: ['', [Validators.required]],
       author: ['', [Validators.required]],
-      ISBN: ['', [Validators.required]],
-      category: ['', [Validators.required]],
-      availability: [true]
+      ISBN: ['', [Validators.required, Validators.pattern(/^[\d\s-]*[\dXx]$/)]],
+      category: ['', [Validators.required]]
     });
   }
 
   ngOnInit(): void {
     this.bookId = this.route.snapshot.paramMap.get('id') || '';
-    this.isAdmin = this.authService.isAdmin();
+    this.canManageBooks = this.authService.hasPermission('books:manage');
+    this.needsEmailVerification = this.authService.needsEmailVerification();
     if (this.bookId) {
       this.isEditMode = true;
       this.loadBook();
@@ -51,7 +53,12 @@ export class BookFormComponent implements OnInit {
     this.bookService.getBook(this.bookId).subscribe({
       next: (response) => {
         if (response.success && response.data) {
-          this.bookForm.patchValue(response.data);
+          // Edit the ISBN as it was entered rather than its canonical ISBN-13
+          this.bookForm.patchValue({
+            ...response.data,
+            ISBN: response.data.originalISBN || response.data.ISBN
+          });
+          this.approvalStatus = response.data.approvalStatus;
         }
         this.isLoading = false;
       },
@@ -63,6 +70,19 @@ export class BookFormComponent implements OnInit {
     });
   }
 
+  /**
+   * Whether a requester is changing a rejected or withdrawn request, which resubmits it for review
+   */
+  get isResubmit(): boolean {
+    return !this.canManageBooks && (this.approvalStatus === 'rejected' || this.approvalStatus === 'withdrawn');
+  }
+
+  get title(): string {
+    if (!this.isEditMode) return 'Create New Book';
+    if (this.canManageBooks) return 'Edit Book';
+    return this.isResubmit ? 'Edit & Resubmit Request' : 'Edit Book Request';
+  }
+
   onSubmit(): void {
     if (this.bookForm.valid) {
       this.isLoading = true;
@@ -71,7 +91,13 @@ export class BookFormComponent implements OnInit {
       const bookData = this.bookForm.value;
 
       if (this.isEditMode) {
-        this.bookService.updateBook(this.bookId, bookData).subscribe({
+        // Staff edit the book; requesters revise a pending request or resubmit a decided one
+        const request = this.canManageBooks
+          ? this.bookService.updateBook(this.bookId, bookData)
+          : this.isResubmit
+            ? this.bookService.resubmitBookRequest(this.bookId, bookData)
+            : this.bookService.reviseBookRequest(this.bookId, bookData);
+        request.subscribe({
           next: (response) => {
             this.isLoading = false;
             if (response.success) {
@@ -95,7 +121,7 @@ export class BookFormComponent implements OnInit {
             this.isLoading = false;
             if (response.success && response.data) {
               // Show success message
-              const message = this.isAdmin 
+              const message = this.canManageBooks 
                 ? 'Book created successfully!' 
                 : 'Book request submitted successfully! It will be reviewed by an admin.';
               alert(message);
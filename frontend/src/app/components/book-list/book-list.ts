@@ -3,7 +3,9 @@ import { CommonModule } from '@angular/common';
 import { RouterModule } from '@angular/router';
 import { FormsModule } from '@angular/forms';
 import { BookService } from '../../services/book.service';
+import { AuthService } from '../../services/auth.service';
 import { Book } from '../../models/book.model';
+import { BookExportFormat } from '../../models/export.model';
 
 @Component({
   selector: 'app-book-list',
@@ -14,42 +16,70 @@ import { Book } from '../../models/book.model';
 })
 export class BookListComponent implements OnInit {
   books: Book[] = [];
-  filteredBooks: Book[] = [];
+  categories: string[] = [];
   isLoading: boolean = false;
   searchTerm: string = '';
   selectedCategory: string = '';
+  page: number = 1;
+  pages: number = 0;
+  total: number = 0;
+  private searchTimer?: ReturnType<typeof setTimeout>;
 
-  constructor(private bookService: BookService) {}
+  constructor(
+    private bookService: BookService,
+    public authService: AuthService
+  ) {}
 
   ngOnInit(): void {
+    this.loadCategories();
     this.loadBooks();
   }
 
   loadBooks(): void {
     this.isLoading = true;
-    this.bookService.getBooks().subscribe({
+    this.bookService.getBooks({
+      q: this.searchTerm,
+      category: this.selectedCategory,
+      page: this.page
+    }).subscribe({
       next: (response) => {
         if (response.success && response.data) {
           this.books = response.data;
-          this.filteredBooks = response.data;
+          this.total = response.total ?? response.count;
+          this.pages = response.pages ?? 1;
         } else {
           this.books = [];
-          this.filteredBooks = [];
+          this.total = 0;
+          this.pages = 0;
         }
         this.isLoading = false;
       },
       error: (error) => {
         console.error('Error loading books:', error);
         this.books = [];
-        this.filteredBooks = [];
         this.isLoading = false;
         alert('Error: ' + (error.error?.message || 'Failed to load books. Please try again.'));
       }
     });
   }
 
+  loadCategories(): void {
+    this.bookService.getCategories().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.categories = response.data;
+        }
+      },
+      error: (error) => {
+        console.error('Error loading categories:', error);
+      }
+    });
+  }
+
   onSearch(): void {
-    this.applyFilters();
+    // Wait until the user stops typing before querying the server
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.applyFilters(), 300);
   }
 
   onCategoryChange(): void {
@@ -57,19 +87,37 @@ export class BookListComponent implements OnInit {
   }
 
   applyFilters(): void {
-    this.filteredBooks = this.books.filter(book => {
-      const matchesSearch = !this.searchTerm || 
-        book.title.toLowerCase().includes(this.searchTerm.toLowerCase()) ||
-        book.author.toLowerCase().includes(this.searchTerm.toLowerCase()) ||
-        book.ISBN.toLowerCase().includes(this.searchTerm.toLowerCase());
-      
-      const matchesCategory = !this.selectedCategory || book.category === this.selectedCategory;
-      
-      return matchesSearch && matchesCategory;
+    this.page = 1;
+    this.loadBooks();
+  }
+
+  goToPage(page: number): void {
+    if (page < 1 || page > this.pages) return;
+    this.page = page;
+    this.loadBooks();
+  }
+
+  exportBooks(format: BookExportFormat): void {
+    // Export everything matching the current filters, not just this page
+    this.bookService.exportBooks({
+      q: this.searchTerm,
+      category: this.selectedCategory
+    }, format).subscribe({
+      next: (file) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(file);
+        link.download = `books-${new Date().toISOString().slice(0, 10)}.${format === 'marcxml' ? 'xml' : format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+      },
+      error: (error) => {
+        console.error('Error exporting books:', error);
+        alert('Error: Failed to export books. Please try again.');
+      }
     });
   }
 
-  getCategories(): string[] {
-    return [...new Set(this.books.map(book => book.category))];
+  hasFilters(): boolean {
+    return !!this.searchTerm || !!this.selectedCategory;
   }
 }
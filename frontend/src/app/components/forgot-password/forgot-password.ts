@@ -0,0 +1,55 @@
+import { Component } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
+import { RouterModule } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+/**
+ * Forgot Password Component
+ * 
+ * Requests a password reset link by email.
+ */
+@Component({
+  selector: 'app-forgot-password',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, RouterModule],
+  templateUrl: './forgot-password.html',
+  styleUrl: './forgot-password.css'
+})
+export class ForgotPasswordComponent {
+  form: FormGroup;
+  isLoading: boolean = false;
+  message: string = '';
+  errorMessage: string = '';
+
+  constructor(
+    private fb: FormBuilder,
+    private authService: AuthService
+  ) {
+    this.form = this.fb.group({
+      email: ['', [Validators.required, Validators.email]]
+    });
+  }
+
+  onSubmit(): void {
+    if (this.form.invalid) {
+      this.form.get('email')?.markAsTouched();
+      return;
+    }
+
+    this.isLoading = true;
+    this.message = '';
+    this.errorMessage = '';
+    this.authService.forgotPassword(this.form.value.email).subscribe({
+      next: (response) => {
+        this.isLoading = false;
+        this.message = response.message;
+      },
+      error: (error) => {
+        console.error('Error requesting password reset:', error);
+        this.isLoading = false;
+        this.errorMessage = error.error?.message || 'Failed to request a password reset. Please try again.';
+      }
+    });
+  }
+}
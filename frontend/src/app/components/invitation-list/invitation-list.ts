@@ -0,0 +1,123 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterModule } from '@angular/router';
+import { InvitationService } from '../../services/invitation.service';
+import { RoleService } from '../../services/role.service';
+import { Invitation, InvitationStatus } from '../../models/invitation.model';
+
+/**
+ * Invitation List Component
+ * 
+ * Lets admins invite people to create an account with a pre-assigned role,
+ * and lists and revokes the invitations sent so far.
+ */
+@Component({
+  selector: 'app-invitation-list',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterModule],
+  templateUrl: './invitation-list.html',
+  styleUrl: './invitation-list.css'
+})
+export class InvitationListComponent implements OnInit {
+  invitations: Invitation[] = [];
+  status: InvitationStatus | '' = 'pending';
+  page: number = 1;
+  pages: number = 1;
+  isLoading: boolean = false;
+  errorMessage: string = '';
+
+  newEmail: string = '';
+  newRole: string = 'Member';
+  roles: string[] = ['Member'];
+  isSending: boolean = false;
+
+  constructor(
+    private invitationService: InvitationService,
+    private roleService: RoleService
+  ) {}
+
+  ngOnInit(): void {
+    this.loadRoles();
+    this.loadInvitations();
+  }
+
+  /**
+   * Load the defined roles for the role select
+   */
+  loadRoles(): void {
+    this.roleService.getRoles().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.roles = response.data.map(role => role.name);
+        }
+      },
+      error: (error) => console.error('Error loading roles:', error)
+    });
+  }
+
+  loadInvitations(page: number = 1): void {
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.invitationService.getInvitations(this.status || undefined, page).subscribe({
+      next: (response) => {
+        this.invitations = response.success ? response.data : [];
+        this.page = response.page || 1;
+        this.pages = response.pages || 1;
+        this.isLoading = false;
+      },
+      error: (error) => {
+        console.error('Error loading invitations:', error);
+        this.errorMessage = error.error?.message || 'Failed to load invitations. Please try again.';
+        this.isLoading = false;
+      }
+    });
+  }
+
+  sendInvitation(): void {
+    const email = this.newEmail.trim();
+    if (!email) return;
+
+    this.isSending = true;
+    this.invitationService.createInvitation(email, this.newRole).subscribe({
+      next: (response) => {
+        this.isSending = false;
+        if (response.success) {
+          this.newEmail = '';
+          alert(response.message || 'Invitation sent');
+          this.loadInvitations();
+        } else {
+          alert('Error: ' + (response.message || 'Failed to send invitation'));
+        }
+      },
+      error: (error) => {
+        console.error('Error sending invitation:', error);
+        this.isSending = false;
+        alert('Error: ' + (error.error?.message
+          || error.error?.errors?.map((e: any) => e.msg).join(', ')
+          || 'Failed to send invitation. Please try again.'));
+      }
+    });
+  }
+
+  revokeInvitation(invitation: Invitation): void {
+    if (confirm(`Revoke the invitation for ${invitation.email}? The link will stop working.`)) {
+      this.invitationService.revokeInvitation(invitation._id).subscribe({
+        next: () => this.loadInvitations(this.page),
+        error: (error) => {
+          console.error('Error revoking invitation:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to revoke invitation. Please try again.'));
+        }
+      });
+    }
+  }
+
+  getStatusClass(status: InvitationStatus): string {
+    switch (status) {
+      case 'pending': return 'bg-warning text-dark';
+      case 'accepted': return 'bg-success';
+      case 'revoked': return 'bg-danger';
+      default: return 'bg-secondary';
+    }
+  }
+}
@@ -50,8 +50,7 @@ export class LoginComponent {
       this.authService.login(this.loginForm.value).subscribe({
         next: (response) => {
           this.isLoading = false;
-          const user = this.authService.getCurrentUser();
-          if (user?.role === 'Admin') {
+          if (this.authService.isStaff()) {
             this.router.navigate(['/admin/dashboard']);
           } else {
             this.router.navigate(['/books']);
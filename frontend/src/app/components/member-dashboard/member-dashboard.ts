@@ -28,12 +28,14 @@ export class MemberDashboardComponent implements OnInit {
 
   loadMembers(): void {
     this.isLoading = true;
-    this.memberService.getMembers().subscribe({
+    this.memberService.getMembers({ limit: 100, sort: '-createdAt' }).subscribe({
       next: (response) => {
         if (response.success && response.data) {
           this.members = response.data;
+          this.stats.total = response.total ?? this.members.length;
         } else {
           this.members = [];
+          this.stats.total = 0;
         }
         this.calculateStats();
         this.isLoading = false;
@@ -41,6 +43,7 @@ export class MemberDashboardComponent implements OnInit {
       error: (error) => {
         console.error('Error loading members:', error);
         this.members = [];
+        this.stats.total = 0;
         this.calculateStats();
         this.isLoading = false;
         alert('Error: ' + (error.error?.message || 'Failed to load members. Please try again.'));
@@ -49,9 +52,20 @@ export class MemberDashboardComponent implements OnInit {
   }
 
   calculateStats(): void {
-    this.stats.total = this.members.length;
+    // The list only holds the latest page, so admins are counted by the server
     this.stats.admins = this.members.filter(m => m.role === 'Admin').length;
     this.stats.regularMembers = this.stats.total - this.stats.admins;
+    this.memberService.getMembers({ role: 'Admin', limit: 1 }).subscribe({
+      next: (response) => {
+        if (response.success && response.total !== undefined) {
+          this.stats.admins = response.total;
+          this.stats.regularMembers = this.stats.total - this.stats.admins;
+        }
+      },
+      error: (error) => {
+        console.error('Error counting admins:', error);
+      }
+    });
   }
 
   deleteMember(id: string): void {
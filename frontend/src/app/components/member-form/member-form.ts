@@ -3,6 +3,7 @@ import { CommonModule } from '@angular/common';
 import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
 import { ActivatedRoute, Router, RouterModule } from '@angular/router';
 import { MemberService } from '../../services/member.service';
+import { RoleService } from '../../services/role.service';
 import { Member } from '../../models/member.model';
 
 @Component({
@@ -18,12 +19,14 @@ export class MemberFormComponent implements OnInit {
   memberId: string = '';
   isLoading: boolean = false;
   errorMessage: string = '';
+  roles: string[] = ['Member'];
 
   constructor(
     private fb: FormBuilder,
     private route: ActivatedRoute,
     private router: Router,
-    private memberService: MemberService
+    private memberService: MemberService,
+    private roleService: RoleService
   ) {
     this.memberForm = this.fb.group({
       name: ['', [Validators.required, Validators.minLength(2)]],
@@ -34,6 +37,7 @@ export class MemberFormComponent implements OnInit {
   }
 
   ngOnInit(): void {
+    this.loadRoles();
     this.memberId = this.route.snapshot.paramMap.get('id') || '';
     if (this.memberId) {
       this.isEditMode = true;
@@ -41,6 +45,20 @@ export class MemberFormComponent implements OnInit {
     }
   }
 
+  /**
+   * Load the defined roles for the role select
+   */
+  loadRoles(): void {
+    this.roleService.getRoles().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.roles = response.data.map(role => role.name);
+        }
+      },
+      error: (error) => console.error('Error loading roles:', error)
+    });
+  }
+
   loadMember(): void {
     this.isLoading = true;
     this.memberService.getMember(this.memberId).subscribe({
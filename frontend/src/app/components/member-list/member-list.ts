@@ -1,20 +1,23 @@
 import { Component, OnInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { RouterModule } from '@angular/router';
+import { FormsModule } from '@angular/forms';
 import { MemberService } from '../../services/member.service';
 import { AuthService } from '../../services/auth.service';
+import { RoleService } from '../../services/role.service';
 import { Member } from '../../models/member.model';
+import { ExportFormat } from '../../models/export.model';
 
 /**
  * Member List Component
  * 
- * Displays a list of all library members.
- * Admins can see an "Add Member" button to create new members.
+ * Displays a searchable, paginated list of library members.
+ * Staff who manage members can see an "Add Member" button to create new members.
  */
 @Component({
   selector: 'app-member-list',
   standalone: true,
-  imports: [CommonModule, RouterModule],
+  imports: [CommonModule, RouterModule, FormsModule],
   templateUrl: './member-list.html',
   styleUrl: './member-list.css'
 })
@@ -22,25 +25,58 @@ export class MemberListComponent implements OnInit {
   members: Member[] = [];
   isLoading: boolean = false;
   errorMessage: string = '';
+  searchTerm: string = '';
+  selectedRole: string = '';
+  roles: string[] = [];
+  overdueOnly: boolean = false;
+  page: number = 1;
+  pages: number = 0;
+  total: number = 0;
+  private searchTimer?: ReturnType<typeof setTimeout>;
 
   constructor(
     private memberService: MemberService,
-    public authService: AuthService
+    public authService: AuthService,
+    private roleService: RoleService
   ) {}
 
   ngOnInit(): void {
+    this.loadRoles();
     this.loadMembers();
   }
 
+  /**
+   * Load the defined roles for the role select
+   */
+  loadRoles(): void {
+    this.roleService.getRoles().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.roles = response.data.map(role => role.name);
+        }
+      },
+      error: (error) => console.error('Error loading roles:', error)
+    });
+  }
+
   loadMembers(): void {
     this.isLoading = true;
     this.errorMessage = '';
-    this.memberService.getMembers().subscribe({
+    this.memberService.getMembers({
+      q: this.searchTerm,
+      role: this.selectedRole || undefined,
+      hasOverdue: this.overdueOnly || undefined,
+      page: this.page
+    }).subscribe({
       next: (response) => {
         if (response.success && response.data) {
           this.members = response.data;
+          this.total = response.total ?? response.count;
+          this.pages = response.pages ?? 1;
         } else {
           this.members = [];
+          this.total = 0;
+          this.pages = 0;
         }
         this.isLoading = false;
       },
@@ -52,4 +88,46 @@ export class MemberListComponent implements OnInit {
       }
     });
   }
+
+  onSearch(): void {
+    // Wait until the user stops typing before querying the server
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.applyFilters(), 300);
+  }
+
+  applyFilters(): void {
+    this.page = 1;
+    this.loadMembers();
+  }
+
+  goToPage(page: number): void {
+    if (page < 1 || page > this.pages) return;
+    this.page = page;
+    this.loadMembers();
+  }
+
+  exportMembers(format: ExportFormat): void {
+    // Export everything matching the current filters, not just this page
+    this.memberService.exportMembers({
+      q: this.searchTerm,
+      role: this.selectedRole || undefined,
+      hasOverdue: this.overdueOnly || undefined
+    }, format).subscribe({
+      next: (file) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(file);
+        link.download = `members-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+      },
+      error: (error) => {
+        console.error('Error exporting members:', error);
+        this.errorMessage = 'Failed to export members. Please try again.';
+      }
+    });
+  }
+
+  hasFilters(): boolean {
+    return !!this.searchTerm || !!this.selectedRole || this.overdueOnly;
+  }
 }
@@ -0,0 +1,124 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { NotificationService } from '../../services/notification.service';
+import { AppNotification, NotificationPreference } from '../../models/notification.model';
+
+/**
+ * Notification List Component
+ * 
+ * The current user's notification inbox: lists notifications newest first,
+ * marks them as read when opened (or all at once) and lets the user choose
+ * which types of notification they receive.
+ */
+@Component({
+  selector: 'app-notification-list',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './notification-list.html',
+  styleUrl: './notification-list.css'
+})
+export class NotificationListComponent implements OnInit {
+  notifications: AppNotification[] = [];
+  unreadCount: number = 0;
+  unreadOnly: boolean = false;
+  page: number = 1;
+  pages: number = 1;
+  isLoading: boolean = false;
+  errorMessage: string = '';
+
+  preferences: NotificationPreference[] = [];
+  isSavingPreferences: boolean = false;
+
+  constructor(
+    private notificationService: NotificationService,
+    private router: Router
+  ) {}
+
+  ngOnInit(): void {
+    this.loadNotifications();
+    this.loadPreferences();
+  }
+
+  loadNotifications(page: number = 1): void {
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.notificationService.getNotifications(this.unreadOnly, page).subscribe({
+      next: (response) => {
+        this.notifications = response.success ? response.data : [];
+        this.unreadCount = response.unreadCount;
+        this.page = response.page || 1;
+        this.pages = response.pages || 1;
+        this.isLoading = false;
+      },
+      error: (error) => {
+        console.error('Error loading notifications:', error);
+        this.errorMessage = error.error?.message || 'Failed to load notifications. Please try again.';
+        this.isLoading = false;
+      }
+    });
+  }
+
+  loadPreferences(): void {
+    this.notificationService.getPreferences().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.preferences = response.data;
+        }
+      },
+      error: (error) => console.error('Error loading notification preferences:', error)
+    });
+  }
+
+  /**
+   * Mark a notification as read and follow its link
+   */
+  open(notification: AppNotification): void {
+    if (!notification.readAt) {
+      this.markRead(notification);
+    }
+    if (notification.link) {
+      this.router.navigateByUrl(notification.link);
+    }
+  }
+
+  markRead(notification: AppNotification): void {
+    this.notificationService.markRead(notification._id).subscribe({
+      next: (response) => {
+        if (response.success) {
+          notification.readAt = response.data.readAt;
+          this.unreadCount = response.unreadCount;
+        }
+      },
+      error: (error) => console.error('Error marking notification as read:', error)
+    });
+  }
+
+  markAllRead(): void {
+    this.notificationService.markAllRead().subscribe({
+      next: () => this.loadNotifications(),
+      error: (error) => {
+        console.error('Error marking notifications as read:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to mark notifications as read. Please try again.'));
+      }
+    });
+  }
+
+  togglePreference(preference: NotificationPreference): void {
+    this.isSavingPreferences = true;
+    this.notificationService.updatePreferences({ [preference.type]: !preference.enabled }).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.preferences = response.data;
+        }
+        this.isSavingPreferences = false;
+      },
+      error: (error) => {
+        console.error('Error updating notification preferences:', error);
+        this.isSavingPreferences = false;
+        alert('Error: ' + (error.error?.message || 'Failed to update preferences. Please try again.'));
+      }
+    });
+  }
+}
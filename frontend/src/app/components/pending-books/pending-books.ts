@@ -3,18 +3,20 @@ import { CommonModule } from '@angular/common';
 import { RouterModule } from '@angular/router';
 import { BookService } from '../../services/book.service';
 import { Book } from '../../models/book.model';
+import { BookCommentsComponent } from '../book-comments/book-comments';
 
 /**
  * Pending Books Component
  * 
  * This component displays all book requests that are pending admin approval.
  * Only accessible by administrators.
- * Admins can approve or reject book requests from this page.
+ * Admins can approve or reject book requests from this page, and discuss
+ * them with the requester before deciding.
  */
 @Component({
   selector: 'app-pending-books',
   standalone: true,
-  imports: [CommonModule, RouterModule],
+  imports: [CommonModule, RouterModule, BookCommentsComponent],
   templateUrl: './pending-books.html',
   styleUrl: './pending-books.css'
 })
@@ -22,6 +24,7 @@ export class PendingBooksComponent implements OnInit {
   pendingBooks: Book[] = [];
   isLoading: boolean = false;
   errorMessage: string = '';
+  openDiscussions = new Set<string>();
 
   constructor(private bookService: BookService) {}
 
@@ -85,8 +88,10 @@ export class PendingBooksComponent implements OnInit {
   rejectBook(bookId: string | undefined): void {
     if (!bookId) return;
 
-    if (confirm('Are you sure you want to reject this book request? It will not be visible to users.')) {
-      this.bookService.rejectBook(bookId).subscribe({
+    // null when the admin cancels; an empty reason is allowed
+    const reason = prompt('Reject this book request? It will not be visible to users.\n\nReason (optional, shown to the requester):');
+    if (reason !== null) {
+      this.bookService.rejectBook(bookId, reason.trim()).subscribe({
         next: (response) => {
           if (response.success) {
             alert('Book rejected successfully!');
@@ -103,6 +108,18 @@ export class PendingBooksComponent implements OnInit {
     }
   }
 
+  /**
+   * Show or hide the discussion thread of a book request
+   */
+  toggleDiscussion(bookId: string | undefined): void {
+    if (!bookId) return;
+    if (this.openDiscussions.has(bookId)) {
+      this.openDiscussions.delete(bookId);
+    } else {
+      this.openDiscussions.add(bookId);
+    }
+  }
+
   /**
    * Format date for display
    */
@@ -1,5 +1,6 @@
 import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule, DatePipe } from '@angular/common';
+import { FormBuilder, FormGroup, Validators, ReactiveFormsModule } from '@angular/forms';
 import { RouterModule, Router } from '@angular/router';
 import { AuthService } from '../../services/auth.service';
 import { User } from '../../models/user.model';
@@ -9,13 +10,14 @@ import { catchError } from 'rxjs/operators';
 /**
  * Profile Component
  * 
- * Displays the current user's profile information.
+ * Displays the current user's profile information and lets them change
+ * their name, email address and password.
  * Handles loading states and errors gracefully.
  */
 @Component({
   selector: 'app-profile',
   standalone: true,
-  imports: [CommonModule, RouterModule, DatePipe],
+  imports: [CommonModule, ReactiveFormsModule, RouterModule, DatePipe],
   templateUrl: './profile.html',
   styleUrl: './profile.css'
 })
@@ -23,12 +25,37 @@ export class ProfileComponent implements OnInit, OnDestroy {
   user: User | null = null;
   isLoading: boolean = false;
   errorMessage: string = '';
+  isSendingVerification: boolean = false;
+  isEditing: boolean = false;
+  isSavingProfile: boolean = false;
+  isChangingPassword: boolean = false;
+  profileForm: FormGroup;
+  passwordForm: FormGroup;
   private subscription: Subscription | null = null;
 
   constructor(
+    private fb: FormBuilder,
     private authService: AuthService,
     private router: Router
-  ) {}
+  ) {
+    this.profileForm = this.fb.group({
+      name: ['', [Validators.required, Validators.minLength(2)]],
+      email: ['', [Validators.required, Validators.email]],
+      currentPassword: ['']
+    });
+    this.passwordForm = this.fb.group({
+      currentPassword: ['', Validators.required],
+      newPassword: ['', [Validators.required, Validators.minLength(6)]]
+    });
+  }
+
+  /**
+   * Whether the edited email address differs from the current one (then the password is required)
+   */
+  get emailChanged(): boolean {
+    const email = (this.profileForm.get('email')?.value || '').trim().toLowerCase();
+    return !!this.user && email !== this.user.email.toLowerCase();
+  }
 
   ngOnInit(): void {
     // First try to get user from local storage (faster)
@@ -107,6 +134,106 @@ export class ProfileComponent implements OnInit, OnDestroy {
       });
   }
 
+  /**
+   * Show the profile form filled with the current values
+   */
+  startEditing(): void {
+    if (!this.user) return;
+    this.profileForm.reset({ name: this.user.name, email: this.user.email, currentPassword: '' });
+    this.isEditing = true;
+  }
+
+  cancelEditing(): void {
+    this.isEditing = false;
+  }
+
+  /**
+   * Save the name and email address; a new email address has to be verified again
+   */
+  saveProfile(): void {
+    if (this.profileForm.invalid || (this.emailChanged && !this.profileForm.value.currentPassword)) {
+      this.profileForm.markAllAsTouched();
+      return;
+    }
+
+    const { name, email, currentPassword } = this.profileForm.value;
+    this.isSavingProfile = true;
+    this.authService.updateProfile(this.emailChanged ? { name, email, currentPassword } : { name }).subscribe({
+      next: (response) => {
+        this.isSavingProfile = false;
+        this.isEditing = false;
+        this.user = { ...this.user, ...response.user };
+        alert(response.message);
+      },
+      error: (error) => {
+        console.error('Error updating profile:', error);
+        this.isSavingProfile = false;
+        alert('Error: ' + (error.error?.message
+          || error.error?.errors?.map((e: any) => e.msg).join(', ')
+          || 'Failed to update profile. Please try again.'));
+      }
+    });
+  }
+
+  /**
+   * Change the password; other devices are signed out
+   */
+  changePassword(): void {
+    if (this.passwordForm.invalid) {
+      this.passwordForm.markAllAsTouched();
+      return;
+    }
+
+    this.isChangingPassword = true;
+    this.authService.changePassword(this.passwordForm.value).subscribe({
+      next: (response) => {
+        this.isChangingPassword = false;
+        this.passwordForm.reset();
+        alert(response.message);
+      },
+      error: (error) => {
+        console.error('Error changing password:', error);
+        this.isChangingPassword = false;
+        alert('Error: ' + (error.error?.message
+          || error.error?.errors?.map((e: any) => e.msg).join(', ')
+          || 'Failed to change password. Please try again.'));
+      }
+    });
+  }
+
+  /**
+   * Email a new verification link to the current user
+   */
+  resendVerification(): void {
+    this.isSendingVerification = true;
+    this.authService.resendVerification().subscribe({
+      next: (response) => {
+        this.isSendingVerification = false;
+        alert(response.message);
+      },
+      error: (error) => {
+        console.error('Error resending verification email:', error);
+        this.isSendingVerification = false;
+        alert('Error: ' + (error.error?.message || 'Failed to send verification email. Please try again.'));
+      }
+    });
+  }
+
+  /**
+   * Logout the current user from every device, e.g. after losing one
+   */
+  logoutAll(): void {
+    if (confirm('Log out on all devices, including this one?')) {
+      this.authService.logoutAll().subscribe({
+        next: () => this.router.navigate(['/login']),
+        error: (error) => {
+          console.error('Error logging out:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to log out. Please try again.'));
+        }
+      });
+    }
+  }
+
   /**
    * Logout the current user
    */
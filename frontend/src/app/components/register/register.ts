@@ -31,8 +31,7 @@ export class RegisterComponent {
     this.registerForm = this.fb.group({
       name: ['', [Validators.required, Validators.minLength(2)]],
       email: ['', [Validators.required, Validators.email]],
-      password: ['', [Validators.required, Validators.minLength(6)]],
-      role: ['Member']
+      password: ['', [Validators.required, Validators.minLength(6)]]
     });
   }
 
@@ -57,7 +56,7 @@ export class RegisterComponent {
           setTimeout(() => {
             const user = this.authService.getCurrentUser();
             console.log('Current user after registration:', user);
-            if (user?.role === 'Admin') {
+            if (this.authService.isStaff()) {
               this.router.navigate(['/admin/dashboard']);
             } else {
               this.router.navigate(['/books']);
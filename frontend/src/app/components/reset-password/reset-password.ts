@@ -0,0 +1,66 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { AbstractControl, FormBuilder, FormGroup, ValidationErrors, Validators, ReactiveFormsModule } from '@angular/forms';
+import { ActivatedRoute, RouterModule } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+/**
+ * Reset Password Component
+ * 
+ * Sets a new password with the token from a password reset email
+ * (/reset-password?token=...).
+ */
+@Component({
+  selector: 'app-reset-password',
+  standalone: true,
+  imports: [CommonModule, ReactiveFormsModule, RouterModule],
+  templateUrl: './reset-password.html',
+  styleUrl: './reset-password.css'
+})
+export class ResetPasswordComponent implements OnInit {
+  form: FormGroup;
+  token: string = '';
+  isLoading: boolean = false;
+  isDone: boolean = false;
+  errorMessage: string = '';
+
+  constructor(
+    private fb: FormBuilder,
+    private route: ActivatedRoute,
+    private authService: AuthService
+  ) {
+    this.form = this.fb.group({
+      password: ['', [Validators.required, Validators.minLength(6)]],
+      confirmPassword: ['', Validators.required]
+    }, { validators: this.passwordsMatch });
+  }
+
+  ngOnInit(): void {
+    this.token = this.route.snapshot.queryParamMap.get('token') || '';
+  }
+
+  private passwordsMatch(group: AbstractControl): ValidationErrors | null {
+    return group.get('password')?.value === group.get('confirmPassword')?.value ? null : { mismatch: true };
+  }
+
+  onSubmit(): void {
+    if (this.form.invalid || !this.token) {
+      this.form.markAllAsTouched();
+      return;
+    }
+
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.authService.resetPassword(this.token, this.form.value.password).subscribe({
+      next: () => {
+        this.isLoading = false;
+        this.isDone = true;
+      },
+      error: (error) => {
+        console.error('Error resetting password:', error);
+        this.isLoading = false;
+        this.errorMessage = error.error?.message || 'Failed to reset password. Please try again.';
+      }
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ActivatedRoute, RouterModule } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+/**
+ * Verify Email Component
+ * 
+ * Confirms an email address with the token from a verification email
+ * (/verify-email?token=...).
+ */
+@Component({
+  selector: 'app-verify-email',
+  standalone: true,
+  imports: [CommonModule, RouterModule],
+  templateUrl: './verify-email.html',
+  styleUrl: './verify-email.css'
+})
+export class VerifyEmailComponent implements OnInit {
+  isLoading: boolean = false;
+  isVerified: boolean = false;
+  errorMessage: string = '';
+
+  constructor(
+    private route: ActivatedRoute,
+    public authService: AuthService
+  ) {}
+
+  ngOnInit(): void {
+    const token = this.route.snapshot.queryParamMap.get('token');
+    if (!token) {
+      this.errorMessage = 'This link is incomplete. Please use the link from your email.';
+      return;
+    }
+
+    this.isLoading = true;
+    this.authService.verifyEmail(token).subscribe({
+      next: () => {
+        this.isLoading = false;
+        this.isVerified = true;
+        // Pick up the new status if the user is signed in on this device
+        if (this.authService.isAuthenticated()) {
+          this.authService.getProfile().subscribe({
+            error: (error) => console.error('Error refreshing profile:', error)
+          });
+        }
+      },
+      error: (error) => {
+        console.error('Error verifying email:', error);
+        this.isLoading = false;
+        this.errorMessage = error.error?.message || 'Failed to verify email address. Please try again.';
+      }
+    });
+  }
+}
@@ -0,0 +1,218 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { WebhookService } from '../../services/webhook.service';
+import { Webhook, WebhookDelivery, WebhookDeliveryStatus, WebhookEvent } from '../../models/webhook.model';
+
+/**
+ * Webhook List Component
+ * 
+ * Lets admins register webhook endpoints for library events, pause, rotate
+ * and delete them, and inspect and redeliver a webhook's deliveries. A
+ * signing secret is shown once, right after it is created.
+ */
+@Component({
+  selector: 'app-webhook-list',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './webhook-list.html',
+  styleUrl: './webhook-list.css'
+})
+export class WebhookListComponent implements OnInit {
+  webhooks: Webhook[] = [];
+  events: WebhookEvent[] = [];
+  isLoading: boolean = false;
+  errorMessage: string = '';
+
+  newUrl: string = '';
+  newDescription: string = '';
+  newEvents: Set<string> = new Set();
+  isCreating: boolean = false;
+  revealedSecret: string = '';
+
+  // Delivery log of the selected webhook
+  selected: Webhook | null = null;
+  deliveries: WebhookDelivery[] = [];
+  deliveryStatus: WebhookDeliveryStatus | '' = '';
+  deliveryPage: number = 1;
+  deliveryPages: number = 1;
+  isLoadingDeliveries: boolean = false;
+  expandedDeliveryId: string | null = null;
+
+  constructor(private webhookService: WebhookService) {}
+
+  ngOnInit(): void {
+    this.loadEvents();
+    this.loadWebhooks();
+  }
+
+  loadEvents(): void {
+    this.webhookService.getEvents().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.events = response.data;
+        }
+      },
+      error: (error) => console.error('Error loading webhook events:', error)
+    });
+  }
+
+  loadWebhooks(): void {
+    this.isLoading = true;
+    this.errorMessage = '';
+    this.webhookService.getWebhooks().subscribe({
+      next: (response) => {
+        this.webhooks = response.success ? response.data : [];
+        this.isLoading = false;
+      },
+      error: (error) => {
+        console.error('Error loading webhooks:', error);
+        this.errorMessage = error.error?.message || 'Failed to load webhooks. Please try again.';
+        this.isLoading = false;
+      }
+    });
+  }
+
+  toggleEvent(event: string): void {
+    if (this.newEvents.has(event)) {
+      this.newEvents.delete(event);
+    } else {
+      this.newEvents.add(event);
+    }
+  }
+
+  createWebhook(): void {
+    const url = this.newUrl.trim();
+    if (!url || !this.newEvents.size) return;
+
+    this.isCreating = true;
+    this.revealedSecret = '';
+    this.webhookService.createWebhook({
+      url,
+      events: [...this.newEvents],
+      description: this.newDescription.trim()
+    }).subscribe({
+      next: (response) => {
+        this.isCreating = false;
+        if (response.success && response.secret) {
+          this.revealedSecret = response.secret;
+          this.newUrl = '';
+          this.newDescription = '';
+          this.newEvents = new Set();
+          this.loadWebhooks();
+        } else {
+          alert('Error: ' + (response.message || 'Failed to create webhook'));
+        }
+      },
+      error: (error) => {
+        console.error('Error creating webhook:', error);
+        this.isCreating = false;
+        alert('Error: ' + (error.error?.message
+          || error.error?.errors?.map((e: any) => e.msg).join(', ')
+          || 'Failed to create webhook. Please try again.'));
+      }
+    });
+  }
+
+  toggleActive(webhook: Webhook): void {
+    this.webhookService.updateWebhook(webhook._id, { active: !webhook.active }).subscribe({
+      next: (response) => {
+        if (response.success) {
+          webhook.active = response.data.active;
+        }
+      },
+      error: (error) => {
+        console.error('Error updating webhook:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to update webhook. Please try again.'));
+      }
+    });
+  }
+
+  rotateSecret(webhook: Webhook): void {
+    if (confirm(`Replace the signing secret of ${webhook.url}? The receiver must be updated with the new secret.`)) {
+      this.webhookService.rotateSecret(webhook._id).subscribe({
+        next: (response) => {
+          if (response.success && response.secret) {
+            this.revealedSecret = response.secret;
+          }
+        },
+        error: (error) => {
+          console.error('Error rotating webhook secret:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to rotate the secret. Please try again.'));
+        }
+      });
+    }
+  }
+
+  deleteWebhook(webhook: Webhook): void {
+    if (confirm(`Delete the webhook for ${webhook.url}? Its delivery log is deleted too.`)) {
+      this.webhookService.deleteWebhook(webhook._id).subscribe({
+        next: () => {
+          if (this.selected?._id === webhook._id) {
+            this.selected = null;
+          }
+          this.loadWebhooks();
+        },
+        error: (error) => {
+          console.error('Error deleting webhook:', error);
+          alert('Error: ' + (error.error?.message || 'Failed to delete webhook. Please try again.'));
+        }
+      });
+    }
+  }
+
+  copySecret(): void {
+    navigator.clipboard?.writeText(this.revealedSecret);
+  }
+
+  showDeliveries(webhook: Webhook): void {
+    this.selected = webhook;
+    this.deliveryStatus = '';
+    this.expandedDeliveryId = null;
+    this.loadDeliveries();
+  }
+
+  loadDeliveries(page: number = 1): void {
+    if (!this.selected) return;
+
+    this.isLoadingDeliveries = true;
+    this.webhookService.getDeliveries(this.selected._id, this.deliveryStatus || undefined, page).subscribe({
+      next: (response) => {
+        this.deliveries = response.success ? response.data : [];
+        this.deliveryPage = response.page || 1;
+        this.deliveryPages = response.pages || 1;
+        this.isLoadingDeliveries = false;
+      },
+      error: (error) => {
+        console.error('Error loading deliveries:', error);
+        this.deliveries = [];
+        this.isLoadingDeliveries = false;
+      }
+    });
+  }
+
+  toggleDelivery(delivery: WebhookDelivery): void {
+    this.expandedDeliveryId = this.expandedDeliveryId === delivery._id ? null : delivery._id;
+  }
+
+  redeliver(delivery: WebhookDelivery): void {
+    this.webhookService.redeliver(delivery._id).subscribe({
+      next: (response) => {
+        alert(response.message || 'Event redelivered');
+        this.loadDeliveries();
+      },
+      error: (error) => {
+        console.error('Error redelivering event:', error);
+        alert('Error: ' + (error.error?.message || 'Failed to redeliver the event. Please try again.'));
+      }
+    });
+  }
+
+  getStatusClass(status: WebhookDeliveryStatus): string {
+    switch (status) {
+      case 'succeeded': return 'bg-success';
+      case 'failed': return 'bg-danger';
+      default: return 'bg-warning text-dark';
+    }
+  }
+}
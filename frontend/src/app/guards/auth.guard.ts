@@ -14,11 +14,14 @@ export const authGuard: CanActivateFn = (route, state) => {
   return false;
 };
 
-export const adminGuard: CanActivateFn = (route, state) => {
+/**
+ * Only lets users whose role grants the given permission through
+ */
+export const permissionGuard = (permission: string): CanActivateFn => (route, state) => {
   const authService = inject(AuthService);
   const router = inject(Router);
 
-  if (authService.isAuthenticated() && authService.isAdmin()) {
+  if (authService.isAuthenticated() && authService.hasPermission(permission)) {
     return true;
   }
 
@@ -0,0 +1,93 @@
+import { TestBed } from '@angular/core/testing';
+import { provideRouter, Router } from '@angular/router';
+import { HttpClient, provideHttpClient, withInterceptors } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { authInterceptor } from './auth.interceptor';
+import { environment } from '../../environments/environment';
+
+describe('authInterceptor', () => {
+  const booksUrl = `${environment.apiUrl}/books`;
+  const refreshUrl = `${environment.apiUrl}/auth/refresh`;
+  const user = { id: 'u1', name: 'Ada', email: 'ada@example.com', role: 'Member', permissions: [] };
+  let http: HttpClient;
+  let httpMock: HttpTestingController;
+  let router: Router;
+
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('token', 'old-access');
+    localStorage.setItem('refreshToken', 'session.old');
+    TestBed.configureTestingModule({
+      providers: [
+        provideRouter([]),
+        provideHttpClient(withInterceptors([authInterceptor])),
+        provideHttpClientTesting()
+      ]
+    });
+    http = TestBed.inject(HttpClient);
+    httpMock = TestBed.inject(HttpTestingController);
+    router = TestBed.inject(Router);
+    vi.spyOn(router, 'navigate').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    localStorage.clear();
+  });
+
+  const unauthorized = { status: 401, statusText: 'Unauthorized' };
+
+  it('should send the access token', () => {
+    http.get(booksUrl).subscribe();
+
+    const req = httpMock.expectOne(booksUrl);
+    expect(req.request.headers.get('Authorization')).toBe('Bearer old-access');
+    req.flush([]);
+  });
+
+  it('should refresh an expired access token once and retry the requests', () => {
+    const results: unknown[] = [];
+    http.get(booksUrl).subscribe(body => results.push(body));
+    http.get(`${booksUrl}/categories`).subscribe(body => results.push(body));
+
+    httpMock.expectOne(booksUrl).flush({}, unauthorized);
+    httpMock.expectOne(`${booksUrl}/categories`).flush({}, unauthorized);
+
+    // Both requests share one refresh, since a refresh token can only be used once
+    const refresh = httpMock.expectOne(refreshUrl);
+    expect(refresh.request.body).toEqual({ refreshToken: 'session.old' });
+    refresh.flush({ success: true, token: 'new-access', refreshToken: 'session.new', expiresIn: 900, user });
+
+    const retries = httpMock.match(request => request.url.startsWith(booksUrl));
+    expect(retries.length).toBe(2);
+    retries.forEach(retry => {
+      expect(retry.request.headers.get('Authorization')).toBe('Bearer new-access');
+      retry.flush(['ok']);
+    });
+    expect(results).toEqual([['ok'], ['ok']]);
+    expect(localStorage.getItem('refreshToken')).toBe('session.new');
+  });
+
+  it('should sign the user out when the session cannot be refreshed', () => {
+    let failed = false;
+    http.get(booksUrl).subscribe({ error: () => failed = true });
+
+    httpMock.expectOne(booksUrl).flush({}, unauthorized);
+    httpMock.expectOne(refreshUrl).flush({ success: false }, unauthorized);
+
+    expect(failed).toBe(true);
+    expect(router.navigate).toHaveBeenCalledWith(['/login']);
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+  });
+
+  it('should not refresh for failed sign-ins', () => {
+    let status = 0;
+    http.post(`${environment.apiUrl}/auth/login`, {}).subscribe({ error: error => status = error.status });
+
+    httpMock.expectOne(`${environment.apiUrl}/auth/login`).flush({}, unauthorized);
+
+    expect(status).toBe(401);
+    httpMock.expectNone(refreshUrl);
+  });
+});
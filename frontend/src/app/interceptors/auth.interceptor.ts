@@ -1,18 +1,39 @@
-import { HttpInterceptorFn } from '@angular/common/http';
+import { HttpErrorResponse, HttpInterceptorFn, HttpRequest } from '@angular/common/http';
 import { inject } from '@angular/core';
+import { Router } from '@angular/router';
+import { catchError, switchMap, throwError } from 'rxjs';
 import { AuthService } from '../services/auth.service';
 
+// Auth endpoints whose 401 responses must not trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+const withToken = (req: HttpRequest<unknown>, token: string | null) => token
+  ? req.clone({ setHeaders: { Authorization: `Bearer ${token}` } })
+  : req;
+
 export const authInterceptor: HttpInterceptorFn = (req, next) => {
   const authService = inject(AuthService);
-  const token = authService.getToken();
+  const router = inject(Router);
 
-  if (token) {
-    req = req.clone({
-      setHeaders: {
-        Authorization: `Bearer ${token}`
+  return next(withToken(req, authService.getToken())).pipe(
+    catchError((error) => {
+      const canRefresh = error instanceof HttpErrorResponse
+        && error.status === 401
+        && !!authService.getRefreshToken()
+        && !NO_REFRESH_URLS.some(url => req.url.includes(url));
+      if (!canRefresh) {
+        return throwError(() => error);
       }
-    });
-  }
 
-  return next(req);
+      // The access token expired or was revoked: refresh it once and retry the request
+      return authService.refreshTokens().pipe(
+        catchError((refreshError) => {
+          // The session is over; the user has to sign in again
+          router.navigate(['/login']);
+          return throwError(() => refreshError);
+        }),
+        switchMap(response => next(withToken(req, response.token)))
+      );
+    })
+  );
 };
@@ -0,0 +1,39 @@
+export type ApiKeyStatus = 'active' | 'revoked' | 'expired';
+
+export interface ApiKey {
+  _id: string;
+  name: string;
+  prefix: string; // First characters of the key, the rest is only shown at creation
+  scopes: string[];
+  status: ApiKeyStatus;
+  createdBy: { _id: string; name: string; email: string } | null;
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+}
+
+export interface ApiKeyRequest {
+  name: string;
+  scopes: string[];
+  expiresAt?: string | null;
+}
+
+export interface ApiKeyResponse {
+  success: boolean;
+  data: ApiKey;
+  key?: string; // Only returned when the key is created
+  message?: string;
+}
+
+export interface ApiKeysResponse {
+  success: boolean;
+  count: number;
+  total?: number;
+  page?: number;
+  pages?: number;
+  limit?: number;
+  next?: number | null;
+  data: ApiKey[];
+}
@@ -1,12 +1,33 @@
+export type ApprovalStatus = 'pending' | 'approved' | 'rejected' | 'withdrawn';
+
+/**
+ * A book request as it was before a change by its requester
+ */
+export interface BookRevision {
+  action: 'revised' | 'withdrawn' | 'resubmitted';
+  title: string;
+  author: string;
+  ISBN: string;
+  category: string;
+  approvalStatus: ApprovalStatus;
+  rejectionReason?: string | null;
+  reviewedBy?: string | null;
+  reviewedAt?: string | null;
+  revisedBy: string;
+  revisedAt: string;
+}
+
 export interface Book {
   _id?: string;
   id?: string; // Alias for _id (some APIs return id instead)
   title: string;
   author: string;
-  ISBN: string;
+  ISBN: string; // Canonical ISBN-13
+  originalISBN?: string; // ISBN as entered
+  ISBN10?: string | null;
   category: string;
   availability: boolean;
-  approvalStatus?: 'pending' | 'approved' | 'rejected';
+  approvalStatus?: ApprovalStatus;
   requestedBy?: {
     _id: string;
     name: string;
@@ -18,6 +39,8 @@ export interface Book {
     email: string;
   };
   reviewedAt?: string;
+  rejectionReason?: string | null; // Set when an admin rejects the request
+  revisions?: BookRevision[]; // Only returned to admins and the requester
   createdAt?: string;
   updatedAt?: string;
 }
@@ -31,5 +54,20 @@ export interface BookResponse {
 export interface BooksResponse {
   success: boolean;
   count: number;
+  total?: number;
+  page?: number;
+  pages?: number;
+  limit?: number;
+  next?: number | null;
   data: Book[];
 }
+
+export interface BookQuery {
+  q?: string;
+  category?: string;
+  availability?: boolean;
+  approvalStatus?: ApprovalStatus;
+  sort?: string;
+  page?: number;
+  limit?: number;
+}
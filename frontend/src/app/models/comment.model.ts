@@ -0,0 +1,26 @@
+export interface Comment {
+  _id: string;
+  book: string;
+  author: {
+    _id: string;
+    name: string;
+    email: string;
+    role: string;
+  } | null;
+  body: string;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+export interface CommentResponse {
+  success: boolean;
+  data: Comment;
+  message?: string;
+}
+
+export interface CommentsResponse {
+  success: boolean;
+  count: number;
+  data: Comment[];
+  message?: string;
+}
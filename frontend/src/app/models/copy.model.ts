@@ -0,0 +1,23 @@
+export interface Copy {
+  _id: string;
+  book: string;
+  barcode: string;
+  condition: 'new' | 'good' | 'fair' | 'poor' | 'damaged';
+  acquisitionDate?: string;
+  status: 'available' | 'on_loan' | 'on_hold' | 'in_repair' | 'lost' | 'withdrawn';
+  notes?: string;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface CopyResponse {
+  success: boolean;
+  data: Copy;
+  message?: string;
+}
+
+export interface CopiesResponse {
+  success: boolean;
+  count: number;
+  data: Copy[];
+}
@@ -0,0 +1,4 @@
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+// Books can additionally be exported as MARCXML for other library systems
+export type BookExportFormat = ExportFormat | 'marcxml';
@@ -0,0 +1,32 @@
+import { Book } from './book.model';
+
+export interface Hold {
+  _id: string;
+  book: Book | string;
+  member: {
+    _id: string;
+    name: string;
+    email: string;
+    membershipId: string;
+  } | string;
+  status: 'waiting' | 'ready' | 'fulfilled' | 'cancelled' | 'expired';
+  position: number;
+  readyAt?: string | null;
+  pickupExpiresAt?: string | null;
+  queuePosition?: number;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface HoldResponse {
+  success: boolean;
+  data: Hold;
+  message?: string;
+}
+
+export interface HoldsResponse {
+  success: boolean;
+  count: number;
+  data: Hold[];
+  message?: string;
+}
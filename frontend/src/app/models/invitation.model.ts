@@ -0,0 +1,31 @@
+export type InvitationStatus = 'pending' | 'accepted' | 'revoked' | 'expired';
+
+export interface Invitation {
+  _id: string;
+  email: string;
+  role: string;
+  status: InvitationStatus;
+  invitedBy: { _id: string; name: string; email: string } | null;
+  acceptedBy: { _id: string; name: string; email: string } | null;
+  expiresAt: string;
+  acceptedAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+}
+
+export interface InvitationResponse {
+  success: boolean;
+  data: Invitation;
+  message?: string;
+}
+
+export interface InvitationsResponse {
+  success: boolean;
+  count: number;
+  total?: number;
+  page?: number;
+  pages?: number;
+  limit?: number;
+  next?: number | null;
+  data: Invitation[];
+}
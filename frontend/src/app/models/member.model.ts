@@ -6,7 +6,7 @@ export interface Member {
   name: string;
   email: string;
   membershipId: string;
-  role: 'Admin' | 'Member';
+  role: string;
   borrowedBooks?: Book[] | string[];
   createdAt?: string;
   updatedAt?: string;
@@ -21,5 +21,21 @@ export interface MemberResponse {
 export interface MembersResponse {
   success: boolean;
   count: number;
+  total?: number;
+  page?: number;
+  pages?: number;
+  limit?: number;
+  next?: number | null;
   data: Member[];
 }
+
+export interface MemberQuery {
+  q?: string;
+  role?: string;
+  hasOverdue?: boolean;
+  createdFrom?: string;
+  createdTo?: string;
+  sort?: string;
+  page?: number;
+  limit?: number;
+}
@@ -0,0 +1,49 @@
+export type NotificationType = 'book.approved' | 'book.rejected' | 'book.comment' | 'hold.ready';
+
+export interface AppNotification {
+  _id: string;
+  user: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  link: string | null; // Frontend path the notification points to
+  data: any;
+  readAt: string | null; // null while unread
+  createdAt: string;
+}
+
+export interface NotificationPreference {
+  type: NotificationType;
+  description: string;
+  enabled: boolean;
+}
+
+export interface NotificationsResponse {
+  success: boolean;
+  count: number;
+  total?: number;
+  page?: number;
+  pages?: number;
+  limit?: number;
+  next?: number | null;
+  unreadCount: number;
+  data: AppNotification[];
+}
+
+export interface NotificationResponse {
+  success: boolean;
+  unreadCount: number;
+  data: AppNotification;
+}
+
+export interface UnreadCountResponse {
+  success: boolean;
+  unreadCount: number;
+  message?: string;
+}
+
+export interface NotificationPreferencesResponse {
+  success: boolean;
+  data: NotificationPreference[];
+  message?: string;
+}
@@ -0,0 +1,24 @@
+export interface Role {
+  _id: string;
+  name: string;
+  description: string;
+  permissions: string[];
+  system: boolean; // Built-in roles cannot be renamed or deleted
+  userCount?: number;
+}
+
+export interface RolesResponse {
+  success: boolean;
+  count: number;
+  data: Role[];
+}
+
+export interface Permission {
+  name: string;
+  description: string;
+}
+
+export interface PermissionsResponse {
+  success: boolean;
+  data: Permission[];
+}
@@ -2,7 +2,9 @@ export interface User {
   id: string;
   name: string;
   email: string;
-  role: 'Admin' | 'Member';
+  role: string; // Name of a role, e.g. 'Admin', 'Librarian' or 'Member'
+  permissions?: string[]; // Granted by the role, e.g. 'books:approve'
+  emailVerified?: boolean; // Unverified users cannot request books
   createdAt?: string;
 }
 
@@ -15,11 +17,29 @@ export interface RegisterRequest {
   name: string;
   email: string;
   password: string;
-  role?: 'Admin' | 'Member';
+}
+
+export interface AcceptInvitationRequest {
+  token: string;
+  name: string;
+  password: string;
+}
+
+export interface ProfileUpdateRequest {
+  name?: string;
+  email?: string;
+  currentPassword?: string; // Required to change the email address
+}
+
+export interface PasswordChangeRequest {
+  currentPassword: string;
+  newPassword: string;
 }
 
 export interface AuthResponse {
   success: boolean;
-  token: string;
+  token: string; // Short-lived access token
+  refreshToken: string; // Exchanged for a new access token when it expires
+  expiresIn: number; // Access token lifetime in seconds
   user: User;
 }
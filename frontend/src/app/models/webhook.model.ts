@@ -0,0 +1,76 @@
+export type WebhookDeliveryStatus = 'pending' | 'succeeded' | 'failed';
+
+export interface Webhook {
+  _id: string;
+  url: string;
+  description: string;
+  events: string[];
+  active: boolean;
+  createdBy: { _id: string; name: string; email: string } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WebhookEvent {
+  name: string;
+  description: string;
+}
+
+export interface WebhookRequest {
+  url?: string;
+  events?: string[];
+  description?: string;
+  active?: boolean;
+}
+
+export interface WebhookDelivery {
+  _id: string;
+  webhook: string;
+  event: string;
+  payload: any;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  nextAttemptAt: string | null;
+  lastAttemptAt: string | null;
+  responseStatus: number | null;
+  responseBody: string | null;
+  error: string | null;
+  deliveredAt: string | null;
+  redeliveryOf: string | null;
+  createdAt: string;
+}
+
+export interface WebhookResponse {
+  success: boolean;
+  data: Webhook;
+  secret?: string; // Only returned when the webhook is created or its secret is rotated
+  message?: string;
+}
+
+export interface WebhooksResponse {
+  success: boolean;
+  count: number;
+  data: Webhook[];
+}
+
+export interface WebhookEventsResponse {
+  success: boolean;
+  data: WebhookEvent[];
+}
+
+export interface WebhookDeliveryResponse {
+  success: boolean;
+  data: WebhookDelivery;
+  message?: string;
+}
+
+export interface WebhookDeliveriesResponse {
+  success: boolean;
+  count: number;
+  total?: number;
+  page?: number;
+  pages?: number;
+  limit?: number;
+  next?: number | null;
+  data: WebhookDelivery[];
+}
@@ -0,0 +1,30 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+import { ApiKeyRequest, ApiKeyResponse, ApiKeysResponse, ApiKeyStatus } from '../models/api-key.model';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ApiKeyService {
+  private apiUrl = `${environment.apiUrl}/auth/api-keys`;
+
+  constructor(private http: HttpClient) {}
+
+  getApiKeys(status?: ApiKeyStatus, page: number = 1): Observable<ApiKeysResponse> {
+    let params = new HttpParams().set('page', String(page));
+    if (status) {
+      params = params.set('status', status);
+    }
+    return this.http.get<ApiKeysResponse>(this.apiUrl, { params });
+  }
+
+  createApiKey(request: ApiKeyRequest): Observable<ApiKeyResponse> {
+    return this.http.post<ApiKeyResponse>(this.apiUrl, request);
+  }
+
+  revokeApiKey(id: string): Observable<ApiKeyResponse> {
+    return this.http.delete<ApiKeyResponse>(`${this.apiUrl}/${id}`);
+  }
+}
@@ -1,8 +1,8 @@
 import { Injectable } from '@angular/core';
 import { HttpClient } from '@angular/common/http';
-import { Observable, BehaviorSubject, tap, timeout, catchError, throwError } from 'rxjs';
+import { Observable, BehaviorSubject, tap, timeout, catchError, throwError, finalize, shareReplay } from 'rxjs';
 import { environment } from '../../environments/environment';
-import { User, LoginRequest, RegisterRequest, AuthResponse } from '../models/user.model';
+import { User, LoginRequest, RegisterRequest, AcceptInvitationRequest, ProfileUpdateRequest, PasswordChangeRequest, AuthResponse } from '../models/user.model';
 
 @Injectable({
   providedIn: 'root'
@@ -11,6 +11,7 @@ export class AuthService {
   private apiUrl = `${environment.apiUrl}/auth`;
   private currentUserSubject = new BehaviorSubject<User | null>(this.getUserFromStorage());
   public currentUser$ = this.currentUserSubject.asObservable();
+  private refreshRequest$: Observable<AuthResponse> | null = null;
 
   constructor(private http: HttpClient) {}
 
@@ -39,27 +40,133 @@ export class AuthService {
     );
   }
 
+  acceptInvitation(data: AcceptInvitationRequest): Observable<AuthResponse> {
+    return this.http.post<AuthResponse>(`${this.apiUrl}/invitations/accept`, data).pipe(
+      tap(response => this.handleAuthResponse(response))
+    );
+  }
+
   getProfile(): Observable<{ success: boolean; user: User }> {
-    return this.http.get<{ success: boolean; user: User }>(`${this.apiUrl}/profile`);
+    return this.http.get<{ success: boolean; user: User }>(`${this.apiUrl}/profile`).pipe(
+      // Keep the stored user in sync (e.g. role or email verification changed)
+      tap(response => {
+        if (response.success && response.user && this.currentUserSubject.value) {
+          this.setCurrentUser({ ...this.currentUserSubject.value, ...response.user });
+        }
+      })
+    );
+  }
+
+  updateProfile(data: ProfileUpdateRequest): Observable<{ success: boolean; message: string; user: User }> {
+    return this.http.put<{ success: boolean; message: string; user: User }>(`${this.apiUrl}/profile`, data).pipe(
+      tap(response => {
+        if (response.success && response.user) {
+          this.setCurrentUser({ ...this.currentUserSubject.value, ...response.user });
+        }
+      })
+    );
+  }
+
+  /**
+   * Change the current user's password
+   *
+   * The server ends every session of the user and signs this client in again with new tokens.
+   */
+  changePassword(data: PasswordChangeRequest): Observable<AuthResponse & { message: string }> {
+    return this.http.put<AuthResponse & { message: string }>(`${this.apiUrl}/password`, data).pipe(
+      tap(response => this.handleAuthResponse(response))
+    );
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   *
+   * Concurrent callers share one request, since each refresh token can only be used once.
+   * The session is cleared if the refresh fails.
+   */
+  refreshTokens(): Observable<AuthResponse> {
+    if (!this.refreshRequest$) {
+      this.refreshRequest$ = this.http.post<AuthResponse>(`${this.apiUrl}/refresh`, { refreshToken: this.getRefreshToken() }).pipe(
+        tap({
+          next: (response) => this.handleAuthResponse(response),
+          error: () => this.clearSession()
+        }),
+        finalize(() => this.refreshRequest$ = null),
+        shareReplay(1)
+      );
+    }
+    return this.refreshRequest$;
   }
 
   logout(): void {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    this.currentUserSubject.next(null);
+    // End the session on the server too, so its tokens stop working
+    const refreshToken = this.getRefreshToken();
+    if (refreshToken) {
+      this.http.post(`${this.apiUrl}/logout`, { refreshToken }).subscribe({
+        error: (error) => console.error('Logout request failed:', error)
+      });
+    }
+    this.clearSession();
+  }
+
+  /**
+   * End every session of the current user, on all devices
+   */
+  logoutAll(): Observable<{ success: boolean; count: number }> {
+    return this.http.post<{ success: boolean; count: number }>(`${this.apiUrl}/logout-all`, {}).pipe(
+      tap(() => this.clearSession())
+    );
+  }
+
+  forgotPassword(email: string): Observable<{ success: boolean; message: string }> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/forgot-password`, { email });
+  }
+
+  resetPassword(token: string, password: string): Observable<{ success: boolean; message: string }> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/reset-password`, { token, password });
+  }
+
+  verifyEmail(token: string): Observable<{ success: boolean; message: string }> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/verify-email`, { token });
+  }
+
+  resendVerification(): Observable<{ success: boolean; message: string }> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/resend-verification`, {});
+  }
+
+  /**
+   * Whether the current user still has to verify their email address before requesting books
+   */
+  needsEmailVerification(): boolean {
+    const user = this.currentUserSubject.value;
+    return !!user && !this.hasPermission('books:manage') && user.emailVerified === false;
   }
 
   getToken(): string | null {
     return localStorage.getItem('token');
   }
 
+  getRefreshToken(): string | null {
+    return localStorage.getItem('refreshToken');
+  }
+
   isAuthenticated(): boolean {
     return !!this.getToken();
   }
 
-  isAdmin(): boolean {
+  /**
+   * Whether the current user's role grants a permission (e.g. 'books:approve')
+   */
+  hasPermission(permission: string): boolean {
     const user = this.currentUserSubject.value;
-    return user?.role === 'Admin' || false;
+    return !!user?.permissions?.includes(permission);
+  }
+
+  /**
+   * Whether the current user is staff who land on the admin dashboard after signing in
+   */
+  isStaff(): boolean {
+    return this.hasPermission('books:manage');
   }
 
   getCurrentUser(): User | null {
@@ -68,8 +175,20 @@ export class AuthService {
 
   private handleAuthResponse(response: AuthResponse): void {
     localStorage.setItem('token', response.token);
-    localStorage.setItem('user', JSON.stringify(response.user));
-    this.currentUserSubject.next(response.user);
+    localStorage.setItem('refreshToken', response.refreshToken);
+    this.setCurrentUser(response.user);
+  }
+
+  private setCurrentUser(user: User): void {
+    localStorage.setItem('user', JSON.stringify(user));
+    this.currentUserSubject.next(user);
+  }
+
+  private clearSession(): void {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    this.currentUserSubject.next(null);
   }
 
   private getUserFromStorage(): User | null {
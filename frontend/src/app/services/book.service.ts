@@ -1,8 +1,12 @@
 import { Injectable } from '@angular/core';
-import { HttpClient } from '@angular/common/http';
+import { HttpClient, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { environment } from '../../environments/environment';
-import { Book, BookResponse, BooksResponse } from '../models/book.model';
+import { Book, BookQuery, BookResponse, BooksResponse } from '../models/book.model';
+import { BookExportFormat } from '../models/export.model';
+import { HoldResponse, HoldsResponse } from '../models/hold.model';
+import { Copy, CopyResponse, CopiesResponse } from '../models/copy.model';
+import { CommentResponse, CommentsResponse } from '../models/comment.model';
 
 @Injectable({
   providedIn: 'root'
@@ -12,8 +16,28 @@ export class BookService {
 
   constructor(private http: HttpClient) {}
 
-  getBooks(): Observable<BooksResponse> {
-    return this.http.get<BooksResponse>(this.apiUrl);
+  getBooks(query: BookQuery = {}): Observable<BooksResponse> {
+    let params = new HttpParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params = params.set(key, String(value));
+      }
+    });
+    return this.http.get<BooksResponse>(this.apiUrl, { params });
+  }
+  exportBooks(query: BookQuery = {}, format: BookExportFormat = 'csv'): Observable<Blob> {
+    let params = new HttpParams().set('format', format);
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && key !== 'page' && key !== 'limit') {
+        params = params.set(key, String(value));
+      }
+    });
+    return this.http.get(`${this.apiUrl}/export`, { params, responseType: 'blob' });
+  }
+
+
+  getCategories(): Observable<{ success: boolean; count: number; data: string[] }> {
+    return this.http.get<{ success: boolean; count: number; data: string[] }>(`${this.apiUrl}/categories`);
   }
 
   getBook(id: string): Observable<BookResponse> {
@@ -40,7 +64,55 @@ export class BookService {
     return this.http.put<BookResponse>(`${this.apiUrl}/${id}/approve`, {});
   }
 
-  rejectBook(id: string): Observable<BookResponse> {
-    return this.http.put<BookResponse>(`${this.apiUrl}/${id}/reject`, {});
+  rejectBook(id: string, reason?: string): Observable<BookResponse> {
+    return this.http.put<BookResponse>(`${this.apiUrl}/${id}/reject`, reason ? { reason } : {});
+  }
+
+  reviseBookRequest(id: string, changes: Partial<Book>): Observable<BookResponse> {
+    return this.http.put<BookResponse>(`${this.apiUrl}/${id}/revise`, changes);
+  }
+
+  withdrawBookRequest(id: string): Observable<BookResponse> {
+    return this.http.put<BookResponse>(`${this.apiUrl}/${id}/withdraw`, {});
+  }
+
+  resubmitBookRequest(id: string, changes: Partial<Book> = {}): Observable<BookResponse> {
+    return this.http.put<BookResponse>(`${this.apiUrl}/${id}/resubmit`, changes);
+  }
+
+  getComments(id: string): Observable<CommentsResponse> {
+    return this.http.get<CommentsResponse>(`${this.apiUrl}/${id}/comments`);
+  }
+
+  addComment(id: string, body: string): Observable<CommentResponse> {
+    return this.http.post<CommentResponse>(`${this.apiUrl}/${id}/comments`, { body });
+  }
+
+  getCopies(id: string): Observable<CopiesResponse> {
+    return this.http.get<CopiesResponse>(`${this.apiUrl}/${id}/copies`);
+  }
+
+  addCopy(id: string, copy: Partial<Copy>): Observable<CopyResponse> {
+    return this.http.post<CopyResponse>(`${this.apiUrl}/${id}/copies`, copy);
+  }
+
+  placeHold(id: string): Observable<HoldResponse> {
+    return this.http.post<HoldResponse>(`${this.apiUrl}/${id}/holds`, {});
+  }
+
+  getHolds(id: string): Observable<HoldsResponse> {
+    return this.http.get<HoldsResponse>(`${this.apiUrl}/${id}/holds`);
+  }
+
+  cancelHold(id: string, holdId: string): Observable<HoldResponse> {
+    return this.http.delete<HoldResponse>(`${this.apiUrl}/${id}/holds/${holdId}`);
+  }
+
+  reorderHolds(id: string, holdIds: string[]): Observable<HoldsResponse> {
+    return this.http.put<HoldsResponse>(`${this.apiUrl}/${id}/holds/order`, { holdIds });
+  }
+
+  purgeHolds(id: string): Observable<{ success: boolean; message: string; count: number }> {
+    return this.http.delete<{ success: boolean; message: string; count: number }>(`${this.apiUrl}/${id}/holds`);
   }
 }
@@ -0,0 +1,30 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+import { InvitationResponse, InvitationsResponse, InvitationStatus } from '../models/invitation.model';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class InvitationService {
+  private apiUrl = `${environment.apiUrl}/auth/invitations`;
+
+  constructor(private http: HttpClient) {}
+
+  getInvitations(status?: InvitationStatus, page: number = 1): Observable<InvitationsResponse> {
+    let params = new HttpParams().set('page', String(page));
+    if (status) {
+      params = params.set('status', status);
+    }
+    return this.http.get<InvitationsResponse>(this.apiUrl, { params });
+  }
+
+  createInvitation(email: string, role: string): Observable<InvitationResponse> {
+    return this.http.post<InvitationResponse>(this.apiUrl, { email, role });
+  }
+
+  revokeInvitation(id: string): Observable<InvitationResponse> {
+    return this.http.delete<InvitationResponse>(`${this.apiUrl}/${id}`);
+  }
+}
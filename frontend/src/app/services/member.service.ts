@@ -1,8 +1,9 @@
 import { Injectable } from '@angular/core';
-import { HttpClient } from '@angular/common/http';
+import { HttpClient, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { environment } from '../../environments/environment';
-import { Member, MemberResponse, MembersResponse } from '../models/member.model';
+import { Member, MemberQuery, MemberResponse, MembersResponse } from '../models/member.model';
+import { ExportFormat } from '../models/export.model';
 
 @Injectable({
   providedIn: 'root'
@@ -12,9 +13,25 @@ export class MemberService {
 
   constructor(private http: HttpClient) {}
 
-  getMembers(): Observable<MembersResponse> {
-    return this.http.get<MembersResponse>(this.apiUrl);
+  getMembers(query: MemberQuery = {}): Observable<MembersResponse> {
+    let params = new HttpParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params = params.set(key, String(value));
+      }
+    });
+    return this.http.get<MembersResponse>(this.apiUrl, { params });
   }
+  exportMembers(query: MemberQuery = {}, format: ExportFormat = 'csv'): Observable<Blob> {
+    let params = new HttpParams().set('format', format);
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && key !== 'page' && key !== 'limit') {
+        params = params.set(key, String(value));
+      }
+    });
+    return this.http.get(`${this.apiUrl}/export`, { params, responseType: 'blob' });
+  }
+
 
   getMember(id: string): Observable<MemberResponse> {
     return this.http.get<MemberResponse>(`${this.apiUrl}/${id}`);
@@ -0,0 +1,65 @@
+import { TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { NotificationService } from './notification.service';
+import { environment } from '../../environments/environment';
+
+describe('NotificationService', () => {
+  const apiUrl = `${environment.apiUrl}/notifications`;
+  let service: NotificationService;
+  let httpMock: HttpTestingController;
+  let unreadCount: number;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [provideHttpClient(), provideHttpClientTesting()]
+    });
+    service = TestBed.inject(NotificationService);
+    httpMock = TestBed.inject(HttpTestingController);
+    service.unreadCount$.subscribe(count => unreadCount = count);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+  });
+
+  it('should request unread notifications and update the unread count', () => {
+    service.getNotifications(true, 2).subscribe();
+
+    const req = httpMock.expectOne(request => request.url === apiUrl);
+    expect(req.request.params.get('unread')).toBe('true');
+    expect(req.request.params.get('page')).toBe('2');
+    req.flush({ success: true, count: 0, total: 0, page: 2, pages: 1, unreadCount: 4, data: [] });
+
+    expect(unreadCount).toBe(4);
+  });
+
+  it('should take the unread count from markRead and markAllRead', () => {
+    service.markRead('n1').subscribe();
+    httpMock.expectOne(`${apiUrl}/n1/read`).flush({ success: true, unreadCount: 1, data: {} });
+    expect(unreadCount).toBe(1);
+
+    service.markAllRead().subscribe();
+    const req = httpMock.expectOne(`${apiUrl}/read-all`);
+    expect(req.request.method).toBe('PUT');
+    req.flush({ success: true, unreadCount: 0 });
+    expect(unreadCount).toBe(0);
+  });
+
+  it('should send preferences wrapped in a preferences object', () => {
+    service.updatePreferences({ 'hold.ready': false }).subscribe();
+
+    const req = httpMock.expectOne(`${apiUrl}/preferences`);
+    expect(req.request.body).toEqual({ preferences: { 'hold.ready': false } });
+    req.flush({ success: true, data: [] });
+  });
+
+  it('should reset the unread count on clear', () => {
+    service.refreshUnreadCount().subscribe();
+    httpMock.expectOne(`${apiUrl}/unread-count`).flush({ success: true, unreadCount: 5 });
+    expect(unreadCount).toBe(5);
+
+    service.clearUnreadCount();
+    expect(unreadCount).toBe(0);
+  });
+});
@@ -0,0 +1,62 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable, BehaviorSubject, tap } from 'rxjs';
+import { environment } from '../../environments/environment';
+import {
+  NotificationPreferencesResponse,
+  NotificationResponse,
+  NotificationsResponse,
+  UnreadCountResponse
+} from '../models/notification.model';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class NotificationService {
+  private apiUrl = `${environment.apiUrl}/notifications`;
+  // Unread count shown in the navigation bar, updated by every call that reports it
+  private unreadCountSubject = new BehaviorSubject<number>(0);
+  public unreadCount$ = this.unreadCountSubject.asObservable();
+
+  constructor(private http: HttpClient) {}
+
+  getNotifications(unreadOnly: boolean = false, page: number = 1): Observable<NotificationsResponse> {
+    let params = new HttpParams().set('page', String(page));
+    if (unreadOnly) {
+      params = params.set('unread', 'true');
+    }
+    return this.http.get<NotificationsResponse>(this.apiUrl, { params }).pipe(
+      tap(response => this.unreadCountSubject.next(response.unreadCount))
+    );
+  }
+
+  refreshUnreadCount(): Observable<UnreadCountResponse> {
+    return this.http.get<UnreadCountResponse>(`${this.apiUrl}/unread-count`).pipe(
+      tap(response => this.unreadCountSubject.next(response.unreadCount))
+    );
+  }
+
+  markRead(id: string): Observable<NotificationResponse> {
+    return this.http.put<NotificationResponse>(`${this.apiUrl}/${id}/read`, {}).pipe(
+      tap(response => this.unreadCountSubject.next(response.unreadCount))
+    );
+  }
+
+  markAllRead(): Observable<UnreadCountResponse> {
+    return this.http.put<UnreadCountResponse>(`${this.apiUrl}/read-all`, {}).pipe(
+      tap(response => this.unreadCountSubject.next(response.unreadCount))
+    );
+  }
+
+  getPreferences(): Observable<NotificationPreferencesResponse> {
+    return this.http.get<NotificationPreferencesResponse>(`${this.apiUrl}/preferences`);
+  }
+
+  updatePreferences(preferences: Record<string, boolean>): Observable<NotificationPreferencesResponse> {
+    return this.http.put<NotificationPreferencesResponse>(`${this.apiUrl}/preferences`, { preferences });
+  }
+
+  clearUnreadCount(): void {
+    this.unreadCountSubject.next(0);
+  }
+}
@@ -0,0 +1,22 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+import { PermissionsResponse, RolesResponse } from '../models/role.model';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class RoleService {
+  private apiUrl = `${environment.apiUrl}/roles`;
+
+  constructor(private http: HttpClient) {}
+
+  getRoles(): Observable<RolesResponse> {
+    return this.http.get<RolesResponse>(this.apiUrl);
+  }
+
+  getPermissionCatalogue(): Observable<PermissionsResponse> {
+    return this.http.get<PermissionsResponse>(`${this.apiUrl}/permissions`);
+  }
+}
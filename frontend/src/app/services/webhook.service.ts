@@ -0,0 +1,58 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+import {
+  WebhookDeliveriesResponse,
+  WebhookDeliveryResponse,
+  WebhookDeliveryStatus,
+  WebhookEventsResponse,
+  WebhookRequest,
+  WebhookResponse,
+  WebhooksResponse
+} from '../models/webhook.model';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class WebhookService {
+  private apiUrl = `${environment.apiUrl}/webhooks`;
+
+  constructor(private http: HttpClient) {}
+
+  getEvents(): Observable<WebhookEventsResponse> {
+    return this.http.get<WebhookEventsResponse>(`${this.apiUrl}/events`);
+  }
+
+  getWebhooks(): Observable<WebhooksResponse> {
+    return this.http.get<WebhooksResponse>(this.apiUrl);
+  }
+
+  createWebhook(request: WebhookRequest): Observable<WebhookResponse> {
+    return this.http.post<WebhookResponse>(this.apiUrl, request);
+  }
+
+  updateWebhook(id: string, changes: WebhookRequest): Observable<WebhookResponse> {
+    return this.http.put<WebhookResponse>(`${this.apiUrl}/${id}`, changes);
+  }
+
+  rotateSecret(id: string): Observable<WebhookResponse> {
+    return this.http.post<WebhookResponse>(`${this.apiUrl}/${id}/rotate-secret`, {});
+  }
+
+  deleteWebhook(id: string): Observable<WebhookResponse> {
+    return this.http.delete<WebhookResponse>(`${this.apiUrl}/${id}`);
+  }
+
+  getDeliveries(id: string, status?: WebhookDeliveryStatus, page: number = 1): Observable<WebhookDeliveriesResponse> {
+    let params = new HttpParams().set('page', String(page));
+    if (status) {
+      params = params.set('status', status);
+    }
+    return this.http.get<WebhookDeliveriesResponse>(`${this.apiUrl}/${id}/deliveries`, { params });
+  }
+
+  redeliver(deliveryId: string): Observable<WebhookDeliveryResponse> {
+    return this.http.post<WebhookDeliveryResponse>(`${this.apiUrl}/deliveries/${deliveryId}/redeliver`, {});
+  }
+}